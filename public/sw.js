@@ -0,0 +1,76 @@
+// 北歐式健走分析儀 Service Worker
+// 安裝時預先快取 build 產物與 MediaPipe 模型 (precache-manifest.json)，
+// 之後同源資源 cache-first，第一次載入後即可完全離線使用；頁面本身 (navigate) 走 network-first，
+// 線上時一定拿到最新的 index.html，離線才用快取。
+// CACHE_NAME 的占位字串由 vite.config.js (SW_BUILD_PLACEHOLDER) 在 build 時換成產物內容的 hash：
+// 每次發版 sw.js 內容都不同，瀏覽器才會安裝新版並在 activate 時清掉舊快取。
+// Tasks PoseLandmarker 的 .task 模型從 Google 模型庫下載 (跨來源)：網址帶固定版本，
+// 第一次用到時存進獨立的 MODEL_CACHE，app 更新時不清除。
+
+const CACHE_NAME = 'nordic-walking-__BUILD_HASH__';
+const MODEL_CACHE = 'nordic-walking-models';
+const MODEL_ORIGIN_PREFIX = 'https://storage.googleapis.com/mediapipe-models/';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const res = await fetch('precache-manifest.json', { cache: 'no-store' });
+      const files = await res.json();
+      await cache.addAll(files);
+    }).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME && k !== MODEL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// 模型 cache-first；網址含版本號，不必重新驗證
+const fetchModel = (request) => caches.open(MODEL_CACHE).then(async (cache) => {
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (request.url.startsWith(MODEL_ORIGIN_PREFIX)) {
+    event.respondWith(fetchModel(request));
+    return;
+  }
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).then((res) => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return res;
+      }).catch(async () => (await caches.match(request, { ignoreSearch: true })) || caches.match('./'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).then((res) => {
+        // blob: / 錄影等不會進來；只快取成功的同源回應
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return res;
+      });
+    })
+  );
+});
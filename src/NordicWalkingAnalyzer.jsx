@@ -1,5 +1,62 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
-import { Play, Pause, Upload, Video as VideoIcon, Activity, Smartphone, Monitor, Settings, BarChart2, AlertCircle } from 'lucide-react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { Play, Pause, Upload, PackageOpen, Columns, Video as VideoIcon, Activity, Smartphone, Monitor, Settings, BarChart2, AlertCircle, Camera, ScanLine, X, Users, ChevronLeft, ChevronRight } from 'lucide-react';
+import { createGaitAnalyzer, HAND_STATE, EMPTY_SUMMARY } from './analysis/gaitEngine.js';
+import { isFrontalView } from './analysis/frontalMetrics.js';
+import { offAxisLevel } from './analysis/jointAngles3d.js';
+import { POSE_STATUS } from './pose/poseRuntime.js';
+import { createPoseProvider, resolvePoseProvider, findPoseProvider, DEFAULT_POSE_PROVIDER } from './pose/poseProviders.js';
+import { createLandmarkRecorder, parseRecording } from './pose/landmarkRecording.js';
+import PoseSourcePanel from './components/PoseSourcePanel.jsx';
+import { createThroughputMeter } from './pose/throughputMeter.js';
+import ThroughputBadge from './components/ThroughputBadge.jsx';
+import { openCamera, stopStream, FACING } from './media/camera.js';
+import { THEME } from './theme.js';
+import { paintFrame } from './render/overlayLayers.js';
+import { createFrameSampler } from './render/frameSampler.js';
+import TimelineCharts from './components/TimelineCharts.jsx';
+import TechniquePanel from './components/TechniquePanel.jsx';
+import { evaluateTechnique, DEFAULT_RULES } from './analysis/technique.js';
+import ExportPanel from './components/ExportPanel.jsx';
+import {
+  buildSessionJSON, buildSummaryCSV, buildFramesCSV, csvBlob, jsonBlob, downloadBlob, exportFileName
+} from './export/sessionExport.js';
+import { openPrintableReport, openReportWindow, writePrintableReport } from './export/printReport.js';
+import { captureKeyStills } from './export/captureStills.js';
+import SessionHistory from './components/SessionHistory.jsx';
+import SessionCompare from './components/SessionCompare.jsx';
+import { saveSession, listSessions, getSession, deleteSession, makeThumbnail } from './storage/sessionStore.js';
+import { buildSessionBundle, parseSessionBundle, BUNDLE_EXTENSION } from './export/sessionBundle.js';
+import CommentPanel from './components/CommentPanel.jsx';
+import MultiAngleView from './components/MultiAngleView.jsx';
+import { mergeAngleSummaries, mergeTechnique } from './analysis/multiAngle.js';
+import { createComment, addComment, commentsAt } from './analysis/coachComments.js';
+import { analyzeClip, recomputeTimeline, selectTimelinePerson, findTimelineIndex, SAMPLE_RATES } from './media/clipAnalysis.js';
+import CalibrationPanel from './components/CalibrationPanel.jsx';
+import { referenceFromLine, referenceFromStanding, addReference, cmPerPxAt, describeCalibration } from './analysis/calibration.js';
+import { POLE_HEIGHT_RATIO } from './analysis/poleDetection.js';
+import VideoExportDialog from './components/VideoExportDialog.jsx';
+import { exportAnnotatedVideo, pickFreezeMoments, pickRecorderFormat, formatFromMime } from './export/videoExport.js';
+import { drawMetricsPanel, drawFreezeBanner } from './render/metricsPanel.js';
+import { GAIT_EVENT } from './analysis/gaitEvents.js';
+import { createPersonTracker, findPersonAt, largestPerson } from './analysis/personTracker.js';
+import { createGroupAnalyzer, analyzeTimelinePeople } from './analysis/groupAnalysis.js';
+import GroupPanel from './components/GroupPanel.jsx';
+import MeasurePanel from './components/MeasurePanel.jsx';
+import { MEASURE_TOOL, TOOL_POINTS, createMeasurement, measurementsAt } from './analysis/measurements.js';
+import LiveCuePanel from './components/LiveCuePanel.jsx';
+import { createCueEngine, DEFAULT_CUE_SETTINGS, LIVE_CUES } from './analysis/liveCues.js';
+import { deliverCue, unlockSpeech, canSpeak, canVibrate } from './media/cueOutput.js';
+import ReferencePanel from './components/ReferencePanel.jsx';
+import {
+  buildReference, parseReference, referenceMatchesView, ghostLandmarks, normalizePose,
+  createDeviationAccumulator, compareToReference
+} from './analysis/referenceWalker.js';
+import { cycleStarts, phaseAt, lastCycleDuration } from './analysis/gaitCycle.js';
+import { computeCycleProfiles, cycleAverage } from './analysis/cycleProfiles.js';
+import CycleProfileCharts from './components/CycleProfileCharts.jsx';
+import { LANGUAGES, createTranslator, loadLanguage, saveLanguage } from './i18n/index.js';
+import { I18nContext, useI18n } from './i18n/I18nContext.jsx';
 
 /**
  * 北歐式健走分析儀 Web-app (優化版 v2)
@@ -9,351 +66,871 @@ import { Play, Pause, Upload, Video as VideoIcon, Activity, Smartphone, Monitor,
  * 3. 介面調整: 保持一頁式設計，並強化數據可讀性。
  */
 
-// --- 樣式定義 ---
-const THEME = {
-  bg: 'bg-slate-950',
-  panel: 'bg-slate-900',
-  text: 'text-slate-100',
-  textMuted: 'text-slate-400',
-  accent: 'text-blue-400',
-  border: 'border-slate-800',
-  colors: {
-    left: '#FF3B30',   // 左側紅
-    right: '#34C759',  // 右側綠
-    spine: '#FFD60A',  // 中軸黃
-    ref: '#FF9500',    // 參考線橘
-    text: '#FFFFFF',
-    fist: '#FFCC00',   // 握拳 (黃)
-    open: '#00FF00'    // 張開 (亮綠)
-  }
-};
-
-// --- 幾何運算 ---
-const getDistance = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
-
-const getVerticalAngle = (p1, p2) => {
-  const dx = p2.x - p1.x;
-  const dy = p2.y - p1.y; 
-  const rad = Math.acos(dy / (Math.sqrt(dx*dx + dy*dy) + 0.0001)); 
-  return (rad * 180) / Math.PI;
-};
-
-const getAngle = (A, B, C) => {
-  const AB = Math.sqrt(Math.pow(B.x - A.x, 2) + Math.pow(B.y - A.y, 2));    
-  const BC = Math.sqrt(Math.pow(B.x - C.x, 2) + Math.pow(B.y - C.y, 2)); 
-  const AC = Math.sqrt(Math.pow(C.x - A.x, 2) + Math.pow(C.y - A.y, 2));
-  const rad = Math.acos((AB*AB + BC*BC - AC*AC) / (2 * AB * BC + 0.0001));
-  return (rad * 180) / Math.PI;
-};
-
-// 判斷手掌狀態 (優化版 V2)
-const analyzeHandState = (landmarks, side) => {
-  const offset = side === 'Left' ? 0 : 1;
-  const wrist = landmarks[15 + offset];
-  const elbow = landmarks[13 + offset];
-  const pinky = landmarks[17 + offset];
-  const index = landmarks[19 + offset];
-  const thumb = landmarks[21 + offset];
-  
-  // 如果關鍵點信心度太低，直接回傳未知
-  if (!wrist || !elbow || !pinky || !index || !thumb || 
-      wrist.visibility < 0.5 || index.visibility < 0.5) return '未知';
-
-  // 前臂長度 (作為比例尺)
-  const forearmLen = getDistance(wrist, elbow);
-  
-  // 計算指尖到手腕的平均距離
-  const fingerDist = (getDistance(wrist, pinky) + getDistance(wrist, index) + getDistance(wrist, thumb)) / 3;
-  
-  // 正規化比值
-  const ratio = fingerDist / forearmLen;
-
-  // [修正] 調降閾值：
-  // 之前的 0.32 對於後擺(遠處)來說太嚴格，容易判斷成握拳。
-  // 下修至 0.25，只要手指有一點伸展就算張開。
-  return ratio > 0.25 ? '張開' : '握拳';
-};
-
 const NordicWalkingApp = () => {
   // --- State ---
+  // 介面語言 (存在 localStorage)；子元件透過 I18nContext 取得 t
+  const [lang, setLang] = useState(loadLanguage);
+  const t = useMemo(() => createTranslator(lang), [lang]);
+  useEffect(() => saveLanguage(lang), [lang]);
+
   const [videoSource, setVideoSource] = useState(null);
+  const [cameraStream, setCameraStream] = useState(null);
+  const [facingMode, setFacingMode] = useState(FACING.REAR);
   const [isPlaying, setIsPlaying] = useState(false);
   const [viewMode, setViewMode] = useState('side_left');
   const [userHeight, setUserHeight] = useState(170);
+  // 距離校正 (與鏡頭位置綁定，換影片 / 開鏡頭時清除)；calibrationPick 為點選中的參考物端點
+  const [calibration, setCalibration] = useState(null);
+  const [calibrationPick, setCalibrationPick] = useState(null);
+  // 逐幀檢視與手動量測：measureDraft 為畫到一半的 { tool, points }
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [measureTool, setMeasureTool] = useState(null);
+  const [measureDraft, setMeasureDraft] = useState(null);
+  const [measurements, setMeasurements] = useState([]);
+  // 教練評語；作者名稱存在 localStorage，下次不必重填
+  const [comments, setComments] = useState([]);
+  const [commentAuthor, setCommentAuthor] = useState(loadCommentAuthor);
   const [isRecording, setIsRecording] = useState(false);
   const [alertMsg, setAlertMsg] = useState('');
 
+  // pose 模型來源 (存在 localStorage)；回放用的關鍵點錄製檔只留在記憶體
+  const [poseProviderId, setPoseProviderId] = useState(loadPoseProvider);
+  const [replayRecording, setReplayRecording] = useState(null);
+  // 錄製原始關鍵點 (整段分析與即時分析都會錄)
+  const [recordingLandmarks, setRecordingLandmarks] = useState(false);
+  const [recorder] = useState(createLandmarkRecorder);
+
+  // 多人模式：偵測所有人 (舊版 Pose 只能單人，改用 PoseLandmarker)，追蹤 id 後只分析選定的那個人
+  const [multiPerson, setMultiPerson] = useState(false);
+  const activePoseProvider = resolvePoseProvider(poseProviderId, multiPerson);
+  const replaySource = activePoseProvider === 'replay' ? replayRecording : null;
+  // 每組 (模型來源, 多人, 回放檔, 重試次數) 載入一次；載入結果只對同一組有效，其餘一律視為載入中
+  const [poseAttempt, setPoseAttempt] = useState(0);
+  const poseKey = useMemo(
+    () => ({ provider: activePoseProvider, multiPerson, recording: replaySource, attempt: poseAttempt }),
+    [activePoseProvider, multiPerson, replaySource, poseAttempt]
+  );
+  const [poseLoad, setPoseLoad] = useState(null);
+  const poseStatus = poseLoad?.key === poseKey ? poseLoad.status : POSE_STATUS.LOADING;
+  const [selectedPersonId, setSelectedPersonId] = useState(null);
+  const [analyzeAllPeople, setAnalyzeAllPeople] = useState(false);
+  const [groupResults, setGroupResults] = useState([]);
+  const selectedPersonRef = useRef(null);
+  const peopleRef = useRef([]);
+  const [tracker] = useState(createPersonTracker);
+
+  // 整段逐幀分析
+  const [timeline, setTimeline] = useState(null);
+  const [sampleRate, setSampleRate] = useState(SAMPLE_RATES[0]);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  // 影片長度 (loadedmetadata / durationchange 時更新)；錄製的 webm 一開始可能是 Infinity
+  const [videoDuration, setVideoDuration] = useState(0);
+  const analysisAbortRef = useRef(null);
+
+  // 時間序列：未做整段分析時，由即時分析逐幀累積
+  const [history, setHistory] = useState([]);
+  const [gaitEvents, setGaitEvents] = useState([]);
+  const historyRef = useRef([]);
+  const [isPreparingReport, setIsPreparingReport] = useState(false);
+  // 疊圖影片匯出 (有整段分析結果時)
+  const [showVideoExport, setShowVideoExport] = useState(false);
+  const [videoExportProgress, setVideoExportProgress] = useState(null);
+  const videoExportAbortRef = useRef(null);
+
+  // 本機歷史紀錄
+  const [sessions, setSessions] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isBundling, setIsBundling] = useState(false);
+  const [compareSessions, setCompareSessions] = useState(null);
+  const [showMultiAngle, setShowMultiAngle] = useState(false);
+  const videoFileRef = useRef(null);
+  // 學員名稱：存紀錄、列印報告、匯出分享檔共用；開啟紀錄 / 分享檔時帶入
+  const [walkerName, setWalkerName] = useState('');
+
   // 即時數據
   const [realtimeMetrics, setRealtimeMetrics] = useState({
     torsoAngle: 0,
     armAngleL: 0,
     armAngleR: 0,
     stepLength: 0,
-    handL: '未知',
-    handR: '未知',
-    comX: 0
+    handL: HAND_STATE.UNKNOWN,
+    handR: HAND_STATE.UNKNOWN,
+    comX: 0,
+    offAxis: null,
+    frontal: null
   });
+  const frontalView = isFrontalView(viewMode);
 
-  // 統計數據
-  const statsRef = useRef({
-    maxTorso: 0, minTorso: 90, sumTorso: 0, countTorso: 0,
-    maxArmFwd: 0, maxArmBack: 0, sumArm: 0, countArm: 0,
-    maxStep: 0, sumStep: 0, countStepSample: 0,
-    stepCount: 0,
-    fistCount: 0, openCount: 0, totalHandFrames: 0,
-    lastAnkleDist: 0, stepTrend: 0
-  });
-  
-  const [displayStats, setDisplayStats] = useState({
-    avgTorso: 0, maxTorso: 0, minTorso: 0,
-    avgArm: 0, maxArmFwd: 0, maxArmBack: 0,
-    avgStep: 0, maxStep: 0,
-    steps: 0,
-    handRatio: 0
-  });
+  // 統計數據 (由 analysis/gaitEngine 計算)
+  const [analyzer] = useState(() => createGaitAnalyzer({ viewMode, userHeight, calibration }));
+
+  const [displayStats, setDisplayStats] = useState(EMPTY_SUMMARY);
+  const [groupAnalyzer] = useState(() => createGroupAnalyzer({ viewMode, userHeight, calibration }));
+
+  // 技術評分門檻 (教練可調整，存在 localStorage)
+  const [techniqueRules, setTechniqueRules] = useState(loadTechniqueRules);
+  const techniqueEval = useMemo(
+    () => evaluateTechnique(displayStats, techniqueRules, { viewMode, userHeight }),
+    [displayStats, techniqueRules, viewMode, userHeight]
+  );
+
+  useEffect(() => {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(techniqueRules));
+  }, [techniqueRules]);
+
+  // 即時鏡頭的語音 / 震動提示 (設定存在 localStorage)
+  const [cueSettings, setCueSettings] = useState(loadCueSettings);
+  const [lastCue, setLastCue] = useState(null);
+  const [cueEngine] = useState(createCueEngine);
+
+  useEffect(() => {
+    localStorage.setItem(CUE_STORAGE_KEY, JSON.stringify(cueSettings));
+  }, [cueSettings]);
 
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const poseRef = useRef(null);
+  // 即時推論的實際 fps / 延遲；lastUiUpdateRef 讓 React 重繪頻率與推論幀率脫鉤
+  const [throughput] = useState(createThroughputMeter);
+  const lastUiUpdateRef = useRef(0);
+  // 每次開始畫一幀加一；worker 畫好的畫面返回時若已不是最新的一次就不貼上
+  const paintSeqRef = useRef(0);
   const requestRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
+  const [frameSampler] = useState(createFrameSampler);
+
+  // 參考示範 (ghost)：存在 localStorage，換影片 / 學員時沿用
+  const [reference, setReference] = useState(loadReference);
+  const [showGhost, setShowGhost] = useState(true);
+  const [liveComparison, setLiveComparison] = useState(null);
+  const [deviation] = useState(createDeviationAccumulator);
+  const referenceUsable = referenceMatchesView(reference, viewMode);
 
-  // --- 初始化 ---
   useEffect(() => {
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/pose/pose.js';
-    script.async = true;
-    document.body.appendChild(script);
-
-    script.onload = () => {
-      const { Pose } = window;
-      const pose = new Pose({
-        locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`,
-      });
-      pose.setOptions({
-        modelComplexity: 1,
-        smoothLandmarks: true,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5
+    if (reference) localStorage.setItem(REFERENCE_STORAGE_KEY, JSON.stringify(reference));
+    else localStorage.removeItem(REFERENCE_STORAGE_KEY);
+  }, [reference]);
+
+  // 換參考示範時即時比對從頭累加
+  const changeReference = (next) => {
+    setReference(next);
+    deviation.reset();
+    setLiveComparison(null);
+  };
+
+  // 整段分析的比對一次算完；即時分析則逐幀累加
+  // 影片尺寸在 loadedmetadata 時存進 state，render 中不讀 videoRef
+  const [videoSize, setVideoSize] = useState(null);
+  const clipComparison = useMemo(() => {
+    if (!timeline || !referenceUsable || !videoSize) return null;
+    return compareToReference(reference, {
+      entries: timeline, events: gaitEvents, viewMode, width: videoSize.width, height: videoSize.height
+    });
+  }, [reference, referenceUsable, timeline, gaitEvents, viewMode, videoSize]);
+
+  // 各指標依步態週期正規化後的平均 ± 標準差曲線
+  const cycleProfiles = useMemo(
+    () => computeCycleProfiles(timeline || history, gaitEvents, viewMode),
+    [timeline, history, gaitEvents, viewMode]
+  );
+  const cycleStep = cycleAverage(cycleProfiles, 'step');
+  const cycleTorso = cycleAverage(cycleProfiles, 'torso');
+
+  // 播放迴圈與 handler 讀 timelineRef；需要立即生效的地方 (換人重算) 會自行先寫入
+  const timelineRef = useRef(null);
+  useEffect(() => {
+    timelineRef.current = timeline;
+  }, [timeline]);
+  // timeline 指標是以哪組 viewMode / userHeight / calibration 算出的
+  const timelineParamsRef = useRef(null);
+
+  useEffect(() => {
+    analyzer.setOptions({ viewMode, userHeight, calibration });
+    groupAnalyzer.setOptions({ viewMode, userHeight, calibration });
+    // 已有整段結果時，以存下的關鍵點直接重算，不必重跑模型
+    const video = videoRef.current;
+    const params = timelineParamsRef.current;
+    const changed = !params || params.viewMode !== viewMode || params.userHeight !== userHeight
+      || params.calibration !== calibration;
+    if (timelineRef.current && video?.videoWidth && changed) {
+      timelineParamsRef.current = { viewMode, userHeight, calibration };
+      const result = recomputeTimeline(timelineRef.current, analyzer, {
+        width: video.videoWidth, height: video.videoHeight
       });
-      pose.onResults(onResults);
-      poseRef.current = pose;
+      setTimeline(result.timeline);
+      setDisplayStats(result.summary);
+      setGaitEvents(result.events);
+    }
+  }, [viewMode, userHeight, calibration, analyzer, groupAnalyzer]);
+
+  // 鏡頭串流掛到 video 上；切換或卸載時關閉鏡頭
+  useEffect(() => {
+    if (!cameraStream) return;
+    const video = videoRef.current;
+    if (video) video.srcObject = cameraStream;
+    return () => {
+      stopStream(cameraStream);
+      if (video) video.srcObject = null;
     };
+  }, [cameraStream]);
+
+  // --- 初始化 ---
+  // onResults 每次 render 都會重建，透過 ref 轉接讓 Pose 永遠呼叫到最新版本
+  const onResultsRef = useRef(null);
 
+  useEffect(() => {
+    // 載入完成前就被清除 (切換來源 / 卸載) 時，晚到的實例直接關閉，不接到 poseRef
+    let cancelled = false;
+    createPoseProvider(poseKey.provider, {
+      onResults: (results) => onResultsRef.current?.(results),
+      multiPerson: poseKey.multiPerson,
+      recording: poseKey.recording,
+      recorder,
+      throughput
+    })
+      .then((pose) => {
+        if (cancelled) {
+          pose.close();
+          return;
+        }
+        poseRef.current = pose;
+        setPoseLoad({ key: poseKey, status: POSE_STATUS.READY });
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        console.error(e);
+        setPoseLoad({ key: poseKey, status: POSE_STATUS.ERROR });
+      });
     return () => {
+      cancelled = true;
       if (requestRef.current) cancelAnimationFrame(requestRef.current);
+      poseRef.current?.close();
+      poseRef.current = null;
     };
-  }, [viewMode, userHeight]);
+  }, [poseKey, recorder, throughput]);
+
+  useEffect(() => {
+    if (poseProviderId !== 'replay') localStorage.setItem(POSE_PROVIDER_STORAGE_KEY, poseProviderId);
+  }, [poseProviderId]);
+
+  useEffect(() => {
+    localStorage.setItem(COMMENT_AUTHOR_STORAGE_KEY, commentAuthor);
+  }, [commentAuthor]);
+
+  // 換影片 / 鏡頭時清除追蹤與分析對象
+  const resetPeople = () => {
+    tracker.reset();
+    groupAnalyzer.reset();
+    selectedPersonRef.current = null;
+    peopleRef.current = [];
+    setSelectedPersonId(null);
+    setGroupResults([]);
+  };
+
+  // 換影片 / 鏡頭時清除量測、評語與開啟紀錄時帶入的學員名稱
+  const resetAnnotations = () => {
+    setMeasureTool(null);
+    setMeasureDraft(null);
+    setMeasurements([]);
+    setComments([]);
+    setWalkerName('');
+  };
 
   const handleFile = (e) => {
     const file = e.target.files[0];
     if (file) {
       const url = URL.createObjectURL(file);
+      videoFileRef.current = file;
+      stopPlayback();
+      cancelClipAnalysis();
+      setCameraStream(null);
       setVideoSource(url);
+      setTimeline(null);
+      setCalibration(null);
+      setCalibrationPick(null);
+      resetAnnotations();
+      resetPeople();
       resetStats();
     }
   };
 
+  const startCamera = async (facing = facingMode) => {
+    try {
+      // 手機多半無法同時開兩顆鏡頭，先關閉目前的串流
+      stopStream(cameraStream);
+      const stream = await openCamera(facing);
+      stopPlayback();
+      cancelClipAnalysis();
+      videoFileRef.current = null;
+      setVideoSource(null);
+      setTimeline(null);
+      setFacingMode(facing);
+      setCameraStream(stream);
+      setCalibration(null);
+      setCalibrationPick(null);
+      resetAnnotations();
+      resetPeople();
+      resetStats();
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.cameraFailed', { error: t.error(e) }));
+    }
+  };
+
+  const stopCamera = () => {
+    stopPlayback();
+    setCameraStream(null);
+  };
+
+  const switchCamera = () => startCamera(facingMode === FACING.REAR ? FACING.FRONT : FACING.REAR);
+
   const resetStats = () => {
-    statsRef.current = {
-      maxTorso: 0, minTorso: 90, sumTorso: 0, countTorso: 0,
-      maxArmFwd: 0, maxArmBack: 0, sumArm: 0, countArm: 0,
-      maxStep: 0, sumStep: 0, countStepSample: 0,
-      stepCount: 0,
-      fistCount: 0, openCount: 0, totalHandFrames: 0,
-      lastAnkleDist: 0, stepTrend: 0
-    };
-    setDisplayStats({
-      avgTorso: 0, maxTorso: 0, minTorso: 0,
-      avgArm: 0, maxArmFwd: 0, maxArmBack: 0,
-      avgStep: 0, maxStep: 0,
-      steps: 0,
-      handRatio: 0
-    });
+    poseRef.current?.reset();
+    analyzer.reset();
+    cueEngine.reset();
+    setLastCue(null);
+    deviation.reset();
+    setLiveComparison(null);
+    setDisplayStats(EMPTY_SUMMARY);
+    historyRef.current = [];
+    setHistory([]);
+    setGaitEvents([]);
   };
 
   // --- 核心分析迴圈 ---
   const onResults = (results) => {
     if (!canvasRef.current || !videoRef.current) return;
     const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = videoRef.current.videoWidth;
-    canvas.height = videoRef.current.videoHeight;
 
-    // 繪製底圖
-    ctx.drawImage(results.image, 0, 0, canvas.width, canvas.height);
+    // 設定 width / height 會重新配置畫布，尺寸不變時不要每幀重設
+    const { videoWidth, videoHeight } = videoRef.current;
+    if (canvas.width !== videoWidth || canvas.height !== videoHeight) {
+      canvas.width = videoWidth;
+      canvas.height = videoHeight;
+    }
+
+    // worker 的結果晚於送出時間到達，影片時間以送出的那一幀為準；即時鏡頭以結果到達時間為準
+    const timestamp = cameraStream ? results.receivedAt : (results.frameTime ?? videoRef.current.currentTime) * 1000;
+    let lm = results.poseLandmarks;
+    let world = results.poseWorldLandmarks ?? null;
+    let people;
+    const layers = {};
 
-    if (!results.poseLandmarks) return;
-    const lm = results.poseLandmarks;
+    // 多人：追蹤 id，只分析選定的人 (尚未選定時取最大者)
+    if (multiPerson && results.poses) {
+      people = tracker.update(results.poses, timestamp);
+      peopleRef.current = people;
+      if (selectedPersonRef.current === null && people.length) {
+        selectedPersonRef.current = largestPerson(people).id;
+        setSelectedPersonId(selectedPersonRef.current);
+      }
+      const selected = people.find((p) => p.id === selectedPersonRef.current);
+      lm = selected?.landmarks ?? null;
+      world = selected?.worldLandmarks ?? null;
+      layers.people = people;
+      layers.selectedId = selectedPersonRef.current;
+      if (analyzeAllPeople) {
+        groupAnalyzer.push(people, { timestamp, width: canvas.width, height: canvas.height });
+      }
+    }
+
+    if (!lm) {
+      paintResults(results, layers);
+      return;
+    }
 
     // --- 數據計算優先 ---
-    const stats = statsRef.current;
-    const pxHeight = Math.abs(lm[30].y - lm[2].y) * canvas.height;
-    const cmPerPx = userHeight / (pxHeight || 1);
-
-    // 手掌狀態分析
-    const handLState = analyzeHandState(lm, 'Left');
-    const handRState = analyzeHandState(lm, 'Right');
-
-    // --- 繪圖函式 ---
-    const drawLine = (i1, i2, color, w=3) => {
-      if(lm[i1]?.visibility > 0.5 && lm[i2]?.visibility > 0.5) {
-        ctx.beginPath();
-        ctx.moveTo(lm[i1].x * canvas.width, lm[i1].y * canvas.height);
-        ctx.lineTo(lm[i2].x * canvas.width, lm[i2].y * canvas.height);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = w;
-        ctx.stroke();
+    const metrics = analyzer.processFrame({
+      timestamp,
+      landmarks: lm,
+      worldLandmarks: world,
+      width: canvas.width,
+      height: canvas.height,
+      pixels: results.pixels ?? frameSampler(results.image, canvas.width, canvas.height)
+    });
+
+    if (referenceUsable) {
+      const { phase, ghost } = ghostAt(lm, timestamp, analyzer.getEvents(), canvas);
+      layers.ghost = ghost;
+      const pose = phase !== null && metrics.usable && normalizePose(lm, { width: canvas.width, height: canvas.height, viewMode });
+      if (pose) deviation.add(reference, phase, pose);
+    }
+
+    const time = metrics.timestamp / 1000;
+    paintResults(results, { ...layers, pose: { landmarks: lm, metrics }, ...annotationLayers(time) });
+
+    if (cameraStream && cueSettings.enabled) {
+      const cue = cueEngine.push({ timestamp, landmarks: lm, metrics }, { viewMode, rules: techniqueRules, settings: cueSettings });
+      if (cue) {
+        deliverCue({ text: t(`cue.${cue.code}`), vibration: cue.vibration }, { ...cueSettings, locale: t.locale });
+        setLastCue(cue);
       }
-    };
+    }
+    historyRef.current.push({ time, landmarks: lm, worldLandmarks: world, metrics, ...(people && { people }) });
+    // 即時鏡頭只保留最近 60 秒
+    if (cameraStream) {
+      while (historyRef.current.length && historyRef.current[0].time < time - LIVE_HISTORY_SEC) historyRef.current.shift();
+    }
 
-    // 繪製手掌狀態指示 (實心圓)
-    const drawHandIndicator = (idx, state) => {
-       if(lm[idx] && lm[idx].visibility > 0.5) {
-          ctx.beginPath();
-          ctx.arc(lm[idx].x * canvas.width, lm[idx].y * canvas.height, 8, 0, 2 * Math.PI);
-          // 綠色表示張開，黃色表示握拳，灰色未知
-          ctx.fillStyle = state === '張開' ? THEME.colors.open : (state === '握拳' ? THEME.colors.fist : '#888');
-          ctx.fill();
-          ctx.strokeStyle = '#FFF';
-          ctx.lineWidth = 2;
-          ctx.stroke();
-       }
-    };
+    // UI 更新 (最多每 UI_UPDATE_MS 一次，不隨推論幀率增加 React 重繪)
+    if (results.receivedAt - lastUiUpdateRef.current >= UI_UPDATE_MS) {
+      lastUiUpdateRef.current = results.receivedAt;
+      const summary = analyzer.getSummary();
+      setRealtimeMetrics(pickRealtimeMetrics(metrics));
+      setDisplayStats(summary);
+      setHistory(historyRef.current.slice());
+      setGaitEvents(analyzer.getEvents());
+      setCurrentTime(time);
+      if (analyzeAllPeople) setGroupResults(groupAnalyzer.getResults());
+      if (referenceUsable) setLiveComparison(deviation.getResults());
+    }
+  };
 
-    // 骨架繪製
-    const leftColor = THEME.colors.left;
-    const rightColor = THEME.colors.right;
-
-    // 左側
-    [11,13,23,25,27].forEach(i => drawLine(i, i+2, leftColor));
-    drawLine(27, 31, leftColor);
-    // 左手掌視覺化
-    drawLine(15, 19, leftColor, 2); // Wrist to Index
-    drawHandIndicator(19, handLState); // 在食指根部畫指示燈
-
-    // 右側
-    [12,14,24,26,28].forEach(i => drawLine(i, i+2, rightColor));
-    drawLine(28, 32, rightColor);
-    // 右手掌視覺化
-    drawLine(16, 20, rightColor, 2);
-    drawHandIndicator(20, handRState);
-
-    // 軀幹中軸
-    const midSh = { x: (lm[11].x + lm[12].x)/2, y: (lm[11].y + lm[12].y)/2 };
-    const midHip = { x: (lm[23].x + lm[24].x)/2, y: (lm[23].y + lm[24].y)/2 };
-    ctx.beginPath();
-    ctx.moveTo(midSh.x * canvas.width, midSh.y * canvas.height);
-    ctx.lineTo(midHip.x * canvas.width, midHip.y * canvas.height);
-    ctx.strokeStyle = THEME.colors.spine;
-    ctx.lineWidth = 4;
-    ctx.stroke();
-
-    // 質心
-    const com = { x: midHip.x, y: midHip.y - (midHip.y - midSh.y) * 0.2 };
-    ctx.beginPath();
-    ctx.arc(com.x * canvas.width, com.y * canvas.height, 10, 0, 2 * Math.PI);
-    ctx.fillStyle = THEME.colors.ref;
-    ctx.fill();
-
-    // 地面線 & 垂直線
-    const groundY = Math.max(lm[27].y, lm[28].y, lm[31].y, lm[32].y) * canvas.height;
-    ctx.beginPath();
-    ctx.moveTo(0, groundY); ctx.lineTo(canvas.width, groundY);
-    ctx.moveTo(com.x * canvas.width, 0); ctx.lineTo(com.x * canvas.width, canvas.height);
-    ctx.strokeStyle = THEME.colors.ref;
-    ctx.setLineDash([5,5]);
-    ctx.stroke();
-    ctx.setLineDash([]);
-
-    // --- 統計更新 ---
-    // 1. 軀幹
-    const lean = getVerticalAngle(midHip, midSh);
-    stats.sumTorso += lean;
-    stats.countTorso++;
-    stats.maxTorso = Math.max(stats.maxTorso, lean);
-    stats.minTorso = Math.min(stats.minTorso, lean);
-
-    // 2. 手臂 & 手掌
-    const armL = getAngle(lm[23], lm[11], lm[13]);
-    const armR = getAngle(lm[24], lm[12], lm[14]);
-    
-    const isFaceLeft = viewMode === 'side_left';
-    const lArmDir = (lm[13].x - lm[11].x) * (isFaceLeft ? -1 : 1); 
-    const rArmDir = (lm[14].x - lm[12].x) * (isFaceLeft ? -1 : 1);
-
-    if(lArmDir > 0) stats.maxArmFwd = Math.max(stats.maxArmFwd, armL);
-    else stats.maxArmBack = Math.max(stats.maxArmBack, armL);
-    if(rArmDir > 0) stats.maxArmFwd = Math.max(stats.maxArmFwd, armR);
-    else stats.maxArmBack = Math.max(stats.maxArmBack, armR);
-
-    stats.sumArm += (armL + armR)/2;
-    stats.countArm++;
-
-    stats.totalHandFrames++;
-    if(handLState === '握拳') stats.fistCount++; else if(handLState === '張開') stats.openCount++;
-    if(handRState === '握拳') stats.fistCount++; else if(handRState === '張開') stats.openCount++;
-
-    // 3. 步幅
-    const ankleDist = Math.abs(lm[27].x - lm[28].x) * canvas.width;
-    const stepLen = ankleDist * cmPerPx;
-    stats.sumStep += stepLen;
-    stats.countStepSample++;
-    stats.maxStep = Math.max(stats.maxStep, stepLen);
-
-    const distThreshold = (userHeight * 0.2) / cmPerPx;
-    if (ankleDist > stats.lastAnkleDist) {
-        stats.stepTrend = 1; 
-    } else if (ankleDist < stats.lastAnkleDist && stats.stepTrend === 1) {
-        if (ankleDist > distThreshold) stats.stepCount++;
-        stats.stepTrend = -1;
-    }
-    stats.lastAnkleDist = ankleDist;
-
-    // UI 更新 (每 10 幀)
-    if (stats.countTorso % 10 === 0) {
-      setRealtimeMetrics({
-        torsoAngle: lean,
-        armAngleL: armL,
-        armAngleR: armR,
-        stepLength: stepLen,
-        handL: handLState,
-        handR: handRState,
-        comX: com.x
+  // 目前週期相位與該相位的參考示範骨架 (不顯示時 ghost 為 null)；
+  // 即時分析時下一次著地還沒發生，以上一個週期長度推估
+  const ghostAt = (lm, timestampMs, events, { width, height }) => {
+    const starts = cycleStarts(events);
+    const phase = phaseAt(timestampMs, starts, lastCycleDuration(starts));
+    const ghost = phase !== null && showGhost ? ghostLandmarks(reference, phase, lm, { width, height, viewMode }) : null;
+    return { phase, ghost };
+  };
+
+  // 校正標記與手動量測 (只顯示該時間附近的量測) 疊在骨架之上
+  const annotationLayers = (time) => ({
+    calibration: calibrationPick,
+    measurements: measurementsAt(measurements, time),
+    draft: measureDraft
+  });
+
+  // 主執行緒同步畫一幀；尚未返回的 worker 畫面作廢，免得晚到時蓋掉這一幀
+  const paintCanvas = (image, layers) => {
+    paintSeqRef.current++;
+    paintFrame(canvasRef.current.getContext('2d'), image, layers);
+  };
+
+  // worker 推論時整幀 (底圖 + 疊圖) 由 worker 在 OffscreenCanvas 上畫好，主執行緒只貼上一張 ImageBitmap
+  const paintResults = (results, layers) => {
+    if (!results.render) {
+      paintCanvas(results.image, layers);
+      return;
+    }
+    const seq = ++paintSeqRef.current;
+    results.render(layers)
+      .then((bitmap) => {
+        const canvas = canvasRef.current;
+        if (seq === paintSeqRef.current && canvas) canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+      })
+      .catch((e) => {
+        if (e?.name !== 'AbortError') console.error(e);
       });
-      
-      setDisplayStats({
-        avgTorso: stats.sumTorso / stats.countTorso,
-        maxTorso: stats.maxTorso,
-        minTorso: stats.minTorso,
-        avgArm: stats.sumArm / stats.countArm,
-        maxArmFwd: stats.maxArmFwd,
-        maxArmBack: stats.maxArmBack,
-        avgStep: stats.sumStep / stats.countStepSample,
-        maxStep: stats.maxStep,
-        steps: stats.stepCount,
-        handRatio: (stats.fistCount / (stats.fistCount + stats.openCount || 1)) * 100
+  };
+
+  // --- 回放已分析的 timeline ---
+  const drawTimelineEntry = (entry) => {
+    const canvas = canvasRef.current;
+    const video = videoRef.current;
+    if (!canvas || !video) return;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    paintCanvas(video, {
+      people: entry?.people,
+      selectedId: selectedPersonRef.current,
+      ghost: entry?.landmarks && referenceUsable ? ghostAt(entry.landmarks, entry.time * 1000, gaitEvents, canvas).ghost : null,
+      pose: entry?.landmarks && entry.metrics ? { landmarks: entry.landmarks, metrics: entry.metrics } : null,
+      ...annotationLayers(video.currentTime)
+    });
+  };
+
+  // 播放中 (throttle) 每幀都重畫 canvas，但 React 狀態與即時分析一樣最多每 UI_UPDATE_MS 更新一次
+  const renderTimelineAt = (time, { throttle = false } = {}) => {
+    const list = timelineRef.current;
+    if (!list?.length) return;
+    const entry = list[findTimelineIndex(list, time)];
+    drawTimelineEntry(entry);
+    const now = performance.now();
+    if (throttle && now - lastUiUpdateRef.current < UI_UPDATE_MS) return;
+    lastUiUpdateRef.current = now;
+    if (entry.metrics) setRealtimeMetrics(pickRealtimeMetrics(entry.metrics));
+    setCurrentTime(time);
+  };
+
+  const seekVideo = (time) => {
+    const video = videoRef.current;
+    if (!video || cameraStream) return;
+    video.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  // 逐幀：有 timeline 時以取樣間隔為一格，否則以 STEP_FPS 計
+  const stepFrame = (dir) => {
+    const video = videoRef.current;
+    if (!video || cameraStream || analysisProgress !== null || videoExportProgress !== null) return;
+    stopPlayback();
+    const step = 1 / (timeline ? sampleRate : STEP_FPS);
+    seekVideo(Math.min(Math.max(video.currentTime + dir * step, 0), video.duration || 0));
+  };
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.playbackRate = playbackRate;
+  }, [playbackRate, videoSource]);
+
+  // 鍵盤：← / → (或 , / .) 逐幀，Esc 取消畫到一半的量測；輸入框中不攔截
+  const handleKeyDown = (e) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (e.key === 'ArrowLeft' || e.key === ',') stepFrame(-1);
+    else if (e.key === 'ArrowRight' || e.key === '.') stepFrame(1);
+    else if (e.key === 'Escape') {
+      if (measureDraft) setMeasureDraft(null);
+      else setMeasureTool(null);
+    } else return;
+    e.preventDefault();
+  };
+
+  const keyDownRef = useRef(null);
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyDownRef.current?.(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // --- 距離校正 ---
+  // 目前畫面的那幀：有 timeline 時取目前時間那幀，否則取即時分析的最後一幀
+  const currentEntry = () => {
+    const list = timelineRef.current;
+    if (list?.length) return list[findTimelineIndex(list, videoRef.current?.currentTime ?? currentTime)];
+    return historyRef.current[historyRef.current.length - 1] ?? null;
+  };
+
+  const currentLandmarks = () => currentEntry()?.landmarks ?? null;
+
+  // 暫停中重畫目前畫面 (標記與量測由 annotationLayers 疊上)
+  // 下方 effect 透過 ref 呼叫最新版本，只在標記 / 量測 / 參考示範改變時重畫
+  const redrawPausedRef = useRef(null);
+  const redrawPaused = () => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas || !video.paused || cameraStream) return;
+    if (timelineRef.current) {
+      renderTimelineAt(video.currentTime);
+    } else if (video.videoWidth) {
+      paintCanvas(video, annotationLayers(video.currentTime));
+    }
+  };
+
+  useEffect(() => {
+    redrawPausedRef.current = redrawPaused;
+  });
+
+  useEffect(() => {
+    redrawPausedRef.current();
+  }, [calibrationPick, measureDraft, measurements, reference, showGhost]);
+
+  // --- 多人 ---
+  const currentPeople = () => {
+    const list = timelineRef.current;
+    if (list?.length) return list[findTimelineIndex(list, videoRef.current?.currentTime ?? currentTime)].people || [];
+    return peopleRef.current;
+  };
+
+  // 換人：有 timeline 時以存下的各人關鍵點重算；即時分析則從頭累積
+  const selectPerson = (id) => {
+    selectedPersonRef.current = id;
+    setSelectedPersonId(id);
+    const video = videoRef.current;
+    if (timelineRef.current && video?.videoWidth) {
+      const result = recomputeTimeline(selectTimelinePerson(timelineRef.current, id), analyzer, {
+        width: video.videoWidth, height: video.videoHeight
       });
+      timelineRef.current = result.timeline;
+      setTimeline(result.timeline);
+      setDisplayStats(result.summary);
+      setGaitEvents(result.events);
+      renderTimelineAt(video.currentTime);
+    } else {
+      resetStats();
+    }
+  };
+
+  const computeClipGroup = () => {
+    const video = videoRef.current;
+    if (!timeline || !video?.videoWidth) return;
+    setGroupResults(analyzeTimelinePeople(timeline, { viewMode, userHeight, calibration }, {
+      width: video.videoWidth, height: video.videoHeight
+    }));
+  };
+
+  const toggleMultiPerson = () => {
+    stopPlayback();
+    resetPeople();
+    setMultiPerson((on) => !on);
+  };
+
+  // 換模型會重建 pose，進行中的播放與整段分析都要先停下
+  const changePoseProvider = (id) => {
+    stopPlayback();
+    cancelClipAnalysis();
+    setPoseProviderId(id);
+  };
+
+  // --- 參考示範 ---
+  const createReference = (name) => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    const ref = buildReference({
+      name,
+      entries: exportEntries(),
+      events: gaitEvents,
+      viewMode,
+      width: video?.videoWidth || canvas?.width || 1,
+      height: video?.videoHeight || canvas?.height || 1
+    });
+    if (!ref) {
+      setAlertMsg(t('alert.referenceTooShort'));
+      return;
+    }
+    changeReference(ref);
+  };
+
+  const loadReferenceFile = async (file) => {
+    try {
+      changeReference(parseReference(await file.text()));
+    } catch (e) {
+      setAlertMsg(t('alert.referenceLoadFailed', { error: t.error(e) }));
+    }
+  };
+
+  // --- 關鍵點錄製 / 回放 ---
+  const startLandmarkRecording = () => {
+    const video = videoRef.current;
+    recorder.start({
+      provider: activePoseProvider,
+      source: { name: videoFileRef.current?.name ?? null, width: video?.videoWidth ?? 0, height: video?.videoHeight ?? 0 }
+    });
+    setRecordingLandmarks(true);
+  };
+
+  const stopLandmarkRecording = () => {
+    const recording = recorder.stop();
+    setRecordingLandmarks(false);
+    if (recording?.frames.length) {
+      downloadBlob(jsonBlob(JSON.stringify(recording)), exportFileName('json', 'nordic_landmarks'));
+    }
+  };
+
+  const loadReplayFile = async (file) => {
+    try {
+      setReplayRecording(parseRecording(await file.text()));
+      changePoseProvider('replay');
+    } catch (e) {
+      setAlertMsg(t('alert.replayLoadFailed', { error: t.error(e) }));
+    }
+  };
+
+  const exportReference = () => {
+    downloadBlob(jsonBlob(JSON.stringify(reference)), exportFileName('json', 'nordic_reference'));
+  };
+
+  // 開啟提示 / 試聽都是使用者操作，順便解鎖 iOS 的自動朗讀
+  const changeCueSettings = (next) => {
+    if (next.enabled && !cueSettings.enabled) {
+      unlockSpeech();
+      cueEngine.reset();
+    }
+    setCueSettings(next);
+  };
+
+  const testCue = () => {
+    const [cue] = LIVE_CUES;
+    deliverCue({ text: t(`cue.${cue.id}.${cue.speech[0]}`), vibration: cue.vibration }, { ...cueSettings, locale: t.locale });
+  };
+
+  const startCalibrationPick = () => {
+    if (!cameraStream) stopPlayback();
+    setMeasureTool(null);
+    setMeasureDraft(null);
+    setCalibrationPick([]);
+  };
+
+  // --- 手動量測 ---
+  const changeMeasureTool = (tool) => {
+    stopPlayback();
+    setCalibrationPick(null);
+    setMeasureDraft(null);
+    setMeasureTool(tool);
+  };
+
+  // 長度的比例尺：有距離校正時取線段較低 (較近鏡頭) 那端所在地面的比例，否則沿用該幀的估計值
+  const measureScale = (points) => {
+    if (calibration) {
+      const groundY = Math.max(...points.map((p) => p.y));
+      return cmPerPxAt(calibration, groundY, { height: canvasRef.current.height, userHeight });
+    }
+    return currentEntry()?.metrics?.cmPerPx ?? null;
+  };
+
+  const finishMeasurement = (tool, points) => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas) return;
+    const measurement = createMeasurement({
+      tool,
+      time: video.currentTime,
+      points,
+      width: canvas.width,
+      height: canvas.height,
+      cmPerPx: tool === MEASURE_TOOL.LENGTH ? measureScale(points) : null
+    });
+    setMeasurements((prev) => [...prev, measurement]);
+    setMeasureDraft(null);
+  };
+
+  const canvasPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+  };
+
+  // 手繪：按住拖曳，太密的點略過以免紀錄過大
+  const handlePointerDown = (e) => {
+    if (measureTool !== MEASURE_TOOL.FREEHAND) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setMeasureDraft({ tool: measureTool, points: [canvasPoint(e)] });
+  };
+
+  const handlePointerMove = (e) => {
+    if (measureDraft?.tool !== MEASURE_TOOL.FREEHAND) return;
+    const point = canvasPoint(e);
+    const last = measureDraft.points[measureDraft.points.length - 1];
+    if (Math.hypot(point.x - last.x, point.y - last.y) < FREEHAND_MIN_STEP) return;
+    setMeasureDraft({ ...measureDraft, points: [...measureDraft.points, point] });
+  };
+
+  const handlePointerUp = () => {
+    if (measureDraft?.tool !== MEASURE_TOOL.FREEHAND) return;
+    if (measureDraft.points.length > 1) finishMeasurement(MEASURE_TOOL.FREEHAND, measureDraft.points);
+    else setMeasureDraft(null);
+  };
+
+  // 點選畫面：校正中為標記參考物，量測中為量測點，否則在多人畫面中切換分析對象
+  const handleCanvasClick = (e) => {
+    const point = canvasPoint(e);
+    if (calibrationPick) {
+      if (calibrationPick.length < 2) setCalibrationPick([...calibrationPick, point]);
+      return;
+    }
+    if (measureTool) {
+      const needed = TOOL_POINTS[measureTool];
+      if (!needed) return;
+      const points = [...(measureDraft?.points || []), point];
+      if (points.length < needed) setMeasureDraft({ tool: measureTool, points });
+      else finishMeasurement(measureTool, points);
+      return;
+    }
+    const id = findPersonAt(currentPeople(), point);
+    if (id !== null && id !== selectedPersonRef.current) selectPerson(id);
+  };
+
+  const confirmCalibrationPick = (lengthCm) => {
+    const canvas = canvasRef.current;
+    if (!canvas || calibrationPick?.length !== 2) return;
+    const [a, b] = calibrationPick;
+    setCalibration((prev) => addReference(prev, referenceFromLine({ a, b, lengthCm, width: canvas.width, height: canvas.height })));
+    setCalibrationPick(null);
+  };
+
+  const calibrateFromStanding = () => {
+    const ref = referenceFromStanding(currentLandmarks());
+    if (!ref) {
+      setAlertMsg(t('alert.notStanding'));
+      return;
+    }
+    setCalibration((prev) => addReference(prev, ref));
+  };
+
+  const cancelClipAnalysis = () => analysisAbortRef.current?.abort();
+
+  const runClipAnalysis = async () => {
+    const video = videoRef.current;
+    if (!video || !poseRef.current) {
+      setAlertMsg(t(poseStatus === POSE_STATUS.ERROR ? 'alert.poseFailed' : 'alert.poseLoading'));
+      return;
+    }
+    stopPlayback();
+    const controller = new AbortController();
+    analysisAbortRef.current = controller;
+    setTimeline(null);
+    resetStats();
+    setAnalysisProgress(0);
+    try {
+      // 追蹤器重置後 id 重新編號，預覽時選的人無法對應，由 analyzeClip 自動選最大者
+      const result = await analyzeClip({
+        video,
+        pose: poseRef.current,
+        analyzer,
+        tracker: multiPerson ? tracker : null,
+        personId: null,
+        sampleRate,
+        signal: controller.signal,
+        onProgress: setAnalysisProgress,
+        onFrame: drawTimelineEntry
+      });
+      timelineParamsRef.current = { viewMode, userHeight, calibration };
+      selectedPersonRef.current = result.personId;
+      setSelectedPersonId(result.personId);
+      setGroupResults([]);
+      setTimeline(result.timeline);
+      setDisplayStats(result.summary);
+      setGaitEvents(result.events);
+      seekVideo(0);
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.error(e);
+        setAlertMsg(t('alert.clipAnalysisFailed', { error: t.error(e) }));
+      }
+      resetStats();
+    } finally {
+      analysisAbortRef.current = null;
+      setAnalysisProgress(null);
     }
   };
 
   // --- 影片與錄製 ---
   const videoFrameCallback = () => {
     if (videoRef.current && !videoRef.current.paused && !videoRef.current.ended) {
-      if (poseRef.current) {
+      if (timelineRef.current) {
+        renderTimelineAt(videoRef.current.currentTime, { throttle: true });
+        requestRef.current = requestAnimationFrame(videoFrameCallback);
+      } else if (poseRef.current) {
         poseRef.current.send({ image: videoRef.current }).then(() => {
           requestRef.current = requestAnimationFrame(videoFrameCallback);
+        }).catch((e) => {
+          // 推論失敗 (wasm / 模型載入失敗、worker 崩潰)：停止播放並標記模型錯誤，讓使用者重新載入
+          console.error(e);
+          stopPlayback();
+          setPoseLoad({ key: poseKey, status: POSE_STATUS.ERROR });
+          setAlertMsg(t('alert.poseRuntimeFailed', { error: t.error(e) }));
         });
       }
     }
   };
 
+  const stopPlayback = () => {
+    if (videoRef.current && !videoRef.current.paused) videoRef.current.pause();
+    cancelAnimationFrame(requestRef.current);
+    setIsPlaying(false);
+  };
+
   const togglePlay = () => {
     const video = videoRef.current;
-    if (!video) return;
+    if (!video || analysisProgress !== null || videoExportProgress !== null) return;
     if (video.paused) {
+      if (!timeline && poseStatus !== POSE_STATUS.READY) {
+        setAlertMsg(t(poseStatus === POSE_STATUS.ERROR ? 'alert.poseFailed' : 'alert.poseLoading'));
+        return;
+      }
       video.play();
       setIsPlaying(true);
       videoFrameCallback();
@@ -364,33 +941,349 @@ const NordicWalkingApp = () => {
     }
   };
 
+  // --- 匯出 ---
+  const sessionMeta = () => ({
+    date: new Date().toISOString(),
+    walkerName: walkerName.trim(),
+    source: cameraStream ? 'camera' : 'file',
+    viewMode,
+    viewLabel: t(`view.${viewMode}`),
+    userHeight,
+    calibration,
+    calibrationLabel: describeCalibration(t, calibration),
+    sampleRate: timeline ? sampleRate : null
+  });
+
+  const exportEntries = () => timeline || historyRef.current;
+
+  const exportJSON = () => {
+    const json = buildSessionJSON({
+      t,
+      meta: sessionMeta(),
+      summary: displayStats,
+      technique: techniqueEval,
+      events: gaitEvents,
+      measurements,
+      comments,
+      cycleProfiles,
+      entries: exportEntries()
+    });
+    downloadBlob(jsonBlob(json), exportFileName('json'));
+  };
+
+  const exportSummaryCSV = () => {
+    downloadBlob(csvBlob(buildSummaryCSV({
+      t, meta: sessionMeta(), summary: displayStats, technique: techniqueEval, measurements, cycleProfiles
+    })), exportFileName('csv', 'nordic_summary'));
+  };
+
+  const exportFramesCSV = () => {
+    downloadBlob(csvBlob(buildFramesCSV(t, exportEntries())), exportFileName('csv', 'nordic_frames'));
+  };
+
+  // 匯出影片的一幀：骨架 + 數據面板 (+ 定格標籤)
+  const drawExportFrame = (time, freezeLabel) => {
+    const list = timelineRef.current;
+    const canvas = canvasRef.current;
+    const entry = list[findTimelineIndex(list, time)];
+    drawTimelineEntry(entry);
+    const ctx = canvas.getContext('2d');
+    const steps = gaitEvents.filter((e) => e.type === GAIT_EVENT.HEEL_STRIKE && e.timestamp <= time * 1000).length;
+    drawMetricsPanel(ctx, {
+      t,
+      metrics: entry.metrics,
+      steps,
+      tips: techniqueEval.tips,
+      frontal: frontalView,
+      width: canvas.width,
+      height: canvas.height
+    });
+    if (freezeLabel) drawFreezeBanner(ctx, { label: t(`moment.${freezeLabel}`), width: canvas.width, height: canvas.height });
+  };
+
+  const exportVideo = async ({ start, end, speed, polePlants, backSwing, freezeSec }) => {
+    const video = videoRef.current;
+    if (!video || !timeline) return;
+    stopPlayback();
+    const controller = new AbortController();
+    videoExportAbortRef.current = controller;
+    setVideoExportProgress(0);
+    try {
+      const { blob, ext, audio } = await exportAnnotatedVideo({
+        video,
+        canvas: canvasRef.current,
+        start,
+        end,
+        speed,
+        freezeSec,
+        freezeMoments: pickFreezeMoments(timeline, gaitEvents, { viewMode, start, end, polePlants, backSwing }),
+        draw: drawExportFrame,
+        onProgress: setVideoExportProgress,
+        signal: controller.signal
+      });
+      downloadBlob(blob, exportFileName(ext, 'nordic_video'));
+      setShowVideoExport(false);
+      if (!audio) setAlertMsg(t('alert.videoExportNoAudio'));
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.error(e);
+        setAlertMsg(t('alert.videoExportFailed', { error: t.error(e) }));
+      }
+    } finally {
+      videoExportAbortRef.current = null;
+      setVideoExportProgress(null);
+      renderTimelineAt(video.currentTime);
+    }
+  };
+
+  const printReport = async () => {
+    let win;
+    try {
+      win = openReportWindow(t);
+    } catch (e) {
+      setAlertMsg(t('alert.reportFailed', { error: t.error(e) }));
+      return;
+    }
+    stopPlayback();
+    setIsPreparingReport(true);
+    try {
+      const stills = await captureKeyStills({
+        video: videoSource ? videoRef.current : null,
+        canvas: canvasRef.current,
+        timeline,
+        events: gaitEvents,
+        render: drawTimelineEntry
+      });
+      const entries = exportEntries();
+      const chartsMarkup = renderToStaticMarkup(
+        <I18nContext.Provider value={t}>
+          <TimelineCharts entries={entries} events={gaitEvents} viewMode={viewMode} currentTime={-1} />
+        </I18nContext.Provider>
+      );
+      const cycleMarkup = cycleProfiles ? renderToStaticMarkup(
+        <I18nContext.Provider value={t}>
+          <CycleProfileCharts profiles={cycleProfiles} />
+        </I18nContext.Provider>
+      ) : '';
+      writePrintableReport(win, {
+        t,
+        meta: sessionMeta(),
+        summary: displayStats,
+        technique: techniqueEval,
+        measurements,
+        stills,
+        chartsMarkup,
+        cycleMarkup
+      });
+    } catch (e) {
+      console.error(e);
+      win.close();
+      setAlertMsg(t('alert.reportFailed', { error: t.error(e) }));
+    } finally {
+      setIsPreparingReport(false);
+    }
+  };
+
+  // --- 歷史紀錄 ---
+  const refreshSessions = () => listSessions().then(setSessions).catch((e) => console.error(e));
+
+  useEffect(() => {
+    refreshSessions();
+  }, []);
+
+  const saveCurrentSession = async () => {
+    setIsSaving(true);
+    try {
+      await saveSession({
+        walkerName: walkerName.trim(),
+        date: new Date().toISOString(),
+        viewMode,
+        userHeight,
+        calibration,
+        personId: selectedPersonRef.current,
+        summary: displayStats,
+        technique: { score: techniqueEval.score, tips: techniqueEval.tips },
+        thumbnail: makeThumbnail(canvasRef.current),
+        timeline: exportEntries(),
+        events: gaitEvents,
+        measurements,
+        comments,
+        video: videoSource ? videoFileRef.current : null
+      });
+      await refreshSessions();
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.saveFailed', { error: t.error(e) }));
+    }
+    setIsSaving(false);
+  };
+
+  // 開啟舊紀錄 / 分享檔：直接回放已存的 timeline，不重跑模型
+  const loadSession = (session) => {
+    stopPlayback();
+    cancelClipAnalysis();
+    setCameraStream(null);
+    videoFileRef.current = session.video;
+    setVideoSource(session.video ? URL.createObjectURL(session.video) : null);
+    const sessionCalibration = session.calibration ?? null;
+    timelineParamsRef.current = { viewMode: session.viewMode, userHeight: session.userHeight, calibration: sessionCalibration };
+    setViewMode(session.viewMode);
+    setUserHeight(session.userHeight);
+    setCalibration(sessionCalibration);
+    setCalibrationPick(null);
+    selectedPersonRef.current = session.personId ?? null;
+    setSelectedPersonId(selectedPersonRef.current);
+    setGroupResults([]);
+    historyRef.current = session.video ? [] : session.timeline;
+    setHistory(historyRef.current);
+    setTimeline(session.video ? session.timeline : null);
+    // 舊紀錄可能缺少後來新增的指標區塊
+    setDisplayStats({ ...EMPTY_SUMMARY, ...session.summary });
+    setGaitEvents(session.events);
+    setMeasureTool(null);
+    setMeasureDraft(null);
+    setMeasurements(session.measurements ?? []);
+    setComments(session.comments ?? []);
+    setWalkerName(session.walkerName ?? '');
+    setCurrentTime(0);
+  };
+
+  const openSession = async (id) => {
+    try {
+      const session = await getSession(id);
+      if (session) loadSession(session);
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.openSessionFailed', { error: t.error(e) }));
+    }
+  };
+
+  // --- 分享檔 (學員 / 教練往返) ---
+  const exportBundle = async () => {
+    setIsBundling(true);
+    try {
+      const blob = await buildSessionBundle({
+        walkerName: walkerName.trim(),
+        date: new Date().toISOString(),
+        viewMode,
+        userHeight,
+        calibration,
+        personId: selectedPersonRef.current,
+        summary: displayStats,
+        technique: { score: techniqueEval.score, tips: techniqueEval.tips },
+        timeline: exportEntries(),
+        events: gaitEvents,
+        measurements,
+        comments,
+        video: videoSource ? videoFileRef.current : null
+      });
+      downloadBlob(blob, exportFileName(BUNDLE_EXTENSION, 'nordic_session'));
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.bundleExportFailed', { error: t.error(e) }));
+    }
+    setIsBundling(false);
+  };
+
+  const importBundle = async (e) => {
+    const file = e.target.files[0];
+    // 同一檔案再選一次也要觸發 onChange
+    e.target.value = '';
+    if (!file) return;
+    try {
+      loadSession(await parseSessionBundle(file));
+    } catch (err) {
+      console.error(err);
+      setAlertMsg(t('alert.bundleLoadFailed', { error: t.error(err) }));
+    }
+  };
+
+  // --- 教練評語 ---
+  const addCoachComment = (text) => {
+    setComments((prev) => addComment(prev, createComment({ time: currentTime, author: commentAuthor, text })));
+  };
+
+  const removeSession = async (id) => {
+    await deleteSession(id).catch((e) => console.error(e));
+    refreshSessions();
+  };
+
+  const openCompare = async (ids) => {
+    try {
+      stopPlayback();
+      const list = await Promise.all(ids.map(getSession));
+      setCompareSessions(list.filter(Boolean));
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.compareFailed', { error: t.error(e) }));
+    }
+  };
+
+  // --- 多角度分析 (側面 + 正面影片) ---
+  const openMultiAngle = () => {
+    if (cameraStream) stopCamera();
+    else stopPlayback();
+    cancelClipAnalysis();
+    setShowMultiAngle(true);
+  };
+
+  // 對話框的影片共用目前的 pose 模型；每個視角用新的分析器，不影響主畫面的統計
+  const analyzeAngleClip = ({ video, viewMode: angleView, signal, onProgress }) => analyzeClip({
+    video,
+    pose: poseRef.current,
+    analyzer: createGaitAnalyzer({ viewMode: angleView, userHeight }),
+    sampleRate,
+    signal,
+    onProgress
+  });
+
+  const printMultiAngleReport = ({ side, front, offset }) => {
+    const evaluate = (angle) => evaluateTechnique(angle.summary, techniqueRules, { viewMode: angle.viewMode, userHeight });
+    try {
+      openPrintableReport({
+        t,
+        meta: {
+          date: new Date().toISOString(),
+          source: 'file',
+          viewMode: side.viewMode,
+          viewLabel: `${t(`view.${side.viewMode}`)} + ${t(`view.${front.viewMode}`)}`,
+          userHeight,
+          multiAngle: { offset }
+        },
+        summary: mergeAngleSummaries(side.summary, front.summary),
+        technique: mergeTechnique(evaluate(side), evaluate(front))
+      });
+    } catch (e) {
+      console.error(e);
+      setAlertMsg(t('alert.reportFailed', { error: t.error(e) }));
+    }
+  };
+
+  // 已有整段分析結果時改用逐幀疊圖匯出；即時鏡頭 / 未分析時直接錄 canvas
   const startRecording = () => {
+    if (timeline && videoSource) {
+      stopPlayback();
+      setShowVideoExport(true);
+      return;
+    }
     const canvas = canvasRef.current;
-    if (!canvas || !canvas.captureStream) {
-      setAlertMsg("此瀏覽器不支援影片匯出 (iOS 請更新至最新版)");
+    const format = pickRecorderFormat();
+    if (!canvas || !canvas.captureStream || !format) {
+      setAlertMsg(t('alert.recordingUnsupported'));
       return;
     }
     const stream = canvas.captureStream(30);
-    let options = { mimeType: 'video/webm;codecs=vp9' };
-    if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-      options = { mimeType: 'video/mp4' };
-      if (!MediaRecorder.isTypeSupported(options.mimeType)) options = undefined;
-    }
 
     try {
-      const mediaRecorder = new MediaRecorder(stream, options);
+      const mediaRecorder = new MediaRecorder(stream, { mimeType: format.mimeType });
       mediaRecorderRef.current = mediaRecorder;
       chunksRef.current = [];
       mediaRecorder.ondataavailable = (e) => {
         if (e.data.size > 0) chunksRef.current.push(e.data);
       };
       mediaRecorder.onstop = () => {
-        const blob = new Blob(chunksRef.current, { type: 'video/webm' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `nordic_analysis_${new Date().getTime()}.webm`;
-        a.click();
+        const { type, ext } = formatFromMime(mediaRecorder.mimeType || format.mimeType);
+        downloadBlob(new Blob(chunksRef.current, { type }), exportFileName(ext));
         setIsRecording(false);
       };
       mediaRecorder.start();
@@ -398,165 +1291,714 @@ const NordicWalkingApp = () => {
       if(videoRef.current.paused) togglePlay();
     } catch (e) {
       console.error(e);
-      setAlertMsg("錄製失敗");
+      setAlertMsg(t('alert.recordingFailed'));
     }
   };
 
   const stopRecording = () => {
     if (mediaRecorderRef.current && isRecording) {
       mediaRecorderRef.current.stop();
-      if(!videoRef.current.paused) togglePlay();
+      // 即時鏡頭錄完繼續分析，匯入影片則停在當下畫面
+      if(!cameraStream && !videoRef.current.paused) togglePlay();
     }
   };
 
+  // 放在所有 handler 宣告之後：onResults 與 handleKeyDown 會用到上方各個函式
+  useEffect(() => {
+    onResultsRef.current = onResults;
+    keyDownRef.current = handleKeyDown;
+  });
+
   return (
-    <div className={`flex flex-col h-screen w-full ${THEME.bg} ${THEME.text} overflow-hidden`}>
+    <I18nContext.Provider value={t}>
+      <div className={`flex flex-col h-screen w-full ${THEME.bg} ${THEME.text} overflow-hidden`}>
       
-      {/* Top Nav */}
-      <div className={`flex items-center justify-between px-4 py-2 ${THEME.border} border-b bg-slate-900 shrink-0`}>
-        <div className="flex items-center gap-2">
-          <Activity className="text-yellow-400" />
-          <h1 className="font-bold text-lg hidden sm:block">Nordic Walking Analyzer v2</h1>
-          <span className="text-xs bg-blue-900 px-2 py-1 rounded text-blue-200">Pro</span>
-        </div>
-        <div className="flex items-center gap-3">
-           <div className="flex bg-slate-800 rounded-lg p-1 text-xs">
-              {['side_left', 'side_right', 'front', 'back'].map(mode => (
-                <button
-                  key={mode}
-                  onClick={() => setViewMode(mode)}
-                  className={`px-3 py-1 rounded ${viewMode === mode ? 'bg-slate-600 text-white' : 'text-slate-400'}`}
-                >
-                  {mode === 'side_left' ? '左側' : mode === 'side_right' ? '右側' : mode === 'front' ? '正面' : '背面'}
-                </button>
-              ))}
-           </div>
-           <div className="flex items-center gap-1 text-xs bg-slate-800 px-2 py-1 rounded">
-              <Settings size={14} />
-              <input 
-                type="number" 
-                value={userHeight} 
-                onChange={(e) => setUserHeight(Number(e.target.value))}
-                className="w-10 bg-transparent text-right focus:outline-none"
-              />
-              <span>cm</span>
-           </div>
-           <label className="cursor-pointer bg-blue-600 hover:bg-blue-500 px-3 py-1 rounded text-xs font-bold flex items-center gap-1">
-             <Upload size={14} />
-             <span className="hidden sm:inline">匯入影片</span>
-             <input type="file" accept="video/*" className="hidden" onChange={handleFile} />
-           </label>
+        {/* Top Nav */}
+        <div className={`flex items-center justify-between px-4 py-2 ${THEME.border} border-b bg-slate-900 shrink-0`}>
+          <div className="flex items-center gap-2">
+            <Activity className="text-yellow-400" />
+            <h1 className="font-bold text-lg hidden sm:block">Nordic Walking Analyzer v2</h1>
+            <span className="text-xs bg-blue-900 px-2 py-1 rounded text-blue-200">Pro</span>
+          </div>
+          <div className="flex items-center gap-3">
+             <div className="flex bg-slate-800 rounded-lg p-1 text-xs">
+                {VIEW_MODES.map(mode => (
+                  <button
+                    key={mode}
+                    onClick={() => setViewMode(mode)}
+                    className={`px-3 py-1 rounded ${viewMode === mode ? 'bg-slate-600 text-white' : 'text-slate-400'}`}
+                  >
+                    {t(`view.${mode}`)}
+                  </button>
+                ))}
+             </div>
+             <div className="flex items-center gap-1 text-xs bg-slate-800 px-2 py-1 rounded">
+                <Settings size={14} />
+                <input 
+                  type="number" 
+                  value={userHeight} 
+                  onChange={(e) => setUserHeight(Number(e.target.value))}
+                  className="w-10 bg-transparent text-right focus:outline-none"
+                />
+                <span>cm</span>
+             </div>
+             <button
+               onClick={openMultiAngle}
+               title={t('nav.multiAngleHint')}
+               className="bg-slate-800 hover:bg-slate-700 px-2 py-1 rounded text-xs flex items-center gap-1"
+             >
+               <Columns size={14} />
+               <span className="hidden sm:inline">{t('nav.multiAngle')}</span>
+             </button>
+             <button
+               onClick={toggleMultiPerson}
+               title={t('nav.multiPersonHint')}
+               className={`px-2 py-1 rounded text-xs flex items-center gap-1 ${multiPerson ? 'bg-yellow-600 text-white' : 'bg-slate-800 hover:bg-slate-700'}`}
+             >
+               <Users size={14} />
+               <span className="hidden sm:inline">{t('nav.multiPerson')}</span>
+             </button>
+             <PoseStatusBadge status={poseStatus} onRetry={() => setPoseAttempt((n) => n + 1)} />
+             {cameraStream && (
+               <button
+                 onClick={switchCamera}
+                 title={t(facingMode === FACING.REAR ? 'nav.switchToFront' : 'nav.switchToRear')}
+                 className="bg-slate-800 hover:bg-slate-700 px-2 py-1 rounded text-xs flex items-center gap-1"
+               >
+                 {facingMode === FACING.REAR ? <Smartphone size={14} /> : <Monitor size={14} />}
+                 <span className="hidden sm:inline">{t(facingMode === FACING.REAR ? 'nav.rearCamera' : 'nav.frontCamera')}</span>
+               </button>
+             )}
+             <button
+               onClick={cameraStream ? stopCamera : () => startCamera()}
+               className={`px-3 py-1 rounded text-xs font-bold flex items-center gap-1 ${cameraStream ? 'bg-red-600 hover:bg-red-500' : 'bg-slate-700 hover:bg-slate-600'}`}
+             >
+               <Camera size={14} />
+               <span className="hidden sm:inline">{t(cameraStream ? 'nav.closeCamera' : 'nav.liveCamera')}</span>
+             </button>
+             <label className="cursor-pointer bg-blue-600 hover:bg-blue-500 px-3 py-1 rounded text-xs font-bold flex items-center gap-1">
+               <Upload size={14} />
+               <span className="hidden sm:inline">{t('nav.importVideo')}</span>
+               <input type="file" accept="video/*" className="hidden" onChange={handleFile} />
+             </label>
+             <label
+               title={t('nav.importBundleHint')}
+               className="cursor-pointer bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded text-xs font-bold flex items-center gap-1"
+             >
+               <PackageOpen size={14} />
+               <span className="hidden sm:inline">{t('nav.importBundle')}</span>
+               <input type="file" accept=".zip,application/zip" className="hidden" onChange={importBundle} />
+             </label>
+             <select
+               value={lang}
+               onChange={(e) => setLang(e.target.value)}
+               title={t('nav.language')}
+               className="bg-slate-800 text-xs rounded px-1 py-1"
+             >
+               {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+             </select>
+          </div>
         </div>
-      </div>
 
-      {/* Alert */}
-      {alertMsg && (
-        <div className="absolute top-14 left-1/2 transform -translate-x-1/2 z-50 bg-red-600 px-4 py-2 rounded shadow-lg flex items-center gap-2 text-sm">
-          <AlertCircle size={16}/> {alertMsg}
-          <button onClick={() => setAlertMsg('')} className="ml-2 font-bold">✕</button>
-        </div>
-      )}
+        {compareSessions?.length === 2 && (
+          <SessionCompare sessions={compareSessions} onClose={() => setCompareSessions(null)} />
+        )}
 
-      {/* Main Content */}
-      <div className="flex-1 flex flex-col lg:flex-row overflow-hidden relative">
+        {showMultiAngle && (
+          <MultiAngleView
+            ready={poseStatus === POSE_STATUS.READY}
+            onAnalyze={analyzeAngleClip}
+            onPrintReport={printMultiAngleReport}
+            onClose={() => setShowMultiAngle(false)}
+          />
+        )}
+
+        {/* Alert */}
+        {alertMsg && (
+          <div className="absolute top-14 left-1/2 transform -translate-x-1/2 z-50 bg-red-600 px-4 py-2 rounded shadow-lg flex items-center gap-2 text-sm">
+            <AlertCircle size={16}/> {alertMsg}
+            <button onClick={() => setAlertMsg('')} className="ml-2 font-bold">✕</button>
+          </div>
+        )}
+
+        {/* Main Content */}
+        <div className="flex-1 flex flex-col lg:flex-row overflow-hidden relative">
         
-        {/* Canvas Area */}
-        <div className="flex-1 relative bg-black flex items-center justify-center overflow-hidden">
-           {!videoSource ? (
-             <div className="text-center p-10 opacity-50">
-               <VideoIcon size={48} className="mx-auto mb-4"/>
-               <p>請點擊右上角匯入影片</p>
-               <p className="text-xs mt-2">支援 iOS/Android/Windows/Mac</p>
+          {/* Canvas Area */}
+          <div className="flex-1 relative bg-black flex items-center justify-center overflow-hidden">
+             {!videoSource && !cameraStream ? (
+               <div className="text-center p-10 opacity-50">
+                 <VideoIcon size={48} className="mx-auto mb-4"/>
+                 <p>{t('empty.prompt')}</p>
+                 <p className="text-xs mt-2">{t('empty.platforms')}</p>
+               </div>
+             ) : (
+               <>
+                <video 
+                  ref={videoRef} 
+                  src={videoSource || undefined} 
+                  className="hidden"
+                  playsInline muted crossOrigin="anonymous"
+                  onLoadedMetadata={() => {
+                     if(canvasRef.current && videoRef.current) {
+                       canvasRef.current.width = videoRef.current.videoWidth;
+                       canvasRef.current.height = videoRef.current.videoHeight;
+                     }
+                     if (videoRef.current) setVideoSize({ width: videoRef.current.videoWidth, height: videoRef.current.videoHeight });
+                     setVideoDuration(videoRef.current?.duration || 0);
+                     // 即時鏡頭開啟後直接開始分析
+                     if (cameraStream && videoRef.current?.paused) togglePlay();
+                  }}
+                  onSeeked={() => {
+                     // 暫停時拖曳時間軸 / 逐幀，直接重畫 (有 timeline 時含骨架)
+                     if (analysisProgress === null && videoExportProgress === null) redrawPaused();
+                  }}
+                  onDurationChange={() => setVideoDuration(videoRef.current?.duration || 0)}
+                  onPause={() => {
+                     // 播放中時間軸是節流更新的，停下時補上最後位置
+                     if (videoRef.current) setCurrentTime(videoRef.current.currentTime);
+                  }}
+                  onEnded={() => setIsPlaying(false)}
+                />
+                <canvas
+                  ref={canvasRef}
+                  onClick={handleCanvasClick}
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  className={`max-w-full max-h-full object-contain ${calibrationPick || measureTool ? 'cursor-crosshair touch-none' : ''}`}
+                />
+               </>
+             )}
+
+             {showVideoExport && (
+               <VideoExportDialog
+                 duration={videoDuration}
+                 currentTime={currentTime}
+                 progress={videoExportProgress}
+                 backSwingAvailable={!frontalView}
+                 onExport={exportVideo}
+                 onCancel={() => videoExportAbortRef.current?.abort()}
+                 onClose={() => setShowVideoExport(false)}
+               />
+             )}
+
+             {isPlaying && !timeline && analysisProgress === null && <ThroughputBadge meter={throughput} />}
+
+             {videoSource && commentsAt(comments, currentTime).length > 0 && (
+               <div className="absolute bottom-20 left-1/2 transform -translate-x-1/2 max-w-md w-[90%] space-y-1 pointer-events-none">
+                 {commentsAt(comments, currentTime).map((c) => (
+                   <div key={c.id} className="bg-slate-900/85 border border-blue-700 rounded px-3 py-1 text-sm">
+                     {c.author && <span className="text-blue-300 mr-1">{c.author}:</span>}
+                     {c.text}
+                   </div>
+                 ))}
+               </div>
+             )}
+
+             {analysisProgress !== null && (
+               <div className="absolute top-4 left-1/2 transform -translate-x-1/2 w-64 bg-slate-900/90 border border-slate-700 rounded-lg p-3 text-xs">
+                 <div className="flex justify-between items-center mb-2">
+                   <span>{t('analysis.progress', { percent: (analysisProgress * 100).toFixed(0) })}</span>
+                   <button onClick={cancelClipAnalysis} className="flex items-center gap-1 text-red-400 hover:text-red-300">
+                     <X size={14} /> {t('common.cancel')}
+                   </button>
+                 </div>
+                 <div className="w-full bg-slate-700 h-2 rounded-full overflow-hidden">
+                   <div className="bg-blue-500 h-full" style={{ width: `${analysisProgress * 100}%` }} />
+                 </div>
+               </div>
+             )}
+
+             <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex items-center gap-4 bg-slate-900/80 px-6 py-2 rounded-full backdrop-blur-sm border border-slate-700">
+                <button onClick={togglePlay} className="hover:text-yellow-400 transition">
+                  {isPlaying ? <Pause fill="currentColor" /> : <Play fill="currentColor" />}
+                </button>
+                {videoSource && (
+                  <div className="flex items-center gap-1">
+                    <button onClick={() => stepFrame(-1)} title={t('player.prevFrame')} className="hover:text-yellow-400">
+                      <ChevronLeft size={18} />
+                    </button>
+                    <input
+                      type="range"
+                      min={0}
+                      max={videoDuration}
+                      step={1 / (timeline ? sampleRate : STEP_FPS)}
+                      value={currentTime}
+                      onChange={(e) => seekVideo(Number(e.target.value))}
+                      className="w-32 sm:w-48 accent-yellow-400"
+                    />
+                    <button onClick={() => stepFrame(1)} title={t('player.nextFrame')} className="hover:text-yellow-400">
+                      <ChevronRight size={18} />
+                    </button>
+                    <select
+                      value={playbackRate}
+                      onChange={(e) => setPlaybackRate(Number(e.target.value))}
+                      className="bg-slate-800 text-xs rounded px-1 py-1"
+                      title={t('player.speed')}
+                    >
+                      {PLAYBACK_RATES.map((r) => <option key={r} value={r}>{r}x</option>)}
+                    </select>
+                  </div>
+                )}
+                {videoSource && !cameraStream && (
+                  <div className="flex items-center gap-1">
+                    <select
+                      value={sampleRate}
+                      onChange={(e) => setSampleRate(Number(e.target.value))}
+                      className="bg-slate-800 text-xs rounded px-1 py-1"
+                      title={t('player.sampleRate')}
+                    >
+                      {SAMPLE_RATES.map((r) => <option key={r} value={r}>{r} fps</option>)}
+                    </select>
+                    <button
+                      onClick={runClipAnalysis}
+                      disabled={analysisProgress !== null}
+                      className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold bg-blue-700 hover:bg-blue-600 disabled:opacity-50"
+                    >
+                      <ScanLine size={14} /> {t('player.analyzeClip')}
+                    </button>
+                  </div>
+                )}
+                <button 
+                  onClick={isRecording ? stopRecording : startRecording}
+                  className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs font-bold transition ${
+                    isRecording ? 'bg-red-600 animate-pulse' : 'bg-slate-700 hover:bg-slate-600'
+                  }`}
+                >
+                  <div className={`w-2 h-2 rounded-full ${isRecording ? 'bg-white' : 'bg-red-500'}`} />
+                  {t(isRecording ? 'player.stopRecording' : 'player.exportVideo')}
+                </button>
              </div>
-           ) : (
-             <>
-              <video 
-                ref={videoRef} 
-                src={videoSource} 
-                className="hidden"
-                playsInline muted crossOrigin="anonymous"
-                onLoadedMetadata={() => {
-                   if(canvasRef.current && videoRef.current) {
-                     canvasRef.current.width = videoRef.current.videoWidth;
-                     canvasRef.current.height = videoRef.current.videoHeight;
-                   }
-                }}
-              />
-              <canvas ref={canvasRef} className="max-w-full max-h-full object-contain" />
-             </>
-           )}
-
-           <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex items-center gap-4 bg-slate-900/80 px-6 py-2 rounded-full backdrop-blur-sm border border-slate-700">
-              <button onClick={togglePlay} className="hover:text-yellow-400 transition">
-                {isPlaying ? <Pause fill="currentColor" /> : <Play fill="currentColor" />}
-              </button>
-              <button 
-                onClick={isRecording ? stopRecording : startRecording}
-                className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs font-bold transition ${
-                  isRecording ? 'bg-red-600 animate-pulse' : 'bg-slate-700 hover:bg-slate-600'
-                }`}
-              >
-                <div className={`w-2 h-2 rounded-full ${isRecording ? 'bg-white' : 'bg-red-500'}`} />
-                {isRecording ? '停止錄製' : '匯出影片'}
-              </button>
-           </div>
-        </div>
+          </div>
 
-        {/* Dashboard */}
-        <div className={`w-full lg:w-80 bg-slate-900 border-t lg:border-t-0 lg:border-l border-slate-800 flex flex-col overflow-y-auto transition-all duration-300 ${videoSource ? 'h-1/3 lg:h-full' : 'h-full'}`}>
+          {/* Dashboard */}
+          <div className={`w-full lg:w-80 bg-slate-900 border-t lg:border-t-0 lg:border-l border-slate-800 flex flex-col overflow-y-auto transition-all duration-300 ${videoSource || cameraStream ? 'h-1/3 lg:h-full' : 'h-full'}`}>
            
-           <div className="p-4 border-b border-slate-800">
-             <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
-               <BarChart2 size={14} /> 即時分析
-             </h2>
-             <div className="grid grid-cols-2 gap-3">
-                <MetricCard label="軀幹傾斜" value={realtimeMetrics.torsoAngle.toFixed(1)} unit="°" />
-                <MetricCard label="步幅" value={realtimeMetrics.stepLength.toFixed(0)} unit="cm" />
-                <MetricCard 
-                  label="左手" 
-                  value={realtimeMetrics.handL} 
-                  color={realtimeMetrics.handL === '張開' ? 'text-green-400' : 'text-yellow-400'}
-                />
-                <MetricCard 
-                  label="右手" 
-                  value={realtimeMetrics.handR} 
-                  color={realtimeMetrics.handR === '張開' ? 'text-green-400' : 'text-yellow-400'}
-                />
+             <div className="p-4 border-b border-slate-800">
+               <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                 <BarChart2 size={14} /> {t('live.title')}
+               </h2>
+               <div className="grid grid-cols-2 gap-3">
+                  {frontalView ? (
+                    <>
+                      <MetricCard label={t('metric.shoulderTilt')} value={(realtimeMetrics.frontal?.shoulderTilt ?? 0).toFixed(1)} unit="°" />
+                      <MetricCard label={t('metric.hipTilt')} value={(realtimeMetrics.frontal?.hipTilt ?? 0).toFixed(1)} unit="°" />
+                      <MetricCard label={t('metric.lateralLean')} value={(realtimeMetrics.frontal?.lateralLean ?? 0).toFixed(1)} unit="°" />
+                      <MetricCard label={t('criterion.stepWidth')} value={(realtimeMetrics.frontal?.stepWidth ?? 0).toFixed(0)} unit="cm" />
+                    </>
+                  ) : (
+                    <>
+                      <MetricCard label={t('chart.torso')} value={realtimeMetrics.torsoAngle.toFixed(1)} unit="°" />
+                      <MetricCard label={t('metric.step')} value={(realtimeMetrics.stepLength ?? 0).toFixed(0)} unit="cm" />
+                    </>
+                  )}
+                  <MetricCard 
+                    label={t('hand.left')}
+                    value={t(`hand.${realtimeMetrics.handL}`)}
+                    color={realtimeMetrics.handL === HAND_STATE.OPEN ? 'text-green-400' : 'text-yellow-400'}
+                  />
+                  <MetricCard 
+                    label={t('hand.right')}
+                    value={t(`hand.${realtimeMetrics.handR}`)}
+                    color={realtimeMetrics.handR === HAND_STATE.OPEN ? 'text-green-400' : 'text-yellow-400'}
+                  />
+               </div>
+               <AngleSource offAxis={realtimeMetrics.offAxis} />
              </div>
-           </div>
-
-           <div className="p-4 flex-1">
-             <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">統計總覽</h2>
-             <div className="space-y-4 text-sm">
-               <StatRow label="總步數" val={displayStats.steps} unit="步" />
-               <StatRow label="平均步幅" val={displayStats.avgStep.toFixed(1)} unit="cm" sub={`Max: ${displayStats.maxStep.toFixed(0)}`} />
-               <div className="border-t border-slate-800 my-2 pt-2"></div>
-               <StatRow label="軀幹角度 (Avg)" val={displayStats.avgTorso.toFixed(1)} unit="°" />
-               <div className="flex justify-between text-xs text-slate-500 pl-2">
-                 <span>Max: {displayStats.maxTorso.toFixed(1)}°</span>
-                 <span>Min: {displayStats.minTorso.toFixed(1)}°</span>
+
+             <PoseSourcePanel
+               providerId={poseProviderId}
+               activeId={activePoseProvider}
+               replay={replayRecording}
+               recordedFrames={recordingLandmarks ? recorder.frameCount() : null}
+               disabled={!videoSource && !cameraStream}
+               onProviderChange={changePoseProvider}
+               onLoadReplay={loadReplayFile}
+               onStartRecording={startLandmarkRecording}
+               onStopRecording={stopLandmarkRecording}
+             />
+
+             <CalibrationPanel
+               calibration={calibration}
+               pickPoints={calibrationPick}
+               defaultLength={Math.round(userHeight * POLE_HEIGHT_RATIO)}
+               disabled={!videoSource && !cameraStream}
+               onStartPick={startCalibrationPick}
+               onCancelPick={() => setCalibrationPick(null)}
+               onConfirmPick={confirmCalibrationPick}
+               onUseStanding={calibrateFromStanding}
+               onClear={() => setCalibration(null)}
+             />
+
+             <CommentPanel
+               comments={comments}
+               currentTime={currentTime}
+               author={commentAuthor}
+               disabled={!videoSource}
+               onAuthorChange={setCommentAuthor}
+               onAdd={addCoachComment}
+               onSeek={(time) => {
+                 stopPlayback();
+                 seekVideo(time);
+               }}
+               onDelete={(id) => setComments((prev) => prev.filter((c) => c.id !== id))}
+             />
+
+             <MeasurePanel
+               tool={measureTool}
+               draftPoints={measureDraft?.points.length ?? 0}
+               measurements={measurements}
+               disabled={!videoSource}
+               onToolChange={changeMeasureTool}
+               onSeek={(time) => {
+                 stopPlayback();
+                 seekVideo(time);
+               }}
+               onDelete={(id) => setMeasurements((prev) => prev.filter((m) => m.id !== id))}
+             />
+
+             {(multiPerson || selectedPersonId !== null) && (
+               <GroupPanel
+                 selectedId={selectedPersonId}
+                 results={groupResults}
+                 analyzeAll={analyzeAllPeople}
+                 canComputeClip={!!timeline}
+                 score={(summary) => evaluateTechnique(summary, techniqueRules, { viewMode, userHeight }).score}
+                 onToggleAnalyzeAll={(on) => {
+                   groupAnalyzer.reset();
+                   setGroupResults([]);
+                   setAnalyzeAllPeople(on);
+                 }}
+                 onComputeClip={computeClipGroup}
+                 onSelect={selectPerson}
+               />
+             )}
+
+             <TechniquePanel evaluation={techniqueEval} rules={techniqueRules} onRulesChange={setTechniqueRules} />
+
+             <ReferencePanel
+               reference={reference}
+               showGhost={showGhost}
+               comparison={timeline ? clipComparison : liveComparison}
+               matches={referenceUsable}
+               canCreate={(timeline || history).length > 0}
+               onCreate={createReference}
+               onLoadFile={loadReferenceFile}
+               onExport={exportReference}
+               onClear={() => changeReference(null)}
+               onToggleGhost={setShowGhost}
+             />
+
+             <LiveCuePanel
+               settings={cueSettings}
+               lastCue={lastCue}
+               active={!!cameraStream && !frontalView}
+               canSpeak={canSpeak()}
+               canVibrate={canVibrate()}
+               onChange={changeCueSettings}
+               onTest={testCue}
+             />
+
+             {(timeline || history).length > 0 && (
+               <div className="p-4 border-b border-slate-800">
+                 <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">{t('report.timeline')}</h2>
+                 <TimelineCharts
+                   entries={timeline || history}
+                   events={gaitEvents}
+                   viewMode={viewMode}
+                   duration={videoSource ? videoDuration : undefined}
+                   currentTime={currentTime}
+                   onSeek={videoSource ? seekVideo : undefined}
+                 />
                </div>
-               <div className="border-t border-slate-800 my-2 pt-2"></div>
-               <StatRow label="前擺臂 (Max)" val={displayStats.maxArmFwd.toFixed(1)} unit="°" />
-               <StatRow label="後擺臂 (Max)" val={displayStats.maxArmBack.toFixed(1)} unit="°" />
-               <div className="mt-4 bg-slate-800 p-3 rounded">
-                 <div className="flex justify-between mb-1">
-                   <span className="text-xs text-slate-400">握拳(黃) vs 張開(綠)</span>
-                   <span className="text-xs font-bold text-yellow-400">{displayStats.handRatio.toFixed(0)}% 握拳</span>
-                 </div>
-                 <div className="w-full bg-slate-700 h-2 rounded-full overflow-hidden flex">
-                   <div className="bg-yellow-500 h-full" style={{ width: `${displayStats.handRatio}%` }} />
-                   <div className="bg-green-500 h-full" style={{ width: `${100 - displayStats.handRatio}%` }} />
+             )}
+
+             {cycleProfiles && (
+               <div className="p-4 border-b border-slate-800">
+                 <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">{t('cycle.title')}</h2>
+                 <CycleProfileCharts profiles={cycleProfiles} />
+               </div>
+             )}
+
+             <div className="p-4 flex-1">
+               <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">{t('report.summary')}</h2>
+               <div className="space-y-4 text-sm">
+                 <StatRow
+                   label={t('stat.usableFrames')}
+                   val={displayStats.usableRatio.toFixed(0)}
+                   unit="%"
+                   sub={t('stat.usableFramesSub', { frames: displayStats.frames, total: displayStats.totalFrames })}
+                 />
+                 <StatRow
+                   label={t('stat.steps')}
+                   val={displayStats.steps}
+                   unit={t('unit.steps')}
+                   sub={t('stat.stepsSub', { left: displayStats.gait.stepsL, right: displayStats.gait.stepsR })}
+                 />
+                 <StatRow label={t('stat.cadence')} val={displayStats.gait.cadence.toFixed(0)} unit={t('unit.stepsPerMin')} />
+                 <StatRow label={t('stat.strideTime')} val={(displayStats.gait.strideTime / 1000).toFixed(2)} unit="s" />
+                 <StatRow
+                   label={t('stat.symmetry')}
+                   val={displayStats.gait.stepTimeSymmetry.toFixed(1)}
+                   unit="%"
+                   sub={t('stat.stepLengthSymmetry', { value: displayStats.gait.stepLengthSymmetry.toFixed(1) })}
+                 />
+                 <StatRow
+                   label={t('stat.coordination')}
+                   val={displayStats.gait.coordination.toFixed(0)}
+                   unit="%"
+                   sub={t('stat.coordinationSub', { plants: displayStats.gait.polePlants, offset: displayStats.gait.poleOffset.toFixed(0) })}
+                 />
+                 {frontalView ? (
+                   <FrontalStats stats={displayStats.frontal} />
+                 ) : (
+                   <>
+                     <StatRow
+                       label={t('stat.avgStep')}
+                       val={(cycleStep ?? displayStats.avgStep).toFixed(1)}
+                       unit="cm"
+                       sub={`${cycleStep !== null ? `${t('stat.cycleAverage')}・` : ''}P95: ${displayStats.maxStep.toFixed(0)}`}
+                     />
+                     <div className="border-t border-slate-800 my-2 pt-2"></div>
+                     <StatRow
+                       label={t('stat.torsoAvg')}
+                       val={(cycleTorso ?? displayStats.avgTorso).toFixed(1)}
+                       unit="°"
+                       sub={cycleTorso !== null ? t('stat.cycleAverage') : undefined}
+                     />
+                     <div className="flex justify-between text-xs text-slate-500 pl-2">
+                       <span>P95: {displayStats.maxTorso.toFixed(1)}°</span>
+                       <span>P5: {displayStats.minTorso.toFixed(1)}°</span>
+                     </div>
+                     <div className="border-t border-slate-800 my-2 pt-2"></div>
+                     <StatRow label={t('stat.armFwdP95')} val={displayStats.maxArmFwd.toFixed(1)} unit="°" />
+                     <StatRow label={t('stat.armBackP95')} val={displayStats.maxArmBack.toFixed(1)} unit="°" />
+                   </>
+                 )}
+                 {displayStats.joints?.frames > 0 && <JointStats stats={displayStats.joints} />}
+                 <PoleStats stats={displayStats.poles} sideView={!frontalView} />
+                 <div className="mt-4 bg-slate-800 p-3 rounded">
+                   <div className="flex justify-between mb-1">
+                     <span className="text-xs text-slate-400">{t('stat.handRatioLegend')}</span>
+                     <span className="text-xs font-bold text-yellow-400">{t('stat.fistPercent', { value: displayStats.handRatio.toFixed(0) })}</span>
+                   </div>
+                   <div className="w-full bg-slate-700 h-2 rounded-full overflow-hidden flex">
+                     <div className="bg-yellow-500 h-full" style={{ width: `${displayStats.handRatio}%` }} />
+                     <div className="bg-green-500 h-full" style={{ width: `${100 - displayStats.handRatio}%` }} />
+                   </div>
                  </div>
                </div>
              </div>
-           </div>
+
+             <ExportPanel
+               disabled={!displayStats.frames}
+               busy={isPreparingReport}
+               onExportJSON={exportJSON}
+               onExportSummaryCSV={exportSummaryCSV}
+               onExportFramesCSV={exportFramesCSV}
+               onPrintReport={printReport}
+               bundling={isBundling}
+               onExportBundle={exportBundle}
+             />
+
+             <SessionHistory
+               sessions={sessions}
+               walkerName={walkerName}
+               canSave={displayStats.frames > 0}
+               saving={isSaving}
+               onWalkerNameChange={setWalkerName}
+               onSave={saveCurrentSession}
+               onOpen={openSession}
+               onDelete={removeSession}
+               onCompare={openCompare}
+             />
+          </div>
         </div>
       </div>
+    </I18nContext.Provider>
+  );
+};
+
+// 顯示名稱為 view.<mode>
+const VIEW_MODES = ['side_left', 'side_right', 'front', 'back'];
+
+const LIVE_HISTORY_SEC = 60;
+const UI_UPDATE_MS = 300;
+// 尚未整段分析時逐幀的步距
+const STEP_FPS = 30;
+const PLAYBACK_RATES = [1, 0.5, 0.25];
+// 手繪點之間的最小距離 (正規化座標)
+const FREEHAND_MIN_STEP = 0.004;
+const RULES_STORAGE_KEY = 'nordicWalking.techniqueRules';
+const CUE_STORAGE_KEY = 'nordicWalking.cueSettings';
+const REFERENCE_STORAGE_KEY = 'nordicWalking.reference';
+const POSE_PROVIDER_STORAGE_KEY = 'nordicWalking.poseProvider';
+const COMMENT_AUTHOR_STORAGE_KEY = 'nordicWalking.commentAuthor';
+
+const loadTechniqueRules = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+    // 與預設合併，新增的評分項目也會有門檻
+    return saved ? { ...DEFAULT_RULES, ...saved } : DEFAULT_RULES;
+  } catch {
+    return DEFAULT_RULES;
+  }
+};
+
+const loadCueSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUE_STORAGE_KEY));
+    return saved
+      ? { ...DEFAULT_CUE_SETTINGS, ...saved, cues: { ...DEFAULT_CUE_SETTINGS.cues, ...saved.cues } }
+      : DEFAULT_CUE_SETTINGS;
+  } catch {
+    return DEFAULT_CUE_SETTINGS;
+  }
+};
+
+// 回放用的錄製檔不會保存，因此不還原成 replay
+const loadPoseProvider = () => {
+  try {
+    const saved = localStorage.getItem(POSE_PROVIDER_STORAGE_KEY);
+    return saved !== 'replay' && findPoseProvider(saved) ? saved : DEFAULT_POSE_PROVIDER;
+  } catch {
+    return DEFAULT_POSE_PROVIDER;
+  }
+};
+
+const loadCommentAuthor = () => {
+  try {
+    return localStorage.getItem(COMMENT_AUTHOR_STORAGE_KEY) ?? '';
+  } catch {
+    return '';
+  }
+};
+
+const loadReference = () => {
+  try {
+    const saved = localStorage.getItem(REFERENCE_STORAGE_KEY);
+    return saved ? parseReference(saved) : null;
+  } catch {
+    return null;
+  }
+};
+
+const pickRealtimeMetrics = (m) => ({
+  torsoAngle: m.torsoAngle,
+  armAngleL: m.armAngleL,
+  armAngleR: m.armAngleR,
+  stepLength: m.stepLength,
+  handL: m.handL,
+  handR: m.handR,
+  comX: m.comX,
+  // 沒有 3D 座標 (例如舊的關鍵點錄製) 時為 null，代表角度來自 2D 影像
+  offAxis: m.angles3d?.offAxis ?? null,
+  frontal: m.frontal
+});
+
+const FrontalStats = ({ stats }) => {
+  const t = useI18n();
+
+  return (
+    <>
+      <StatRow label={t('stat.stepWidthAvg')} val={stats.avgStepWidth.toFixed(1)} unit="cm" />
+      <div className="border-t border-slate-800 my-2 pt-2"></div>
+      <StatRow label={t('stat.shoulderTiltAvg')} val={stats.avgShoulderTilt.toFixed(1)} unit="°" sub={`P95: ${stats.maxShoulderTilt.toFixed(1)}°`} />
+      <StatRow label={t('stat.hipTiltAvg')} val={stats.avgHipTilt.toFixed(1)} unit="°" sub={`P95: ${stats.maxHipTilt.toFixed(1)}°`} />
+      <StatRow label={t('stat.lateralLeanAvg')} val={stats.avgLateralLean.toFixed(1)} unit="°" />
+      <StatRow label={t('stat.swayRange')} val={stats.swayRange.toFixed(0)} unit={t('unit.hipWidthPercent')} />
+      <div className="border-t border-slate-800 my-2 pt-2"></div>
+      <StatRow label={t('criterion.armCrossing')} val={stats.armCrossing.toFixed(0)} unit="%" />
+      <StatRow label={t('stat.poleWidth')} val={stats.avgPoleWidth.toFixed(2)} unit="×" />
+      <StatRow
+        label={t('stat.kneeValgusP95')}
+        val={`${stats.maxKneeValgusL.toFixed(0)} / ${stats.maxKneeValgusR.toFixed(0)}`}
+        unit={t('unit.degLeftRight')}
+      />
+    </>
+  );
+};
+
+const OFF_AXIS_COLORS = { good: 'text-green-400', warn: 'text-yellow-400', poor: 'text-red-400' };
+
+// 角度來源：3D 時附拍攝偏斜程度 (見 analysis/jointAngles3d.js)
+const AngleSource = ({ offAxis }) => {
+  const t = useI18n();
+
+  if (offAxis === null) {
+    return <div className="mt-2 text-xs text-slate-500" title={t('live.angles2dHint')}>{t('live.angles2d')}</div>;
+  }
+  return (
+    <div className="mt-2 flex justify-between text-xs" title={t('live.offAxisHint')}>
+      <span className="text-slate-500">{t('live.angles3d')}</span>
+      <span className={`font-mono ${OFF_AXIS_COLORS[offAxisLevel(offAxis)]}`}>{t('live.offAxis', { value: offAxis.toFixed(0) })}</span>
     </div>
   );
 };
 
+const JointStats = ({ stats }) => {
+  const t = useI18n();
+  const pair = (l, r) => `${l.toFixed(0)} / ${r.toFixed(0)}`;
+
+  return (
+    <>
+      <div className="border-t border-slate-800 my-2 pt-2 text-xs text-slate-500">{t('stat.joints3d')}</div>
+      <StatRow label={t('stat.shoulderFlexP95')} val={pair(stats.maxShoulderFlex, stats.maxShoulderExt)} unit={t('unit.degFlexExt')} />
+      <StatRow label={t('stat.elbowFlexAvg')} val={stats.avgElbowFlex.toFixed(0)} unit="°" />
+      <StatRow label={t('stat.hipExtP95')} val={pair(stats.maxHipExtL, stats.maxHipExtR)} unit={t('unit.degLeftRight')} />
+      <StatRow label={t('stat.kneeFlexP95')} val={pair(stats.maxKneeFlexL, stats.maxKneeFlexR)} unit={t('unit.degLeftRight')} />
+      <StatRow
+        label={t('stat.offAxisAvg')}
+        val={<span className={OFF_AXIS_COLORS[offAxisLevel(stats.avgOffAxis)]}>{stats.avgOffAxis.toFixed(0)}</span>}
+        unit="°"
+      />
+    </>
+  );
+};
+
+const PoleStats = ({ stats, sideView }) => {
+  const t = useI18n();
+
+  return (
+    <>
+      <div className="border-t border-slate-800 my-2 pt-2"></div>
+      <StatRow label={t('stat.poleDetection')} val={stats.detectionRate.toFixed(0)} unit="%" sub={t('stat.plantCount', { count: stats.plants })} />
+      <StatRow
+        label={t('stat.plantAngleAvg')}
+        val={`${stats.avgPlantAngleL.toFixed(0)} / ${stats.avgPlantAngleR.toFixed(0)}`}
+        unit={t('unit.degLeftRight')}
+      />
+      {sideView && (
+        <>
+          <StatRow label={t('stat.tipOffsetAvg')} val={stats.avgTipOffset.toFixed(1)} unit="cm" sub={t('stat.tipOffsetSub')} />
+          <StatRow
+            label={t('stat.pushRatio')}
+            val={stats.pushRatio.toFixed(0)}
+            unit="%"
+            sub={t('stat.dragSub', { value: (stats.plants ? 100 - stats.pushRatio : 0).toFixed(0) })}
+          />
+        </>
+      )}
+    </>
+  );
+};
+
+const PoseStatusBadge = ({ status, onRetry }) => {
+  const t = useI18n();
+  if (status === POSE_STATUS.READY) {
+    return <span className="text-xs text-green-400 hidden sm:inline">● {t('pose.ready')}</span>;
+  }
+  if (status === POSE_STATUS.ERROR) {
+    return (
+      <button onClick={onRetry} className="text-xs text-red-400 flex items-center gap-1">
+        <AlertCircle size={14} /> {t('pose.retry')}
+      </button>
+    );
+  }
+  return <span className="text-xs text-yellow-400 animate-pulse">● {t('pose.loading')}</span>;
+};
+
 const MetricCard = ({ label, value, unit='', color = 'text-white' }) => (
   <div className="bg-slate-800 p-3 rounded border border-slate-700">
     <div className="text-xs text-slate-500 mb-1">{label}</div>
@@ -0,0 +1,104 @@
+import { getAngle, getDistance } from './geometry.js';
+
+/**
+ * 距離校正 (cm / px)
+ * 預設 (未校正) 每幀以頭到腳跟的像素高度對應身高，走者彎腰、斜走或出鏡時就會失準。
+ * 校正改用固定的參考：
+ *   - reference：在畫面上標出已知長度的物體 (健走杖、地面標記) 兩端
+ *   - standing：用一幀直立站姿，頭到腳跟對應身高
+ * 地面透視：地面上的物體，影像中的大小與其觸地點到地平線的距離成正比，
+ * 即 px/cm 隨觸地點 y 線性變化。兩個不同遠近的參考即可求出斜率；只有一個時視為無透視。
+ *
+ * reference：{ source, groundY: 觸地點 y (正規化), pixelLength: 長度 / 影像高, lengthCm, points? }
+ *   standing 的 lengthCm 為 null，套用時以當下的身高計算 (改身高不必重新校正)
+ * calibration：{ references: [reference, reference?] }，可直接存進 session / JSON
+ */
+
+export const CALIBRATION_SOURCE = {
+  REFERENCE: 'reference',
+  STANDING: 'standing'
+};
+
+export const MAX_REFERENCES = 2;
+
+// 兩參考觸地點 y 差太小時，斜率誤差大，改取平均
+const MIN_PERSPECTIVE_SPAN = 0.05;
+// 透視外插時比例下限 (相對參考)，避免遠處比例趨近 0 造成距離爆掉
+const MIN_SCALE_RATIO = 0.25;
+
+const STANDING_MIN_KNEE_ANGLE = 165;
+const STANDING_MAX_FEET_GAP = 0.15; // 身高比例
+const STANDING_MIN_VISIBILITY = 0.5;
+
+// 畫面上兩點 (正規化) + 實際長度 -> 參考；觸地點取較低 (y 較大) 的端點
+export const referenceFromLine = ({ a, b, lengthCm, width, height }) => ({
+  source: CALIBRATION_SOURCE.REFERENCE,
+  groundY: Math.max(a.y, b.y),
+  pixelLength: getDistance({ x: a.x * width, y: a.y * height }, { x: b.x * width, y: b.y * height }) / height,
+  lengthCm,
+  points: [{ x: a.x, y: a.y }, { x: b.x, y: b.y }]
+});
+
+// 直立站姿：兩膝打直、雙腳併攏、頭與腳跟都看得到；不符合時回傳 null
+export const referenceFromStanding = (lm) => {
+  if (!lm) return null;
+  const visible = [2, 23, 24, 25, 26, 27, 28, 29, 30].every((i) => (lm[i]?.visibility ?? 0) >= STANDING_MIN_VISIBILITY);
+  if (!visible) return null;
+  const straight = getAngle(lm[23], lm[25], lm[27]) >= STANDING_MIN_KNEE_ANGLE
+    && getAngle(lm[24], lm[26], lm[28]) >= STANDING_MIN_KNEE_ANGLE;
+  const heelY = (lm[29].y + lm[30].y) / 2;
+  const bodyLength = heelY - lm[2].y;
+  const feetGap = Math.abs(lm[29].x - lm[30].x);
+  if (!straight || bodyLength <= 0 || feetGap > bodyLength * STANDING_MAX_FEET_GAP) return null;
+  return {
+    source: CALIBRATION_SOURCE.STANDING,
+    groundY: heelY,
+    pixelLength: bodyLength,
+    lengthCm: null
+  };
+};
+
+// 每 cm 佔影像高的比例
+const scaleOf = (ref, userHeight) => ref.pixelLength / (ref.lengthCm ?? userHeight);
+
+/**
+ * 觸地點 y (正規化) 處的 cm / px
+ * calibration 為 null 時回傳 null，由呼叫端退回逐幀身高估計
+ */
+export const cmPerPxAt = (calibration, groundY, { height, userHeight }) => {
+  const refs = calibration?.references || [];
+  if (!refs.length) return null;
+  const [r1, r2] = refs;
+  const s1 = scaleOf(r1, userHeight);
+  let scale = s1;
+  if (r2) {
+    const s2 = scaleOf(r2, userHeight);
+    const span = r2.groundY - r1.groundY;
+    scale = Math.abs(span) < MIN_PERSPECTIVE_SPAN
+      ? (s1 + s2) / 2
+      : s1 + ((s2 - s1) / span) * (groundY - r1.groundY);
+    scale = Math.max(scale, Math.min(s1, s2) * MIN_SCALE_RATIO);
+  }
+  return 1 / (scale * height);
+};
+
+export const hasPerspective = (calibration) => {
+  const [r1, r2] = calibration?.references || [];
+  return !!(r1 && r2 && Math.abs(r2.groundY - r1.groundY) >= MIN_PERSPECTIVE_SPAN);
+};
+
+export const addReference = (calibration, reference) => ({
+  references: [...(calibration?.references || []), reference].slice(-MAX_REFERENCES)
+});
+
+// 說明文字 (t 為 i18n 翻譯函式)：面板列出每個參考，報告 / 匯出用一行合併
+export const describeReference = (t, ref) => ref.source === CALIBRATION_SOURCE.STANDING
+  ? t('calibration.standingRef')
+  : t('calibration.lengthRef', { length: ref.lengthCm });
+
+export const describeCalibration = (t, calibration) => {
+  const refs = calibration?.references || [];
+  if (!refs.length) return t('calibration.none');
+  return refs.map((ref) => describeReference(t, ref)).join(t('list.separator'))
+    + (hasPerspective(calibration) ? t('calibration.withPerspective') : '');
+};
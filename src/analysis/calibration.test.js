@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  referenceFromLine, referenceFromStanding, cmPerPxAt, hasPerspective, addReference,
+  describeCalibration, CALIBRATION_SOURCE, MAX_REFERENCES
+} from './calibration.js';
+import { createTranslator } from '../i18n/index.js';
+
+const near = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+const size = { width: 1920, height: 1080 };
+
+test('參考線：長度換成影像高比例，觸地點取較低端', () => {
+  const ref = referenceFromLine({ a: { x: 0.5, y: 0.4 }, b: { x: 0.5, y: 0.8 }, lengthCm: 120, ...size });
+  assert.equal(ref.source, CALIBRATION_SOURCE.REFERENCE);
+  assert.equal(ref.groundY, 0.8);
+  near(ref.pixelLength, 0.4);
+  // 432 px 對應 120 cm
+  near(cmPerPxAt({ references: [ref] }, 0.5, { height: 1080, userHeight: 170 }), 120 / 432);
+});
+
+test('沒有校正時回傳 null，由每幀身高估計', () => {
+  assert.equal(cmPerPxAt(null, 0.5, { height: 1080, userHeight: 170 }), null);
+  assert.equal(cmPerPxAt({ references: [] }, 0.5, { height: 1080, userHeight: 170 }), null);
+});
+
+test('兩個不同遠近的參考：比例隨觸地點 y 線性變化', () => {
+  const nearRef = { source: CALIBRATION_SOURCE.REFERENCE, groundY: 0.9, pixelLength: 0.2, lengthCm: 100 };
+  const farRef = { source: CALIBRATION_SOURCE.REFERENCE, groundY: 0.5, pixelLength: 0.1, lengthCm: 100 };
+  const calibration = { references: [nearRef, farRef] };
+  assert.equal(hasPerspective(calibration), true);
+  const at = (y) => cmPerPxAt(calibration, y, { height: 1000, userHeight: 170 });
+  near(at(0.9), 100 / 200);
+  near(at(0.5), 100 / 100);
+  // 中間點 px/cm 取線性內插 (0.0015 / cm)
+  near(at(0.7), 1 / (0.0015 * 1000));
+  // 遠處外插有下限，不會趨近 0 而爆掉
+  assert.ok(Number.isFinite(at(0)) && at(0) <= 1 / (0.001 * 0.25 * 1000) + 1e-9);
+});
+
+test('兩參考遠近差太小時視為無透視，取平均', () => {
+  const a = { source: CALIBRATION_SOURCE.REFERENCE, groundY: 0.8, pixelLength: 0.2, lengthCm: 100 };
+  const b = { ...a, groundY: 0.82, pixelLength: 0.3 };
+  assert.equal(hasPerspective({ references: [a, b] }), false);
+  near(cmPerPxAt({ references: [a, b] }, 0.2, { height: 1000, userHeight: 170 }), 1 / (0.0025 * 1000));
+});
+
+test('站姿校正套用當下身高，參考最多保留兩個', () => {
+  const standing = { source: CALIBRATION_SOURCE.STANDING, groundY: 0.9, pixelLength: 0.85, lengthCm: null };
+  near(cmPerPxAt({ references: [standing] }, 0.9, { height: 1000, userHeight: 170 }), 0.2);
+  near(cmPerPxAt({ references: [standing] }, 0.9, { height: 1000, userHeight: 180 }), 180 / 850);
+  let calibration = null;
+  for (let i = 0; i < 3; i++) calibration = addReference(calibration, { ...standing, groundY: i });
+  assert.equal(calibration.references.length, MAX_REFERENCES);
+  assert.deepEqual(calibration.references.map((r) => r.groundY), [1, 2]);
+});
+
+const standingPose = ({ kneeX = 0.5, heelGap = 0 } = {}) => {
+  const lm = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility: 1 }));
+  lm[2] = { x: 0.5, y: 0.1, visibility: 1 };
+  [[23, 24, 0.5], [25, 26, 0.7], [27, 28, 0.88]].forEach(([l, r, y]) => {
+    lm[l] = { x: y === 0.7 ? kneeX : 0.5, y, visibility: 1 };
+    lm[r] = { x: y === 0.7 ? kneeX : 0.5, y, visibility: 1 };
+  });
+  lm[29] = { x: 0.5, y: 0.9, visibility: 1 };
+  lm[30] = { x: 0.5 + heelGap, y: 0.9, visibility: 1 };
+  return lm;
+};
+
+test('站姿判定：膝蓋打直且雙腳併攏才採用', () => {
+  const ref = referenceFromStanding(standingPose());
+  assert.equal(ref.source, CALIBRATION_SOURCE.STANDING);
+  near(ref.pixelLength, 0.8);
+  assert.equal(ref.lengthCm, null);
+  assert.equal(referenceFromStanding(standingPose({ kneeX: 0.6 })), null);
+  assert.equal(referenceFromStanding(standingPose({ heelGap: 0.2 })), null);
+  const hidden = standingPose();
+  hidden[2].visibility = 0.1;
+  assert.equal(referenceFromStanding(hidden), null);
+});
+
+test('校正說明依語系產生', () => {
+  const t = createTranslator('en');
+  assert.equal(describeCalibration(t, null), t('calibration.none'));
+  const ref = { source: CALIBRATION_SOURCE.REFERENCE, groundY: 0.9, pixelLength: 0.2, lengthCm: 120 };
+  assert.equal(describeCalibration(t, { references: [ref] }), t('calibration.lengthRef', { length: 120 }));
+});
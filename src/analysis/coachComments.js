@@ -0,0 +1,36 @@
+/**
+ * 教練評語 (標在影片時間點上的文字)
+ * comment：{ id, time: 秒, author, text, createdAt: ISO 字串 }
+ * 隨紀錄儲存，也會放進分享檔 (見 export/sessionBundle.js) 在教練與學員之間往返。
+ */
+
+// 回放時評語在其時間點前後這段時間內顯示
+export const COMMENT_SHOW_WINDOW = 1.5;
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createComment = ({ time, author = '', text }) => ({
+  id: newId(),
+  time,
+  author: author.trim(),
+  text: text.trim(),
+  createdAt: new Date().toISOString()
+});
+
+// 依時間排序插入
+export const addComment = (comments, comment) => [...comments, comment].sort((a, b) => a.time - b.time);
+
+export const commentsAt = (comments, time) =>
+  comments.filter((c) => Math.abs(c.time - time) <= COMMENT_SHOW_WINDOW);
+
+// 分享檔來自外部，只保留格式正確的評語
+export const sanitizeComments = (list) => (Array.isArray(list) ? list : [])
+  .filter((c) => c && Number.isFinite(c.time) && typeof c.text === 'string' && c.text.trim())
+  .map((c) => ({
+    id: typeof c.id === 'string' ? c.id : newId(),
+    time: c.time,
+    author: typeof c.author === 'string' ? c.author : '',
+    text: c.text,
+    createdAt: typeof c.createdAt === 'string' ? c.createdAt : null
+  }))
+  .sort((a, b) => a.time - b.time);
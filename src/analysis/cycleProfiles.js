@@ -0,0 +1,116 @@
+import { isFrontalView } from './frontalMetrics.js';
+import { splitCycles } from './gaitCycle.js';
+
+/**
+ * 步態週期正規化曲線
+ * 把每個週期 (同側連續兩次著地) 的指標重新取樣到 0–100% 週期，再跨週期求平均 ± 標準差，
+ * 左右各自以該側著地為起點。相較整段平均，能看出動作在步伐中的形狀。
+ *
+ * 變異指數 (variability)：平均標準差 / 平均曲線活動範圍 × 100%，越小代表每一步越一致。
+ *
+ * profile：{ mean: number[CYCLE_POINTS], sd: number[CYCLE_POINTS], n (週期數), average, meanSd, variability }
+ */
+
+export const CYCLE_POINTS = 101; // 0%, 1%, … 100%
+const MIN_CYCLE_SAMPLES = 8;
+// 週期頭尾缺資料超過此比例時不列入 (避免外插)
+const MAX_EDGE_GAP = 0.1;
+const MIN_RANGE = 1e-6;
+
+const SIDE_METRICS = [
+  { id: 'arm', unit: '°', pick: (m, side) => (side === 'L' ? m.armAngleL : m.armAngleR) },
+  { id: 'torso', unit: '°', pick: (m) => m.torsoAngle },
+  { id: 'step', unit: 'cm', pick: (m) => m.stepLength }
+];
+
+const FRONTAL_METRICS = [
+  { id: 'shoulderTilt', unit: '°', pick: (m) => m.frontal?.shoulderTilt ?? null },
+  { id: 'hipTilt', unit: '°', pick: (m) => m.frontal?.hipTilt ?? null },
+  { id: 'lateralLean', unit: '°', pick: (m) => m.frontal?.lateralLean ?? null }
+];
+
+export const profileMetrics = (viewMode) => (isFrontalView(viewMode) ? FRONTAL_METRICS : SIDE_METRICS);
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// 一個週期的樣本 [{ t, v }] -> CYCLE_POINTS 個等距相位的值 (線性內插)；資料不足回傳 null
+const resampleCycle = (samples, { start, end }) => {
+  const duration = end - start;
+  if (samples.length < MIN_CYCLE_SAMPLES) return null;
+  if (samples[0].t - start > duration * MAX_EDGE_GAP || end - samples[samples.length - 1].t > duration * MAX_EDGE_GAP) return null;
+  const out = [];
+  let j = 0;
+  for (let k = 0; k < CYCLE_POINTS; k++) {
+    const t = start + (duration * k) / (CYCLE_POINTS - 1);
+    while (j < samples.length - 2 && samples[j + 1].t < t) j++;
+    const a = samples[j];
+    const b = samples[Math.min(j + 1, samples.length - 1)];
+    const f = b.t > a.t ? Math.min(Math.max((t - a.t) / (b.t - a.t), 0), 1) : 0;
+    out.push(a.v + (b.v - a.v) * f);
+  }
+  return out;
+};
+
+const summarizeCurves = (curves) => {
+  if (!curves.length) return null;
+  const meanCurve = [];
+  const sdCurve = [];
+  for (let k = 0; k < CYCLE_POINTS; k++) {
+    const values = curves.map((c) => c[k]);
+    const m = mean(values);
+    meanCurve.push(m);
+    sdCurve.push(Math.sqrt(mean(values.map((v) => (v - m) ** 2))));
+  }
+  const range = Math.max(...meanCurve) - Math.min(...meanCurve);
+  const meanSd = mean(sdCurve);
+  return {
+    mean: meanCurve,
+    sd: sdCurve,
+    n: curves.length,
+    average: mean(meanCurve),
+    meanSd,
+    // 只有一個週期時沒有週期間變異可言
+    variability: curves.length > 1 && range > MIN_RANGE ? (meanSd / range) * 100 : null
+  };
+};
+
+/**
+ * entries：timeline / history (time 為秒)；events：步態事件 (timestamp 為 ms)
+ * 回傳 { cycles: { L, R }, metrics: [{ id, unit, L: profile | null, R: profile | null }] }，
+ * 兩側都沒有完整週期時回傳 null
+ */
+export const computeCycleProfiles = (entries, events, viewMode) => {
+  const cycles = { L: splitCycles(events, 'L'), R: splitCycles(events, 'R') };
+  if (!cycles.L.length && !cycles.R.length) return null;
+  const usable = entries.filter((e) => e.metrics && e.metrics.usable !== false);
+
+  const profileOf = (metric, side) => summarizeCurves(cycles[side]
+    .map((cycle) => {
+      const samples = [];
+      for (const e of usable) {
+        const t = e.time * 1000;
+        if (t < cycle.start || t > cycle.end) continue;
+        const v = metric.pick(e.metrics, side);
+        if (v !== null && v !== undefined && Number.isFinite(v)) samples.push({ t, v });
+      }
+      return resampleCycle(samples, cycle);
+    })
+    .filter(Boolean));
+
+  return {
+    cycles: { L: cycles.L.length, R: cycles.R.length },
+    metrics: profileMetrics(viewMode).map((metric) => ({
+      id: metric.id,
+      unit: metric.unit,
+      L: profileOf(metric, 'L'),
+      R: profileOf(metric, 'R')
+    }))
+  };
+};
+
+// 左右週期平均的平均；單側沒有資料時取另一側
+export const cycleAverage = (profiles, id) => {
+  const metric = profiles?.metrics.find((m) => m.id === id);
+  const values = [metric?.L?.average, metric?.R?.average].filter((v) => v !== undefined);
+  return values.length ? mean(values) : null;
+};
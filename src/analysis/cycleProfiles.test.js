@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCycleProfiles, cycleAverage, CYCLE_POINTS } from './cycleProfiles.js';
+import { splitCycles, phaseAt, lastCycleDuration } from './gaitCycle.js';
+import { GAIT_EVENT } from './gaitEvents.js';
+
+const near = (actual, expected, eps = 1e-6) => assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+const strike = (side, timestamp) => ({ type: GAIT_EVENT.HEEL_STRIKE, side, timestamp });
+
+test('週期切分：同側連續著地，長度不合理的不列入', () => {
+  const events = [strike('L', 0), strike('R', 500), strike('L', 1000), strike('L', 1300), strike('L', 2300), strike('L', 6000)];
+  assert.deepEqual(splitCycles(events), [{ start: 0, end: 1000 }, { start: 1300, end: 2300 }]);
+  assert.deepEqual(splitCycles(events, 'R'), []);
+});
+
+test('相位：週期內線性，週期外或超過預估長度為 null', () => {
+  const starts = [0, 1000];
+  assert.equal(phaseAt(250, starts), 0.25);
+  assert.equal(phaseAt(-1, starts), null);
+  // 最後一次著地之後以預估長度推算
+  assert.equal(phaseAt(1500, starts, lastCycleDuration(starts)), 0.5);
+  assert.equal(phaseAt(2100, starts, 1000), null);
+  assert.equal(phaseAt(1500, starts), null);
+});
+
+// 每 1000 ms 一個週期；arm 在週期內線性上升 offset ~ offset+40，每個週期 offset 不同
+const entriesFor = (offsets) => offsets.flatMap((offset, c) => Array.from({ length: 50 }, (_, i) => ({
+  time: (c * 1000 + i * 20) / 1000,
+  metrics: { usable: true, armAngleL: offset + (i * 20) * 0.04, armAngleR: 30, torsoAngle: 5, stepLength: 60 }
+}))).concat([{ time: offsets.length, metrics: { usable: true, armAngleL: offsets[offsets.length - 1] + 40, armAngleR: 30, torsoAngle: 5, stepLength: 60 } }]);
+
+const cycleEvents = (count, side = 'L') => Array.from({ length: count + 1 }, (_, i) => strike(side, i * 1000));
+
+test('週期曲線重新取樣到 0–100%，跨週期平均 ± 標準差', () => {
+  const profiles = computeCycleProfiles(entriesFor([10, 20]), cycleEvents(2), 'side_left');
+  assert.deepEqual(profiles.cycles, { L: 2, R: 0 });
+  assert.deepEqual(profiles.metrics.map((m) => m.id), ['arm', 'torso', 'step']);
+  const arm = profiles.metrics[0].L;
+  assert.equal(arm.n, 2);
+  assert.equal(arm.mean.length, CYCLE_POINTS);
+  near(arm.mean[0], 15);
+  near(arm.mean[50], 35);
+  near(arm.sd[50], 5);
+  // 變異指數 = 平均標準差 / 活動範圍
+  near(arm.variability, (arm.meanSd / (Math.max(...arm.mean) - Math.min(...arm.mean))) * 100);
+  assert.equal(profiles.metrics[0].R, null);
+  near(cycleAverage(profiles, 'torso'), 5);
+});
+
+test('只有一個週期時沒有變異指數，無效幀不列入', () => {
+  const entries = entriesFor([10]).map((e, i) => (i === 10 ? { ...e, metrics: { ...e.metrics, usable: false, armAngleL: 999 } } : e));
+  const arm = computeCycleProfiles(entries, cycleEvents(1), 'side_left').metrics[0].L;
+  assert.equal(arm.variability, null);
+  assert.ok(Math.max(...arm.mean) <= 50 + 1e-9);
+});
+
+test('正面視角改用冠狀面指標；沒有完整週期時回傳 null', () => {
+  const entries = [0, 0.2, 0.4, 0.6, 0.8, 1].flatMap((s) => [s, s + 0.1]).map((time) => ({
+    time, metrics: { usable: true, frontal: { shoulderTilt: 2, hipTilt: 1, lateralLean: 3 } }
+  }));
+  const profiles = computeCycleProfiles(entries, cycleEvents(1), 'front');
+  assert.deepEqual(profiles.metrics.map((m) => m.id), ['shoulderTilt', 'hipTilt', 'lateralLean']);
+  near(profiles.metrics[2].L.average, 3);
+  assert.equal(computeCycleProfiles(entries, [strike('L', 0)], 'front'), null);
+});
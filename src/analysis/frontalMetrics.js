@@ -0,0 +1,127 @@
+import { getAngle, midpoint } from './geometry.js';
+import { robustMax, robustMin } from './robustStats.js';
+
+/**
+ * 正面 / 背面視角指標 (冠狀面)
+ * 側面的前後擺臂與步幅在正/背面拍攝時沒有意義，改量測：
+ *   肩 / 骨盆傾斜、軀幹側傾與左右擺動、手臂越過中線、杖距 (手腕距) 與髖寬比、膝外翻、步寬
+ * 有正負號的角度一律以「走者左側」為正，正面與背面拍攝的鏡像由左右肩位置自動判斷。
+ */
+
+export const FRONTAL_VIEWS = ['front', 'back'];
+export const isFrontalView = (viewMode) => FRONTAL_VIEWS.includes(viewMode);
+
+const VISIBLE = 0.5;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// 兩點連線與水平線夾角；左側點較高為正
+const tiltAngle = (left, right) => toDeg(Math.atan2(right.y - left.y, Math.abs(left.x - right.x) || 1e-6));
+
+// 膝外翻：髖-膝-踝夾角偏離直線的角度，膝往內側 (朝身體中線) 為正
+const kneeValgus = (hip, knee, ankle, medialSign) => {
+  const deviation = 180 - getAngle(hip, knee, ankle);
+  const lineX = hip.x + (ankle.x - hip.x) * ((knee.y - hip.y) / ((ankle.y - hip.y) || 1e-6));
+  return Math.sign((knee.x - lineX) * medialSign || 1) * deviation;
+};
+
+export const computeFrontalMetrics = (lm, { width = 1, height = 1, cmPerPx = 1 }) => {
+  const px = (p) => ({ x: p.x * width, y: p.y * height, visibility: p.visibility });
+  const [shL, shR, hipL, hipR] = [px(lm[11]), px(lm[12]), px(lm[23]), px(lm[24])];
+  const [kneeL, kneeR, ankleL, ankleR] = [px(lm[25]), px(lm[26]), px(lm[27]), px(lm[28])];
+  const [wristL, wristR] = [px(lm[15]), px(lm[16])];
+
+  // 影像中「走者左側」的方向：正面拍攝時在畫面右邊 (+1)，背面拍攝在左邊 (-1)
+  const lrSign = Math.sign(shL.x - shR.x) || 1;
+  const hipWidth = Math.abs(hipL.x - hipR.x) || 1;
+
+  const midShoulder = midpoint(shL, shR);
+  const midHip = midpoint(hipL, hipR);
+  const midAnkle = midpoint(ankleL, ankleR);
+
+  const crosses = (wrist, side) => wrist.visibility > VISIBLE
+    ? (wrist.x - midShoulder.x) * lrSign * side < 0
+    : null;
+
+  return {
+    shoulderTilt: tiltAngle(shL, shR),
+    hipTilt: tiltAngle(hipL, hipR),
+    // 軀幹 (髖 -> 肩) 偏離鉛垂線，往走者左側為正
+    lateralLean: toDeg(Math.atan2((midShoulder.x - midHip.x) * lrSign, midHip.y - midShoulder.y)),
+    // 肩中點相對雙踝中點的側向位移 (髖寬 %)
+    lateralShift: ((midShoulder.x - midAnkle.x) * lrSign / hipWidth) * 100,
+    armCrossL: crosses(wristL, 1),
+    armCrossR: crosses(wristR, -1),
+    poleWidthRatio: Math.abs(wristL.x - wristR.x) / hipWidth,
+    kneeValgusL: kneeValgus(hipL, kneeL, ankleL, -lrSign),
+    kneeValgusR: kneeValgus(hipR, kneeR, ankleR, lrSign),
+    stepWidth: Math.abs(ankleL.x - ankleR.x) * cmPerPx
+  };
+};
+
+export const EMPTY_FRONTAL_SUMMARY = {
+  frames: 0,
+  avgShoulderTilt: 0, maxShoulderTilt: 0,
+  avgHipTilt: 0, maxHipTilt: 0,
+  avgLateralLean: 0, swayRange: 0,
+  armCrossing: 0,
+  avgPoleWidth: 0,
+  maxKneeValgusL: 0, maxKneeValgusR: 0,
+  avgStepWidth: 0
+};
+
+export const createFrontalAccumulator = () => {
+  let s;
+  const reset = () => {
+    s = {
+      frames: 0,
+      sumShoulder: 0, shoulderSamples: [], sumHip: 0, hipSamples: [],
+      sumLean: 0, shiftSamples: [],
+      crossFrames: 0, crossTotal: 0,
+      sumPole: 0,
+      valgusSamplesL: [], valgusSamplesR: [],
+      sumStepWidth: 0
+    };
+  };
+  reset();
+
+  const add = (m) => {
+    s.frames++;
+    s.sumShoulder += Math.abs(m.shoulderTilt);
+    s.shoulderSamples.push(Math.abs(m.shoulderTilt));
+    s.sumHip += Math.abs(m.hipTilt);
+    s.hipSamples.push(Math.abs(m.hipTilt));
+    s.sumLean += Math.abs(m.lateralLean);
+    s.shiftSamples.push(m.lateralShift);
+    [m.armCrossL, m.armCrossR].forEach((c) => {
+      if (c === null) return;
+      s.crossTotal++;
+      if (c) s.crossFrames++;
+    });
+    s.sumPole += m.poleWidthRatio;
+    s.valgusSamplesL.push(m.kneeValgusL);
+    s.valgusSamplesR.push(m.kneeValgusR);
+    s.sumStepWidth += m.stepWidth;
+  };
+
+  // strikeWidths：腳跟著地當下的步寬，有的話比逐幀平均更準
+  const getSummary = (strikeWidths = []) => {
+    if (!s.frames) return { ...EMPTY_FRONTAL_SUMMARY };
+    const avgStrikeWidth = strikeWidths.length ? strikeWidths.reduce((a, b) => a + b, 0) / strikeWidths.length : null;
+    return {
+      frames: s.frames,
+      avgShoulderTilt: s.sumShoulder / s.frames,
+      maxShoulderTilt: robustMax(s.shoulderSamples),
+      avgHipTilt: s.sumHip / s.frames,
+      maxHipTilt: robustMax(s.hipSamples),
+      avgLateralLean: s.sumLean / s.frames,
+      swayRange: robustMax(s.shiftSamples) - robustMin(s.shiftSamples),
+      armCrossing: s.crossTotal ? (s.crossFrames / s.crossTotal) * 100 : 0,
+      avgPoleWidth: s.sumPole / s.frames,
+      maxKneeValgusL: robustMax(s.valgusSamplesL),
+      maxKneeValgusR: robustMax(s.valgusSamplesR),
+      avgStepWidth: avgStrikeWidth ?? s.sumStepWidth / s.frames
+    };
+  };
+
+  return { add, reset, getSummary };
+};
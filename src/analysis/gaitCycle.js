@@ -0,0 +1,46 @@
+import { GAIT_EVENT } from './gaitEvents.js';
+
+/**
+ * 步態週期 (gait cycle)
+ * 一個週期為同側連續兩次腳跟著地；相位 phase ∈ [0, 1) 表示目前在週期中的位置。
+ * 預設以左腳著地為起點，參考示範與學員都用同一側，相位才能對齊。
+ */
+
+export const CYCLE_SIDE = 'L';
+
+// 週期長度超出合理範圍 (停下、漏偵測) 時不列入
+const MIN_CYCLE_MS = 600;
+const MAX_CYCLE_MS = 2500;
+
+export const cycleStarts = (events, side = CYCLE_SIDE) => events
+  .filter((e) => e.type === GAIT_EVENT.HEEL_STRIKE && e.side === side)
+  .map((e) => e.timestamp)
+  .sort((a, b) => a - b);
+
+// 完整週期列表：[{ start, end }] (ms)
+export const splitCycles = (events, side = CYCLE_SIDE) => {
+  const starts = cycleStarts(events, side);
+  return starts.slice(1)
+    .map((end, i) => ({ start: starts[i], end }))
+    .filter(({ start, end }) => end - start >= MIN_CYCLE_MS && end - start <= MAX_CYCLE_MS);
+};
+
+/**
+ * timestamp (ms) 的週期相位；不在任何週期內時回傳 null
+ * 即時分析時下一次著地還沒發生，以 expectedDuration (通常為上一個週期長度) 推估，
+ * 超過預估長度 (停下腳步) 即視為未知。
+ */
+export const phaseAt = (timestamp, starts, expectedDuration = null) => {
+  let i = starts.length - 1;
+  while (i >= 0 && starts[i] > timestamp) i--;
+  if (i < 0) return null;
+  const duration = i + 1 < starts.length ? starts[i + 1] - starts[i] : expectedDuration;
+  if (!duration || duration < MIN_CYCLE_MS || duration > MAX_CYCLE_MS) return null;
+  const phase = (timestamp - starts[i]) / duration;
+  return phase < 1 ? phase : null;
+};
+
+// 最近一個完整週期的長度，供即時分析推估相位
+export const lastCycleDuration = (starts) => (starts.length >= 2
+  ? starts[starts.length - 1] - starts[starts.length - 2]
+  : null);
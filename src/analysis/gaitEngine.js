@@ -0,0 +1,363 @@
+import { getDistance, getVerticalAngle, getAngle, midpoint } from './geometry.js';
+import { createGaitEventDetector, EMPTY_GAIT_SUMMARY, GAIT_EVENT } from './gaitEvents.js';
+import { detectPoles } from './poleDetection.js';
+import { createPoleTracker, EMPTY_POLE_SUMMARY } from './poleMetrics.js';
+import { computeFrontalMetrics, createFrontalAccumulator, EMPTY_FRONTAL_SUMMARY, isFrontalView } from './frontalMetrics.js';
+import { createLandmarkSmoother, isFrameUsable } from './landmarkFilter.js';
+import { robustMax, robustMin } from './robustStats.js';
+import { cmPerPxAt } from './calibration.js';
+import { computeJointAngles3d, createJointAccumulator, EMPTY_JOINT_SUMMARY } from './jointAngles3d.js';
+
+/**
+ * 步態分析引擎 (Headless)
+ * 輸入：帶時間戳的 MediaPipe 關鍵點序列 + viewMode / userHeight
+ * 輸出：逐幀指標與整段統計，不依賴 DOM 或 canvas，可直接在 Node 中執行。
+ *
+ * frame 格式：
+ *   { timestamp: 毫秒, landmarks: poseLandmarks (正規化 0~1), width: 影像寬 px, height: 影像高 px,
+ *     worldLandmarks?: poseWorldLandmarks (公尺),
+ *     pixels?: 縮小的 ImageData (偵測健走杖用), poles?: 已偵測好的杖 (回放 / 重算時) }
+ *
+ * 有 worldLandmarks 時軀幹與手臂角度改用 3D 計算 (見 jointAngles3d.js)，不受拍攝角度偏斜影響；
+ * 沒有時 (舊紀錄) 退回 2D 影像角度。兩者都保留在 metrics 中 (angles3d / angles2d)。
+ *
+ * 關鍵點先經時間濾波；主要關節信心度不足的幀仍回傳指標 (usable: false) 供畫面顯示，
+ * 但不計入統計與步態事件。最大 / 最小值取 P95 / P5。
+ */
+
+// 內部代碼；顯示文字由 i18n 的 hand.<code> 提供
+export const HAND_STATE = {
+  OPEN: 'open',
+  FIST: 'fist',
+  UNKNOWN: 'unknown'
+};
+
+// 舊版紀錄直接存中文狀態，讀取時轉成代碼
+const LEGACY_HAND_STATE = { 張開: HAND_STATE.OPEN, 握拳: HAND_STATE.FIST, 未知: HAND_STATE.UNKNOWN };
+
+export const normalizeHandState = (state) => LEGACY_HAND_STATE[state] ?? state;
+
+// 指尖到手腕平均距離 / 前臂長；關鍵點信心度太低時回傳 null
+export const handOpenRatio = (landmarks, side) => {
+  const offset = side === 'Left' ? 0 : 1;
+  const wrist = landmarks[15 + offset];
+  const elbow = landmarks[13 + offset];
+  const pinky = landmarks[17 + offset];
+  const index = landmarks[19 + offset];
+  const thumb = landmarks[21 + offset];
+
+  // 如果關鍵點信心度太低，直接回傳未知
+  if (!wrist || !elbow || !pinky || !index || !thumb ||
+      wrist.visibility < 0.5 || index.visibility < 0.5) return null;
+
+  // 前臂長度 (作為比例尺)
+  const forearmLen = getDistance(wrist, elbow);
+
+  // 計算指尖到手腕的平均距離
+  const fingerDist = (getDistance(wrist, pinky) + getDistance(wrist, index) + getDistance(wrist, thumb)) / 3;
+
+  // 正規化比值
+  return fingerDist / forearmLen;
+};
+
+// [修正] 調降閾值：
+// 之前的 0.32 對於後擺(遠處)來說太嚴格，容易判斷成握拳。
+// 下修至 0.25，只要手指有一點伸展就算張開。
+const HAND_OPEN_RATIO = 0.25;
+
+// 判斷手掌狀態 (單幀，無遲滯)
+export const analyzeHandState = (landmarks, side) => {
+  const ratio = handOpenRatio(landmarks, side);
+  if (ratio === null) return HAND_STATE.UNKNOWN;
+  return ratio > HAND_OPEN_RATIO ? HAND_STATE.OPEN : HAND_STATE.FIST;
+};
+
+// 遲滯：比值需越過上下門檻、且連續數幀都成立才切換，避免在門檻附近逐幀跳動
+const HAND_HYSTERESIS = 0.03;
+const HAND_HOLD_FRAMES = 3;
+const HAND_UNKNOWN_AFTER = 5; // 連續幾幀看不到手才改回未知
+
+export const createHandStateFilter = () => {
+  let state, pending, pendingCount, missing;
+  const reset = () => {
+    state = HAND_STATE.UNKNOWN;
+    pending = null;
+    pendingCount = 0;
+    missing = 0;
+  };
+  reset();
+
+  const update = (ratio) => {
+    if (ratio === null) {
+      if (++missing > HAND_UNKNOWN_AFTER) state = HAND_STATE.UNKNOWN;
+      return state;
+    }
+    missing = 0;
+    let candidate = state;
+    if (ratio > HAND_OPEN_RATIO + HAND_HYSTERESIS) candidate = HAND_STATE.OPEN;
+    else if (ratio < HAND_OPEN_RATIO - HAND_HYSTERESIS) candidate = HAND_STATE.FIST;
+    else if (state === HAND_STATE.UNKNOWN) candidate = ratio > HAND_OPEN_RATIO ? HAND_STATE.OPEN : HAND_STATE.FIST;
+
+    if (candidate === state || state === HAND_STATE.UNKNOWN) {
+      state = candidate;
+      pending = null;
+      return state;
+    }
+    pendingCount = candidate === pending ? pendingCount + 1 : 1;
+    pending = candidate;
+    if (pendingCount >= HAND_HOLD_FRAMES) {
+      state = candidate;
+      pending = null;
+    }
+    return state;
+  };
+
+  return { update, reset };
+};
+
+const createEmptyStats = () => ({
+  totalFrames: 0,
+  torsoSamples: [], sumTorso: 0, countTorso: 0,
+  armFwdSamples: [], armBackSamples: [], sumArm: 0, countArm: 0,
+  stepSamples: [], sumStep: 0, countStepSample: 0,
+  fistCount: 0, openCount: 0, totalHandFrames: 0,
+  sumLean: 0, countLean: 0,
+  backOpen: 0, backTotal: 0, frontFist: 0, frontTotal: 0
+});
+
+// 手臂需擺出此角度以上才判定在前/後擺位置 (避免垂手時誤判)
+export const SWING_PHASE_MIN_ANGLE = 15;
+
+// 側面視角下手肘相對肩膀的前後方向：> 0 為前擺、< 0 為後擺
+export const armSwingDirection = (lm, viewMode) => {
+  const sign = viewMode === 'side_left' ? -1 : 1;
+  return { L: (lm[13].x - lm[11].x) * sign, R: (lm[14].x - lm[12].x) * sign };
+};
+
+export const EMPTY_SUMMARY = {
+  frames: 0, totalFrames: 0, usableRatio: 0,
+  avgTorso: 0, maxTorso: 0, minTorso: 0,
+  avgArm: 0, maxArmFwd: 0, maxArmBack: 0,
+  avgStep: 0, maxStep: 0,
+  steps: 0,
+  handRatio: 0,
+  avgLean: 0,
+  handOpenBack: null, handFistFront: null,
+  gait: EMPTY_GAIT_SUMMARY,
+  frontal: EMPTY_FRONTAL_SUMMARY,
+  poles: EMPTY_POLE_SUMMARY,
+  joints: EMPTY_JOINT_SUMMARY
+};
+
+// options.calibration：analysis/calibration 的校正結果；null 時以每幀頭到腳跟高度估計比例
+export const createGaitAnalyzer = (initialOptions = {}) => {
+  let options = { viewMode: 'side_left', userHeight: 170, calibration: null, ...initialOptions };
+  let stats = createEmptyStats();
+  const events = createGaitEventDetector({ viewMode: options.viewMode });
+  const frontalStats = createFrontalAccumulator();
+  const poleTracker = createPoleTracker();
+  const jointStats = createJointAccumulator();
+  const smoother = createLandmarkSmoother();
+  const worldSmoother = createLandmarkSmoother();
+  const handFilters = { L: createHandStateFilter(), R: createHandStateFilter() };
+
+  const processFrame = ({ timestamp = 0, landmarks: rawLandmarks, worldLandmarks = null, width = 1, height = 1, pixels = null, poles = undefined }) => {
+    if (!rawLandmarks) return null;
+    const { viewMode, userHeight, calibration } = options;
+    const lm = smoother.smooth(rawLandmarks, timestamp);
+    const usable = isFrameUsable(rawLandmarks);
+    stats.totalFrames++;
+
+    const angles3d = worldLandmarks ? computeJointAngles3d(worldSmoother.smooth(worldLandmarks, timestamp), viewMode) : null;
+    if (usable && angles3d) jointStats.add(angles3d);
+
+    // 比例尺：有校正時依雙腳觸地點套用 (含地面透視)
+    const groundY = (lm[29].y + lm[30].y) / 2;
+    const pxHeight = Math.abs(lm[30].y - lm[2].y) * height;
+    const cmPerPx = cmPerPxAt(calibration, groundY, { height, userHeight }) ?? userHeight / (pxHeight || 1);
+
+    // 手掌狀態分析
+    const handL = handFilters.L.update(handOpenRatio(lm, 'Left'));
+    const handR = handFilters.R.update(handOpenRatio(lm, 'Right'));
+
+    // 軀幹中軸 & 質心
+    const midShoulder = midpoint(lm[11], lm[12]);
+    const midHip = midpoint(lm[23], lm[24]);
+    const com = { x: midHip.x, y: midHip.y - (midHip.y - midShoulder.y) * 0.2 };
+
+    // 1. 軀幹：肩 -> 髖向量與鉛垂線夾角 (0° 為直立)；2D 以像素座標計算
+    const toPx = (p) => ({ x: p.x * width, y: p.y * height });
+    const lean2d = getVerticalAngle(toPx(midShoulder), toPx(midHip));
+    const lean = angles3d ? angles3d.trunkInclination : lean2d;
+    if (usable) {
+      stats.torsoSamples.push(lean);
+      stats.sumTorso += lean;
+      stats.countTorso++;
+    }
+
+    // 側面視角才有前後之分：前傾為正、後仰為負
+    const isSide = !isFrontalView(viewMode);
+    const forwardSign = viewMode === 'side_left' ? -1 : 1;
+    const forwardLean = isSide
+      ? (angles3d ? angles3d.forwardLean : Math.sign((midShoulder.x - midHip.x) * forwardSign || 1) * lean2d)
+      : null;
+    if (usable && forwardLean !== null) {
+      stats.sumLean += forwardLean;
+      stats.countLean++;
+    }
+
+    // 2. 手臂 & 手掌：3D 時擺臂角為肩屈曲 / 伸展的絕對值，正負號即前後方向
+    const armL2d = getAngle(lm[23], lm[11], lm[13]);
+    const armR2d = getAngle(lm[24], lm[12], lm[14]);
+    const armL = angles3d ? Math.abs(angles3d.shoulderFlexL) : armL2d;
+    const armR = angles3d ? Math.abs(angles3d.shoulderFlexR) : armR2d;
+
+    const { L: lArmDir, R: rArmDir } = angles3d
+      ? { L: angles3d.shoulderFlexL, R: angles3d.shoulderFlexR }
+      : armSwingDirection(lm, viewMode);
+
+    // 前後擺臂只在側面視角有意義
+    if (usable && isSide) {
+      (lArmDir > 0 ? stats.armFwdSamples : stats.armBackSamples).push(armL);
+      (rArmDir > 0 ? stats.armFwdSamples : stats.armBackSamples).push(armR);
+
+      stats.sumArm += (armL + armR)/2;
+      stats.countArm++;
+    }
+
+    if (usable) {
+      stats.totalHandFrames++;
+      if(handL === HAND_STATE.FIST) stats.fistCount++; else if(handL === HAND_STATE.OPEN) stats.openCount++;
+      if(handR === HAND_STATE.FIST) stats.fistCount++; else if(handR === HAND_STATE.OPEN) stats.openCount++;
+    }
+
+    // 手掌時機：後擺應張開、前擺應握拳
+    [[lArmDir, armL, handL], [rArmDir, armR, handR]].forEach(([dir, angle, hand]) => {
+      if (!usable || !isSide || hand === HAND_STATE.UNKNOWN || angle < SWING_PHASE_MIN_ANGLE) return;
+      if (dir > 0) {
+        stats.frontTotal++;
+        if (hand === HAND_STATE.FIST) stats.frontFist++;
+      } else {
+        stats.backTotal++;
+        if (hand === HAND_STATE.OPEN) stats.backOpen++;
+      }
+    });
+
+    // 3. 步幅 (側面) / 冠狀面指標 (正面、背面)
+    const ankleDist = Math.abs(lm[27].x - lm[28].x) * width;
+    const stepLength = isSide ? ankleDist * cmPerPx : null;
+    if (usable && isSide) {
+      stats.stepSamples.push(stepLength);
+      stats.sumStep += stepLength;
+      stats.countStepSample++;
+    }
+
+    const frontal = isSide ? null : computeFrontalMetrics(lm, { width, height, cmPerPx });
+    if (usable && frontal) frontalStats.add(frontal);
+
+    // 4. 步態事件 (腳跟著地 / 腳尖離地 / 撐杖)；無效幀不餵入，避免誤判步伐
+    const newEvents = usable
+      ? events.push({
+          timestamp, landmarks: lm, width, height,
+          stepLength: stepLength ?? 0,
+          stepWidth: frontal ? frontal.stepWidth : null
+        })
+      : [];
+
+    // 5. 健走杖 (需要影像像素；回放時沿用已存的偵測結果)
+    // 偵測用原始關鍵點：杖是從當下影像找的，濾波後的手腕可能落後實際位置
+    const detectedPoles = poles !== undefined ? poles : (pixels ? detectPoles(pixels, rawLandmarks) : null);
+    const poleMetrics = usable
+      ? poleTracker.push({
+          timestamp, poles: detectedPoles, landmarks: lm, width, height, cmPerPx,
+          forwardSign: isSide ? forwardSign : null,
+          events: newEvents
+        })
+      : detectedPoles;
+
+    return {
+      timestamp,
+      usable,
+      torsoAngle: lean,
+      forwardLean,
+      armAngleL: armL,
+      armAngleR: armR,
+      stepLength,
+      handL,
+      handR,
+      comX: com.x,
+      cmPerPx,
+      angles3d,
+      angles2d: { torsoAngle: lean2d, armAngleL: armL2d, armAngleR: armR2d },
+      frontal,
+      poles: poleMetrics,
+      events: newEvents,
+      points: { midShoulder, midHip, com }
+    };
+  };
+
+  const getSummary = () => {
+    if (!stats.countTorso) return { ...EMPTY_SUMMARY, totalFrames: stats.totalFrames };
+    const gait = events.getSummary();
+    return {
+      frames: stats.countTorso,
+      totalFrames: stats.totalFrames,
+      usableRatio: (stats.countTorso / stats.totalFrames) * 100,
+      avgTorso: stats.sumTorso / stats.countTorso,
+      maxTorso: robustMax(stats.torsoSamples),
+      minTorso: robustMin(stats.torsoSamples),
+      avgArm: stats.countArm ? stats.sumArm / stats.countArm : 0,
+      maxArmFwd: robustMax(stats.armFwdSamples),
+      maxArmBack: robustMax(stats.armBackSamples),
+      avgStep: stats.countStepSample ? stats.sumStep / stats.countStepSample : 0,
+      maxStep: robustMax(stats.stepSamples),
+      steps: gait.steps,
+      handRatio: (stats.fistCount / (stats.fistCount + stats.openCount || 1)) * 100,
+      avgLean: stats.countLean ? stats.sumLean / stats.countLean : 0,
+      // 沒有任何擺臂樣本時為 null (資料不足)，與 0% 區分
+      handOpenBack: stats.backTotal ? (stats.backOpen / stats.backTotal) * 100 : null,
+      handFistFront: stats.frontTotal ? (stats.frontFist / stats.frontTotal) * 100 : null,
+      gait,
+      frontal: frontalStats.getSummary(
+        events.getEvents()
+          .filter((e) => e.type === GAIT_EVENT.HEEL_STRIKE && e.stepWidth !== undefined)
+          .map((e) => e.stepWidth)
+      ),
+      poles: poleTracker.getSummary(),
+      joints: jointStats.getSummary()
+    };
+  };
+
+  return {
+    processFrame,
+    getSummary,
+    getEvents: events.getEvents,
+    getOptions: () => ({ ...options }),
+    setOptions: (next) => {
+      options = { ...options, ...next };
+      events.setOptions({ viewMode: options.viewMode });
+    },
+    reset: () => {
+      stats = createEmptyStats();
+      events.reset();
+      frontalStats.reset();
+      poleTracker.reset();
+      jointStats.reset();
+      smoother.reset();
+      worldSmoother.reset();
+      handFilters.L.reset();
+      handFilters.R.reset();
+    }
+  };
+};
+
+// 一次分析整段關鍵點序列 (例如錄好的 landmark 檔)
+export const analyzeLandmarkStream = (frames, options) => {
+  const analyzer = createGaitAnalyzer(options);
+  const metrics = [];
+  for (const frame of frames) {
+    const m = analyzer.processFrame(frame);
+    if (m) metrics.push(m);
+  }
+  return { frames: metrics, events: analyzer.getEvents(), summary: analyzer.getSummary() };
+};
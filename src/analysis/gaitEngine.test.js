@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLandmarkStream } from './gaitEngine.js';
+
+/**
+ * 以合成的側面 (side_left，往畫面左方前進) 關鍵點序列做回歸測試
+ * 骨盆固定在畫面中央，雙腳前後正弦擺動；右腳相位可調以製造不對稱步時。
+ */
+
+const FPS = 60; // 著地時間 (0.25 s、0.65 s…) 剛好落在幀上
+const SIZE = 1000;
+const SHOULDER_Y = 0.25;
+const HIP_Y = 0.55;
+const ANKLE_Y = 0.9;
+const SWING = 0.1; // 腳跟前後擺幅 (畫面寬度比例)
+
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+// stridePeriod：同側兩次著地間隔 (秒)；rightPhase：右腳著地落在左腳著地後的跨步比例
+// lean：軀幹前傾角 (度)，0 為直立
+const syntheticWalk = ({ duration = 10.25, stridePeriod = 1, rightPhase = 0.5, lean = 0 } = {}) => {
+  const shoulderX = 0.5 - Math.tan((lean * Math.PI) / 180) * (HIP_Y - SHOULDER_Y);
+  const frames = [];
+  for (let i = 0; i < Math.round(duration * FPS); i++) {
+    const t = i / FPS;
+    const phase = (2 * Math.PI * t) / stridePeriod;
+    // 往左前進：x 越小越前面；sin 峰值即腳跟最前方 (著地)
+    const footL = 0.5 - SWING * Math.sin(phase);
+    const footR = 0.5 - SWING * Math.sin(phase - 2 * Math.PI * rightPhase);
+    const lm = Array.from({ length: 33 }, () => point(0.5, 0.2));
+    lm[11] = point(shoulderX, SHOULDER_Y);
+    lm[12] = point(shoulderX, SHOULDER_Y);
+    lm[13] = point(footR, 0.4);
+    lm[14] = point(footL, 0.4);
+    lm[15] = point(footR, 0.5);
+    lm[16] = point(footL, 0.5);
+    lm[23] = point(0.5, HIP_Y);
+    lm[24] = point(0.5, HIP_Y);
+    lm[27] = point(footL, ANKLE_Y);
+    lm[28] = point(footR, ANKLE_Y);
+    lm[29] = point(footL + 0.01, ANKLE_Y + 0.02);
+    lm[30] = point(footR + 0.01, ANKLE_Y + 0.02);
+    lm[31] = point(footL - 0.04, ANKLE_Y + 0.03);
+    lm[32] = point(footR - 0.04, ANKLE_Y + 0.03);
+    frames.push({ timestamp: t * 1000, landmarks: lm, width: SIZE, height: SIZE });
+  }
+  return frames;
+};
+
+const analyze = (options) => analyzeLandmarkStream(syntheticWalk(options), { viewMode: 'side_left' }).summary;
+
+test('步頻與步數符合合成步態', () => {
+  const { gait, usableRatio } = analyze({ stridePeriod: 1 });
+  assert.equal(usableRatio, 100);
+  assert.equal(gait.stepsL, 10);
+  assert.equal(gait.stepsR, 10);
+  assert.equal(gait.steps, 20);
+  assert.ok(Math.abs(gait.cadence - 120) < 2, `cadence ${gait.cadence}`);
+  assert.ok(Math.abs(gait.strideTime - 1000) < 20, `strideTime ${gait.strideTime}`);
+});
+
+test('左右交替對稱時對稱指數接近 0', () => {
+  const { gait } = analyze({ rightPhase: 0.5 });
+  assert.ok(gait.stepTimeSymmetry < 3, `stepTimeSymmetry ${gait.stepTimeSymmetry}`);
+  assert.ok(gait.stepLengthSymmetry < 3, `stepLengthSymmetry ${gait.stepLengthSymmetry}`);
+});
+
+test('步時不對稱 (右 0.4、左 0.6 跨步) 時對稱指數約 40', () => {
+  const { gait } = analyze({ rightPhase: 0.4 });
+  assert.ok(Math.abs(gait.stepTimeR - 400) < 30, `stepTimeR ${gait.stepTimeR}`);
+  assert.ok(Math.abs(gait.stepTimeL - 600) < 30, `stepTimeL ${gait.stepTimeL}`);
+  assert.ok(Math.abs(gait.stepTimeSymmetry - 40) < 5, `stepTimeSymmetry ${gait.stepTimeSymmetry}`);
+});
+
+// 軀幹角度為肩 -> 髖向量與鉛垂線夾角：直立為 0° (舊版以 180° 表示直立)
+test('直立時軀幹角度約 0°', () => {
+  const summary = analyze({ lean: 0 });
+  assert.ok(Math.abs(summary.avgTorso) < 0.5, `avgTorso ${summary.avgTorso}`);
+  assert.ok(Math.abs(summary.avgLean) < 0.5, `avgLean ${summary.avgLean}`);
+});
+
+test('前傾 10° 時軀幹角度與前傾角約 10°', () => {
+  const summary = analyze({ lean: 10 });
+  assert.ok(Math.abs(summary.avgTorso - 10) < 0.5, `avgTorso ${summary.avgTorso}`);
+  assert.ok(Math.abs(summary.avgLean - 10) < 0.5, `avgLean ${summary.avgLean}`);
+});
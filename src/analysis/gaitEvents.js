@@ -0,0 +1,233 @@
+/**
+ * 步態事件偵測
+ * 以「足部相對骨盆在前進方向上的位置」找腳跟著地 / 腳尖離地 (Zeni et al. 2008)：
+ *   - 腳跟著地 (heel strike)：腳跟 (29/30) 在最前方的峰值
+ *   - 腳尖離地 (toe-off)：腳尖 (31/32) 在最後方的谷值
+ *   - 撐杖 (pole plant)：手腕 (15/16) 前擺到最前方的峰值，由手腕軌跡估計
+ * 訊號以腿長正規化並先做 EMA 平滑，再用遲滯 (prominence) 峰谷偵測，避免雜訊幀重複計步。
+ */
+
+export const GAIT_EVENT = {
+  HEEL_STRIKE: 'heelStrike',
+  TOE_OFF: 'toeOff',
+  POLE_PLANT: 'polePlant'
+};
+
+const SMOOTH_TAU_MS = 60;        // EMA 時間常數
+const PROMINENCE = 0.15;          // 峰谷落差門檻 (腿長比例)
+const MIN_SAME_SIDE_MS = 500;     // 同側兩次事件最短間隔
+const COORDINATION_TOLERANCE = 0.25; // 撐杖與對側著地容許誤差 (步時比例)
+
+// 各視角在影像 (像素座標) 中的前進方向
+// 正面/背面視角以垂直方向近似：走向鏡頭時前腳在畫面較低處
+const FORWARD_AXIS = {
+  side_left: { x: -1, y: 0 },
+  side_right: { x: 1, y: 0 },
+  front: { x: 0, y: 1 },
+  back: { x: 0, y: -1 }
+};
+
+// 串流式遲滯峰谷偵測：訊號從極值回落超過 prominence 才確認該極值
+export const createPeakDetector = ({ prominence = PROMINENCE, minInterval = MIN_SAME_SIDE_MS } = {}) => {
+  let mode = 0; // 1 找峰、-1 找谷、0 尚未決定
+  let ext = null; // 目前候選極值 { t, v }
+  let lo = null, hi = null; // mode 0 時的區間極值
+  let lastPeakT = -Infinity;
+  let lastTroughT = -Infinity;
+
+  const push = (t, v) => {
+    const out = [];
+    if (mode === 0) {
+      if (!lo || v < lo.v) lo = { t, v };
+      if (!hi || v > hi.v) hi = { t, v };
+      if (v > lo.v + prominence) { mode = 1; ext = { t, v }; }
+      else if (v < hi.v - prominence) { mode = -1; ext = { t, v }; }
+      return out;
+    }
+
+    if (mode === 1) {
+      if (v > ext.v) ext = { t, v };
+      else if (v < ext.v - prominence) {
+        if (ext.t - lastPeakT >= minInterval) {
+          out.push({ kind: 'peak', t: ext.t, v: ext.v });
+          lastPeakT = ext.t;
+        }
+        mode = -1;
+        ext = { t, v };
+      }
+    } else {
+      if (v < ext.v) ext = { t, v };
+      else if (v > ext.v + prominence) {
+        if (ext.t - lastTroughT >= minInterval) {
+          out.push({ kind: 'trough', t: ext.t, v: ext.v });
+          lastTroughT = ext.t;
+        }
+        mode = 1;
+        ext = { t, v };
+      }
+    }
+    return out;
+  };
+
+  return { push };
+};
+
+const createSmoother = (tau = SMOOTH_TAU_MS) => {
+  let last = null;
+  return (t, v) => {
+    if (!last) { last = { t, v }; return v; }
+    const alpha = 1 - Math.exp(-Math.max(t - last.t, 0) / tau);
+    last = { t, v: last.v + alpha * (v - last.v) };
+    return last.v;
+  };
+};
+
+const SIGNALS = [
+  { key: 'heelL', idx: 29, side: 'L', type: GAIT_EVENT.HEEL_STRIKE, kind: 'peak' },
+  { key: 'heelR', idx: 30, side: 'R', type: GAIT_EVENT.HEEL_STRIKE, kind: 'peak' },
+  { key: 'toeL', idx: 31, side: 'L', type: GAIT_EVENT.TOE_OFF, kind: 'trough' },
+  { key: 'toeR', idx: 32, side: 'R', type: GAIT_EVENT.TOE_OFF, kind: 'trough' },
+  { key: 'wristL', idx: 15, side: 'L', type: GAIT_EVENT.POLE_PLANT, kind: 'peak' },
+  { key: 'wristR', idx: 16, side: 'R', type: GAIT_EVENT.POLE_PLANT, kind: 'peak' }
+];
+
+export const createGaitEventDetector = (initialOptions = {}) => {
+  let options = { viewMode: 'side_left', ...initialOptions };
+  let channels = {};
+  let events = [];
+  let recentSteps = [];
+
+  const reset = () => {
+    channels = Object.fromEntries(SIGNALS.map((s) => [s.key, {
+      smooth: createSmoother(),
+      detector: createPeakDetector()
+    }]));
+    events = [];
+    recentSteps = [];
+  };
+  reset();
+
+  // 回傳這一幀新確認的事件 (事件時間會比當前幀稍早)
+  const push = ({ timestamp, landmarks: lm, width = 1, height = 1, stepLength = 0, stepWidth = null }) => {
+    if (!lm) return [];
+    const axis = FORWARD_AXIS[options.viewMode] || FORWARD_AXIS.side_left;
+    const px = (p) => ({ x: p.x * width, y: p.y * height });
+
+    const hipL = px(lm[23]), hipR = px(lm[24]);
+    const pelvis = { x: (hipL.x + hipR.x) / 2, y: (hipL.y + hipR.y) / 2 };
+    const ankleL = px(lm[27]), ankleR = px(lm[28]);
+    const legLen = (Math.hypot(hipL.x - ankleL.x, hipL.y - ankleL.y) +
+                    Math.hypot(hipR.x - ankleR.x, hipR.y - ankleR.y)) / 2 || 1;
+
+    // 步幅 / 步寬在事件確認時才知道，保留最近數幀以回填著地當下的值
+    recentSteps.push({ t: timestamp, stepLength, stepWidth });
+    if (recentSteps.length > 60) recentSteps.shift();
+
+    const found = [];
+    for (const s of SIGNALS) {
+      const p = px(lm[s.idx]);
+      const raw = ((p.x - pelvis.x) * axis.x + (p.y - pelvis.y) * axis.y) / legLen;
+      const ch = channels[s.key];
+      for (const hit of ch.detector.push(timestamp, ch.smooth(timestamp, raw))) {
+        if (hit.kind !== s.kind) continue;
+        const event = { type: s.type, side: s.side, timestamp: hit.t };
+        if (s.type === GAIT_EVENT.HEEL_STRIKE) {
+          const atStrike = recentSteps.find((x) => x.t === hit.t) || { stepLength, stepWidth };
+          event.stepLength = atStrike.stepLength;
+          if (atStrike.stepWidth !== null) event.stepWidth = atStrike.stepWidth;
+        }
+        found.push(event);
+      }
+    }
+    found.sort((a, b) => a.timestamp - b.timestamp);
+    events.push(...found);
+    return found;
+  };
+
+  return {
+    push,
+    reset,
+    getEvents: () => events.slice(),
+    getSummary: () => summarizeGaitEvents(events),
+    setOptions: (next) => { options = { ...options, ...next }; }
+  };
+};
+
+const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+// 對稱指數 SI = |L - R| / ((L + R) / 2) × 100，0 為完全對稱
+export const symmetryIndex = (l, r) => (l + r) ? (Math.abs(l - r) / ((l + r) / 2)) * 100 : 0;
+
+export const EMPTY_GAIT_SUMMARY = {
+  steps: 0, stepsL: 0, stepsR: 0,
+  cadence: 0,
+  strideTime: 0,
+  stepTimeL: 0, stepTimeR: 0, stepTimeSymmetry: 0,
+  stepLengthL: 0, stepLengthR: 0, stepLengthSymmetry: 0,
+  polePlants: 0,
+  poleOffset: 0,
+  coordination: 0
+};
+
+export const summarizeGaitEvents = (events) => {
+  const strikes = events.filter((e) => e.type === GAIT_EVENT.HEEL_STRIKE).sort((a, b) => a.timestamp - b.timestamp);
+  const plants = events.filter((e) => e.type === GAIT_EVENT.POLE_PLANT);
+  if (!strikes.length) return { ...EMPTY_GAIT_SUMMARY, polePlants: plants.length };
+
+  const left = strikes.filter((e) => e.side === 'L');
+  const right = strikes.filter((e) => e.side === 'R');
+
+  // 步頻 (步/分)
+  const span = strikes[strikes.length - 1].timestamp - strikes[0].timestamp;
+  const cadence = span > 0 ? ((strikes.length - 1) / span) * 60000 : 0;
+
+  // 跨步時間：同側連續兩次著地
+  const strideIntervals = [left, right].flatMap((list) =>
+    list.slice(1).map((e, i) => e.timestamp - list[i].timestamp));
+
+  // 步時：對側著地 -> 本側著地
+  const stepTimes = { L: [], R: [] };
+  strikes.slice(1).forEach((e, i) => {
+    const prev = strikes[i];
+    if (prev.side !== e.side) stepTimes[e.side].push(e.timestamp - prev.timestamp);
+  });
+  const stepTimeL = mean(stepTimes.L);
+  const stepTimeR = mean(stepTimes.R);
+  const stepLengthL = mean(left.map((e) => e.stepLength || 0));
+  const stepLengthR = mean(right.map((e) => e.stepLength || 0));
+
+  // 手腳協調：撐杖應與「對側」腳跟著地同時發生
+  const stepTime = mean([...stepTimes.L, ...stepTimes.R]) || 600;
+  const tolerance = stepTime * COORDINATION_TOLERANCE;
+  let matched = 0;
+  const offsets = [];
+  for (const p of plants) {
+    const nearest = (side) => strikes
+      .filter((e) => e.side === side)
+      .reduce((best, e) => (!best || Math.abs(e.timestamp - p.timestamp) < Math.abs(best.timestamp - p.timestamp)) ? e : best, null);
+    const contra = nearest(p.side === 'L' ? 'R' : 'L');
+    const ipsi = nearest(p.side);
+    if (!contra) continue;
+    const offset = p.timestamp - contra.timestamp;
+    offsets.push(offset);
+    const ipsiCloser = ipsi && Math.abs(ipsi.timestamp - p.timestamp) < Math.abs(offset);
+    if (Math.abs(offset) <= tolerance && !ipsiCloser) matched++;
+  }
+
+  return {
+    steps: strikes.length,
+    stepsL: left.length,
+    stepsR: right.length,
+    cadence,
+    strideTime: mean(strideIntervals),
+    stepTimeL,
+    stepTimeR,
+    stepTimeSymmetry: stepTimeL && stepTimeR ? symmetryIndex(stepTimeL, stepTimeR) : 0,
+    stepLengthL,
+    stepLengthR,
+    stepLengthSymmetry: stepLengthL && stepLengthR ? symmetryIndex(stepLengthL, stepLengthR) : 0,
+    polePlants: plants.length,
+    poleOffset: mean(offsets),
+    coordination: plants.length ? (matched / plants.length) * 100 : 0
+  };
+};
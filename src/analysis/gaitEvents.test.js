@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPeakDetector, summarizeGaitEvents, symmetryIndex, GAIT_EVENT } from './gaitEvents.js';
+
+const strike = (side, timestamp, stepLength = 0) => ({ type: GAIT_EVENT.HEEL_STRIKE, side, timestamp, stepLength });
+const plant = (side, timestamp) => ({ type: GAIT_EVENT.POLE_PLANT, side, timestamp });
+
+test('峰谷偵測：落差超過 prominence 才確認，並回報極值時間', () => {
+  const detector = createPeakDetector({ prominence: 0.5, minInterval: 0 });
+  const hits = [[0, 0], [100, 1], [200, 2], [300, 1], [400, 0], [500, 1]]
+    .flatMap(([t, v]) => detector.push(t, v));
+  assert.deepEqual(hits, [{ kind: 'peak', t: 200, v: 2 }, { kind: 'trough', t: 400, v: 0 }]);
+});
+
+test('峰谷偵測：小於 prominence 的抖動不算', () => {
+  const detector = createPeakDetector({ prominence: 0.5, minInterval: 0 });
+  const hits = [0, 0.3, 0.1, 0.4, 0.2, 0.3].flatMap((v, i) => detector.push(i * 100, v));
+  assert.deepEqual(hits, []);
+});
+
+test('峰谷偵測：同類事件間隔太短時略過', () => {
+  const detector = createPeakDetector({ prominence: 0.5, minInterval: 500 });
+  const values = [0, 1, 0, 1, 0, 1, 0];
+  const peaks = values.flatMap((v, i) => detector.push(i * 200, v)).filter((h) => h.kind === 'peak');
+  assert.deepEqual(peaks.map((p) => p.t), [200, 1000]);
+});
+
+test('對稱指數', () => {
+  assert.equal(symmetryIndex(500, 500), 0);
+  assert.equal(symmetryIndex(600, 400), 40);
+  assert.equal(symmetryIndex(0, 0), 0);
+});
+
+test('步態統計：步數、步頻、跨步時間與步長對稱', () => {
+  const events = [
+    strike('L', 0, 60), strike('R', 500, 60), strike('L', 1000, 60),
+    strike('R', 1500, 40), strike('L', 2000, 60), strike('R', 2500, 40)
+  ];
+  const gait = summarizeGaitEvents(events);
+  assert.equal(gait.steps, 6);
+  assert.equal(gait.stepsL, 3);
+  assert.equal(gait.stepsR, 3);
+  assert.equal(gait.cadence, 120);
+  assert.equal(gait.strideTime, 1000);
+  assert.equal(gait.stepTimeSymmetry, 0);
+  assert.ok(Math.abs(gait.stepLengthR - 140 / 3) < 1e-9);
+  assert.equal(gait.stepLengthSymmetry, symmetryIndex(60, 140 / 3));
+});
+
+test('手腳協調：撐杖與對側著地同時才算', () => {
+  const events = [
+    strike('L', 0), strike('R', 500), strike('L', 1000), strike('R', 1500),
+    // 右杖配左腳 (協調)、左杖配右腳但晚了 300 ms (不協調)
+    plant('R', 1020), plant('L', 1800)
+  ];
+  const gait = summarizeGaitEvents(events);
+  assert.equal(gait.polePlants, 2);
+  assert.equal(gait.coordination, 50);
+  assert.equal(gait.poleOffset, (20 + 300) / 2);
+});
+
+test('沒有著地事件時回傳空統計', () => {
+  const gait = summarizeGaitEvents([plant('L', 100)]);
+  assert.equal(gait.steps, 0);
+  assert.equal(gait.cadence, 0);
+  assert.equal(gait.polePlants, 1);
+});
@@ -0,0 +1,23 @@
+// --- 幾何運算 ---
+// 所有函式只吃 { x, y } 座標 (MediaPipe 正規化座標或像素皆可)，不依賴 DOM。
+
+export const getDistance = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+
+// p1 -> p2 向量與垂直向下方向的夾角 (度)
+export const getVerticalAngle = (p1, p2) => {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const rad = Math.acos(dy / (Math.sqrt(dx*dx + dy*dy) + 0.0001));
+  return (rad * 180) / Math.PI;
+};
+
+// 以 B 為頂點的夾角 ∠ABC (度)
+export const getAngle = (A, B, C) => {
+  const AB = Math.sqrt(Math.pow(B.x - A.x, 2) + Math.pow(B.y - A.y, 2));
+  const BC = Math.sqrt(Math.pow(B.x - C.x, 2) + Math.pow(B.y - C.y, 2));
+  const AC = Math.sqrt(Math.pow(C.x - A.x, 2) + Math.pow(C.y - A.y, 2));
+  const rad = Math.acos((AB*AB + BC*BC - AC*AC) / (2 * AB * BC + 0.0001));
+  return (rad * 180) / Math.PI;
+};
+
+export const midpoint = (p1, p2) => ({ x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 });
@@ -0,0 +1,55 @@
+import { createGaitAnalyzer, analyzeLandmarkStream } from './gaitEngine.js';
+
+/**
+ * 團體分析：每個追蹤到的人各自一組統計
+ * 結果格式 (即時與整段相同)：[{ id, frames, summary }]，依 id 排序
+ * 出現幀數太少的 (路人、短暫誤偵測) 不列入。
+ */
+
+export const MIN_PERSON_FRAMES = 15;
+
+// 即時：每幀把 personTracker 的結果餵進來，各 id 各一個 analyzer
+export const createGroupAnalyzer = (initialOptions = {}) => {
+  let options = { ...initialOptions };
+  let analyzers = new Map();
+
+  const push = (people, { timestamp, width, height }) => {
+    for (const person of people) {
+      if (!analyzers.has(person.id)) analyzers.set(person.id, createGaitAnalyzer(options));
+      analyzers.get(person.id).processFrame({ timestamp, landmarks: person.landmarks, worldLandmarks: person.worldLandmarks, width, height });
+    }
+  };
+
+  const getResults = () => [...analyzers.entries()]
+    .map(([id, analyzer]) => ({ id, summary: analyzer.getSummary() }))
+    .map((r) => ({ ...r, frames: r.summary.totalFrames }))
+    .filter((r) => r.frames >= MIN_PERSON_FRAMES)
+    .sort((a, b) => a.id - b.id);
+
+  return {
+    push,
+    getResults,
+    setOptions: (next) => {
+      options = { ...options, ...next };
+      analyzers.forEach((a) => a.setOptions(options));
+    },
+    reset: () => { analyzers = new Map(); }
+  };
+};
+
+// 整段：從 timeline entry 的 people 重建每個人的關鍵點序列後分別分析
+export const analyzeTimelinePeople = (timeline, options, { width, height }) => {
+  const byId = new Map();
+  for (const entry of timeline) {
+    for (const person of entry.people || []) {
+      if (!byId.has(person.id)) byId.set(person.id, []);
+      byId.get(person.id).push({
+        timestamp: entry.time * 1000, landmarks: person.landmarks, worldLandmarks: person.worldLandmarks, width, height
+      });
+    }
+  }
+  return [...byId.entries()]
+    .filter(([, frames]) => frames.length >= MIN_PERSON_FRAMES)
+    .map(([id, frames]) => ({ id, frames: frames.length, summary: analyzeLandmarkStream(frames, options).summary }))
+    .sort((a, b) => a.id - b.id);
+};
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTimelinePeople, MIN_PERSON_FRAMES } from './groupAnalysis.js';
+
+const point = (x, y, z = 0) => ({ x, y, z, visibility: 1 });
+
+// 側面站姿：2D 關鍵點與對應的世界座標 (公尺、原點在髖中點、y 向下、左右軸沿 z)
+const standing = (x) => {
+  const landmarks = Array.from({ length: 33 }, () => point(x, 0.2));
+  const worldLandmarks = Array.from({ length: 33 }, () => point(0, -0.6));
+  [[11, 12, 0.25, -0.5], [13, 14, 0.4, -0.25], [15, 16, 0.5, 0], [23, 24, 0.55, 0], [25, 26, 0.72, 0.4], [27, 28, 0.9, 0.8]]
+    .forEach(([l, r, y, wy]) => {
+      landmarks[l] = point(x, y);
+      landmarks[r] = point(x, y);
+      worldLandmarks[l] = point(0, wy, 0.15);
+      worldLandmarks[r] = point(0, wy, -0.15);
+    });
+  return { landmarks, worldLandmarks };
+};
+
+const timeline = (count) => Array.from({ length: count }, (_, i) => ({
+  time: i / 30,
+  people: [{ id: 1, ...standing(0.3) }, { id: 2, landmarks: standing(0.7).landmarks, worldLandmarks: null }]
+}));
+
+test('整段多人分析以世界座標計算 3D 關節角度', () => {
+  const results = analyzeTimelinePeople(timeline(MIN_PERSON_FRAMES), { viewMode: 'side_left' }, { width: 1000, height: 1000 });
+  assert.deepEqual(results.map((r) => r.id), [1, 2]);
+  assert.equal(results[0].summary.joints.frames, MIN_PERSON_FRAMES);
+  // 沒有世界座標的人退回 2D
+  assert.equal(results[1].summary.joints.frames, 0);
+});
+
+test('出現幀數不足的人不列入', () => {
+  assert.deepEqual(analyzeTimelinePeople(timeline(MIN_PERSON_FRAMES - 1), {}, { width: 1000, height: 1000 }), []);
+});
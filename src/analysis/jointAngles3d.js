@@ -0,0 +1,148 @@
+import { isFrontalView } from './frontalMetrics.js';
+import { robustMax } from './robustStats.js';
+
+/**
+ * 3D 關節角度
+ * 2D 角度是身體投影到影像平面後量的，學員沒有正對側面時擺臂、前傾都會失真。
+ * 這裡改用 poseWorldLandmarks (公尺、原點在髖中點、y 軸向下)，在以身體為準的座標系中計算：
+ *   up       世界 -y (假設鏡頭水平)
+ *   left     右肩/右髖 -> 左肩/左髖，去掉垂直分量
+ *   forward  left × up
+ * 屈曲 / 伸展都量在 up、forward 張成的矢狀面上，以軀幹軸為 0°，往前為正、往後為負。
+ *
+ * offAxis：身體左右軸與理想拍攝方向的夾角 (側面應與鏡頭深度 z 平行、正背面應與影像 x 平行)。
+ * 越大代表 2D 角度越失真，3D 角度也越仰賴模型推估的深度，兩者都要保守看待。
+ */
+
+const toDeg = (rad) => (rad * 180) / Math.PI;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const length = (v) => Math.sqrt(dot(v, v));
+const normalize = (v) => {
+  const len = length(v);
+  return len > 1e-6 ? { x: v.x / len, y: v.y / len, z: v.z / len } : null;
+};
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+
+const UP = { x: 0, y: -1, z: 0 };
+
+// 以 B 為頂點的 3D 夾角 ∠ABC
+const angle3d = (A, B, C) => {
+  const u = normalize(sub(A, B));
+  const v = normalize(sub(C, B));
+  return u && v ? toDeg(Math.acos(Math.min(1, Math.max(-1, dot(u, v))))) : null;
+};
+
+// 向量在矢狀面上的方向 (度)：0° 為正下方，往前為正
+const sagittalDirection = (v, forward) => toDeg(Math.atan2(dot(v, forward), -dot(v, UP)));
+
+// 角度差換到 -180 ~ 180
+const wrap = (deg) => ((deg + 540) % 360) - 180;
+
+/**
+ * world：33 點 poseWorldLandmarks；身體左右軸無法判定時回傳 null
+ * 屈曲角：肩 (上臂相對軀幹)、髖 (大腿相對軀幹) 往前為正、往後 (伸展) 為負；
+ * 肘、膝為關節彎曲量，伸直為 0°
+ */
+export const computeJointAngles3d = (world, viewMode) => {
+  const shoulderL = world[11], shoulderR = world[12], hipL = world[23], hipR = world[24];
+  const across = add(sub(shoulderL, shoulderR), sub(hipL, hipR));
+  const left = normalize({ x: across.x, y: 0, z: across.z });
+  if (!left) return null;
+  const forward = cross(left, UP);
+
+  const midShoulder = mid(shoulderL, shoulderR);
+  const midHip = mid(hipL, hipR);
+  const trunk = sub(midShoulder, midHip);
+  // 軀幹往下的方向 (肩 -> 髖) 是肩、髖屈曲角的 0°
+  const trunkDown = sagittalDirection(sub(midHip, midShoulder), forward);
+  const flexion = (from, to) => wrap(sagittalDirection(sub(to, from), forward) - trunkDown);
+  const bend = (a, b, c) => {
+    const angle = angle3d(a, b, c);
+    return angle === null ? null : 180 - angle;
+  };
+
+  const trunkUnit = normalize(trunk);
+  const ideal = isFrontalView(viewMode) ? Math.abs(left.x) : Math.abs(left.z);
+
+  return {
+    trunkInclination: trunkUnit ? toDeg(Math.acos(Math.min(1, Math.max(-1, dot(trunkUnit, UP))))) : 0,
+    forwardLean: toDeg(Math.atan2(dot(trunk, forward), dot(trunk, UP))),
+    shoulderFlexL: flexion(shoulderL, world[13]),
+    shoulderFlexR: flexion(shoulderR, world[14]),
+    elbowFlexL: bend(shoulderL, world[13], world[15]),
+    elbowFlexR: bend(shoulderR, world[14], world[16]),
+    hipFlexL: flexion(hipL, world[25]),
+    hipFlexR: flexion(hipR, world[26]),
+    kneeFlexL: bend(hipL, world[25], world[27]),
+    kneeFlexR: bend(hipR, world[26], world[28]),
+    offAxis: toDeg(Math.acos(Math.min(1, ideal)))
+  };
+};
+
+// 信賴度分級：偏離越多，越不該直接比較數值
+export const OFF_AXIS_WARN = 20;
+export const OFF_AXIS_POOR = 40;
+
+export const offAxisLevel = (deg) => {
+  if (deg === null || deg === undefined) return null;
+  if (deg < OFF_AXIS_WARN) return 'good';
+  return deg < OFF_AXIS_POOR ? 'warn' : 'poor';
+};
+
+export const EMPTY_JOINT_SUMMARY = {
+  frames: 0,
+  avgOffAxis: null,
+  maxShoulderFlex: 0, maxShoulderExt: 0,
+  avgElbowFlex: 0,
+  maxHipExtL: 0, maxHipExtR: 0,
+  maxKneeFlexL: 0, maxKneeFlexR: 0
+};
+
+export const createJointAccumulator = () => {
+  let s;
+  const reset = () => {
+    s = {
+      frames: 0,
+      sumOffAxis: 0,
+      flexSamples: [], extSamples: [],
+      sumElbow: 0, countElbow: 0,
+      hipExtL: [], hipExtR: [], kneeL: [], kneeR: []
+    };
+  };
+  reset();
+
+  const add = (a) => {
+    s.frames++;
+    s.sumOffAxis += a.offAxis;
+    [a.shoulderFlexL, a.shoulderFlexR].forEach((v) => (v >= 0 ? s.flexSamples : s.extSamples).push(Math.abs(v)));
+    [a.elbowFlexL, a.elbowFlexR].forEach((v) => {
+      if (v === null) return;
+      s.sumElbow += v;
+      s.countElbow++;
+    });
+    s.hipExtL.push(-a.hipFlexL);
+    s.hipExtR.push(-a.hipFlexR);
+    if (a.kneeFlexL !== null) s.kneeL.push(a.kneeFlexL);
+    if (a.kneeFlexR !== null) s.kneeR.push(a.kneeFlexR);
+  };
+
+  const getSummary = () => {
+    if (!s.frames) return { ...EMPTY_JOINT_SUMMARY };
+    return {
+      frames: s.frames,
+      avgOffAxis: s.sumOffAxis / s.frames,
+      maxShoulderFlex: robustMax(s.flexSamples),
+      maxShoulderExt: robustMax(s.extSamples),
+      avgElbowFlex: s.countElbow ? s.sumElbow / s.countElbow : 0,
+      maxHipExtL: robustMax(s.hipExtL),
+      maxHipExtR: robustMax(s.hipExtR),
+      maxKneeFlexL: robustMax(s.kneeL),
+      maxKneeFlexR: robustMax(s.kneeR)
+    };
+  };
+
+  return { add, reset, getSummary };
+};
@@ -0,0 +1,86 @@
+/**
+ * 關鍵點時間濾波 (One Euro Filter)
+ * 慢速時強力平滑去抖動、快速擺動時降低延遲，適合擺臂這種快慢交替的動作。
+ * - 單點信心度過低：該點不濾波並重置，重新出現時不會從舊位置「滑」過來
+ * - 兩幀間隔超過 MAX_GAP_MS (遮擋、seek、掉幀)：整組重置
+ */
+
+export const DEFAULT_FILTER_OPTIONS = {
+  minCutoff: 1.7, // Hz，靜止時的截止頻率，越低越平滑
+  beta: 1.0,      // 速度係數，越高快速動作的延遲越小
+  dCutoff: 1.0    // Hz，速度估計的截止頻率
+};
+
+const MAX_GAP_MS = 250;
+const MIN_POINT_VISIBILITY = 0.3;
+
+// 決定整幀能否計入統計的關鍵部位 (左右取信心度較高的一側，側面視角遠側常被遮住)
+const KEY_PAIRS = [[11, 12], [13, 14], [23, 24], [27, 28]];
+export const MIN_FRAME_VISIBILITY = 0.5;
+
+const alpha = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+const createAxisFilter = ({ minCutoff, beta, dCutoff }) => {
+  let prev = null;
+  let dPrev = 0;
+  return {
+    filter: (value, dt) => {
+      if (prev === null || !dt) {
+        prev = value;
+        dPrev = 0;
+        return value;
+      }
+      const d = (value - prev) / dt;
+      dPrev += alpha(dCutoff, dt) * (d - dPrev);
+      const cutoff = minCutoff + beta * Math.abs(dPrev);
+      prev += alpha(cutoff, dt) * (value - prev);
+      return prev;
+    },
+    reset: () => { prev = null; dPrev = 0; }
+  };
+};
+
+export const createLandmarkSmoother = (options = {}) => {
+  const opts = { ...DEFAULT_FILTER_OPTIONS, ...options };
+  let filters = [];
+  let lastTimestamp = null;
+
+  const reset = () => {
+    filters = [];
+    lastTimestamp = null;
+  };
+
+  // landmarks：正規化座標陣列；回傳新陣列，不修改輸入
+  const smooth = (landmarks, timestamp) => {
+    const dtMs = lastTimestamp === null ? 0 : timestamp - lastTimestamp;
+    if (dtMs <= 0 || dtMs > MAX_GAP_MS) filters = [];
+    lastTimestamp = timestamp;
+    const dt = dtMs > 0 && dtMs <= MAX_GAP_MS ? dtMs / 1000 : 0;
+
+    return landmarks.map((p, i) => {
+      if (!filters[i]) filters[i] = { x: createAxisFilter(opts), y: createAxisFilter(opts), z: createAxisFilter(opts) };
+      const f = filters[i];
+      if ((p.visibility ?? 1) < MIN_POINT_VISIBILITY) {
+        f.x.reset(); f.y.reset(); f.z.reset();
+        return { ...p };
+      }
+      return {
+        ...p,
+        x: f.x.filter(p.x, dt),
+        y: f.y.filter(p.y, dt),
+        z: p.z === undefined ? p.z : f.z.filter(p.z, dt)
+      };
+    });
+  };
+
+  return { smooth, reset };
+};
+
+// 主要關節都看得到才算有效幀
+export const isFrameUsable = (landmarks) => KEY_PAIRS.every(([l, r]) => Math.max(
+  landmarks[l]?.visibility ?? 0,
+  landmarks[r]?.visibility ?? 0
+) >= MIN_FRAME_VISIBILITY);
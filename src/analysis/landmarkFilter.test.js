@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLandmarkSmoother, isFrameUsable, MIN_FRAME_VISIBILITY } from './landmarkFilter.js';
+import { percentile, robustMax, robustMin } from './robustStats.js';
+
+const frame = (x, visibility = 1) => [{ x, y: 0.5, z: 0, visibility }];
+
+test('平滑：抖動被壓低，輸入不被修改', () => {
+  const smoother = createLandmarkSmoother();
+  const input = frame(0.5);
+  smoother.smooth(input, 0);
+  const out = smoother.smooth(frame(0.51), 33)[0].x;
+  assert.ok(out > 0.5 && out < 0.51, `x ${out}`);
+  assert.equal(input[0].x, 0.5);
+});
+
+test('平滑：長時間靜止後收斂到實際位置', () => {
+  const smoother = createLandmarkSmoother();
+  smoother.smooth(frame(0.2), 0);
+  let out;
+  for (let t = 33; t < 3000; t += 33) out = smoother.smooth(frame(0.6), t)[0].x;
+  assert.ok(Math.abs(out - 0.6) < 1e-3, `x ${out}`);
+});
+
+test('間隔過長 (遮擋、seek) 時重置，不從舊位置滑過來', () => {
+  const smoother = createLandmarkSmoother();
+  smoother.smooth(frame(0.2), 0);
+  smoother.smooth(frame(0.2), 33);
+  assert.equal(smoother.smooth(frame(0.8), 1000)[0].x, 0.8);
+  // 時間倒退 (往回 seek) 也重置
+  assert.equal(smoother.smooth(frame(0.3), 500)[0].x, 0.3);
+});
+
+test('低信心度的點不濾波，重新出現時從新位置開始', () => {
+  const smoother = createLandmarkSmoother();
+  smoother.smooth(frame(0.2), 0);
+  assert.equal(smoother.smooth(frame(0.9, 0.1), 33)[0].x, 0.9);
+  assert.equal(smoother.smooth(frame(0.7), 66)[0].x, 0.7);
+});
+
+test('有效幀：每組關鍵部位至少一側信心度足夠', () => {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0, y: 0, visibility: 1 }));
+  assert.equal(isFrameUsable(landmarks), true);
+  // 側面遠側被遮住仍有效
+  [12, 14, 24, 28].forEach((i) => { landmarks[i].visibility = 0; });
+  assert.equal(isFrameUsable(landmarks), true);
+  landmarks[27].visibility = MIN_FRAME_VISIBILITY - 0.01;
+  assert.equal(isFrameUsable(landmarks), false);
+  assert.equal(isFrameUsable([]), false);
+});
+
+test('百分位數：線性內插，單一離群值不影響 P95 / P5', () => {
+  assert.equal(percentile([], 95), 0);
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 25), 2.5);
+  const values = [...Array.from({ length: 99 }, (_, i) => i / 10), 500];
+  assert.ok(robustMax(values) < 10);
+  assert.ok(robustMin([-500, ...values.slice(0, 99)]) >= 0);
+});
@@ -0,0 +1,112 @@
+import { HAND_STATE, SWING_PHASE_MIN_ANGLE, armSwingDirection } from './gaitEngine.js';
+import { isFrontalView } from './frontalMetrics.js';
+import { robustMax } from './robustStats.js';
+
+/**
+ * 即時提示 (語音 / 震動)
+ * 以最近 WINDOW_MS 的有效幀估計前傾、後擺角度與後擺張掌比例，
+ * 與技術評分的門檻 (rules，教練在評分面板調整) 比較，超出 [min, max] 時產生一則提示。
+ * 節流：任兩則提示至少間隔 cooldownSec，同一則提示至少間隔 REPEAT_FACTOR 倍。
+ * 這幾項指標只在側面視角有意義，正面 / 背面不提示。
+ *
+ * cue：{ id, code (語音文字的 i18n 代碼 cue.<id>.low / high), vibration (震動模式 ms), value, timestamp }
+ */
+
+const WINDOW_MS = 4000;
+const MIN_WINDOW_FRAMES = 20;
+const MIN_PHASE_SAMPLES = 8;
+const REPEAT_FACTOR = 3;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// 依 LIVE_CUES 順序決定優先權；id 與技術評分項目相同，共用門檻
+// speech 為有語音提示的方向 (低於 / 高於門檻)；震動模式讓不看螢幕也能分辨是哪一項
+export const LIVE_CUES = [
+  {
+    id: 'armBack',
+    speech: ['low', 'high'],
+    vibration: [150, 100, 150],
+    value: (frames) => {
+      const angles = frames.flatMap((f) => f.armBack);
+      return angles.length >= MIN_PHASE_SAMPLES ? robustMax(angles) : null;
+    }
+  },
+  {
+    id: 'forwardLean',
+    speech: ['low', 'high'],
+    vibration: [400],
+    value: (frames) => mean(frames.map((f) => f.lean))
+  },
+  {
+    id: 'handOpenBack',
+    speech: ['low'],
+    vibration: [80, 60, 80, 60, 80],
+    value: (frames) => {
+      const total = frames.reduce((n, f) => n + f.backTotal, 0);
+      const open = frames.reduce((n, f) => n + f.backOpen, 0);
+      return total >= MIN_PHASE_SAMPLES ? (open / total) * 100 : null;
+    }
+  }
+];
+
+export const DEFAULT_CUE_SETTINGS = {
+  enabled: false,
+  speech: true,
+  vibration: true,
+  cooldownSec: 8,
+  cues: Object.fromEntries(LIVE_CUES.map((c) => [c.id, true]))
+};
+
+// 一幀的摘要：前傾角、後擺中的手臂角度、後擺時手掌狀態 (有 3D 角度時以肩屈曲正負號判斷前後)
+const sampleFrame = ({ timestamp, landmarks, metrics }, viewMode) => {
+  const dir = metrics.angles3d
+    ? { L: metrics.angles3d.shoulderFlexL, R: metrics.angles3d.shoulderFlexR }
+    : armSwingDirection(landmarks, viewMode);
+  const sample = { timestamp, lean: metrics.forwardLean, armBack: [], backOpen: 0, backTotal: 0 };
+  [[dir.L, metrics.armAngleL, metrics.handL], [dir.R, metrics.armAngleR, metrics.handR]].forEach(([d, angle, hand]) => {
+    if (d >= 0 || angle < SWING_PHASE_MIN_ANGLE) return;
+    sample.armBack.push(angle);
+    if (hand === HAND_STATE.UNKNOWN) return;
+    sample.backTotal++;
+    if (hand === HAND_STATE.OPEN) sample.backOpen++;
+  });
+  return sample;
+};
+
+export const createCueEngine = () => {
+  let frames, lastCueAt, lastById;
+
+  const reset = () => {
+    frames = [];
+    lastCueAt = -Infinity;
+    lastById = {};
+  };
+  reset();
+
+  // entry：{ timestamp (ms), landmarks, metrics }；回傳該發出的提示或 null
+  const push = (entry, { viewMode, rules, settings }) => {
+    if (isFrontalView(viewMode) || !entry.metrics) return null;
+    const { timestamp } = entry;
+    if (entry.metrics.usable) frames.push(sampleFrame(entry, viewMode));
+    while (frames.length && frames[0].timestamp < timestamp - WINDOW_MS) frames.shift();
+
+    const cooldown = settings.cooldownSec * 1000;
+    if (frames.length < MIN_WINDOW_FRAMES || timestamp - lastCueAt < cooldown) return null;
+
+    for (const cue of LIVE_CUES) {
+      const rule = rules[cue.id];
+      if (!settings.cues[cue.id] || !rule?.enabled) continue;
+      if (timestamp - (lastById[cue.id] ?? -Infinity) < cooldown * REPEAT_FACTOR) continue;
+      const value = cue.value(frames);
+      if (value === null || !Number.isFinite(value)) continue;
+      const direction = value < rule.min ? 'low' : (value > rule.max ? 'high' : null);
+      if (!direction || !cue.speech.includes(direction)) continue;
+      lastCueAt = timestamp;
+      lastById[cue.id] = timestamp;
+      return { id: cue.id, code: `${cue.id}.${direction}`, vibration: cue.vibration, value, timestamp };
+    }
+    return null;
+  };
+
+  return { push, reset };
+};
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCueEngine, DEFAULT_CUE_SETTINGS } from './liveCues.js';
+import { DEFAULT_RULES } from './technique.js';
+import { HAND_STATE } from './gaitEngine.js';
+
+const settings = { ...DEFAULT_CUE_SETTINGS, enabled: true, cooldownSec: 2 };
+const ctx = { viewMode: 'side_left', rules: DEFAULT_RULES, settings };
+
+// 左手後擺 armBack°、右手前擺；有 3D 角度時以肩屈曲正負號判斷前後
+const entry = (timestamp, { lean = 8, armBack = 40, handL = HAND_STATE.OPEN, usable = true } = {}) => ({
+  timestamp,
+  landmarks: null,
+  metrics: {
+    usable,
+    forwardLean: lean,
+    armAngleL: armBack,
+    armAngleR: 30,
+    handL,
+    handR: HAND_STATE.FIST,
+    angles3d: { shoulderFlexL: -armBack, shoulderFlexR: 30 }
+  }
+});
+
+// 30 fps 餵 durationMs，回傳所有發出的提示
+const run = (engine, from, durationMs, opts, context = ctx) => {
+  const cues = [];
+  for (let t = from; t < from + durationMs; t += 33) {
+    const cue = engine.push(entry(t, opts), context);
+    if (cue) cues.push(cue);
+  }
+  return cues;
+};
+
+test('姿勢在門檻內不提示', () => {
+  assert.deepEqual(run(createCueEngine(), 0, 5000, {}), []);
+});
+
+test('前傾不足時提示 forwardLean.low，並帶震動模式', () => {
+  const [cue] = run(createCueEngine(), 0, 1000, { lean: 0 });
+  assert.equal(cue.code, 'forwardLean.low');
+  assert.deepEqual(cue.vibration, [400]);
+  // 幀數達到視窗下限才判斷
+  assert.ok(cue.timestamp >= 19 * 33);
+});
+
+test('後擺不足優先於前傾', () => {
+  const [cue] = run(createCueEngine(), 0, 1000, { lean: 0, armBack: 15 });
+  assert.equal(cue.code, 'armBack.low');
+});
+
+test('後擺時手沒張開提示 handOpenBack.low', () => {
+  const [cue] = run(createCueEngine(), 0, 1000, { handL: HAND_STATE.FIST });
+  assert.equal(cue.code, 'handOpenBack.low');
+});
+
+test('節流：任兩則間隔 cooldown，同一則間隔 3 倍', () => {
+  const engine = createCueEngine();
+  const cues = run(engine, 0, 10000, { lean: 0, handL: HAND_STATE.FIST });
+  const times = cues.map((c) => c.timestamp);
+  times.slice(1).forEach((t, i) => assert.ok(t - times[i] >= 2000));
+  const lean = cues.filter((c) => c.id === 'forwardLean').map((c) => c.timestamp);
+  assert.ok(lean.length >= 2);
+  lean.slice(1).forEach((t, i) => assert.ok(t - lean[i] >= 6000));
+});
+
+test('關閉的提示、正面視角與無效幀都不提示', () => {
+  const off = { ...ctx, settings: { ...settings, cues: { ...settings.cues, forwardLean: false } } };
+  assert.deepEqual(run(createCueEngine(), 0, 3000, { lean: 0 }, off), []);
+  assert.deepEqual(run(createCueEngine(), 0, 3000, { lean: 0 }, { ...ctx, viewMode: 'front' }), []);
+  assert.deepEqual(run(createCueEngine(), 0, 3000, { lean: 0, usable: false }), []);
+});
@@ -0,0 +1,52 @@
+import { getAngle, getDistance } from './geometry.js';
+
+/**
+ * 手動量測 (教練在畫面上標註)
+ * measurement：{ id, tool, time: 秒, points: 正規化座標 [{ x, y }], value, unit }
+ *   angle：三點，第二點為頂點
+ *   length：兩點，依當下比例尺換算 cm；沒有比例尺時以 px 記錄
+ *   freehand：手繪筆跡，沒有數值
+ * 數值在完成時算好存起來，匯出 / 回放時不必再知道當時的比例尺。
+ */
+
+export const MEASURE_TOOL = {
+  ANGLE: 'angle',
+  LENGTH: 'length',
+  FREEHAND: 'freehand'
+};
+
+// 點選式工具需要的點數；手繪以拖曳決定
+export const TOOL_POINTS = {
+  [MEASURE_TOOL.ANGLE]: 3,
+  [MEASURE_TOOL.LENGTH]: 2
+};
+
+// 量測只在其所屬時間附近顯示
+export const MEASURE_SHOW_WINDOW = 0.25;
+
+const toPx = (p, width, height) => ({ x: p.x * width, y: p.y * height });
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * cmPerPx：量測位置的比例尺 (可為 null)
+ */
+export const createMeasurement = ({ tool, time, points, width, height, cmPerPx = null }) => {
+  let value = null;
+  let unit = '';
+  if (tool === MEASURE_TOOL.ANGLE) {
+    const [a, b, c] = points.map((p) => toPx(p, width, height));
+    value = getAngle(a, b, c);
+    unit = '°';
+  } else if (tool === MEASURE_TOOL.LENGTH) {
+    const px = getDistance(toPx(points[0], width, height), toPx(points[1], width, height));
+    value = cmPerPx ? px * cmPerPx : px;
+    unit = cmPerPx ? 'cm' : 'px';
+  }
+  return { id: newId(), tool, time, points, value, unit };
+};
+
+export const measurementsAt = (measurements, time) =>
+  measurements.filter((m) => Math.abs(m.time - time) <= MEASURE_SHOW_WINDOW);
+
+export const formatMeasurement = (m) => (m.value === null ? '' : `${m.value.toFixed(m.unit === '°' ? 0 : 1)} ${m.unit}`);
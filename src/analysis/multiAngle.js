@@ -0,0 +1,62 @@
+import { GAIT_EVENT } from './gaitEvents.js';
+import { CRITERION_STATUS } from './technique.js';
+
+/**
+ * 多角度分析：同一次行走的側面與正面 (或背面) 影片
+ * offset (秒) = 正面影片時間 - 側面影片時間，也就是側面 t 秒對應正面 t + offset 秒。
+ * 側面負責擺臂、前傾、步幅、撐杖角度；正面負責左右擺動、杖距、步寬、骨盆 / 肩傾斜。
+ */
+
+// 兩支影片的開拍時間差通常在幾秒內，搜尋範圍再大容易對到別的步
+export const MAX_SYNC_OFFSET = 5;
+// 位移後兩邊著地時間差在此範圍內 (秒) 算同一次著地
+const MATCH_TOLERANCE = 0.12;
+// 至少要對上幾次著地才採用
+const MIN_MATCHES = 3;
+
+const heelStrikes = (events) => events
+  .filter((e) => e.type === GAIT_EVENT.HEEL_STRIKE)
+  .map((e) => ({ time: e.timestamp / 1000, side: e.side }));
+
+// 以同側腳跟著地對齊：候選位移取所有同側著地的時間差，選對上最多次 (同分取平均誤差小) 的
+export const alignByGaitEvents = (sideEvents, frontEvents, { maxOffset = MAX_SYNC_OFFSET } = {}) => {
+  const a = heelStrikes(sideEvents);
+  const b = heelStrikes(frontEvents);
+  let best = null;
+
+  a.forEach((ea) => b.forEach((eb) => {
+    if (ea.side !== eb.side) return;
+    const offset = eb.time - ea.time;
+    if (Math.abs(offset) > maxOffset) return;
+    let matches = 0;
+    let error = 0;
+    a.forEach((x) => {
+      const diffs = b.filter((y) => y.side === x.side).map((y) => Math.abs(y.time - offset - x.time));
+      const nearest = Math.min(...diffs);
+      if (nearest > MATCH_TOLERANCE) return;
+      matches++;
+      error += nearest;
+    });
+    if (!best || matches > best.matches || (matches === best.matches && error / matches < best.error)) {
+      best = { offset, matches, error: matches ? error / matches : Infinity };
+    }
+  }));
+
+  return best && best.matches >= MIN_MATCHES ? { offset: best.offset, matches: best.matches } : null;
+};
+
+// 合併兩個視角的統計：以側面為主，冠狀面區塊換成正面的結果
+export const mergeAngleSummaries = (side, front) => ({ ...side, frontal: front.frontal });
+
+// 兩個視角的評分項目合併 (同一項以側面為準)，總分依權重重新計算
+export const mergeTechnique = (side, front) => {
+  const ids = new Set(side.criteria.map((c) => c.id));
+  const criteria = [...side.criteria, ...front.criteria.filter((c) => !ids.has(c.id))];
+  const scored = criteria.filter((c) => c.status !== CRITERION_STATUS.NA);
+  const totalWeight = scored.reduce((sum, c) => sum + c.rule.weight, 0);
+  return {
+    score: totalWeight ? scored.reduce((sum, c) => sum + c.score * c.rule.weight, 0) / totalWeight : null,
+    criteria,
+    tips: criteria.filter((c) => c.tip).map((c) => c.tip)
+  };
+};
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignByGaitEvents, mergeAngleSummaries, mergeTechnique, MAX_SYNC_OFFSET } from './multiAngle.js';
+import { GAIT_EVENT } from './gaitEvents.js';
+import { CRITERION_STATUS } from './technique.js';
+
+// 左右交替著地，步時 stepMs；shift (秒) 為正面影片相對側面的延遲
+const strikes = ({ count = 8, stepMs = 550, shift = 0, start = 300 } = {}) => Array.from({ length: count }, (_, i) => ({
+  type: GAIT_EVENT.HEEL_STRIKE,
+  side: i % 2 ? 'R' : 'L',
+  timestamp: start + i * stepMs + shift * 1000
+}));
+
+test('以同側著地對齊兩支影片', () => {
+  const result = alignByGaitEvents(strikes(), strikes({ shift: 1.7 }));
+  assert.ok(Math.abs(result.offset - 1.7) < 1e-9);
+  assert.equal(result.matches, 8);
+});
+
+test('負的位移 (正面較早開拍) 與少量雜訊', () => {
+  const front = strikes({ shift: -0.8 }).map((e, i) => ({ ...e, timestamp: e.timestamp + (i % 3) * 20 }));
+  const result = alignByGaitEvents(strikes(), front);
+  assert.ok(Math.abs(result.offset + 0.8) < 0.05, `offset ${result.offset}`);
+});
+
+test('位移超出搜尋範圍或對上的著地太少時回傳 null', () => {
+  // 步伐是週期性的，片段要夠短，才不會有落在範圍內的混疊位移
+  assert.equal(alignByGaitEvents(strikes({ count: 3 }), strikes({ count: 3, shift: MAX_SYNC_OFFSET + 1 })), null);
+  assert.equal(alignByGaitEvents(strikes({ count: 2 }), strikes({ count: 2, shift: 1 })), null);
+  assert.equal(alignByGaitEvents(strikes(), []), null);
+});
+
+test('不同側的著地不配對', () => {
+  // 正面只有右腳事件且時間剛好落在側面左腳上，不能拿來對齊
+  const rightOnly = strikes().filter((e) => e.side === 'R').map((e) => ({ ...e, timestamp: e.timestamp - 550 }));
+  assert.equal(alignByGaitEvents(strikes().filter((e) => e.side === 'L'), rightOnly), null);
+});
+
+test('合併：冠狀面取正面結果，評分項目以側面為準並依權重重算', () => {
+  assert.deepEqual(mergeAngleSummaries({ steps: 10, frontal: { frames: 0 } }, { steps: 9, frontal: { frames: 50 } }), { steps: 10, frontal: { frames: 50 } });
+
+  const criterion = (id, score, weight, status = CRITERION_STATUS.PASS) => ({ id, score, status, tip: status === CRITERION_STATUS.FAIL ? `${id}.low` : null, rule: { weight } });
+  const merged = mergeTechnique(
+    { criteria: [criterion('armBack', 100, 1), criterion('coordination', 40, 1, CRITERION_STATUS.FAIL)] },
+    { criteria: [criterion('coordination', 100, 1), criterion('kneeValgus', 50, 2), criterion('stepWidth', null, 1, CRITERION_STATUS.NA)] }
+  );
+  assert.deepEqual(merged.criteria.map((c) => c.id), ['armBack', 'coordination', 'kneeValgus', 'stepWidth']);
+  assert.equal(merged.score, (100 + 40 + 50 * 2) / 4);
+  assert.deepEqual(merged.tips, ['coordination.low']);
+});
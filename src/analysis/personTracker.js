@@ -0,0 +1,109 @@
+import { midpoint, getDistance } from './geometry.js';
+
+/**
+ * 多人追蹤：為每幀偵測到的人指派跨幀穩定的 id
+ * 以身體中心 (髖中點) 的位置配對，距離以身體高度正規化，並用等速度模型預測下一幀位置。
+ * 貪婪配對 (成本由小到大) 對健走課這種人數少、彼此分開的場景已足夠。
+ * 暫時消失 (被擋住) 的人在 MAX_MISSING_MS 內重新出現會沿用原本的 id。
+ *
+ * pose：{ landmarks, worldLandmarks }
+ * person：{ id, landmarks, worldLandmarks, box: { x0, y0, x1, y1 } (正規化) }
+ */
+
+const MAX_MISSING_MS = 1000;
+const MAX_MATCH_DISTANCE = 0.6; // 身體高度的倍數
+const MIN_VISIBILITY = 0.3;
+
+export const personBox = (landmarks) => {
+  const visible = landmarks.filter((p) => (p.visibility ?? 1) >= MIN_VISIBILITY);
+  const pts = visible.length ? visible : landmarks;
+  const xs = pts.map((p) => p.x);
+  const ys = pts.map((p) => p.y);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+};
+
+const describe = (pose) => {
+  const lm = pose.landmarks;
+  const box = personBox(lm);
+  return {
+    pose,
+    box,
+    center: midpoint(lm[23], lm[24]),
+    size: Math.max(box.y1 - box.y0, 1e-3)
+  };
+};
+
+export const createPersonTracker = () => {
+  let tracks, nextId;
+
+  const reset = () => {
+    tracks = [];
+    nextId = 1;
+  };
+  reset();
+
+  const update = (poses, timestamp) => {
+    const dets = poses.map(describe);
+
+    // 所有 (track, det) 配對依正規化距離排序，貪婪指派
+    const pairs = [];
+    tracks.forEach((track, ti) => {
+      const dt = (timestamp - track.lastSeen) / 1000;
+      const predicted = { x: track.center.x + track.vx * dt, y: track.center.y + track.vy * dt };
+      dets.forEach((det, di) => {
+        const cost = getDistance(predicted, det.center) / Math.max(track.size, det.size);
+        if (cost <= MAX_MATCH_DISTANCE) pairs.push({ ti, di, cost });
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const usedTracks = new Set();
+    const assigned = new Map();
+    for (const { ti, di } of pairs) {
+      if (usedTracks.has(ti) || assigned.has(di)) continue;
+      usedTracks.add(ti);
+      assigned.set(di, tracks[ti]);
+    }
+
+    const people = dets.map((det, di) => {
+      let track = assigned.get(di);
+      if (track) {
+        const dt = (timestamp - track.lastSeen) / 1000;
+        if (dt > 0) {
+          track.vx = (det.center.x - track.center.x) / dt;
+          track.vy = (det.center.y - track.center.y) / dt;
+        }
+      } else {
+        track = { id: nextId++, vx: 0, vy: 0 };
+        tracks.push(track);
+      }
+      track.center = det.center;
+      track.size = det.size;
+      track.lastSeen = timestamp;
+      return { id: track.id, landmarks: det.pose.landmarks, worldLandmarks: det.pose.worldLandmarks ?? null, box: det.box };
+    });
+
+    tracks = tracks.filter((t) => timestamp - t.lastSeen <= MAX_MISSING_MS);
+    return people.sort((a, b) => a.id - b.id);
+  };
+
+  return { update, reset };
+};
+
+// 畫面上點選 (正規化座標) 命中的人；多人重疊時取中心最近者
+export const findPersonAt = (people, point, margin = 0.03) => {
+  let best = null;
+  for (const person of people) {
+    const { x0, y0, x1, y1 } = person.box;
+    if (point.x < x0 - margin || point.x > x1 + margin || point.y < y0 - margin || point.y > y1 + margin) continue;
+    const d = getDistance(point, { x: (x0 + x1) / 2, y: (y0 + y1) / 2 });
+    if (!best || d < best.d) best = { d, id: person.id };
+  }
+  return best ? best.id : null;
+};
+
+// 尚未選定時預設分析畫面中最大 (最靠近鏡頭) 的人
+export const largestPerson = (people) => people.reduce(
+  (best, p) => (!best || (p.box.y1 - p.box.y0) > (best.box.y1 - best.box.y0) ? p : best),
+  null
+);
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPersonTracker, personBox, findPersonAt, largestPerson } from './personTracker.js';
+
+// 以髖中點為中心、身高 h 的簡化人形
+const pose = (cx, cy = 0.6, h = 0.6) => ({
+  landmarks: Array.from({ length: 33 }, (_, i) => ({
+    x: cx + (i % 2 ? 0.02 : -0.02),
+    y: i === 0 ? cy - h * 0.6 : (i >= 27 ? cy + h * 0.4 : cy),
+    visibility: 1
+  })),
+  worldLandmarks: null
+});
+
+const centerX = (person) => Math.round(((person.landmarks[23].x + person.landmarks[24].x) / 2) * 100);
+const ids = (people) => people.map((p) => [p.id, centerX(p)]);
+
+test('跨幀沿用 id，即使偵測順序改變', () => {
+  const tracker = createPersonTracker();
+  assert.deepEqual(ids(tracker.update([pose(0.2), pose(0.7)], 0)), [[1, 20], [2, 70]]);
+  assert.deepEqual(ids(tracker.update([pose(0.72), pose(0.22)], 33)), [[1, 22], [2, 72]]);
+});
+
+test('以速度預測位置，兩人交錯時不換 id', () => {
+  const tracker = createPersonTracker();
+  // 1 號往右、2 號往左，每幀 0.05
+  for (let i = 0; i <= 4; i++) tracker.update([pose(0.3 + i * 0.05), pose(0.7 - i * 0.05)], i * 100);
+  const people = tracker.update([pose(0.55), pose(0.45)], 500);
+  assert.deepEqual(ids(people), [[1, 55], [2, 45]]);
+});
+
+test('短暫消失後回來沿用原 id，太久則給新 id', () => {
+  const tracker = createPersonTracker();
+  tracker.update([pose(0.3)], 0);
+  tracker.update([], 500);
+  assert.equal(tracker.update([pose(0.3)], 900)[0].id, 1);
+  tracker.update([], 2000);
+  assert.equal(tracker.update([pose(0.3)], 3000)[0].id, 2);
+});
+
+test('距離太遠不配對', () => {
+  const tracker = createPersonTracker();
+  tracker.update([pose(0.1)], 0);
+  assert.equal(tracker.update([pose(0.9)], 33)[0].id, 2);
+  tracker.reset();
+  assert.equal(tracker.update([pose(0.9)], 66)[0].id, 1);
+});
+
+test('外框只取看得到的點；點選與最大的人', () => {
+  const lm = [{ x: 0.1, y: 0.1, visibility: 1 }, { x: 0.4, y: 0.9, visibility: 1 }, { x: 0.99, y: 0.99, visibility: 0 }];
+  assert.deepEqual(personBox(lm), { x0: 0.1, y0: 0.1, x1: 0.4, y1: 0.9 });
+  const people = [
+    { id: 1, box: { x0: 0.1, y0: 0.2, x1: 0.3, y1: 0.6 } },
+    { id: 2, box: { x0: 0.5, y0: 0.1, x1: 0.8, y1: 0.9 } }
+  ];
+  assert.equal(findPersonAt(people, { x: 0.2, y: 0.4 }), 1);
+  assert.equal(findPersonAt(people, { x: 0.31, y: 0.4 }), 1);
+  assert.equal(findPersonAt(people, { x: 0.42, y: 0.4 }), null);
+  assert.equal(largestPerson(people).id, 2);
+  assert.equal(largestPerson([]), null);
+});
@@ -0,0 +1,97 @@
+/**
+ * 健走杖偵測
+ * 從手腕 (15/16) 出發，在向下的扇形範圍內逐角度沿射線取樣灰階，
+ * 以「細線對比」(線上像素與兩側像素的差) 評分，取分數最高的角度為杖身方向，
+ * 對比連續消失處視為杖尖。只吃 ImageData 形狀的物件 { data, width, height }，可在 Node 執行。
+ */
+
+const ANGLE_RANGE = 75;      // 與鉛垂線的最大夾角 (度)
+const ANGLE_STEP = 3;
+const ANGLE_FINE_STEP = 0.5;
+const SAMPLE_STEP = 2;       // 射線取樣間距 (px)
+const SIDE_OFFSET = 3;       // 兩側比較像素距離 (px)
+const LOW_RUN_END = 6;       // 連續幾個低對比樣本視為杖尖
+export const POLE_HEIGHT_RATIO = 0.68; // 杖長 ≈ 身高 × 0.68
+const MIN_CONTRAST = 12;
+const MIN_CONFIDENCE = 0.25;
+
+const luminance = (img, x, y) => {
+  const xi = Math.round(x), yi = Math.round(y);
+  if (xi < 0 || yi < 0 || xi >= img.width || yi >= img.height) return null;
+  const i = (yi * img.width + xi) * 4;
+  return 0.299 * img.data[i] + 0.587 * img.data[i + 1] + 0.114 * img.data[i + 2];
+};
+
+// 沿單一角度射線評分；回傳 { score, length }
+const scoreRay = (img, origin, theta, r0, rMax) => {
+  const dx = Math.sin(theta), dy = Math.cos(theta);
+  const nx = dy, ny = -dx; // 法向量
+  let sum = 0, count = 0, lowRun = 0, length = r0;
+
+  for (let r = r0; r <= rMax; r += SAMPLE_STEP) {
+    const x = origin.x + dx * r, y = origin.y + dy * r;
+    const c = luminance(img, x, y);
+    const a = luminance(img, x + nx * SIDE_OFFSET, y + ny * SIDE_OFFSET);
+    const b = luminance(img, x - nx * SIDE_OFFSET, y - ny * SIDE_OFFSET);
+    if (c === null || a === null || b === null) break;
+
+    const contrast = Math.abs(c - (a + b) / 2) - Math.abs(a - b) / 2;
+    if (contrast > MIN_CONTRAST) {
+      sum += contrast;
+      lowRun = 0;
+      length = r;
+    } else if (++lowRun >= LOW_RUN_END) break;
+    count++;
+  }
+  const covered = (length - r0) / (rMax - r0 || 1);
+  return { score: count ? (sum / count) * covered : 0, length, covered };
+};
+
+const detectOne = (img, lm, wristIdx, elbowIdx, bodyPx) => {
+  const wrist = lm[wristIdx], elbow = lm[elbowIdx];
+  if (!wrist || !elbow || wrist.visibility < 0.5) return null;
+
+  const origin = { x: wrist.x * img.width, y: wrist.y * img.height };
+  const forearm = Math.hypot((wrist.x - elbow.x) * img.width, (wrist.y - elbow.y) * img.height);
+  const r0 = Math.max(4, forearm * 0.35); // 跳過手掌本身
+  const rMax = bodyPx * POLE_HEIGHT_RATIO;
+
+  const search = (from, to, step, best) => {
+    for (let deg = from; deg <= to; deg += step) {
+      const theta = (deg * Math.PI) / 180;
+      const res = scoreRay(img, origin, theta, r0, rMax);
+      if (!best || res.score > best.score) best = { ...res, deg, theta };
+    }
+    return best;
+  };
+  // 粗掃後在最佳角度附近細掃，細杖在長距離上對角度很敏感
+  let best = search(-ANGLE_RANGE, ANGLE_RANGE, ANGLE_STEP, null);
+  if (!best || best.score <= 0) return null;
+  best = search(best.deg - ANGLE_STEP, best.deg + ANGLE_STEP, ANGLE_FINE_STEP, best);
+
+  const confidence = Math.min(1, best.score / 60);
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  const tip = {
+    x: (origin.x + Math.sin(best.theta) * best.length) / img.width,
+    y: (origin.y + Math.cos(best.theta) * best.length) / img.height
+  };
+  return {
+    grip: { x: wrist.x, y: wrist.y },
+    tip,
+    // 杖身與鉛垂線夾角 (畫面中往右為正)、與地面夾角
+    verticalAngle: best.deg,
+    groundAngle: 90 - Math.abs(best.deg),
+    confidence
+  };
+};
+
+// img：縮小後的 ImageData；lm：正規化關鍵點。回傳 { L, R } (偵測不到為 null)
+export const detectPoles = (img, lm) => {
+  if (!img || !lm) return { L: null, R: null };
+  const bodyPx = Math.abs(lm[30].y - lm[2].y) * img.height || img.height * 0.8;
+  return {
+    L: detectOne(img, lm, 15, 13, bodyPx),
+    R: detectOne(img, lm, 16, 14, bodyPx)
+  };
+};
@@ -0,0 +1,116 @@
+import { GAIT_EVENT } from './gaitEvents.js';
+
+/**
+ * 健走杖指標
+ * - 撐杖瞬間的杖身對地角度、杖尖相對雙腳的前後位置 (cm，前方為正)
+ * - 撐杖後的推撐判斷：杖尖幾乎不動、手腕持續往後 => 主動推撐 (push)；
+ *   杖尖跟著身體滑動或手沒有往後推 => 拖杖 (drag)
+ * 前後方向只在側面視角有意義；正面 / 背面只統計角度與偵測率。
+ */
+
+export const POLE_ACTION = {
+  PUSH: 'push',
+  DRAG: 'drag'
+};
+
+const PLANT_WINDOW_MS = 400;
+const MAX_TIP_TRAVEL = 0.06;   // 身高比例
+const MIN_WRIST_TRAVEL = 0.05; // 身高比例
+
+export const EMPTY_POLE_SUMMARY = {
+  detectionRate: 0,
+  plants: 0,
+  avgPlantAngleL: 0, avgPlantAngleR: 0,
+  avgTipOffset: 0,
+  pushRatio: 0
+};
+
+const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+export const createPoleTracker = () => {
+  let frames, detected, windows, plants;
+
+  const reset = () => {
+    frames = 0;
+    detected = 0;
+    windows = { L: null, R: null };
+    plants = [];
+  };
+  reset();
+
+  const closeWindow = (side) => {
+    const w = windows[side];
+    windows[side] = null;
+    if (!w) return;
+    const action = w.tipTravel <= MAX_TIP_TRAVEL && w.wristTravel >= MIN_WRIST_TRAVEL
+      ? POLE_ACTION.PUSH
+      : POLE_ACTION.DRAG;
+    plants.push({ side, timestamp: w.timestamp, groundAngle: w.groundAngle, tipOffset: w.tipOffset, action });
+  };
+
+  /**
+   * poles：detectPoles 的結果 { L, R }
+   * forwardSign：前進方向在影像 x 軸的正負 (正面 / 背面視角傳 null)
+   */
+  const push = ({ timestamp, poles, landmarks: lm, width, height, cmPerPx, forwardSign, events = [] }) => {
+    frames++;
+    if (!poles) return null;
+    const bodyPx = Math.abs(lm[30].y - lm[2].y) * height || height;
+    const midAnkleX = (lm[27].x + lm[28].x) / 2;
+
+    const out = {};
+    for (const side of ['L', 'R']) {
+      const pole = poles[side];
+      out[side] = pole && {
+        ...pole,
+        tipOffset: forwardSign ? (pole.tip.x - midAnkleX) * width * cmPerPx * forwardSign : null
+      };
+    }
+    if (out.L || out.R) detected++;
+
+    // 新的撐杖事件 -> 開始觀察推撐窗口
+    for (const e of events) {
+      if (e.type !== GAIT_EVENT.POLE_PLANT) continue;
+      closeWindow(e.side);
+      const pole = out[e.side];
+      if (!pole) continue;
+      windows[e.side] = {
+        timestamp: e.timestamp,
+        startT: timestamp,
+        groundAngle: pole.groundAngle,
+        tipOffset: pole.tipOffset,
+        tipX0: pole.tip.x * width,
+        wristX0: pole.grip.x * width,
+        tipTravel: 0,
+        wristTravel: 0
+      };
+    }
+
+    for (const side of ['L', 'R']) {
+      const w = windows[side];
+      if (!w) continue;
+      const pole = out[side];
+      if (pole && forwardSign) {
+        w.tipTravel = Math.max(w.tipTravel, Math.abs(pole.tip.x * width - w.tipX0) / bodyPx);
+        w.wristTravel = Math.max(w.wristTravel, ((w.wristX0 - pole.grip.x * width) * forwardSign) / bodyPx);
+      }
+      if (timestamp - w.startT >= PLANT_WINDOW_MS) closeWindow(side);
+    }
+    return out;
+  };
+
+  const getSummary = () => {
+    const bySide = (side) => plants.filter((p) => p.side === side).map((p) => p.groundAngle);
+    const offsets = plants.map((p) => p.tipOffset).filter((v) => v !== null);
+    return {
+      detectionRate: frames ? (detected / frames) * 100 : 0,
+      plants: plants.length,
+      avgPlantAngleL: mean(bySide('L')),
+      avgPlantAngleR: mean(bySide('R')),
+      avgTipOffset: mean(offsets),
+      pushRatio: plants.length ? (plants.filter((p) => p.action === POLE_ACTION.PUSH).length / plants.length) * 100 : 0
+    };
+  };
+
+  return { push, reset, getSummary, getPlants: () => plants.slice() };
+};
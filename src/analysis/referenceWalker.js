@@ -0,0 +1,215 @@
+import { midpoint } from './geometry.js';
+import { isFrontalView } from './frontalMetrics.js';
+import { cycleStarts, splitCycles, phaseAt } from './gaitCycle.js';
+
+/**
+ * 參考示範 (ghost) 與學員比對
+ * 參考檔是示範者數個步態週期平均成 REFERENCE_PHASES 個相位的姿勢，可由教練錄製後匯出分享。
+ * 姿勢正規化：髖中點為原點、軀幹長 (肩中點到髖中點) 為 1、x 軸朝前進方向，
+ * 因此能套到任何身材、面向左或右的學員身上，並依學員目前的週期相位對齊。
+ * 偏差以各身體節段與鉛垂線的夾角比較 (度)，與身材、離鏡頭遠近無關。
+ *
+ * reference：{ version, name, viewMode, cycles, createdAt, phases: [[{ x, y }] × 33] × REFERENCE_PHASES }
+ */
+
+export const REFERENCE_VERSION = 1;
+export const REFERENCE_PHASES = 50;
+const MIN_REFERENCE_CYCLES = 2;
+const MIN_VISIBILITY = 0.5;
+const MIN_TORSO_PX = 10;
+// 節段平均偏差達此角度時分數為 0
+const MAX_DEVIATION_DEG = 30;
+
+const MIDPOINTS = { midHip: [23, 24], midShoulder: [11, 12] };
+
+export const SEGMENTS = [
+  { id: 'trunk', from: 'midHip', to: 'midShoulder' },
+  { id: 'upperArmL', from: 11, to: 13 },
+  { id: 'forearmL', from: 13, to: 15 },
+  { id: 'upperArmR', from: 12, to: 14 },
+  { id: 'forearmR', from: 14, to: 16 },
+  { id: 'thighL', from: 23, to: 25 },
+  { id: 'shankL', from: 25, to: 27 },
+  { id: 'thighR', from: 24, to: 26 },
+  { id: 'shankR', from: 26, to: 28 }
+];
+
+// 前進方向在影像 x 軸上的符號；正面 / 背面不翻轉
+const forwardSign = (viewMode) => (viewMode === 'side_left' ? -1 : 1);
+
+// 側面示範只能套在側面學員上，正面 / 背面亦同
+export const referenceMatchesView = (reference, viewMode) =>
+  !!reference && isFrontalView(reference.viewMode) === isFrontalView(viewMode);
+
+const pointOf = (pose, key) => (typeof key === 'number' ? pose[key] : midpoint(pose[MIDPOINTS[key][0]], pose[MIDPOINTS[key][1]]));
+
+// 關鍵點 (正規化影像座標) -> 髖中點原點、軀幹長為單位、朝前進方向的姿勢；保留 visibility
+export const normalizePose = (lm, { width, height, viewMode }) => {
+  const toPx = (p) => ({ x: p.x * width, y: p.y * height });
+  const hip = toPx(midpoint(lm[23], lm[24]));
+  const shoulder = toPx(midpoint(lm[11], lm[12]));
+  const torso = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y);
+  if (torso < MIN_TORSO_PX) return null;
+  const sign = forwardSign(viewMode);
+  return lm.map((p) => {
+    const px = toPx(p);
+    return { x: ((px.x - hip.x) / torso) * sign, y: (px.y - hip.y) / torso, visibility: p.visibility ?? 1 };
+  });
+};
+
+// 相鄰相位線性內插 (週期首尾相接)
+const poseAtPhase = (reference, phase) => {
+  const { phases } = reference;
+  const pos = phase * phases.length;
+  const i = Math.floor(pos) % phases.length;
+  const j = (i + 1) % phases.length;
+  const f = pos - Math.floor(pos);
+  return phases[i].map((a, k) => ({ x: a.x + (phases[j][k].x - a.x) * f, y: a.y + (phases[j][k].y - a.y) * f }));
+};
+
+/**
+ * 由已分析的 timeline + 步態事件建立參考示範
+ * 需要至少 MIN_REFERENCE_CYCLES 個完整週期，否則回傳 null
+ */
+export const buildReference = ({ name, entries, events, viewMode, width, height }) => {
+  const cycles = splitCycles(events);
+  if (cycles.length < MIN_REFERENCE_CYCLES) return null;
+  const starts = cycleStarts(events);
+
+  const bins = Array.from({ length: REFERENCE_PHASES }, () => ({ sum: null, n: 0 }));
+  for (const entry of entries) {
+    if (!entry.landmarks || entry.metrics?.usable === false) continue;
+    const phase = phaseAt(entry.time * 1000, starts);
+    if (phase === null) continue;
+    const pose = normalizePose(entry.landmarks, { width, height, viewMode });
+    if (!pose) continue;
+    const bin = bins[Math.floor(phase * REFERENCE_PHASES)];
+    bin.sum = bin.sum ? bin.sum.map((s, k) => ({ x: s.x + pose[k].x, y: s.y + pose[k].y })) : pose.map(({ x, y }) => ({ x, y }));
+    bin.n++;
+  }
+
+  const filled = bins.map((b, i) => (b.n ? i : -1)).filter((i) => i >= 0);
+  if (!filled.length) return null;
+  // 取樣率低時部分相位沒有資料，以週期上最近的相位補上
+  const nearest = (i) => filled.reduce((best, k) => {
+    const d = Math.min(Math.abs(k - i), REFERENCE_PHASES - Math.abs(k - i));
+    return d < best.d ? { d, k } : best;
+  }, { d: Infinity, k: filled[0] }).k;
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+
+  return {
+    version: REFERENCE_VERSION,
+    name,
+    viewMode,
+    cycles: cycles.length,
+    createdAt: new Date().toISOString(),
+    phases: bins.map((_, i) => {
+      const b = bins[bins[i].n ? i : nearest(i)];
+      return b.sum.map(({ x, y }) => ({ x: round(x / b.n), y: round(y / b.n) }));
+    })
+  };
+};
+
+// 匯入的參考檔：檢查格式，不符時丟出錯誤 (code 供介面翻譯)
+export const parseReference = (json) => {
+  let ref;
+  try {
+    ref = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch {
+    ref = null;
+  }
+  if (ref?.version !== REFERENCE_VERSION || !Array.isArray(ref.phases) || ref.phases.length !== REFERENCE_PHASES
+    || ref.phases.some((p) => !Array.isArray(p) || p.length !== 33)) {
+    throw Object.assign(new Error('invalid reference file'), { code: 'invalidReference' });
+  }
+  return ref;
+};
+
+/**
+ * 把參考姿勢套到學員身上：以學員的髖中點與軀幹長定位、縮放
+ * 回傳正規化影像座標的關鍵點，可直接交給繪圖
+ */
+export const ghostLandmarks = (reference, phase, lm, { width, height, viewMode }) => {
+  const toPx = (p) => ({ x: p.x * width, y: p.y * height });
+  const hip = toPx(midpoint(lm[23], lm[24]));
+  const shoulder = toPx(midpoint(lm[11], lm[12]));
+  const torso = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y);
+  if (torso < MIN_TORSO_PX) return null;
+  const sign = forwardSign(viewMode);
+  return poseAtPhase(reference, phase).map((p) => ({
+    x: (hip.x + p.x * torso * sign) / width,
+    y: (hip.y + p.y * torso) / height,
+    visibility: 1
+  }));
+};
+
+// 節段與鉛垂線 (向上) 的夾角，朝前進方向為正
+const segmentAngle = (pose, seg) => {
+  const a = pointOf(pose, seg.from);
+  const b = pointOf(pose, seg.to);
+  return (Math.atan2(b.x - a.x, a.y - b.y) * 180) / Math.PI;
+};
+
+const angleDiff = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+const segmentVisible = (pose, seg) => [seg.from, seg.to].every((key) => (typeof key === 'number'
+  ? pose[key].visibility >= MIN_VISIBILITY
+  : MIDPOINTS[key].every((i) => pose[i].visibility >= MIN_VISIBILITY)));
+
+/**
+ * 各節段偏差的累加器 (即時分析與整段比對共用)
+ * getResults()：{ frames, score, segments: [{ id, deviation (平均 |Δ角度|), score }] }
+ */
+export const createDeviationAccumulator = () => {
+  let frames, sums;
+
+  const reset = () => {
+    frames = 0;
+    sums = Object.fromEntries(SEGMENTS.map((s) => [s.id, { sum: 0, n: 0 }]));
+  };
+  reset();
+
+  const add = (reference, phase, studentPose) => {
+    const refPose = poseAtPhase(reference, phase);
+    frames++;
+    SEGMENTS.forEach((seg) => {
+      if (!segmentVisible(studentPose, seg)) return;
+      sums[seg.id].sum += angleDiff(segmentAngle(studentPose, seg), segmentAngle(refPose, seg));
+      sums[seg.id].n++;
+    });
+  };
+
+  const getResults = () => {
+    const segments = SEGMENTS.map((seg) => {
+      const { sum, n } = sums[seg.id];
+      const deviation = n ? sum / n : null;
+      return {
+        id: seg.id,
+        deviation,
+        score: deviation === null ? null : Math.max(0, 100 - (deviation / MAX_DEVIATION_DEG) * 100)
+      };
+    });
+    const scored = segments.filter((s) => s.score !== null);
+    return {
+      frames,
+      score: scored.length ? scored.reduce((a, s) => a + s.score, 0) / scored.length : null,
+      segments
+    };
+  };
+
+  return { add, reset, getResults };
+};
+
+// 整段 timeline 與參考比對
+export const compareToReference = (reference, { entries, events, viewMode, width, height }) => {
+  const acc = createDeviationAccumulator();
+  const starts = cycleStarts(events);
+  for (const entry of entries) {
+    if (!entry.landmarks || entry.metrics?.usable === false) continue;
+    const phase = phaseAt(entry.time * 1000, starts);
+    if (phase === null) continue;
+    const pose = normalizePose(entry.landmarks, { width, height, viewMode });
+    if (pose) acc.add(reference, phase, pose);
+  }
+  return acc.getResults();
+};
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePose, buildReference, parseReference, ghostLandmarks, createDeviationAccumulator,
+  REFERENCE_PHASES, SEGMENTS
+} from './referenceWalker.js';
+import { GAIT_EVENT } from './gaitEvents.js';
+
+const size = { width: 1000, height: 1000 };
+const near = (actual, expected, eps = 1e-6) => assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+// 髖中點 (hx, 0.6)、軀幹長 torso；手腕隨 swing 前後擺 (朝畫面 dir 方向為前)
+const pose = ({ hx = 0.5, torso = 0.2, swing = 0, dir = -1 } = {}) => {
+  const lm = Array.from({ length: 33 }, () => ({ x: hx, y: 0.6, visibility: 1 }));
+  lm[11] = lm[12] = { x: hx, y: 0.6 - torso, visibility: 1 };
+  lm[13] = lm[14] = { x: hx, y: 0.6 - torso / 2, visibility: 1 };
+  lm[15] = lm[16] = { x: hx + dir * swing * torso, y: 0.6 - torso / 4, visibility: 1 };
+  lm[25] = lm[26] = { x: hx, y: 0.6 + torso, visibility: 1 };
+  lm[27] = lm[28] = { x: hx, y: 0.6 + torso * 2, visibility: 1 };
+  return lm;
+};
+
+test('正規化：髖中點為原點、軀幹長為 1、x 朝前進方向', () => {
+  const left = normalizePose(pose({ swing: 0.5, dir: -1 }), { ...size, viewMode: 'side_left' });
+  const right = normalizePose(pose({ hx: 0.3, torso: 0.1, swing: 0.5, dir: 1 }), { ...size, viewMode: 'side_right' });
+  near(left[11].y, -1);
+  near(left[15].x, 0.5);
+  // 不同位置、大小、面向的同一姿勢正規化後相同
+  left.forEach((p, i) => { near(p.x, right[i].x); near(p.y, right[i].y); });
+  // 軀幹太短 (人太遠或偵測失敗) 時放棄
+  assert.equal(normalizePose(pose({ torso: 0.005 }), { ...size, viewMode: 'side_left' }), null);
+});
+
+// 左腳每 1000 ms 著地一次，手腕隨相位前後擺
+const walk = (cycles) => {
+  const entries = [];
+  for (let t = 0; t <= cycles * 1000; t += 20) {
+    entries.push({ time: t / 1000, landmarks: pose({ swing: Math.sin((2 * Math.PI * t) / 1000) }), metrics: { usable: true } });
+  }
+  const events = Array.from({ length: cycles + 1 }, (_, i) => ({ type: GAIT_EVENT.HEEL_STRIKE, side: 'L', timestamp: i * 1000 }));
+  return { entries, events };
+};
+
+test('建立參考：依相位平均成固定數量的姿勢', () => {
+  const reference = buildReference({ name: 'demo', ...walk(3), viewMode: 'side_left', ...size });
+  assert.equal(reference.cycles, 3);
+  assert.equal(reference.phases.length, REFERENCE_PHASES);
+  assert.ok(reference.phases.every((p) => p.length === 33));
+  // 1/4 週期時手腕在最前方
+  near(reference.phases[Math.floor(REFERENCE_PHASES / 4)][15].x, 1, 0.05);
+  assert.equal(parseReference(JSON.stringify(reference)).name, 'demo');
+});
+
+test('週期不足時不建立參考', () => {
+  assert.equal(buildReference({ name: 'x', ...walk(1), viewMode: 'side_left', ...size }), null);
+});
+
+test('格式不符的參考檔拒絕', () => {
+  assert.throws(() => parseReference('{'), { code: 'invalidReference' });
+  assert.throws(() => parseReference({ version: 1, phases: [] }), { code: 'invalidReference' });
+});
+
+test('ghost 套到學員身上，與學員相同姿勢時偏差為 0', () => {
+  const reference = buildReference({ name: 'demo', ...walk(3), viewMode: 'side_left', ...size });
+  const student = pose({ hx: 0.3, torso: 0.1, dir: 1 });
+  const ghost = ghostLandmarks(reference, 0, student, { ...size, viewMode: 'side_right' });
+  near(ghost[11].x, 0.3, 1e-3);
+  near(ghost[11].y, 0.5, 1e-3);
+
+  const deviation = createDeviationAccumulator();
+  deviation.add(reference, 0, normalizePose(ghost, { ...size, viewMode: 'side_right' }));
+  const results = deviation.getResults();
+  assert.equal(results.frames, 1);
+  assert.equal(results.segments.length, SEGMENTS.length);
+  near(results.score, 100, 1e-3);
+});
+
+test('節段偏差以角度計分，看不到的節段不計', () => {
+  const reference = { phases: Array.from({ length: REFERENCE_PHASES }, () => normalizePose(pose(), { ...size, viewMode: 'side_left' })) };
+  // 前臂往前擺 45°、右側看不到
+  const student = normalizePose(pose({ swing: 1 }), { ...size, viewMode: 'side_left' });
+  [12, 14, 16, 24, 26, 28].forEach((i) => { student[i].visibility = 0; });
+  const deviation = createDeviationAccumulator();
+  deviation.add(reference, 0.3, student);
+  const segments = Object.fromEntries(deviation.getResults().segments.map((s) => [s.id, s]));
+  near(segments.forearmL.deviation, Math.atan2(1, 0.25) * 180 / Math.PI, 1e-6);
+  near(segments.trunk.deviation, 0);
+  assert.equal(segments.forearmR.deviation, null);
+});
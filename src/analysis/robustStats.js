@@ -0,0 +1,18 @@
+// --- 穩健統計 ---
+// 以百分位數取代絕對極值，單一誤判幀不會永久拉高 max / 拉低 min。
+
+export const MAX_PERCENTILE = 95;
+export const MIN_PERCENTILE = 5;
+
+// 線性內插百分位數 (p: 0~100)；空陣列回傳 0
+export const percentile = (values, p) => {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const pos = ((sorted.length - 1) * p) / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+export const robustMax = (values) => percentile(values, MAX_PERCENTILE);
+export const robustMin = (values) => percentile(values, MIN_PERCENTILE);
@@ -0,0 +1,195 @@
+/**
+ * 技術評分與教練建議
+ * 將 gaitEngine 的 summary 依可調整的門檻轉成：總分、各項 pass/warn/fail 與建議。
+ * 項目名稱與建議只輸出代碼 (criterion.<id>、tip.<id>.low / high)，由介面依語系翻譯。
+ *
+ * 規則 (rules) 為純資料，可存檔並由教練在面板中修改：
+ *   { [criterionId]: { enabled, min, max, tolerance, weight } }
+ * 數值落在 [min, max] 為 pass；超出但在 tolerance 內為 warn；再超出為 fail。
+ */
+
+export const CRITERION_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+  NA: 'na'
+};
+
+const SIDE_VIEWS = ['side_left', 'side_right'];
+const FRONTAL_VIEWS = ['front', 'back'];
+
+// value(summary, ctx) 回傳 null 代表資料不足，不列入計分；tips 為有建議的方向 (低於 / 高於門檻)
+export const TECHNIQUE_CRITERIA = [
+  {
+    id: 'forwardLean',
+    unit: '°',
+    views: SIDE_VIEWS,
+    value: (s) => s.frames ? s.avgLean : null,
+    tips: ['low', 'high']
+  },
+  {
+    id: 'armBack',
+    unit: '°',
+    views: SIDE_VIEWS,
+    value: (s) => s.frames ? s.maxArmBack : null,
+    tips: ['low', 'high']
+  },
+  {
+    id: 'armFwd',
+    unit: '°',
+    views: SIDE_VIEWS,
+    value: (s) => s.frames ? s.maxArmFwd : null,
+    tips: ['low', 'high']
+  },
+  {
+    id: 'handOpenBack',
+    unit: '%',
+    views: SIDE_VIEWS,
+    value: (s) => s.handOpenBack ?? null,
+    tips: ['low']
+  },
+  {
+    id: 'handFistFront',
+    unit: '%',
+    views: SIDE_VIEWS,
+    value: (s) => s.handFistFront ?? null,
+    tips: ['low']
+  },
+  {
+    id: 'stepRatio',
+    unit: '%',
+    views: SIDE_VIEWS,
+    value: (s, { userHeight }) => {
+      const { stepLengthL, stepLengthR } = s.gait;
+      const step = stepLengthL && stepLengthR ? (stepLengthL + stepLengthR) / 2 : (stepLengthL || stepLengthR);
+      return step && userHeight ? (step / userHeight) * 100 : null;
+    },
+    tips: ['low', 'high']
+  },
+  {
+    id: 'shoulderTilt',
+    unit: '°',
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? s.frontal.maxShoulderTilt : null,
+    tips: ['high']
+  },
+  {
+    id: 'trunkSway',
+    unit: '%',
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? s.frontal.swayRange : null,
+    tips: ['high']
+  },
+  {
+    id: 'armCrossing',
+    unit: '%',
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? s.frontal.armCrossing : null,
+    tips: ['high']
+  },
+  {
+    id: 'poleWidth',
+    unit: '×',
+    digits: 2,
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? s.frontal.avgPoleWidth : null,
+    tips: ['low', 'high']
+  },
+  {
+    id: 'kneeValgus',
+    unit: '°',
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? Math.max(s.frontal.maxKneeValgusL, s.frontal.maxKneeValgusR) : null,
+    tips: ['high']
+  },
+  {
+    id: 'stepWidth',
+    unit: 'cm',
+    views: FRONTAL_VIEWS,
+    value: (s) => s.frontal.frames ? s.frontal.avgStepWidth : null,
+    tips: ['low', 'high']
+  },
+  {
+    id: 'coordination',
+    unit: '%',
+    views: null,
+    value: (s) => s.gait.polePlants ? s.gait.coordination : null,
+    tips: ['low']
+  }
+];
+
+export const RULE_PRESETS = {
+  beginner: {
+    rules: {
+      forwardLean: { enabled: true, min: 3, max: 15, tolerance: 4, weight: 1 },
+      armBack: { enabled: true, min: 20, max: 70, tolerance: 10, weight: 1 },
+      armFwd: { enabled: true, min: 20, max: 60, tolerance: 10, weight: 1 },
+      handOpenBack: { enabled: true, min: 40, max: 100, tolerance: 20, weight: 0.5 },
+      handFistFront: { enabled: true, min: 40, max: 100, tolerance: 20, weight: 0.5 },
+      stepRatio: { enabled: true, min: 30, max: 55, tolerance: 5, weight: 1 },
+      shoulderTilt: { enabled: true, min: 0, max: 8, tolerance: 4, weight: 1 },
+      trunkSway: { enabled: true, min: 0, max: 40, tolerance: 15, weight: 1 },
+      armCrossing: { enabled: true, min: 0, max: 20, tolerance: 15, weight: 1 },
+      poleWidth: { enabled: true, min: 0.9, max: 2, tolerance: 0.3, weight: 1 },
+      kneeValgus: { enabled: true, min: 0, max: 12, tolerance: 6, weight: 1 },
+      stepWidth: { enabled: true, min: 5, max: 20, tolerance: 5, weight: 0.5 },
+      coordination: { enabled: true, min: 60, max: 100, tolerance: 20, weight: 1 }
+    }
+  },
+  advanced: {
+    rules: {
+      forwardLean: { enabled: true, min: 5, max: 12, tolerance: 3, weight: 1 },
+      armBack: { enabled: true, min: 35, max: 65, tolerance: 8, weight: 1.5 },
+      armFwd: { enabled: true, min: 30, max: 50, tolerance: 8, weight: 1 },
+      handOpenBack: { enabled: true, min: 70, max: 100, tolerance: 15, weight: 1 },
+      handFistFront: { enabled: true, min: 70, max: 100, tolerance: 15, weight: 1 },
+      stepRatio: { enabled: true, min: 40, max: 55, tolerance: 4, weight: 1 },
+      shoulderTilt: { enabled: true, min: 0, max: 5, tolerance: 3, weight: 1 },
+      trunkSway: { enabled: true, min: 0, max: 30, tolerance: 10, weight: 1 },
+      armCrossing: { enabled: true, min: 0, max: 10, tolerance: 10, weight: 1 },
+      poleWidth: { enabled: true, min: 1, max: 1.8, tolerance: 0.2, weight: 1 },
+      kneeValgus: { enabled: true, min: 0, max: 8, tolerance: 4, weight: 1.5 },
+      stepWidth: { enabled: true, min: 5, max: 15, tolerance: 4, weight: 0.5 },
+      coordination: { enabled: true, min: 80, max: 100, tolerance: 10, weight: 1.5 }
+    }
+  }
+};
+
+export const DEFAULT_RULES = RULE_PRESETS.beginner.rules;
+
+// 區間內 100 分，超出 tolerance 時 50 分，超出 2 倍 tolerance 歸零
+const scoreValue = (value, { min, max, tolerance }) => {
+  const dist = value < min ? min - value : (value > max ? value - max : 0);
+  if (dist === 0) return { score: 100, status: CRITERION_STATUS.PASS };
+  const tol = tolerance || 1;
+  const score = Math.max(0, 100 - (dist / tol) * 50);
+  return { score, status: dist <= tol ? CRITERION_STATUS.WARN : CRITERION_STATUS.FAIL };
+};
+
+export const evaluateTechnique = (summary, rules = DEFAULT_RULES, ctx = {}) => {
+  const { viewMode = 'side_left' } = ctx;
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const criteria = TECHNIQUE_CRITERIA
+    .filter((c) => rules[c.id]?.enabled && (!c.views || c.views.includes(viewMode)))
+    .map((c) => {
+      const rule = rules[c.id];
+      const value = c.value(summary, ctx);
+      if (value === null || !Number.isFinite(value)) {
+        return { id: c.id, unit: c.unit, digits: c.digits ?? 0, value: null, score: null, status: CRITERION_STATUS.NA, tip: null, rule };
+      }
+      const { score, status } = scoreValue(value, rule);
+      weighted += score * rule.weight;
+      totalWeight += rule.weight;
+      const direction = value < rule.min ? 'low' : 'high';
+      const tip = status !== CRITERION_STATUS.PASS && c.tips.includes(direction) ? `${c.id}.${direction}` : null;
+      return { id: c.id, unit: c.unit, digits: c.digits ?? 0, value, score, status, tip, rule };
+    });
+
+  return {
+    score: totalWeight ? weighted / totalWeight : null,
+    criteria,
+    tips: criteria.filter((c) => c.tip).map((c) => c.tip)
+  };
+};
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTechnique, CRITERION_STATUS, DEFAULT_RULES, TECHNIQUE_CRITERIA } from './technique.js';
+import { EMPTY_SUMMARY } from './gaitEngine.js';
+
+const summary = (patch = {}) => ({ ...EMPTY_SUMMARY, frames: 100, ...patch });
+const leanRule = { forwardLean: { enabled: true, min: 5, max: 10, tolerance: 2, weight: 1 } };
+const leanAt = (avgLean) => evaluateTechnique(summary({ avgLean }), leanRule).criteria[0];
+
+test('區間內 pass、tolerance 內 warn、超出 fail，分數線性遞減', () => {
+  assert.deepEqual([leanAt(7).status, leanAt(7).score], [CRITERION_STATUS.PASS, 100]);
+  assert.deepEqual([leanAt(11).status, leanAt(11).score], [CRITERION_STATUS.WARN, 75]);
+  assert.deepEqual([leanAt(3).status, leanAt(3).score], [CRITERION_STATUS.WARN, 50]);
+  assert.deepEqual([leanAt(13).status, leanAt(13).score], [CRITERION_STATUS.FAIL, 25]);
+  assert.equal(leanAt(20).score, 0);
+});
+
+test('未達標時依方向給建議代碼', () => {
+  assert.equal(leanAt(7).tip, null);
+  assert.equal(leanAt(2).tip, 'forwardLean.low');
+  assert.equal(leanAt(14).tip, 'forwardLean.high');
+});
+
+test('總分依權重加權，資料不足的項目不計分', () => {
+  const rules = {
+    forwardLean: { enabled: true, min: 5, max: 10, tolerance: 2, weight: 1 },
+    armBack: { enabled: true, min: 30, max: 60, tolerance: 10, weight: 3 },
+    coordination: { enabled: true, min: 60, max: 100, tolerance: 20, weight: 1 }
+  };
+  // forwardLean 100 分、armBack 超出 5° (75 分)、沒有撐杖所以 coordination 為 NA
+  const result = evaluateTechnique(summary({ avgLean: 7, maxArmBack: 65 }), rules);
+  assert.equal(result.score, (100 * 1 + 75 * 3) / 4);
+  assert.equal(result.criteria.find((c) => c.id === 'coordination').status, CRITERION_STATUS.NA);
+  assert.deepEqual(result.tips, ['armBack.high']);
+});
+
+test('只評該視角適用的項目', () => {
+  const ids = (viewMode) => evaluateTechnique(summary(), DEFAULT_RULES, { viewMode }).criteria.map((c) => c.id);
+  const side = ids('side_left');
+  const front = ids('front');
+  assert.ok(side.includes('armBack') && !side.includes('kneeValgus'));
+  assert.ok(front.includes('kneeValgus') && !front.includes('armBack'));
+  assert.ok(side.includes('coordination') && front.includes('coordination'));
+  assert.equal(side.length + front.length, TECHNIQUE_CRITERIA.length + 1);
+});
+
+test('步幅以身高比例評分', () => {
+  const gait = { ...EMPTY_SUMMARY.gait, stepLengthL: 70, stepLengthR: 80 };
+  const stepRatio = evaluateTechnique(summary({ gait }), DEFAULT_RULES, { userHeight: 170 })
+    .criteria.find((c) => c.id === 'stepRatio');
+  assert.ok(Math.abs(stepRatio.value - (75 / 170) * 100) < 1e-9);
+});
+
+test('沒有任何可評分項目時總分為 null', () => {
+  assert.equal(evaluateTechnique({ ...EMPTY_SUMMARY }, leanRule).score, null);
+});
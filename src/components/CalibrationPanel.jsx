@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { Ruler } from 'lucide-react';
+import { MAX_REFERENCES, hasPerspective, describeReference } from '../analysis/calibration.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 距離校正
+ * pickPoints 不為 null 時表示正在畫面上點選參考物兩端 (由父元件處理 canvas 點擊)
+ */
+const CalibrationPanel = ({
+  calibration, pickPoints, defaultLength, disabled,
+  onStartPick, onCancelPick, onConfirmPick, onUseStanding, onClear
+}) => {
+  const t = useI18n();
+  const [lengthCm, setLengthCm] = useState(defaultLength);
+  const refs = calibration?.references || [];
+  const picking = pickPoints !== null;
+  const full = refs.length >= MAX_REFERENCES;
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <Ruler size={14} /> {t('calibration.title')}
+      </h2>
+
+      {refs.length ? (
+        <ul className="mb-2 space-y-1 text-slate-300">
+          {refs.map((ref, i) => <li key={i}>● {describeReference(t, ref)}</li>)}
+          <li className="text-slate-500">
+            {t('calibration.perspective')}{hasPerspective(calibration) ? t('calibration.perspectiveOn') : t('calibration.perspectiveOff')}
+          </li>
+        </ul>
+      ) : (
+        <p className="mb-2 text-slate-500">{t('calibration.uncalibratedHint')}</p>
+      )}
+
+      {picking ? (
+        <div className="space-y-2">
+          <p className="text-yellow-400">
+            {pickPoints.length < 2
+              ? t(pickPoints.length ? 'calibration.pickSecond' : 'calibration.pickFirst')
+              : t('calibration.enterLength')}
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              value={lengthCm}
+              onChange={(e) => setLengthCm(Number(e.target.value))}
+              className="w-16 bg-slate-800 border border-slate-700 rounded px-1 text-right focus:outline-none"
+            />
+            <span>cm</span>
+            <button
+              onClick={() => onConfirmPick(lengthCm)}
+              disabled={pickPoints.length < 2 || !(lengthCm > 0)}
+              className="px-2 py-1 rounded bg-blue-700 hover:bg-blue-600 disabled:opacity-40"
+            >
+              {t('common.confirm')}
+            </button>
+            <button onClick={onCancelPick} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">{t('common.cancel')}</button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onStartPick}
+            disabled={disabled || full}
+            className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+          >
+            {t('calibration.markReference')}
+          </button>
+          <button
+            onClick={onUseStanding}
+            disabled={disabled || full}
+            className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+          >
+            {t('calibration.useStanding')}
+          </button>
+          {refs.length > 0 && (
+            <button onClick={onClear} className="px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 text-red-400">
+              {t('common.clear')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { MessageSquare, Plus, Trash2 } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 教練評語：在目前影片時間加一則評語，點清單跳到該時間
+ * 評語隨紀錄儲存，也會放進分享檔寄回給學員
+ */
+const CommentPanel = ({ comments, currentTime, author, disabled, onAuthorChange, onAdd, onSeek, onDelete }) => {
+  const t = useI18n();
+  const [text, setText] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onAdd(text);
+    setText('');
+  };
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <MessageSquare size={14} /> {t('comment.title')}
+      </h2>
+      <form onSubmit={submit} className="space-y-2 mb-2">
+        <input
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+          placeholder={t('comment.author')}
+          className="w-full bg-slate-800 border border-slate-700 rounded px-2 py-1 focus:outline-none"
+        />
+        <div className="flex gap-2">
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={t('comment.placeholder', { time: t.number(currentTime, 1) })}
+            disabled={disabled}
+            className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded px-2 py-1 focus:outline-none disabled:opacity-40"
+          />
+          <button
+            type="submit"
+            disabled={disabled || !text.trim()}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-blue-700 hover:bg-blue-600 font-bold disabled:opacity-40"
+          >
+            <Plus size={12} /> {t('comment.add')}
+          </button>
+        </div>
+      </form>
+      {comments.length > 0 && (
+        <ul className="space-y-1">
+          {comments.map((c) => (
+            <li key={c.id} className="flex items-start gap-2">
+              <button onClick={() => onSeek(c.time)} className="flex-1 text-left hover:text-yellow-400">
+                <span className="text-slate-400 font-mono mr-2">{t.number(c.time, 1)}s</span>
+                {c.author && <span className="text-slate-500 mr-1">{c.author}:</span>}
+                {c.text}
+              </button>
+              <button onClick={() => onDelete(c.id)} className="text-slate-500 hover:text-red-400"><Trash2 size={12} /></button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CommentPanel;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { THEME } from '../theme.js';
+import { CYCLE_POINTS } from '../analysis/cycleProfiles.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 步態週期曲線 (純 SVG)：橫軸 0–100% 週期，左右各畫平均線與 ± 標準差帶
+ * 圖下列出各側週期平均與變異指數；報告也以 renderToStaticMarkup 共用這個元件
+ */
+
+const W = 300;
+const H = 64;
+
+const SIDES = [
+  { key: 'L', label: 'side.L', color: THEME.colors.left },
+  { key: 'R', label: 'side.R', color: THEME.colors.right }
+];
+
+const linePath = (values, x, y) => values.map((v, k) => `${k ? 'L' : 'M'}${x(k).toFixed(1)},${y(v).toFixed(1)}`).join('');
+
+// mean + sd 順向、mean - sd 逆向圍成的帶狀區域
+const bandPath = (profile, x, y) => {
+  const upper = profile.mean.map((m, k) => `${k ? 'L' : 'M'}${x(k).toFixed(1)},${y(m + profile.sd[k]).toFixed(1)}`).join('');
+  const lower = profile.mean.map((m, k) => [k, m - profile.sd[k]]).reverse()
+    .map(([k, v]) => `L${x(k).toFixed(1)},${y(v).toFixed(1)}`).join('');
+  return `${upper}${lower}Z`;
+};
+
+const ProfileChart = ({ metric }) => {
+  const t = useI18n();
+  const profiles = SIDES.map((s) => ({ ...s, profile: metric[s.key] })).filter((s) => s.profile);
+  let v0 = Infinity;
+  let v1 = -Infinity;
+  profiles.forEach(({ profile }) => profile.mean.forEach((m, k) => {
+    v0 = Math.min(v0, m - profile.sd[k]);
+    v1 = Math.max(v1, m + profile.sd[k]);
+  }));
+  if (v1 - v0 < 1e-6) { v0 -= 1; v1 += 1; }
+
+  const x = (k) => (k / (CYCLE_POINTS - 1)) * W;
+  const y = (v) => H - 4 - ((v - v0) / (v1 - v0)) * (H - 8);
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500 mb-1">
+        <span>{t(`metric.${metric.id}`)}</span>
+        <span>{v0.toFixed(0)}–{v1.toFixed(0)}{metric.unit}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-16 bg-slate-800 rounded">
+        <line x1={W / 2} x2={W / 2} y1={0} y2={H} stroke="#475569" strokeWidth={0.6} strokeDasharray="2,2" />
+        {profiles.map(({ key, color, profile }) => (
+          <g key={key}>
+            <path d={bandPath(profile, x, y)} fill={color} fillOpacity={0.2} stroke="none" />
+            <path d={linePath(profile.mean, x, y)} fill="none" stroke={color} strokeWidth={1.2} vectorEffect="non-scaling-stroke" />
+          </g>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-slate-500">
+        {profiles.map(({ key, label, color, profile }) => (
+          <span key={key}>
+            <span style={{ color }}>{t(label)}</span> {t.number(profile.average, 1)}{metric.unit}
+            ・{t('cycle.variability')} {profile.variability === null ? '--' : `${t.number(profile.variability, 0)}%`}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CycleProfileCharts = ({ profiles }) => {
+  const t = useI18n();
+  if (!profiles) return null;
+  return (
+    <div className="space-y-2">
+      {profiles.metrics.filter((m) => m.L || m.R).map((metric) => <ProfileChart key={metric.id} metric={metric} />)}
+      <div className="text-xs text-slate-500">
+        {t('cycle.legend', { left: profiles.cycles.L, right: profiles.cycles.R })}
+      </div>
+    </div>
+  );
+};
+
+export default CycleProfileCharts;
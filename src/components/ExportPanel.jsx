@@ -0,0 +1,41 @@
+import React from 'react';
+import { Download, FileJson, FileSpreadsheet, Printer, Package } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const ExportButton = ({ icon, label, onClick, disabled, className = '' }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={`${className} flex items-center justify-center gap-1 px-2 py-2 rounded bg-slate-800 hover:bg-slate-700 border border-slate-700 text-xs disabled:opacity-40`}
+  >
+    {icon} {label}
+  </button>
+);
+
+// 分享檔 (影片 + 關鍵點 + 統計 + 評語) 可在另一台裝置以上方的「開啟分享檔」還原
+const ExportPanel = ({ disabled, busy, bundling, onExportJSON, onExportSummaryCSV, onExportFramesCSV, onPrintReport, onExportBundle }) => {
+  const t = useI18n();
+
+  return (
+    <div className="p-4 border-t border-slate-800">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <Download size={14} /> {t('export.title')}
+      </h2>
+      <div className="grid grid-cols-2 gap-2">
+        <ExportButton icon={<FileJson size={14} />} label="JSON" onClick={onExportJSON} disabled={disabled} />
+        <ExportButton icon={<FileSpreadsheet size={14} />} label={t('export.summaryCsv')} onClick={onExportSummaryCSV} disabled={disabled} />
+        <ExportButton icon={<FileSpreadsheet size={14} />} label={t('export.framesCsv')} onClick={onExportFramesCSV} disabled={disabled} />
+        <ExportButton icon={<Printer size={14} />} label={t(busy ? 'export.preparing' : 'export.report')} onClick={onPrintReport} disabled={disabled || busy} />
+        <ExportButton
+          icon={<Package size={14} />}
+          label={t(bundling ? 'export.preparing' : 'export.bundle')}
+          onClick={onExportBundle}
+          disabled={disabled || bundling}
+          className="col-span-2"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 多人模式：目前分析對象與團體統計
+ * results：[{ id, frames, summary }]；score(summary) 由父元件依目前評分門檻計算
+ * 即時分析時可勾選「分別統計每個人」；整段分析後按「計算全組統計」
+ */
+const GroupPanel = ({
+  selectedId, results, analyzeAll, canComputeClip, score,
+  onToggleAnalyzeAll, onComputeClip, onSelect
+}) => {
+  const t = useI18n();
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <Users size={14} /> {t('group.title')}
+      </h2>
+      <p className="mb-2 text-slate-400">
+        {t('group.subject')}{selectedId === null ? t('group.none') : <span className="text-yellow-400 font-bold">#{selectedId}</span>}
+        <span className="text-slate-500">{t('group.pickHint')}</span>
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        {canComputeClip ? (
+          <button onClick={onComputeClip} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">{t('group.compute')}</button>
+        ) : (
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={analyzeAll} onChange={(e) => onToggleAnalyzeAll(e.target.checked)} />
+            {t('group.perPerson')}
+          </label>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <table className="w-full">
+          <thead className="text-slate-500">
+            <tr>
+              <th className="text-left font-normal">{t('group.person')}</th>
+              <th className="text-right font-normal">{t('group.frames')}</th>
+              <th className="text-right font-normal">{t('group.steps')}</th>
+              <th className="text-right font-normal">{t('group.cadence')}</th>
+              <th className="text-right font-normal">{t('group.score')}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {results.map(({ id, frames, summary }) => {
+              const s = score(summary);
+              return (
+                <tr key={id} className={id === selectedId ? 'text-yellow-400' : 'text-slate-300'}>
+                  <td>#{id}</td>
+                  <td className="text-right">{frames}</td>
+                  <td className="text-right">{summary.steps}</td>
+                  <td className="text-right">{t.number(summary.gait.cadence, 0)}</td>
+                  <td className="text-right">{t.number(s, 0)}</td>
+                  <td className="text-right">
+                    {id !== selectedId && (
+                      <button onClick={() => onSelect(id)} className="px-1 rounded bg-slate-700 hover:bg-slate-600 font-sans">{t('group.select')}</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default GroupPanel;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Volume2 } from 'lucide-react';
+import { LIVE_CUES } from '../analysis/liveCues.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 即時提示設定：語音 / 震動、提示間隔、各項提示開關
+ * 門檻沿用技術評分面板的設定；active 為 false 時 (非即時鏡頭或非側面視角) 不會發出提示
+ */
+const LiveCuePanel = ({ settings, lastCue, active, canSpeak, canVibrate, onChange, onTest }) => {
+  const t = useI18n();
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider flex items-center gap-2">
+          <Volume2 size={14} /> {t('cue.title')}
+        </h2>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          {t('cue.enabled')}
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-3">
+            <label className={`flex items-center gap-1 ${canSpeak ? '' : 'opacity-40'}`}>
+              <input type="checkbox" checked={settings.speech} disabled={!canSpeak} onChange={(e) => update({ speech: e.target.checked })} />
+              {t('cue.speech')}
+            </label>
+            <label className={`flex items-center gap-1 ${canVibrate ? '' : 'opacity-40'}`}>
+              <input type="checkbox" checked={settings.vibration} disabled={!canVibrate} onChange={(e) => update({ vibration: e.target.checked })} />
+              {t('cue.vibration')}
+            </label>
+            <label className="flex items-center gap-1">
+              {t('cue.interval')}
+              <input
+                type="number"
+                min={3}
+                value={settings.cooldownSec}
+                onChange={(e) => update({ cooldownSec: Math.max(3, Number(e.target.value)) })}
+                className="w-10 bg-slate-900 border border-slate-700 rounded px-1 text-right focus:outline-none"
+              />
+              {t('unit.seconds')}
+            </label>
+            <button onClick={onTest} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">{t('cue.test')}</button>
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {LIVE_CUES.map((c) => (
+              <label key={c.id} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={!!settings.cues[c.id]}
+                  onChange={(e) => update({ cues: { ...settings.cues, [c.id]: e.target.checked } })}
+                />
+                {t(`criterion.${c.id}`)}
+              </label>
+            ))}
+          </div>
+          <p className="text-slate-500">
+            {t(active ? 'cue.activeHint' : 'cue.inactiveHint')}
+          </p>
+          {lastCue && <p className="text-yellow-400">{t('cue.last')}{t(`cue.${lastCue.code}`)}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiveCuePanel;
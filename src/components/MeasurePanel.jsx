@@ -0,0 +1,53 @@
+import React from 'react';
+import { PenTool, Trash2 } from 'lucide-react';
+import { MEASURE_TOOL, TOOL_POINTS, formatMeasurement } from '../analysis/measurements.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 手動量測：工具切換與量測清單
+ * 點清單中的項目跳到該時間；量測會隨紀錄儲存並出現在匯出內容
+ */
+const MeasurePanel = ({ tool, draftPoints, measurements, disabled, onToolChange, onSeek, onDelete }) => {
+  const t = useI18n();
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <PenTool size={14} /> {t('measure.title')}
+      </h2>
+      <div className="flex gap-2 mb-2">
+        {Object.values(MEASURE_TOOL).map((option) => (
+          <button
+            key={option}
+            onClick={() => onToolChange(tool === option ? null : option)}
+            disabled={disabled}
+            className={`px-2 py-1 rounded disabled:opacity-40 ${tool === option ? 'bg-yellow-600 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+          >
+            {t(`measure.${option}`)}
+          </button>
+        ))}
+      </div>
+      {tool && (
+        <p className="mb-2 text-yellow-400">
+          {t(`measure.${tool}.hint`)}
+          {TOOL_POINTS[tool] && ` (${draftPoints}/${TOOL_POINTS[tool]})`}{t('measure.escHint')}
+        </p>
+      )}
+      {measurements.length > 0 && (
+        <ul className="space-y-1">
+          {measurements.map((m) => (
+            <li key={m.id} className="flex items-center gap-2">
+              <button onClick={() => onSeek(m.time)} className="flex-1 flex justify-between hover:text-yellow-400">
+                <span className="text-slate-400">{t.number(m.time, 2)}s {t(`measure.${m.tool}`)}</span>
+                <span className="font-mono">{formatMeasurement(m)}</span>
+              </button>
+              <button onClick={() => onDelete(m.id)} className="text-slate-500 hover:text-red-400"><Trash2 size={12} /></button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MeasurePanel;
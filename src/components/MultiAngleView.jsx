@@ -0,0 +1,389 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Play, Pause, X, Upload, Printer } from 'lucide-react';
+import { drawPoseOverlay } from '../render/poseOverlay.js';
+import { findTimelineIndex } from '../media/clipAnalysis.js';
+import { alignByAudio } from '../media/audioSync.js';
+import { alignByGaitEvents, mergeAngleSummaries, MAX_SYNC_OFFSET } from '../analysis/multiAngle.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 多角度分析：同一次行走的側面 + 正面 (或背面) 影片
+ * 兩支影片各自以目前的 pose 模型逐幀分析 (onAnalyze)，再以步態事件 / 拍手聲 / 手動滑桿對齊，
+ * 並排同步播放；下方合併兩個視角的指標，可列印合併報告 (onPrintReport)。
+ * 以側面影片為主時鐘，正面影片播放在 側面時間 + offset。
+ */
+
+const SYNC_TOLERANCE = 0.15; // 秒
+
+const SLOTS = [
+  { key: 'side', views: ['side_left', 'side_right'] },
+  { key: 'front', views: ['front', 'back'] }
+];
+
+// duration 在 loadedmetadata 時寫入，render 中不必讀 <video>
+const EMPTY_CLIP = { file: null, url: null, duration: 0, result: null, progress: null };
+
+// 逐幀分析需要影片長度與尺寸
+const whenLoaded = (video) => (video.readyState >= 1
+  ? Promise.resolve()
+  : new Promise((resolve) => video.addEventListener('loadedmetadata', resolve, { once: true })));
+
+// label / unit 為 i18n key；source 為取值的視角
+const COMBINED_METRICS = [
+  { label: 'stat.cadence', unit: 'unit.stepsPerMin', source: 'side', get: (s) => s.gait.cadence, digits: 0 },
+  { label: 'stat.avgStep', unit: 'unit.cm', source: 'side', get: (s) => s.avgStep },
+  { label: 'criterion.forwardLean', unit: 'unit.deg', source: 'side', get: (s) => s.avgLean },
+  { label: 'stat.armFwdP95', unit: 'unit.deg', source: 'side', get: (s) => s.maxArmFwd },
+  { label: 'stat.armBackP95', unit: 'unit.deg', source: 'side', get: (s) => s.maxArmBack },
+  { label: 'stat.swayRange', unit: 'unit.hipWidthPercent', source: 'front', get: (s) => s.frontal.swayRange, digits: 0 },
+  { label: 'stat.poleWidth', unit: null, source: 'front', get: (s) => s.frontal.avgPoleWidth, digits: 2 },
+  { label: 'stat.stepWidthAvg', unit: 'unit.cm', source: 'front', get: (s) => s.frontal.avgStepWidth },
+  { label: 'stat.shoulderTiltAvg', unit: 'unit.deg', source: 'front', get: (s) => s.frontal.avgShoulderTilt },
+  { label: 'stat.hipTiltAvg', unit: 'unit.deg', source: 'front', get: (s) => s.frontal.avgHipTilt }
+];
+
+const AnglePane = ({ slot, clip, viewMode, disabled, videoRef, canvasRef, onFile, onViewChange, onDuration, onRedraw }) => {
+  const t = useI18n();
+
+  return (
+    <div className="flex-1 flex flex-col min-w-0 gap-1">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="text-slate-400">{t(`multiAngle.${slot.key}`)}</span>
+        <select
+          value={viewMode}
+          onChange={(e) => onViewChange(e.target.value)}
+          disabled={disabled}
+          className="bg-slate-800 rounded px-1 py-0.5"
+        >
+          {slot.views.map((v) => <option key={v} value={v}>{t(`view.${v}`)}</option>)}
+        </select>
+        <label className={`ml-auto flex items-center gap-1 px-2 py-0.5 rounded bg-slate-700 ${disabled ? 'opacity-40' : 'cursor-pointer hover:bg-slate-600'}`}>
+          <Upload size={12} /> {clip.file ? clip.file.name : t('multiAngle.chooseVideo')}
+          <input type="file" accept="video/*" className="hidden" disabled={disabled} onChange={(e) => onFile(e.target.files[0])} />
+        </label>
+      </div>
+      <div className="flex-1 bg-black flex items-center justify-center overflow-hidden rounded relative">
+        {clip.url ? (
+          <>
+            {/* 暫停時 seek 完成 / 載入第一幀後重畫 */}
+            <video
+              ref={videoRef}
+              src={clip.url}
+              className="hidden"
+              playsInline
+              muted
+              onLoadedMetadata={(e) => onDuration(e.target.duration)}
+              onSeeked={onRedraw}
+              onLoadedData={onRedraw}
+            />
+            <canvas ref={canvasRef} className="max-w-full max-h-full object-contain" />
+          </>
+        ) : (
+          <div className="text-xs text-slate-500">{t('multiAngle.noVideo')}</div>
+        )}
+        {clip.progress !== null && (
+          <div className="absolute bottom-2 left-2 right-2 bg-slate-900/90 rounded p-2 text-xs">
+            {t('analysis.progress', { percent: (clip.progress * 100).toFixed(0) })}
+            <div className="w-full bg-slate-700 h-1 rounded-full overflow-hidden mt-1">
+              <div className="bg-blue-500 h-full" style={{ width: `${clip.progress * 100}%` }} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const MultiAngleView = ({ ready, onAnalyze, onPrintReport, onClose }) => {
+  const t = useI18n();
+  const [clips, setClips] = useState({ side: EMPTY_CLIP, front: EMPTY_CLIP });
+  const [views, setViews] = useState({ side: 'side_right', front: 'front' });
+  const [offset, setOffset] = useState(0);
+  const [syncNote, setSyncNote] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [time, setTime] = useState(0);
+  // 兩個窗格的 <video> / <canvas>，由 callback ref 寫入 (render 中不讀)
+  const videosRef = useRef({ side: null, front: null });
+  const canvasesRef = useRef({ side: null, front: null });
+  const rafRef = useRef(null);
+  const abortRef = useRef(null);
+  // 播放迴圈讀 offsetRef (由 changeOffset 與 state 一起更新)；clipsRef 給卸載時釋放 URL
+  const offsetRef = useRef(offset);
+  const clipsRef = useRef(clips);
+
+  useEffect(() => {
+    clipsRef.current = clips;
+  }, [clips]);
+
+  const analyzed = clips.side.result && clips.front.result;
+  const combined = useMemo(
+    () => (analyzed ? mergeAngleSummaries(clips.side.result.summary, clips.front.result.summary) : null),
+    [analyzed, clips]
+  );
+
+  useEffect(() => () => {
+    abortRef.current?.abort();
+    cancelAnimationFrame(rafRef.current);
+    Object.values(clipsRef.current).forEach((c) => c.url && URL.revokeObjectURL(c.url));
+  }, []);
+
+  const updateClip = (key, patch) => setClips((prev) => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+
+  const setFile = (key, file) => {
+    if (!file) return;
+    pause();
+    if (clips[key].url) URL.revokeObjectURL(clips[key].url);
+    updateClip(key, { file, url: URL.createObjectURL(file), duration: 0, result: null });
+    setSyncNote(null);
+  };
+
+  const changeView = (key, viewMode) => {
+    setViews((prev) => ({ ...prev, [key]: viewMode }));
+    // 視角影響指標計算，需重新分析
+    updateClip(key, { result: null });
+  };
+
+  const drawPane = (key) => {
+    const video = videosRef.current[key];
+    const canvas = canvasesRef.current[key];
+    if (!video || !canvas || !video.videoWidth) return;
+    if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const timeline = clips[key].result?.timeline;
+    if (!timeline?.length) return;
+    const entry = timeline[findTimelineIndex(timeline, video.currentTime)];
+    if (entry?.landmarks && entry.metrics) {
+      drawPoseOverlay(ctx, { landmarks: entry.landmarks, metrics: entry.metrics, width: canvas.width, height: canvas.height });
+    }
+  };
+
+  // 正面影片對應時間；超出影片範圍時停在頭 / 尾
+  const frontTime = (sideTime, video) => Math.min(Math.max(0, sideTime + offsetRef.current), video.duration || 0);
+
+  const tick = () => {
+    const { side, front } = videosRef.current;
+    if (side && front) {
+      const target = frontTime(side.currentTime, front);
+      if (Math.abs(front.currentTime - target) > SYNC_TOLERANCE) front.currentTime = target;
+      if (front.paused && side.currentTime + offsetRef.current >= 0 && !front.ended) front.play();
+    }
+    drawPane('side');
+    drawPane('front');
+    if (side) setTime(side.currentTime);
+    if (side?.ended) {
+      pause();
+      return;
+    }
+    rafRef.current = requestAnimationFrame(tick);
+  };
+
+  const pause = () => {
+    Object.values(videosRef.current).forEach((video) => video?.pause());
+    cancelAnimationFrame(rafRef.current);
+    setIsPlaying(false);
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      pause();
+      return;
+    }
+    const { side } = videosRef.current;
+    if (!side) return;
+    side.play();
+    rafRef.current = requestAnimationFrame(tick);
+    setIsPlaying(true);
+  };
+
+  const seek = (value) => {
+    const { side, front } = videosRef.current;
+    if (side) side.currentTime = value;
+    if (front) front.currentTime = frontTime(value, front);
+    setTime(value);
+  };
+
+  // 改了時間差，暫停中也立刻讓正面影片跳到對應位置
+  const changeOffset = (value) => {
+    offsetRef.current = value;
+    setOffset(value);
+    const { side, front } = videosRef.current;
+    if (side && front) front.currentTime = frontTime(side.currentTime, front);
+  };
+
+  const syncByEvents = (results = { side: clips.side.result, front: clips.front.result }) => {
+    const sync = alignByGaitEvents(results.side.events, results.front.events);
+    if (sync) {
+      changeOffset(sync.offset);
+      setSyncNote(t('multiAngle.syncedByEvents', { matches: sync.matches }));
+    } else {
+      setSyncNote(t('multiAngle.syncFailedEvents'));
+    }
+  };
+
+  const syncByAudio = async () => {
+    setBusy(true);
+    try {
+      const value = await alignByAudio(clips.side.file, clips.front.file);
+      if (value !== null && Math.abs(value) <= MAX_SYNC_OFFSET) {
+        changeOffset(value);
+        setSyncNote(t('multiAngle.syncedByAudio'));
+      } else {
+        setSyncNote(t('multiAngle.syncFailedAudio'));
+      }
+    } catch (e) {
+      console.error(e);
+      setSyncNote(t('multiAngle.syncFailedAudioError', { error: t.error(e) }));
+    }
+    setBusy(false);
+  };
+
+  // 依序分析兩支影片 (共用同一個 pose 模型)，完成後自動以步態事件對齊
+  const analyze = async () => {
+    pause();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy(true);
+    setAnalyzing(true);
+    const results = {};
+    try {
+      for (const { key } of SLOTS) {
+        updateClip(key, { result: null, progress: 0 });
+        await whenLoaded(videosRef.current[key]);
+        results[key] = await onAnalyze({
+          video: videosRef.current[key],
+          viewMode: views[key],
+          signal: controller.signal,
+          onProgress: (progress) => updateClip(key, { progress })
+        });
+        updateClip(key, { result: results[key], progress: null });
+      }
+      seek(0);
+      syncByEvents(results);
+    } catch (e) {
+      SLOTS.forEach(({ key }) => updateClip(key, { progress: null }));
+      if (e.name !== 'AbortError') {
+        console.error(e);
+        setSyncNote(t('alert.clipAnalysisFailed', { error: t.error(e) }));
+      }
+    } finally {
+      abortRef.current = null;
+      setBusy(false);
+      setAnalyzing(false);
+    }
+  };
+
+  const duration = clips.side.result?.timeline.at(-1)?.time || clips.side.duration || 0;
+  const bothLoaded = clips.side.file && clips.front.file;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-950/95 flex flex-col p-4 gap-3 overflow-y-auto">
+      <div className="flex justify-between items-center">
+        <h2 className="font-bold">{t('multiAngle.title')}</h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-white"><X /></button>
+      </div>
+
+      <div className="flex-1 flex flex-col md:flex-row gap-3 min-h-[240px]">
+        {SLOTS.map((slot) => (
+          <AnglePane
+            key={slot.key}
+            slot={slot}
+            clip={clips[slot.key]}
+            viewMode={views[slot.key]}
+            disabled={busy}
+            videoRef={(el) => { videosRef.current[slot.key] = el; }}
+            canvasRef={(el) => { canvasesRef.current[slot.key] = el; }}
+            onFile={(file) => setFile(slot.key, file)}
+            onViewChange={(v) => changeView(slot.key, v)}
+            onDuration={(duration) => updateClip(slot.key, { duration })}
+            onRedraw={() => drawPane(slot.key)}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 text-xs">
+        {analyzing ? (
+          <button onClick={() => abortRef.current?.abort()} className="px-3 py-1 rounded bg-red-700 hover:bg-red-600 font-bold">
+            {t('common.cancel')}
+          </button>
+        ) : (
+          <button
+            onClick={analyze}
+            disabled={!bothLoaded || !ready || busy}
+            title={ready ? undefined : t('alert.poseLoading')}
+            className="px-3 py-1 rounded bg-blue-700 hover:bg-blue-600 font-bold disabled:opacity-40"
+          >
+            {t('multiAngle.analyze')}
+          </button>
+        )}
+        <button onClick={() => syncByEvents()} disabled={!analyzed || busy} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40">
+          {t('multiAngle.syncEvents')}
+        </button>
+        <button onClick={syncByAudio} disabled={!bothLoaded || busy} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40">
+          {t('multiAngle.syncAudio')}
+        </button>
+        <label className="flex items-center gap-2" title={t('multiAngle.offsetHint')}>
+          {t('multiAngle.offset')}
+          <input
+            type="range" min={-MAX_SYNC_OFFSET} max={MAX_SYNC_OFFSET} step={0.01} value={offset}
+            onChange={(e) => changeOffset(Number(e.target.value))}
+            className="w-40 accent-yellow-400"
+          />
+          <span className="font-mono w-14 text-right">{offset > 0 ? '+' : ''}{t.number(offset, 2)}s</span>
+        </label>
+        {syncNote && <span className="text-slate-400">{syncNote}</span>}
+      </div>
+
+      <div className="flex items-center gap-3 bg-slate-900 px-4 py-2 rounded-full self-center">
+        <button onClick={togglePlay} disabled={!bothLoaded || busy} className="hover:text-yellow-400 disabled:opacity-40">
+          {isPlaying ? <Pause fill="currentColor" /> : <Play fill="currentColor" />}
+        </button>
+        <input
+          type="range" min={0} max={duration} step={0.01} value={time}
+          onChange={(e) => seek(Number(e.target.value))}
+          disabled={!bothLoaded || busy}
+          className="w-48 sm:w-96 accent-yellow-400"
+        />
+        <span className="text-xs font-mono text-slate-400">{time.toFixed(1)}s</span>
+      </div>
+
+      {combined && (
+        <div className="overflow-x-auto">
+          <div className="flex justify-between items-center mb-1">
+            <h3 className="text-sm font-bold text-slate-400">{t('multiAngle.combined')}</h3>
+            <button
+              onClick={() => onPrintReport({
+                side: { viewMode: views.side, summary: clips.side.result.summary },
+                front: { viewMode: views.front, summary: clips.front.result.summary },
+                offset
+              })}
+              className="flex items-center gap-1 px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 border border-slate-700 text-xs"
+            >
+              <Printer size={14} /> {t('multiAngle.printReport')}
+            </button>
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              {COMBINED_METRICS.map((m) => (
+                <tr key={m.label} className="border-t border-slate-800">
+                  <td className="text-slate-400 py-1">{t(m.label)}</td>
+                  <td className="text-xs text-slate-500">{t(`view.${views[m.source]}`)}</td>
+                  <td className="text-right font-mono">
+                    {t.number(m.get(combined), m.digits ?? 1)} <span className="text-xs text-slate-500">{m.unit ? t(m.unit) : '×'}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiAngleView;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Cpu } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+import { POSE_PROVIDERS } from '../pose/poseProviders.js';
+
+/**
+ * 姿勢模型：切換 pose 來源、載入回放檔、錄製原始關鍵點
+ * providerId 為使用者選的模型；activeId 為實際使用的 (多人模式可能改用其他模型)
+ * replay：已載入的關鍵點錄製檔；recordedFrames 為錄製中的幀數 (null 表示未錄製)
+ */
+const PoseSourcePanel = ({
+  providerId, activeId, replay, recordedFrames, disabled,
+  onProviderChange, onLoadReplay, onStartRecording, onStopRecording
+}) => {
+  const t = useI18n();
+  const recording = recordedFrames !== null;
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <Cpu size={14} /> {t('poseProvider.title')}
+      </h2>
+
+      <div className="flex items-center gap-2 mb-2">
+        <select
+          value={providerId}
+          onChange={(e) => onProviderChange(e.target.value)}
+          className="flex-1 bg-slate-900 border border-slate-700 rounded px-1 py-0.5 focus:outline-none"
+        >
+          {POSE_PROVIDERS.map((p) => (
+            <option key={p.id} value={p.id} disabled={p.id === 'replay' && !replay}>
+              {t(`poseProvider.${p.id}`)}
+            </option>
+          ))}
+        </select>
+        <label className="cursor-pointer px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 whitespace-nowrap">
+          {t('poseProvider.loadReplay')}
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) onLoadReplay(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {activeId !== providerId && (
+        <p className="text-yellow-400 mb-2">{t('poseProvider.multiPersonFallback', { provider: t(`poseProvider.${activeId}`) })}</p>
+      )}
+      {replay && (
+        <p className="text-slate-500 mb-2">
+          {t('poseProvider.replayInfo', {
+            name: replay.source?.name || t('session.unnamed'),
+            provider: t(`poseProvider.${replay.provider}`),
+            frames: replay.frames.length
+          })}
+          {activeId === 'replay' && <span>・{t('poseProvider.replayHint')}</span>}
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={recording ? onStopRecording : onStartRecording}
+          disabled={disabled && !recording}
+          className={`px-2 py-1 rounded disabled:opacity-40 ${recording ? 'bg-red-600 hover:bg-red-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+        >
+          {recording ? t('poseProvider.stopRecording', { frames: recordedFrames }) : t('poseProvider.startRecording')}
+        </button>
+        {!recording && <span className="text-slate-500">{t('poseProvider.recordHint')}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default PoseSourcePanel;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Ghost } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const scoreColor = (score) => score >= 80 ? 'text-green-400' : (score >= 50 ? 'text-yellow-400' : 'text-red-400');
+
+/**
+ * 參考示範：建立 / 載入 / 匯出 ghost 示範，並列出學員各節段與示範的偏差
+ * comparison：referenceWalker 的 getResults()；matches 為 false 時示範與目前視角不相容
+ */
+const ReferencePanel = ({
+  reference, showGhost, comparison, matches, canCreate,
+  onCreate, onLoadFile, onExport, onClear, onToggleGhost
+}) => {
+  const t = useI18n();
+  const [name, setName] = useState(() => t('reference.defaultName'));
+
+  return (
+    <div className="p-4 border-b border-slate-800 text-xs">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <Ghost size={14} /> {t('reference.title')}
+      </h2>
+
+      {reference ? (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-slate-300">
+              {reference.name}
+              <span className="text-slate-500">
+                ・{t(`view.${reference.viewMode}`)}・{t('reference.cycles', { count: reference.cycles })}
+              </span>
+            </span>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={showGhost} onChange={(e) => onToggleGhost(e.target.checked)} />
+              {t('reference.show')}
+            </label>
+          </div>
+          <div className="flex gap-2 mb-2">
+            <button onClick={onExport} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">{t('reference.export')}</button>
+            <button onClick={onClear} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">{t('reference.remove')}</button>
+          </div>
+
+          {!matches && <p className="text-yellow-400">{t('reference.viewMismatch')}</p>}
+          {matches && comparison?.frames > 0 && (
+            <>
+              <p className="mb-1">
+                {t('reference.similarity')} <span className={`font-mono font-bold ${scoreColor(comparison.score)}`}>{t.number(comparison.score, 0)}</span>
+                <span className="text-slate-500">・{t('reference.deviationNote', { frames: comparison.frames })}</span>
+              </p>
+              <div className="grid grid-cols-3 gap-x-3 gap-y-1 font-mono">
+                {comparison.segments.map((s) => (
+                  <span key={s.id} className="flex justify-between">
+                    <span className="font-sans text-slate-400">{t(`segment.${s.id}`)}</span>
+                    <span className={s.score === null ? 'text-slate-500' : scoreColor(s.score)}>
+                      {s.deviation === null ? '--' : `${t.number(s.deviation, 0)}°`}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+          {matches && !comparison?.frames && <p className="text-slate-500">{t('reference.waiting')}</p>}
+        </>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-slate-500">{t('reference.intro')}</p>
+          <div className="flex items-center gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="flex-1 bg-slate-900 border border-slate-700 rounded px-1 focus:outline-none"
+            />
+            <button
+              onClick={() => onCreate(name)}
+              disabled={!canCreate}
+              title={t('reference.createHint')}
+              className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+            >
+              {t('reference.create')}
+            </button>
+          </div>
+          <label className="inline-block cursor-pointer px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">
+            {t('reference.load')}
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) onLoadFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReferencePanel;
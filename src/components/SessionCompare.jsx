@@ -0,0 +1,234 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Play, Pause, X } from 'lucide-react';
+import { drawPoseOverlay } from '../render/poseOverlay.js';
+import { findTimelineIndex } from '../media/clipAnalysis.js';
+import { isFrontalView } from '../analysis/frontalMetrics.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 前後比較：兩筆紀錄並排，影片同步播放並重畫已存的骨架，下方列出指標差異。
+ * sessions[0] 視為「之前」、sessions[1] 為「之後」(依日期排序)。
+ */
+
+const SYNC_TOLERANCE = 0.15; // 秒
+// label / unit 為 i18n key (unit 為 null 時是倍數)；better：數值變大是否代表進步 (null 代表無方向)；digits 預設 1
+const COMMON_METRICS = [
+  { label: 'stat.score', unit: 'unit.points', get: (s) => s.technique?.score, better: 1 },
+  { label: 'stat.steps', unit: 'unit.steps', get: (s) => s.summary.steps, better: null },
+  { label: 'stat.cadence', unit: 'unit.stepsPerMin', get: (s) => s.summary.gait.cadence, better: null }
+];
+
+const SIDE_METRICS = [
+  { label: 'stat.avgStep', unit: 'unit.cm', get: (s) => s.summary.avgStep, better: 1 },
+  { label: 'criterion.forwardLean', unit: 'unit.deg', get: (s) => s.summary.avgLean, better: null },
+  { label: 'stat.armFwdP95', unit: 'unit.deg', get: (s) => s.summary.maxArmFwd, better: null },
+  { label: 'stat.armBackP95', unit: 'unit.deg', get: (s) => s.summary.maxArmBack, better: 1 },
+  { label: 'criterion.handOpenBack', unit: 'unit.percent', get: (s) => s.summary.handOpenBack, better: 1 },
+  { label: 'stat.symmetry', unit: 'unit.percent', get: (s) => s.summary.gait.stepTimeSymmetry, better: -1 },
+  { label: 'stat.coordination', unit: 'unit.percent', get: (s) => s.summary.gait.coordination, better: 1 }
+];
+
+// 舊紀錄可能沒有 frontal 區塊，取不到時顯示 --
+const FRONTAL_METRICS = [
+  { label: 'stat.stepWidthAvg', unit: 'unit.cm', get: (s) => s.summary.frontal?.avgStepWidth, better: null },
+  { label: 'stat.shoulderTiltAvg', unit: 'unit.deg', get: (s) => s.summary.frontal?.avgShoulderTilt, better: -1 },
+  { label: 'stat.hipTiltAvg', unit: 'unit.deg', get: (s) => s.summary.frontal?.avgHipTilt, better: -1 },
+  { label: 'stat.swayRange', unit: 'unit.hipWidthPercent', get: (s) => s.summary.frontal?.swayRange, better: -1 },
+  { label: 'criterion.armCrossing', unit: 'unit.percent', get: (s) => s.summary.frontal?.armCrossing, better: -1 },
+  { label: 'stat.poleWidth', unit: null, get: (s) => s.summary.frontal?.avgPoleWidth, better: null, digits: 2 },
+  {
+    label: 'stat.kneeValgusP95',
+    unit: 'unit.deg',
+    get: (s) => s.summary.frontal && Math.max(s.summary.frontal.maxKneeValgusL, s.summary.frontal.maxKneeValgusR),
+    better: -1
+  }
+];
+
+// 側面與正面量得到的指標不同：依兩筆紀錄的視角列出 (視角不同時兩組都列)
+const compareMetrics = (sessions) => {
+  const frontal = sessions.map((s) => isFrontalView(s.viewMode));
+  return [
+    ...COMMON_METRICS,
+    ...(frontal.some((f) => !f) ? SIDE_METRICS : []),
+    ...(frontal.some(Boolean) ? FRONTAL_METRICS : [])
+  ];
+};
+
+const deltaColor = (delta, better) => {
+  if (!better || !Number.isFinite(delta) || Math.abs(delta) < 0.05) return 'text-slate-400';
+  return delta * better > 0 ? 'text-green-400' : 'text-red-400';
+};
+
+const ComparePane = ({ session, videoUrl, videoRef, canvasRef, title, onRedraw }) => {
+  const t = useI18n();
+
+  return (
+    <div className="flex-1 flex flex-col min-w-0">
+      <div className="text-xs text-slate-400 mb-1">
+        {t('compare.paneTitle', {
+          title,
+          name: session.walkerName || t('session.unnamed'),
+          date: new Date(session.date).toLocaleDateString(t.locale)
+        })}
+      </div>
+      <div className="flex-1 bg-black flex items-center justify-center overflow-hidden rounded">
+        {videoUrl ? (
+          <>
+            {/* 暫停時 seek 完成 / 載入第一幀後重畫 */}
+            <video ref={videoRef} src={videoUrl} className="hidden" playsInline muted onSeeked={onRedraw} onLoadedData={onRedraw} />
+            <canvas ref={canvasRef} className="max-w-full max-h-full object-contain" />
+          </>
+        ) : (
+          <div className="text-xs text-slate-500">{t('compare.noVideo')}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SessionCompare = ({ sessions, onClose }) => {
+  const t = useI18n();
+  const [before, after] = useMemo(
+    () => [...sessions].sort((a, b) => new Date(a.date) - new Date(b.date)),
+    [sessions]
+  );
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [time, setTime] = useState(0);
+  // 兩個窗格的 <video> / <canvas>，由 callback ref 寫入 (render 中不讀)
+  const videosRef = useRef([null, null]);
+  const canvasesRef = useRef([null, null]);
+  const rafRef = useRef(null);
+
+  const urls = useMemo(
+    () => [before, after].map((s) => (s.video ? URL.createObjectURL(s.video) : null)),
+    [before, after]
+  );
+  useEffect(() => () => urls.forEach((u) => u && URL.revokeObjectURL(u)), [urls]);
+
+  const duration = Math.max(
+    ...[before, after].map((s) => s.timeline?.[s.timeline.length - 1]?.time || 0)
+  );
+
+  const drawPane = (i) => {
+    const video = videosRef.current[i];
+    const canvas = canvasesRef.current[i];
+    const session = i === 0 ? before : after;
+    if (!video || !canvas || !video.videoWidth) return;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    if (!session.timeline?.length) return;
+    const entry = session.timeline[findTimelineIndex(session.timeline, video.currentTime)];
+    if (entry?.landmarks && entry.metrics) {
+      drawPoseOverlay(ctx, { landmarks: entry.landmarks, metrics: entry.metrics, width: canvas.width, height: canvas.height });
+    }
+  };
+
+  // 以「之前」的影片為主時鐘，另一支偏差過大時校正
+  const tick = () => {
+    const [first, second] = videosRef.current;
+    const master = first || second;
+    const follower = master === first ? second : null;
+    if (master && follower && !follower.ended && Math.abs(follower.currentTime - master.currentTime) > SYNC_TOLERANCE) {
+      follower.currentTime = Math.min(master.currentTime, follower.duration || master.currentTime);
+    }
+    drawPane(0);
+    drawPane(1);
+    if (master) setTime(master.currentTime);
+    // 兩支都播完 (或都沒有影片) 就停下，不再排下一幀
+    if (videosRef.current.every((video) => !video || video.ended)) {
+      setIsPlaying(false);
+      return;
+    }
+    rafRef.current = requestAnimationFrame(tick);
+  };
+
+  const forEachVideo = (fn) => videosRef.current.forEach((video) => video && fn(video));
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      forEachVideo((v) => v.pause());
+      cancelAnimationFrame(rafRef.current);
+      setIsPlaying(false);
+    } else {
+      forEachVideo((v) => v.play());
+      rafRef.current = requestAnimationFrame(tick);
+      setIsPlaying(true);
+    }
+  };
+
+  const seek = (t) => {
+    forEachVideo((v) => { v.currentTime = Math.min(t, v.duration || t); });
+    setTime(t);
+  };
+
+  useEffect(() => () => cancelAnimationFrame(rafRef.current), []);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-950/95 flex flex-col p-4 gap-3">
+      <div className="flex justify-between items-center">
+        <h2 className="font-bold">{t('compare.title')}</h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-white"><X /></button>
+      </div>
+
+      <div className="flex-1 flex flex-col md:flex-row gap-3 min-h-0">
+        {[before, after].map((session, i) => (
+          <ComparePane
+            key={i}
+            session={session}
+            videoUrl={urls[i]}
+            videoRef={(el) => { videosRef.current[i] = el; }}
+            canvasRef={(el) => { canvasesRef.current[i] = el; }}
+            title={t(i === 0 ? 'compare.before' : 'compare.after')}
+            onRedraw={() => drawPane(i)}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3 bg-slate-900 px-4 py-2 rounded-full self-center">
+        <button onClick={togglePlay} className="hover:text-yellow-400">
+          {isPlaying ? <Pause fill="currentColor" /> : <Play fill="currentColor" />}
+        </button>
+        <input
+          type="range" min={0} max={duration || 0} step={0.01} value={time}
+          onChange={(e) => seek(Number(e.target.value))}
+          className="w-48 sm:w-96 accent-yellow-400"
+        />
+        <span className="text-xs font-mono text-slate-400">{time.toFixed(1)}s</span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-slate-500">
+              <th className="text-left font-normal">{t('compare.metric')}</th>
+              <th className="text-right font-normal">{t('compare.before')}</th>
+              <th className="text-right font-normal">{t('compare.after')}</th>
+              <th className="text-right font-normal">{t('compare.delta')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {compareMetrics([before, after]).map((m) => {
+              const a = m.get(before);
+              const b = m.get(after);
+              const delta = a == null || b == null ? NaN : b - a;
+              return (
+                <tr key={m.label} className="border-t border-slate-800">
+                  <td className="text-slate-400 py-1">{t(m.label)}</td>
+                  <td className="text-right font-mono">{t.number(a, m.digits ?? 1)} <span className="text-xs text-slate-500">{m.unit ? t(m.unit) : '×'}</span></td>
+                  <td className="text-right font-mono">{t.number(b, m.digits ?? 1)} <span className="text-xs text-slate-500">{m.unit ? t(m.unit) : '×'}</span></td>
+                  <td className={`text-right font-mono ${deltaColor(delta, m.better)}`}>
+                    {Number.isFinite(delta) ? `${delta > 0 ? '+' : ''}${t.number(delta, m.digits ?? 1)}` : '--'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SessionCompare;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { History, Save, Trash2, FolderOpen, GitCompare } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const formatDate = (iso, locale) => new Date(iso).toLocaleString(locale, {
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+// walkerName 由上層保管：列印報告、分享檔也會帶入學員名稱
+const SessionHistory = ({ sessions, walkerName, canSave, saving, onWalkerNameChange, onSave, onOpen, onDelete, onCompare }) => {
+  const t = useI18n();
+  const [selected, setSelected] = useState([]);
+
+  // 最多選兩筆做前後比較
+  const toggle = (id) => setSelected((prev) =>
+    prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2));
+
+  const handleDelete = (session) => {
+    const name = session.walkerName || t('session.unnamed');
+    if (!window.confirm(t('session.confirmDelete', { name, date: formatDate(session.date, t.locale) }))) return;
+    setSelected((prev) => prev.filter((x) => x !== session.id));
+    onDelete(session.id);
+  };
+
+  return (
+    <div className="p-4 border-t border-slate-800">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+        <History size={14} /> {t('session.title')}
+      </h2>
+
+      <div className="flex gap-2 mb-3">
+        <input
+          value={walkerName}
+          onChange={(e) => onWalkerNameChange(e.target.value)}
+          placeholder={t('session.walkerName')}
+          className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs focus:outline-none"
+        />
+        <button
+          onClick={onSave}
+          disabled={!canSave || saving}
+          className="flex items-center gap-1 px-2 py-1 rounded bg-blue-700 hover:bg-blue-600 text-xs font-bold disabled:opacity-40"
+        >
+          <Save size={14} /> {t(saving ? 'session.saving' : 'session.save')}
+        </button>
+      </div>
+
+      {sessions.length === 0 ? (
+        <div className="text-xs text-slate-500">{t('session.empty')}</div>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map((s) => (
+            <div
+              key={s.id}
+              className={`flex gap-2 items-center p-2 rounded border text-xs ${selected.includes(s.id) ? 'border-yellow-500 bg-slate-800' : 'border-slate-800 bg-slate-800/50'}`}
+            >
+              <input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggle(s.id)} />
+              {s.thumbnail
+                ? <img src={s.thumbnail} alt="" className="w-12 h-12 object-cover rounded" />
+                : <div className="w-12 h-12 rounded bg-slate-700" />}
+              <div className="flex-1 min-w-0">
+                <div className="font-bold truncate">{s.walkerName || t('session.unnamed')}</div>
+                <div className="text-slate-500">{formatDate(s.date, t.locale)}</div>
+                <div className="text-slate-500">
+                  {t(`view.${s.viewMode}`)}・{s.userHeight}cm・{s.summary.steps} {t('unit.steps')}
+                  {s.technique?.score != null && `・${t.number(s.technique.score, 0)} ${t('unit.points')}`}
+                </div>
+              </div>
+              <div className="flex flex-col gap-1">
+                <button onClick={() => onOpen(s.id)} title={t('session.open')} className="text-slate-400 hover:text-white"><FolderOpen size={14} /></button>
+                <button onClick={() => handleDelete(s)} title={t('session.delete')} className="text-slate-400 hover:text-red-400"><Trash2 size={14} /></button>
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={() => onCompare(selected)}
+            disabled={selected.length !== 2}
+            className="w-full flex items-center justify-center gap-1 px-2 py-2 rounded bg-slate-700 hover:bg-slate-600 text-xs font-bold disabled:opacity-40"
+          >
+            <GitCompare size={14} /> {t('compare.title')} ({selected.length}/2)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionHistory;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Award, SlidersHorizontal } from 'lucide-react';
+import { TECHNIQUE_CRITERIA, RULE_PRESETS, CRITERION_STATUS } from '../analysis/technique.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const STATUS_STYLE = {
+  [CRITERION_STATUS.PASS]: { text: 'text-green-400', dot: 'bg-green-500' },
+  [CRITERION_STATUS.WARN]: { text: 'text-yellow-400', dot: 'bg-yellow-500' },
+  [CRITERION_STATUS.FAIL]: { text: 'text-red-400', dot: 'bg-red-500' },
+  [CRITERION_STATUS.NA]: { text: 'text-slate-500', dot: 'bg-slate-600' }
+};
+
+const scoreColor = (score) => score >= 80 ? 'text-green-400' : (score >= 50 ? 'text-yellow-400' : 'text-red-400');
+
+const NumberField = ({ value, onChange }) => (
+  <input
+    type="number"
+    value={value}
+    onChange={(e) => onChange(Number(e.target.value))}
+    className="w-12 bg-slate-900 border border-slate-700 rounded px-1 text-right focus:outline-none"
+  />
+);
+
+// 門檻編輯器：教練可針對初學 / 進階學員調整
+const RuleEditor = ({ rules, onChange }) => {
+  const t = useI18n();
+  const update = (id, patch) => onChange({ ...rules, [id]: { ...rules[id], ...patch } });
+
+  return (
+    <div className="mt-3 space-y-2 text-xs">
+      <div className="flex gap-2">
+        {Object.entries(RULE_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onChange(preset.rules)}
+            className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600"
+          >
+            {t('technique.applyPreset', { preset: t(`preset.${key}`) })}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-[1fr_auto_auto_auto] gap-x-2 gap-y-1 items-center text-slate-400">
+        <span />
+        <span>{t('technique.min')}</span>
+        <span>{t('technique.max')}</span>
+        <span>{t('technique.tolerance')}</span>
+        {TECHNIQUE_CRITERIA.map((c) => (
+          <React.Fragment key={c.id}>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={!!rules[c.id]?.enabled}
+                onChange={(e) => update(c.id, { enabled: e.target.checked })}
+              />
+              {t(`criterion.${c.id}`)} <span className="text-slate-600">{c.unit}</span>
+            </label>
+            <NumberField value={rules[c.id]?.min ?? 0} onChange={(v) => update(c.id, { min: v })} />
+            <NumberField value={rules[c.id]?.max ?? 0} onChange={(v) => update(c.id, { max: v })} />
+            <NumberField value={rules[c.id]?.tolerance ?? 0} onChange={(v) => update(c.id, { tolerance: v })} />
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const TechniquePanel = ({ evaluation, rules, onRulesChange }) => {
+  const t = useI18n();
+  const [editing, setEditing] = useState(false);
+  const { score, criteria, tips } = evaluation;
+
+  return (
+    <div className="p-4 border-b border-slate-800">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-wider flex items-center gap-2">
+          <Award size={14} /> {t('technique.title')}
+        </h2>
+        <button
+          onClick={() => setEditing(!editing)}
+          className={`text-xs flex items-center gap-1 ${editing ? 'text-yellow-400' : 'text-slate-500 hover:text-slate-300'}`}
+        >
+          <SlidersHorizontal size={12} /> {t('technique.adjust')}
+        </button>
+      </div>
+
+      <div className="flex items-baseline gap-2 mb-3">
+        <span className={`text-3xl font-mono font-bold ${score === null ? 'text-slate-500' : scoreColor(score)}`}>
+          {score === null ? '--' : score.toFixed(0)}
+        </span>
+        <span className="text-xs text-slate-500">/ 100</span>
+      </div>
+
+      <div className="space-y-1 text-sm">
+        {criteria.map((c) => {
+          const style = STATUS_STYLE[c.status];
+          return (
+            <div key={c.id} className="flex justify-between items-center">
+              <span className="flex items-center gap-2 text-slate-400">
+                <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+                {t(`criterion.${c.id}`)}
+              </span>
+              <span className={`font-mono text-xs ${style.text}`}>
+                {c.value === null ? t(`status.${c.status}`) : `${t.number(c.value, c.digits)}${c.unit}`}
+                <span className="text-slate-600 ml-1">({c.rule.min}–{c.rule.max})</span>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {tips.length > 0 && (
+        <div className="mt-3 bg-slate-800 p-3 rounded space-y-1">
+          <div className="text-xs text-slate-400 mb-1">{t('technique.tips')}</div>
+          {tips.map((tip) => (
+            <div key={tip} className="text-xs text-yellow-200">• {t(`tip.${tip}`)}</div>
+          ))}
+        </div>
+      )}
+
+      {editing && <RuleEditor rules={rules} onChange={onRulesChange} />}
+    </div>
+  );
+};
+
+export default TechniquePanel;
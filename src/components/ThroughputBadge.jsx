@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const POLL_MS = 500;
+
+/**
+ * 即時推論吞吐量：實際 fps・平均延遲・丟棄比例
+ * 自行定時讀取 meter (throughputMeter)，不隨分析迴圈重繪
+ */
+const ThroughputBadge = ({ meter }) => {
+  const t = useI18n();
+  const [stats, setStats] = useState(() => meter.snapshot());
+
+  useEffect(() => {
+    const id = setInterval(() => setStats(meter.snapshot()), POLL_MS);
+    return () => clearInterval(id);
+  }, [meter]);
+
+  return (
+    <div
+      title={t('throughput.hint')}
+      className="absolute top-4 left-4 bg-slate-900/80 border border-slate-700 rounded px-2 py-1 text-[10px] font-mono text-slate-300"
+    >
+      {t('throughput.fps', { value: t.number(stats.fps, 0) })}
+      <span className="text-slate-500">・</span>
+      {t('throughput.latency', { value: t.number(stats.latency, 0) })}
+      <span className="text-slate-500">・</span>
+      <span className={stats.dropRatio > 0.3 ? 'text-yellow-400' : ''}>
+        {t('throughput.dropped', { value: t.number(stats.dropRatio === null ? null : stats.dropRatio * 100, 0) })}
+      </span>
+    </div>
+  );
+};
+
+export default ThroughputBadge;
@@ -0,0 +1,174 @@
+import React, { useMemo } from 'react';
+import { THEME } from '../theme.js';
+import { HAND_STATE } from '../analysis/gaitEngine.js';
+import { GAIT_EVENT } from '../analysis/gaitEvents.js';
+import { isFrontalView } from '../analysis/frontalMetrics.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+/**
+ * 指標時間序列圖 (純 SVG，不依賴圖表套件)
+ * - 與影片位置同步：目前時間以垂直線標示
+ * - 點擊圖上任一處 -> onSeek(秒)，讓影片跳到該時刻
+ * - 腳跟著地 / 撐杖事件以標記線顯示在同一時間軸上
+ * 圖名為 chart.<key>
+ */
+
+const W = 300;
+const H = 64;
+const MAX_POINTS = 600;
+
+const handValue = (state) => state === HAND_STATE.OPEN ? 1 : (state === HAND_STATE.FIST ? 0 : null);
+
+// timeline / history entry -> { t: 秒, v }；超過 MAX_POINTS 時等距抽樣，無效幀留白
+const toSeries = (entries, pick) => {
+  const stride = Math.max(1, Math.ceil(entries.length / MAX_POINTS));
+  const out = [];
+  for (let i = 0; i < entries.length; i += stride) {
+    const e = entries[i];
+    out.push({ t: e.time, v: e.metrics && e.metrics.usable !== false ? pick(e.metrics) : null });
+  }
+  return out;
+};
+
+const HAND_CHART = {
+  key: 'hand', unit: '', step: true, domain: [-0.2, 1.2], series: [
+    { color: THEME.colors.left, pick: (m) => handValue(m.handL) },
+    { color: THEME.colors.right, pick: (m) => handValue(m.handR) }
+  ]
+};
+
+const SIDE_CHARTS = [
+  { key: 'torso', unit: '°', series: [{ color: THEME.colors.spine, pick: (m) => m.torsoAngle }] },
+  {
+    key: 'arm', unit: '°', series: [
+      { color: THEME.colors.left, pick: (m) => m.armAngleL },
+      { color: THEME.colors.right, pick: (m) => m.armAngleR }
+    ]
+  },
+  { key: 'step', unit: 'cm', series: [{ color: THEME.colors.ref, pick: (m) => m.stepLength }] },
+  HAND_CHART
+];
+
+const FRONTAL_CHARTS = [
+  {
+    key: 'tilt', unit: '°', series: [
+      { color: THEME.colors.spine, pick: (m) => m.frontal?.shoulderTilt ?? null },
+      { color: THEME.colors.ref, pick: (m) => m.frontal?.hipTilt ?? null }
+    ]
+  },
+  { key: 'lean', unit: '°', series: [{ color: THEME.colors.spine, pick: (m) => m.frontal?.lateralLean ?? null }] },
+  { key: 'stepWidth', unit: 'cm', series: [{ color: THEME.colors.ref, pick: (m) => m.frontal?.stepWidth ?? null }] },
+  HAND_CHART
+];
+
+const MARKER_COLORS = {
+  [GAIT_EVENT.HEEL_STRIKE]: '#94A3B8',
+  [GAIT_EVENT.POLE_PLANT]: '#38BDF8'
+};
+
+const buildPath = (points, x, y, step) => {
+  let d = '';
+  let pen = false;
+  let prevY = null;
+  for (const p of points) {
+    if (p.v === null || !Number.isFinite(p.v)) { pen = false; continue; }
+    const px = x(p.t).toFixed(1);
+    const py = y(p.v).toFixed(1);
+    if (!pen) d += `M${px},${py}`;
+    else if (step) d += `H${px}V${py}`;
+    else d += `L${px},${py}`;
+    pen = true;
+    prevY = py;
+  }
+  return prevY === null ? '' : d;
+};
+
+const MetricChart = ({ chart, entries, markers, domainT, currentTime, onSeek }) => {
+  const t = useI18n();
+  const data = useMemo(
+    () => chart.series.map((s) => ({ color: s.color, points: toSeries(entries, s.pick) })),
+    [chart, entries]
+  );
+
+  const [t0, t1] = domainT;
+  let [v0, v1] = chart.domain || [Infinity, -Infinity];
+  if (!chart.domain) {
+    data.forEach((s) => s.points.forEach((p) => {
+      if (p.v === null || !Number.isFinite(p.v)) return;
+      v0 = Math.min(v0, p.v);
+      v1 = Math.max(v1, p.v);
+    }));
+    if (!Number.isFinite(v0)) { v0 = 0; v1 = 1; }
+    if (v1 - v0 < 1e-6) { v0 -= 1; v1 += 1; }
+  }
+
+  const x = (t) => ((t - t0) / (t1 - t0 || 1)) * W;
+  const y = (v) => H - 4 - ((v - v0) / (v1 - v0)) * (H - 8);
+
+  const handleClick = (e) => {
+    if (!onSeek) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    onSeek(t0 + ratio * (t1 - t0));
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500 mb-1">
+        <span>{t(`chart.${chart.key}`)}</span>
+        {!chart.domain && <span>{v0.toFixed(0)}–{v1.toFixed(0)}{chart.unit}</span>}
+      </div>
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        preserveAspectRatio="none"
+        className={`w-full h-16 bg-slate-800 rounded ${onSeek ? 'cursor-pointer' : ''}`}
+        onClick={handleClick}
+      >
+        {markers.map((m, i) => (
+          <line key={i} x1={x(m.t)} x2={x(m.t)} y1={0} y2={H} stroke={MARKER_COLORS[m.type]} strokeWidth={0.6} strokeDasharray="2,2" />
+        ))}
+        {data.map((s, i) => (
+          <path key={i} d={buildPath(s.points, x, y, chart.step)} fill="none" stroke={s.color} strokeWidth={1.2} vectorEffect="non-scaling-stroke" />
+        ))}
+        {currentTime >= t0 && currentTime <= t1 && (
+          <line x1={x(currentTime)} x2={x(currentTime)} y1={0} y2={H} stroke="#FFFFFF" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+const TimelineCharts = ({ entries, events = [], viewMode, duration, currentTime = 0, onSeek }) => {
+  const t = useI18n();
+  const markers = useMemo(
+    () => events
+      .filter((e) => MARKER_COLORS[e.type])
+      .map((e) => ({ t: e.timestamp / 1000, type: e.type })),
+    [events]
+  );
+
+  if (!entries?.length) return null;
+  const domainT = duration ? [0, duration] : [entries[0].time, entries[entries.length - 1].time];
+
+  return (
+    <div className="space-y-2">
+      {(isFrontalView(viewMode) ? FRONTAL_CHARTS : SIDE_CHARTS).map((chart) => (
+        <MetricChart
+          key={chart.key}
+          chart={chart}
+          entries={entries}
+          markers={markers}
+          domainT={domainT}
+          currentTime={currentTime}
+          onSeek={onSeek}
+        />
+      ))}
+      <div className="flex gap-3 text-xs text-slate-500">
+        <span style={{ color: MARKER_COLORS[GAIT_EVENT.HEEL_STRIKE] }}>┆ {t('event.heelStrike')}</span>
+        <span style={{ color: MARKER_COLORS[GAIT_EVENT.POLE_PLANT] }}>┆ {t('event.polePlant')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineCharts;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Film, X } from 'lucide-react';
+import { EXPORT_SPEEDS } from '../export/videoExport.js';
+import { useI18n } from '../i18n/I18nContext.jsx';
+
+const NumberInput = ({ value, onChange, step = 0.1, min = 0, max }) => (
+  <input
+    type="number"
+    value={value}
+    step={step}
+    min={min}
+    max={max}
+    onChange={(e) => onChange(Number(e.target.value))}
+    className="w-16 bg-slate-800 border border-slate-700 rounded px-1 text-right focus:outline-none"
+  />
+);
+
+/**
+ * 疊圖影片匯出設定
+ * onExport({ start, end, speed, polePlants, backSwing, freezeSec })
+ */
+const VideoExportDialog = ({ duration, currentTime, progress, backSwingAvailable, onExport, onCancel, onClose }) => {
+  const t = useI18n();
+  const [start, setStart] = useState(0);
+  const [end, setEnd] = useState(Number(duration.toFixed(1)));
+  const [speed, setSpeed] = useState(EXPORT_SPEEDS[0]);
+  const [polePlants, setPolePlants] = useState(false);
+  const [backSwing, setBackSwing] = useState(false);
+  const [freezeSec, setFreezeSec] = useState(1.5);
+  const busy = progress !== null;
+  const valid = end > start && start >= 0 && end <= duration + 1e-3;
+
+  return (
+    <div className="absolute inset-0 z-40 bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-slate-900 border border-slate-700 rounded-lg p-4 text-xs space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-bold flex items-center gap-2"><Film size={16} /> {t('videoExport.title')}</h2>
+          {!busy && <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={16} /></button>}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <span className="text-slate-400 w-12">{t('videoExport.range')}</span>
+          <NumberInput value={start} onChange={setStart} max={duration} />
+          <span>~</span>
+          <NumberInput value={end} onChange={setEnd} max={duration} />
+          <span>{t('unit.seconds')}</span>
+          <button
+            onClick={() => setStart(Number(currentTime.toFixed(1)))}
+            className="ml-auto px-2 py-1 rounded bg-slate-700 hover:bg-slate-600"
+          >
+            {t('videoExport.fromCurrent')}
+          </button>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <span className="text-slate-400 w-12">{t('videoExport.speed')}</span>
+          {EXPORT_SPEEDS.map((s) => (
+            <button
+              key={s}
+              onClick={() => setSpeed(s)}
+              className={`px-2 py-1 rounded ${speed === s ? 'bg-slate-600 text-white' : 'bg-slate-800 text-slate-400'}`}
+            >
+              {s === 1 ? t('videoExport.normalSpeed') : `${s}×`}
+            </button>
+          ))}
+        </div>
+        {/* 慢動作的輸出長度跟著加倍 */}
+        <p className="text-slate-500">
+          {t('videoExport.lengthHint', { seconds: t.number(valid ? (end - start) / speed : 0, 0) })}
+        </p>
+
+        <div className="space-y-1">
+          <span className="text-slate-400">{t('videoExport.freeze')}</span>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={polePlants} onChange={(e) => setPolePlants(e.target.checked)} /> {t('videoExport.everyPlant')}
+          </label>
+          <label className={`flex items-center gap-2 ${backSwingAvailable ? '' : 'opacity-40'}`}>
+            <input
+              type="checkbox"
+              checked={backSwing && backSwingAvailable}
+              disabled={!backSwingAvailable}
+              onChange={(e) => setBackSwing(e.target.checked)}
+            />
+            {t('moment.maxBackSwing')} {!backSwingAvailable && t('videoExport.sideOnly')}
+          </label>
+          <div className="flex items-center gap-2">
+            <span>{t('videoExport.freezeFor')}</span>
+            <NumberInput value={freezeSec} onChange={setFreezeSec} step={0.5} />
+            <span>{t('unit.seconds')}</span>
+          </div>
+        </div>
+
+        {busy ? (
+          <div className="space-y-2">
+            <div className="flex justify-between">
+              <span>{t('videoExport.progress', { percent: (progress * 100).toFixed(0) })}</span>
+              <button onClick={onCancel} className="text-red-400 hover:text-red-300">{t('common.cancel')}</button>
+            </div>
+            <div className="w-full bg-slate-700 h-2 rounded-full overflow-hidden">
+              <div className="bg-blue-500 h-full" style={{ width: `${progress * 100}%` }} />
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => onExport({ start, end, speed, polePlants, backSwing: backSwing && backSwingAvailable, freezeSec })}
+            disabled={!valid}
+            className="w-full py-2 rounded bg-blue-700 hover:bg-blue-600 font-bold disabled:opacity-40"
+          >
+            {t('videoExport.start')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VideoExportDialog;
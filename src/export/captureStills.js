@@ -0,0 +1,50 @@
+import { seekTo, findTimelineIndex } from '../media/clipAnalysis.js';
+import { GAIT_EVENT } from '../analysis/gaitEvents.js';
+
+/**
+ * 擷取報告用的關鍵畫面 (含骨架疊圖)
+ * 有整段分析結果時，seek 到腳跟著地、撐杖、最大擺臂等時刻重畫後截圖；
+ * 否則只擷取目前畫面。
+ * still.label 為代碼，顯示時翻成 moment.<label>。
+ */
+
+const snapshot = (canvas) => canvas.toDataURL('image/jpeg', 0.8);
+
+const pickKeyMoments = (timeline, events) => {
+  const moments = [];
+  const firstOf = (type) => events.find((e) => e.type === type);
+
+  const strike = firstOf(GAIT_EVENT.HEEL_STRIKE);
+  if (strike) moments.push({ label: 'heelStrike', time: strike.timestamp / 1000 });
+  const plant = firstOf(GAIT_EVENT.POLE_PLANT);
+  if (plant) moments.push({ label: 'polePlant', time: plant.timestamp / 1000 });
+
+  // 與 pickFreezeMoments 相同：跳過不可用的幀，角度缺漏 (null) 的那隻手不列入
+  let best = null;
+  for (const entry of timeline) {
+    const m = entry.metrics;
+    if (!m || m.usable === false) continue;
+    const angles = [m.armAngleL, m.armAngleR].filter(Number.isFinite);
+    if (!angles.length) continue;
+    const swing = Math.max(...angles);
+    if (!best || swing > best.swing) best = { swing, time: entry.time };
+  }
+  if (best) moments.push({ label: 'maxArmSwing', time: best.time });
+  return moments;
+};
+
+export const captureKeyStills = async ({ video, canvas, timeline, events = [], render }) => {
+  if (!canvas) return [];
+  if (!timeline?.length || !video) return [{ label: 'current', src: snapshot(canvas) }];
+
+  const restoreTime = video.currentTime;
+  const stills = [];
+  for (const moment of pickKeyMoments(timeline, events)) {
+    await seekTo(video, moment.time);
+    render(timeline[findTimelineIndex(timeline, moment.time)]);
+    stills.push({ label: moment.label, src: snapshot(canvas) });
+  }
+  await seekTo(video, restoreTime);
+  render(timeline[findTimelineIndex(timeline, restoreTime)]);
+  return stills;
+};
@@ -0,0 +1,151 @@
+/**
+ * 一頁式列印報告
+ * 產生獨立的 HTML (含關鍵畫面、統計、圖表 SVG、教練建議)，開新視窗後呼叫 print()，
+ * 由瀏覽器「另存為 PDF」，不需伺服器或 PDF 套件。
+ * 文字與數字格式依傳入的 t (目前語言) 產生。
+ */
+import { formatMeasurement } from '../analysis/measurements.js';
+import { codedError } from '../i18n/index.js';
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const REPORT_CSS = `
+  @page { size: A4; margin: 12mm; }
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, 'Noto Sans TC', sans-serif; color: #0f172a; margin: 0; font-size: 11px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 12px; margin: 10px 0 4px; border-bottom: 1px solid #cbd5e1; padding-bottom: 2px; }
+  .meta { color: #475569; margin-bottom: 8px; }
+  .stills { display: flex; gap: 6px; }
+  .stills figure { flex: 1; margin: 0; text-align: center; }
+  .stills img { width: 100%; max-height: 180px; object-fit: contain; background: #000; }
+  .cols { display: flex; gap: 12px; }
+  .cols > div { flex: 1; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 2px 4px; border-bottom: 1px solid #e2e8f0; }
+  td.v { text-align: right; font-family: ui-monospace, monospace; }
+  .score { font-size: 28px; font-weight: bold; }
+  .charts svg { width: 100%; height: 48px; background: #1e293b; border-radius: 3px; }
+  .charts .text-xs { font-size: 9px; color: #475569; display: flex; justify-content: space-between; }
+  .pass { color: #15803d; } .warn { color: #a16207; } .fail { color: #b91c1c; } .na { color: #94a3b8; }
+  .notes { border: 1px solid #cbd5e1; min-height: 60px; padding: 4px; }
+`;
+
+const row = (label, value, unit = '') => `<tr><td>${escapeHtml(label)}</td><td class="v">${value} ${unit}</td></tr>`;
+
+const frontalRows = (t, f) => [
+  row(t('stat.stepWidthAvg'), t.number(f.avgStepWidth), 'cm'),
+  row(t('report.shoulderTilt'), `${t.number(f.avgShoulderTilt)} / ${t.number(f.maxShoulderTilt)}`, '°'),
+  row(t('report.hipTilt'), `${t.number(f.avgHipTilt)} / ${t.number(f.maxHipTilt)}`, '°'),
+  row(t('stat.swayRange'), t.number(f.swayRange, 0), t('unit.hipWidthPercent')),
+  row(t('criterion.armCrossing'), t.number(f.armCrossing, 0), '%'),
+  row(t('stat.poleWidth'), t.number(f.avgPoleWidth, 2), '×'),
+  row(t('report.kneeValgus'), `${t.number(f.maxKneeValgusL, 0)} / ${t.number(f.maxKneeValgusR, 0)}`, '°')
+].join('');
+
+const sideRows = (t, summary) => [
+  row(t('stat.avgStep'), t.number(summary.avgStep), 'cm'),
+  row(t('report.torso'), `${t.number(summary.avgTorso)} / ${t.number(summary.maxTorso)} / ${t.number(summary.minTorso)}`, '°'),
+  row(t('stat.armFwdP95'), t.number(summary.maxArmFwd), '°'),
+  row(t('stat.armBackP95'), t.number(summary.maxArmBack), '°')
+].join('');
+
+const poleRows = (t, p, sideView) => (p?.plants ? [
+  row(t('report.plantAngle'), `${t.number(p.avgPlantAngleL, 0)} / ${t.number(p.avgPlantAngleR, 0)}`, '°'),
+  ...(sideView ? [
+    row(t('report.tipOffset'), t.number(p.avgTipOffset), 'cm'),
+    row(t('stat.pushRatio'), t.number(p.pushRatio, 0), '%')
+  ] : [])
+].join('') : '');
+
+// 手繪標註沒有數值，只列量測
+const measurementRows = (t, measurements) => measurements
+  .filter((m) => m.value !== null)
+  .map((m) => row(`${t.number(m.time, 2)}s ${t(`measure.${m.tool}`)}`, escapeHtml(formatMeasurement(m))))
+  .join('');
+
+export const buildReportHtml = ({
+  t, meta, summary, technique, measurements = [], stills = [], chartsMarkup = '', cycleMarkup = ''
+}) => {
+  const { gait, frontal } = summary;
+  // 多角度合併報告同時有側面與正面的指標
+  const sideView = !!meta.multiAngle || !frontal?.frames;
+  const criteria = technique?.criteria || [];
+  const measured = measurementRows(t, measurements);
+
+  return `<!doctype html>
+<html lang="${t.locale}"><head><meta charset="utf-8"><title>${escapeHtml(t('report.title'))}</title><style>${REPORT_CSS}</style></head>
+<body>
+  <h1>${escapeHtml(t('report.title'))}</h1>
+  <div class="meta">
+    ${escapeHtml(meta.walkerName || '')} ・ ${escapeHtml(t.date(meta.date || Date.now()))}
+    ・ ${escapeHtml(t('report.view'))}${escapeHtml(meta.viewLabel || meta.viewMode)}
+    ・ ${escapeHtml(t('report.height'))}${escapeHtml(meta.userHeight)} cm
+    ${meta.calibrationLabel ? `・ ${escapeHtml(t('report.calibration'))}${escapeHtml(meta.calibrationLabel)}` : ''}
+    ${meta.multiAngle ? `・ ${escapeHtml(t('report.syncOffset'))}${t.number(meta.multiAngle.offset, 2)} s` : ''}
+  </div>
+
+  ${stills.length ? `<h2>${escapeHtml(t('report.stills'))}</h2><div class="stills">${stills.map((s) => `
+    <figure><img src="${s.src}" alt=""><figcaption>${escapeHtml(t(`moment.${s.label}`))}</figcaption></figure>`).join('')}</div>` : ''}
+
+  <div class="cols">
+    <div>
+      <h2>${escapeHtml(t('report.summary'))}</h2>
+      <table>
+        ${row(t('stat.usableFrames'), `${t.number(summary.usableRatio, 0)} (${summary.frames} / ${summary.totalFrames})`, '%')}
+        ${row(t('stat.steps'), summary.steps, t('unit.steps'))}
+        ${row(t('stat.cadence'), t.number(gait.cadence, 0), t('unit.stepsPerMin'))}
+        ${row(t('stat.strideTime'), t.number(gait.strideTime / 1000, 2), 's')}
+        ${row(t('report.symmetry'), t.number(gait.stepTimeSymmetry), '%')}
+        ${sideView ? sideRows(t, summary) : ''}
+        ${frontal?.frames ? frontalRows(t, frontal) : ''}
+        ${poleRows(t, summary.poles, sideView)}
+        ${row(t('report.fistRatio'), t.number(summary.handRatio, 0), '%')}
+        ${row(t('stat.coordination'), t.number(gait.coordination, 0), '%')}
+      </table>
+    </div>
+    <div>
+      <h2>${escapeHtml(t('technique.title'))}</h2>
+      <div class="score">${technique?.score === null || !technique ? '--' : t.number(technique.score, 0)} <small>/ 100</small></div>
+      <table>
+        ${criteria.map((c) => `<tr><td>${escapeHtml(t(`criterion.${c.id}`))}</td>
+          <td class="v ${c.status}">${c.value === null ? '' : `${t.number(c.value, c.digits ?? 0)}${escapeHtml(c.unit)} `}${escapeHtml(t(`status.${c.status}`))}</td></tr>`).join('')}
+      </table>
+    </div>
+  </div>
+
+  ${chartsMarkup ? `<h2>${escapeHtml(t('report.timeline'))}</h2><div class="charts">${chartsMarkup}</div>` : ''}
+  ${cycleMarkup ? `<h2>${escapeHtml(t('report.cycles'))}</h2><div class="charts">${cycleMarkup}</div>` : ''}
+
+  ${measured ? `<h2>${escapeHtml(t('report.measurements'))}</h2><table>${measured}</table>` : ''}
+
+  <h2>${escapeHtml(t('technique.tips'))}</h2>
+  <ul>${(technique?.tips || []).map((tip) => `<li>${escapeHtml(t(`tip.${tip}`))}</li>`).join('') || `<li>${escapeHtml(t('report.allGood'))}</li>`}</ul>
+  <div class="notes">${escapeHtml(t('report.notes'))}</div>
+</body></html>`;
+};
+
+// 視窗要在點擊當下同步開啟：先 await 截圖等非同步工作，使用者手勢會過期，
+// Safari 等較嚴格的彈出視窗阻擋會擋下；內容準備好後再以 writePrintableReport 寫入
+export const openReportWindow = (t) => {
+  const win = window.open('', '_blank');
+  if (!win) throw codedError('popupBlocked');
+  win.document.title = t('report.title');
+  win.document.body.textContent = t('export.preparing');
+  return win;
+};
+
+export const writePrintableReport = (win, report) => {
+  win.document.open();
+  win.document.write(buildReportHtml(report));
+  win.document.close();
+  // 等關鍵畫面 (data URL) 解碼完成再列印
+  const pending = Array.from(win.document.images)
+    .filter((img) => !img.complete)
+    .map((img) => new Promise((resolve) => { img.onload = img.onerror = resolve; }));
+  Promise.all(pending).then(() => win.print());
+};
+
+export const openPrintableReport = (report) => writePrintableReport(openReportWindow(report.t), report);
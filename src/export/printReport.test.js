@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReportHtml } from './printReport.js';
+import { EMPTY_SUMMARY } from '../analysis/gaitEngine.js';
+import { createTranslator } from '../i18n/index.js';
+
+const t = createTranslator('en');
+const meta = { date: '2026-05-01T08:00:00Z', walkerName: 'A <b>', viewMode: 'side_left', userHeight: 170 };
+
+test('報告標頭帶入學員名稱並跳脫 HTML', () => {
+  const html = buildReportHtml({ t, meta, summary: EMPTY_SUMMARY, technique: null });
+  assert.match(html, /<div class="meta">\s*A &lt;b&gt; ・/);
+});
+
+test('數字與 html lang 依傳入的語系', () => {
+  const summary = { ...EMPTY_SUMMARY, gait: { ...EMPTY_SUMMARY.gait, cadence: 112.4 } };
+  assert.match(buildReportHtml({ t, meta, summary, technique: null }), />112 steps\/min</);
+  assert.match(buildReportHtml({ t: createTranslator('zh-TW'), meta, summary, technique: null }), /<html lang="zh-TW">/);
+});
@@ -0,0 +1,92 @@
+/**
+ * 分享檔 (.zip)：學員與教練之間往返的單一檔案
+ *   session.json   設定 (視角、身高、校正)、統計、逐幀 timeline (含關鍵點)、步態事件、量測、教練評語
+ *   video.<ext>    原始影片 (即時鏡頭的紀錄沒有)
+ * 開啟時直接回放 timeline，不重跑姿勢模型；教練加上評語後可再匯出寄回。
+ */
+import { createZip, readZip } from './zipArchive.js';
+import { sanitizeComments } from '../analysis/coachComments.js';
+import { FRONTAL_VIEWS } from '../analysis/frontalMetrics.js';
+import { codedError } from '../i18n/index.js';
+
+export const BUNDLE_TYPE = 'nordic-walking-session';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = 'zip';
+
+const SESSION_FILE = 'session.json';
+const VIEW_MODES = ['side_left', 'side_right', ...FRONTAL_VIEWS];
+// 身高 (cm) 合理範圍；超出時比例尺、校正都會錯得離譜
+const MIN_USER_HEIGHT = 50;
+const MAX_USER_HEIGHT = 250;
+
+// 影片副檔名：優先沿用原檔名，其次依 MIME (video/webm;codecs=... -> webm)
+const videoExtension = (video) => {
+  const fromName = video.name?.match(/\.(\w+)$/)?.[1];
+  return fromName || video.type.split('/')[1]?.split(';')[0] || 'webm';
+};
+
+/**
+ * session：{ walkerName, viewMode, userHeight, calibration, personId, summary, technique,
+ *            timeline, events, measurements, comments, video (Blob | null) }
+ */
+export const buildSessionBundle = ({ video, ...session }) => {
+  const videoFile = video ? `video.${videoExtension(video)}` : null;
+  const json = JSON.stringify({
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...session,
+    video: videoFile && { file: videoFile, type: video.type }
+  });
+  const files = [{ name: SESSION_FILE, data: json }];
+  if (video) files.push({ name: videoFile, data: video });
+  return createZip(files);
+};
+
+const invalidBundle = (message) => codedError('invalidBundle', message);
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// 開啟後會直接套用到畫面 (視角、身高輸入、校正、統計)，缺欄位或數值不合理都整包拒絕
+const validateSession = (session) => {
+  if (session?.type !== BUNDLE_TYPE || session.version !== BUNDLE_VERSION) throw invalidBundle('invalid session bundle');
+  if (!Array.isArray(session.timeline)) throw invalidBundle('timeline missing');
+  if (!VIEW_MODES.includes(session.viewMode)) throw invalidBundle(`invalid viewMode: ${session.viewMode}`);
+  const { userHeight } = session;
+  if (typeof userHeight !== 'number' || !Number.isFinite(userHeight) || userHeight < MIN_USER_HEIGHT || userHeight > MAX_USER_HEIGHT) {
+    throw invalidBundle(`invalid userHeight: ${userHeight}`);
+  }
+  if (!isObject(session.summary)) throw invalidBundle('summary missing');
+  if (session.calibration != null && !isObject(session.calibration)) throw invalidBundle('invalid calibration');
+};
+
+// 回傳與 sessionStore.getSession 相同形狀的紀錄 (多了 comments)
+export const parseSessionBundle = async (blob) => {
+  const zip = await readZip(blob);
+  const sessionFile = await zip.file(SESSION_FILE);
+  if (!sessionFile) throw invalidBundle(`${SESSION_FILE} missing`);
+
+  let session;
+  try {
+    session = JSON.parse(await sessionFile.text());
+  } catch {
+    session = null;
+  }
+  validateSession(session);
+
+  let video = null;
+  if (session.video) {
+    const data = await zip.file(session.video.file);
+    if (!data) throw invalidBundle(`${session.video.file} missing`);
+    // zip 內的檔案沒有 MIME，補上才能交給 <video> 播放
+    video = new Blob([data], { type: session.video.type || '' });
+  }
+
+  return {
+    ...session,
+    events: Array.isArray(session.events) ? session.events : [],
+    measurements: Array.isArray(session.measurements) ? session.measurements : [],
+    comments: sanitizeComments(session.comments),
+    video
+  };
+};
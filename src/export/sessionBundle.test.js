@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSessionBundle, parseSessionBundle, BUNDLE_TYPE, BUNDLE_VERSION } from './sessionBundle.js';
+import { createZip } from './zipArchive.js';
+
+const session = {
+  walkerName: '王小明',
+  viewMode: 'side_left',
+  userHeight: 168,
+  calibration: null,
+  personId: null,
+  summary: { frames: 2, steps: 1 },
+  technique: { score: 80, tips: [] },
+  timeline: [{ time: 0, landmarks: null, metrics: null }],
+  events: [],
+  measurements: [],
+  comments: [{ id: 'c1', time: 1.5, text: '手臂再往後', author: 'Coach', createdAt: '2026-05-01T08:00:00Z' }]
+};
+
+// 直接打包任意 session.json，用來測試驗證
+const rawBundle = (json) => createZip([{ name: 'session.json', data: JSON.stringify({ type: BUNDLE_TYPE, version: BUNDLE_VERSION, ...json }) }]);
+
+test('匯出後再開啟得到相同的紀錄與影片', async () => {
+  const video = new Blob([new Uint8Array([1, 2, 3])], { type: 'video/webm' });
+  const parsed = await parseSessionBundle(await buildSessionBundle({ ...session, video }));
+  assert.equal(parsed.walkerName, session.walkerName);
+  assert.equal(parsed.userHeight, 168);
+  assert.deepEqual(parsed.timeline, session.timeline);
+  assert.equal(parsed.comments.length, 1);
+  assert.equal(parsed.video.type, 'video/webm');
+  assert.deepEqual(new Uint8Array(await parsed.video.arrayBuffer()), new Uint8Array([1, 2, 3]));
+});
+
+test('沒有影片時 video 為 null', async () => {
+  const parsed = await parseSessionBundle(await buildSessionBundle({ ...session, video: null }));
+  assert.equal(parsed.video, null);
+});
+
+test('缺少或不合理的欄位整包拒絕', async () => {
+  const { userHeight: _height, ...noHeight } = session;
+  const { summary: _summary, ...noSummary } = session;
+  const invalid = [
+    noHeight,
+    noSummary,
+    { ...session, userHeight: 0 },
+    { ...session, userHeight: 'tall' },
+    { ...session, viewMode: 'top' },
+    { ...session, timeline: null },
+    { ...session, calibration: 5 }
+  ];
+  for (const json of invalid) {
+    await assert.rejects(parseSessionBundle(await rawBundle(json)), { code: 'invalidBundle' });
+  }
+});
+
+test('不是分享檔的 zip 拒絕', async () => {
+  const zip = await createZip([{ name: 'readme.txt', data: 'hello' }]);
+  await assert.rejects(parseSessionBundle(zip), { code: 'invalidBundle' });
+  await assert.rejects(parseSessionBundle(await rawBundle({ ...session, version: BUNDLE_VERSION + 1 })), { code: 'invalidBundle' });
+});
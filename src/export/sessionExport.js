@@ -0,0 +1,160 @@
+/**
+ * 分析結果匯出 (JSON / CSV)，全部在瀏覽器端產生。
+ * CSV 是給人用試算表開的：欄名、數字、日期、是否與手掌 / 評分狀態都依 t (目前語言) 格式化。
+ * JSON 是給程式讀的：數值、代碼與 ISO 時間維持原樣，不隨語言改變，
+ * 只另外附上目前語言的項目名稱與建議文字 (label / tipText)。
+ */
+
+export const FRAME_COLUMNS = [
+  'time', 'usable', 'torsoAngle', 'forwardLean', 'armAngleL', 'armAngleR',
+  'stepLength', 'handL', 'handR', 'comX', 'cmPerPx',
+  // 正面 / 背面視角
+  'shoulderTilt', 'hipTilt', 'lateralLean', 'lateralShift', 'armCrossL', 'armCrossR',
+  'poleWidthRatio', 'kneeValgusL', 'kneeValgusR', 'stepWidth',
+  // 健走杖
+  'poleAngleL', 'poleAngleR', 'poleTipOffsetL', 'poleTipOffsetR',
+  // 3D 關節角度 (有 world landmarks 時)；上方軀幹 / 手臂角度此時為 3D 值，2D 原值另列
+  'shoulderFlexL', 'shoulderFlexR', 'elbowFlexL', 'elbowFlexR',
+  'hipFlexL', 'hipFlexR', 'kneeFlexL', 'kneeFlexR', 'offAxis',
+  'torsoAngle2d', 'armAngleL2d', 'armAngleR2d'
+];
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const exportFileName = (ext, prefix = 'nordic_analysis') => `${prefix}_${new Date().getTime()}.${ext}`;
+
+// { gait: { cadence: 1 } } -> { 'gait.cadence': 1 }
+export const flattenObject = (obj, prefix = '') => Object.entries(obj).reduce((acc, [key, value]) => {
+  const name = prefix ? `${prefix}.${key}` : key;
+  if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(acc, flattenObject(value, name));
+  else acc[name] = value;
+  return acc;
+}, {});
+
+const quoteCell = (str) => (/[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str);
+
+// 數字依語系、最多 3 位小數 (不補零、不加千分位，避免與欄位分隔混淆)
+const createCellFormatter = (t) => {
+  const decimal = new Intl.NumberFormat(t.locale, { maximumFractionDigits: 3, useGrouping: false });
+  return (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? decimal.format(value) : '';
+    if (typeof value === 'boolean') return t(value ? 'csv.yes' : 'csv.no');
+    return quoteCell(String(value));
+  };
+};
+
+// columns 為欄位 id，表頭顯示 csv.column.<id> 的翻譯
+export const toCSV = (t, rows, columns) => {
+  const cell = createCellFormatter(t);
+  return [
+    columns.map((c) => quoteCell(t(`csv.column.${c}`))).join(','),
+    ...rows.map((row) => columns.map((c) => cell(row[c])).join(','))
+  ].join('\n');
+};
+
+const poleColumns = (poles) => ({
+  poleAngleL: poles?.L?.groundAngle,
+  poleAngleR: poles?.R?.groundAngle,
+  poleTipOffsetL: poles?.L?.tipOffset,
+  poleTipOffsetR: poles?.R?.tipOffset
+});
+
+const angleColumns = (angles3d, angles2d) => ({
+  ...(angles3d && {
+    shoulderFlexL: angles3d.shoulderFlexL,
+    shoulderFlexR: angles3d.shoulderFlexR,
+    elbowFlexL: angles3d.elbowFlexL,
+    elbowFlexR: angles3d.elbowFlexR,
+    hipFlexL: angles3d.hipFlexL,
+    hipFlexR: angles3d.hipFlexR,
+    kneeFlexL: angles3d.kneeFlexL,
+    kneeFlexR: angles3d.kneeFlexR,
+    offAxis: angles3d.offAxis
+  }),
+  torsoAngle2d: angles2d?.torsoAngle,
+  armAngleL2d: angles2d?.armAngleL,
+  armAngleR2d: angles2d?.armAngleR
+});
+
+// timeline / history entry -> 逐幀列 (冠狀面、健走杖與 3D 角度攤平成欄位)
+export const frameRows = (entries) => entries
+  .filter((e) => e.metrics)
+  .map((e) => {
+    const { frontal, poles, angles3d, angles2d, ...rest } = e.metrics;
+    return { ...rest, ...(frontal || {}), ...poleColumns(poles), ...angleColumns(angles3d, angles2d), time: e.time };
+  });
+
+const handText = (t, state) => (state ? t(`hand.${state}`) : state);
+
+export const buildFramesCSV = (t, entries) => toCSV(
+  t,
+  frameRows(entries).map((row) => ({ ...row, handL: handText(t, row.handL), handR: handText(t, row.handR) })),
+  FRAME_COLUMNS
+);
+
+export const buildSummaryCSV = ({ t, meta, summary, technique, measurements = [], cycleProfiles = null }) => {
+  const rows = [
+    { metric: 'meta.date', label: t('csv.date'), value: t.date(meta.date) },
+    { metric: 'meta.walkerName', label: t('csv.walkerName'), value: meta.walkerName || '' },
+    { metric: 'meta.viewMode', label: t('csv.view'), value: meta.viewLabel },
+    { metric: 'meta.userHeight', label: t('csv.userHeight'), value: meta.userHeight },
+    ...Object.entries(flattenObject(summary)).map(([metric, value]) => ({ metric, value }))
+  ];
+  if (technique) {
+    rows.push({ metric: 'technique.score', label: t('stat.score'), value: technique.score });
+    technique.criteria.forEach((c) => rows.push({
+      metric: `technique.${c.id}`, label: t(`criterion.${c.id}`), value: c.value, status: t(`status.${c.status}`)
+    }));
+  }
+  // 步態週期正規化：各側週期平均與變異指數 (%)
+  cycleProfiles?.metrics.forEach((m) => ['L', 'R'].forEach((side) => {
+    if (!m[side]) return;
+    rows.push({ metric: `cycle.${m.id}.${side}.average`, label: t(`metric.${m.id}`), value: m[side].average });
+    rows.push({ metric: `cycle.${m.id}.${side}.variability`, value: m[side].variability });
+  }));
+  // 手動量測：status 欄放時間點與單位
+  measurements.filter((m) => m.value !== null).forEach((m, i) => rows.push({
+    metric: `measurement.${i + 1}.${m.tool}`,
+    label: t(`measure.${m.tool}`),
+    value: Number(m.value.toFixed(2)),
+    status: `${t.number(m.time, 2)}s ${m.unit}`
+  }));
+  return toCSV(t, rows, ['metric', 'label', 'value', 'status']);
+};
+
+// tip 為建議代碼，tipText 為目前語言的文字
+export const buildSessionJSON = ({ t, meta, summary, technique, events, measurements = [], comments = [], cycleProfiles = null, entries }) => JSON.stringify({
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  lang: t.lang,
+  meta,
+  summary,
+  technique: technique && {
+    score: technique.score,
+    criteria: technique.criteria.map(({ id, value, score, status, tip, rule }) => ({
+      id, label: t(`criterion.${id}`), value, score, status, tip, tipText: tip && t(`tip.${tip}`), rule
+    })),
+    tips: technique.tips.map((tip) => t(`tip.${tip}`))
+  },
+  events,
+  measurements,
+  comments,
+  cycleProfiles,
+  frames: frameRows(entries).map((row) => {
+    // 繪圖用的 points / 事件已另存，不重複輸出
+    const { points: _points, events: _events, ...rest } = row;
+    return rest;
+  })
+}, null, 2);
+
+// Excel 需要 BOM 才會以 UTF-8 讀取中文
+export const csvBlob = (csv) => new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+export const jsonBlob = (json) => new Blob([json], { type: 'application/json' });
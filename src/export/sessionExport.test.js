@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFramesCSV, buildSummaryCSV, buildSessionJSON, FRAME_COLUMNS } from './sessionExport.js';
+import { EMPTY_SUMMARY } from '../analysis/gaitEngine.js';
+import { createTranslator } from '../i18n/index.js';
+
+const en = createTranslator('en');
+const zh = createTranslator('zh-TW');
+const meta = { date: '2026-05-01T08:00:00Z', walkerName: 'Lin, Mei', viewMode: 'side_left', viewLabel: 'Side', userHeight: 165 };
+const entries = [
+  { time: 0.5, metrics: { usable: true, torsoAngle: 4.56789, handL: 'open', handR: 'fist', angles2d: { torsoAngle: 3.25 } } },
+  { time: 0.6, metrics: null }
+];
+
+test('逐幀 CSV：表頭、是否、手掌狀態依語系', () => {
+  const [header, row, ...rest] = buildFramesCSV(en, entries).split('\n');
+  const columns = header.split(',');
+  assert.equal(columns.length, FRAME_COLUMNS.length);
+  assert.equal(columns[0], 'Time (s)');
+  const cells = Object.fromEntries(FRAME_COLUMNS.map((c, i) => [c, row.split(',')[i]]));
+  assert.equal(cells.time, '0.5');
+  assert.equal(cells.usable, 'Yes');
+  assert.equal(cells.torsoAngle, '4.568');
+  assert.equal(cells.torsoAngle2d, '3.25');
+  assert.equal(cells.handL, 'Open');
+  assert.equal(cells.handR, 'Fist');
+  assert.deepEqual(rest, []);
+
+  const zhLines = buildFramesCSV(zh, entries).split('\n');
+  assert.equal(zhLines[0].split(',')[0], '時間 (秒)');
+  assert.ok(zhLines[1].includes(',是,'));
+});
+
+test('摘要 CSV：日期、學員與評分狀態依語系，含逗號的文字加引號', () => {
+  const technique = {
+    score: 82.5,
+    criteria: [{ id: 'armBack', value: 31.25, status: 'warn' }],
+    tips: []
+  };
+  const csv = buildSummaryCSV({ t: en, meta, summary: { ...EMPTY_SUMMARY, steps: 12 }, technique });
+  const lines = csv.split('\n');
+  assert.equal(lines[0], 'Metric,Name,Value,Status / note');
+  // en-US 的日期時間本身含逗號
+  assert.ok(lines.includes(`meta.date,Date,"${en.date(meta.date)}",`));
+  assert.ok(lines.includes('meta.walkerName,Walker,"Lin, Mei",'));
+  assert.ok(lines.includes('steps,,12,'));
+  assert.ok(lines.includes('technique.armBack,Back arm swing,31.25,Watch'), csv);
+});
+
+test('JSON 維持機器可讀：原始數值、代碼與 ISO 時間', () => {
+  const json = JSON.parse(buildSessionJSON({ t: zh, meta, summary: EMPTY_SUMMARY, technique: null, events: [], entries }));
+  assert.equal(json.meta.date, meta.date);
+  assert.equal(json.lang, 'zh-TW');
+  assert.equal(json.frames[0].torsoAngle, 4.56789);
+  assert.equal(json.frames[0].handL, 'open');
+  assert.equal(json.frames[0].usable, true);
+});
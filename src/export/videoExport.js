@@ -0,0 +1,296 @@
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer';
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from 'webm-muxer';
+import { seekTo } from '../media/clipAnalysis.js';
+import { GAIT_EVENT } from '../analysis/gaitEvents.js';
+import { isFrontalView } from '../analysis/frontalMetrics.js';
+import { codedError } from '../i18n/index.js';
+
+/**
+ * 疊圖影片匯出
+ * 逐幀算圖：依輸出幀率算出每一幀對應的影片時間 (慢動作時間隔變小，定格時重複同一時間)，
+ * 逐一 seek 並重畫骨架與數據面板，把 canvas 交給 WebCodecs VideoEncoder 編碼，再由 muxer 寫成檔案。
+ * 不是即時錄製：所需時間取決於 seek 與編碼速度，分頁切到背景也會繼續。
+ * 原始音軌以 decodeAudioData 解出，用 OfflineAudioContext 依同一份幀計畫排好再以 AudioEncoder 編碼；
+ * 慢動作時聲音跟著放慢 (音調變低)，定格時靜音。影片沒有音軌或瀏覽器解不開時輸出無聲影片 (回傳 audio: false)。
+ * 容器依瀏覽器能編碼的格式挑選：H.264 寫成 MP4，否則 VP9 / VP8 寫成 WebM，Blob 類型與副檔名跟著實際格式。
+ * 關鍵時刻 (撐杖、最大後擺) 可定格數秒。
+ */
+
+export const EXPORT_SPEEDS = [1, 0.5, 0.25];
+const EXPORT_FPS = 30;
+const VIDEO_BITRATE = 5_000_000;
+const KEYFRAME_SEC = 2;
+// 編碼佇列超過此數時等待，避免影格堆積佔滿記憶體
+const MAX_ENCODE_QUEUE = 8;
+// Opus 只接受 48 kHz
+const AUDIO_SAMPLE_RATE = 48_000;
+const AUDIO_BITRATE = 128_000;
+const AUDIO_CHUNK_FRAMES = 4096;
+
+// --- 即時鏡頭錄影 (MediaRecorder) ---
+// 依偏好順序：MP4 在手機與簡報軟體上最通用
+const RECORDER_FORMATS = [
+  { mimeType: 'video/mp4;codecs=avc1.42E01E,mp4a.40.2', type: 'video/mp4', ext: 'mp4' },
+  { mimeType: 'video/mp4', type: 'video/mp4', ext: 'mp4' },
+  { mimeType: 'video/webm;codecs=vp9,opus', type: 'video/webm', ext: 'webm' },
+  { mimeType: 'video/webm;codecs=vp8,opus', type: 'video/webm', ext: 'webm' },
+  { mimeType: 'video/webm', type: 'video/webm', ext: 'webm' }
+];
+
+export const pickRecorderFormat = () => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return RECORDER_FORMATS.find((f) => MediaRecorder.isTypeSupported(f.mimeType)) || null;
+};
+
+// MediaRecorder 實際採用的 mimeType -> Blob 類型與副檔名
+export const formatFromMime = (mimeType = '') => (mimeType.startsWith('video/mp4')
+  ? { type: 'video/mp4', ext: 'mp4' }
+  : { type: 'video/webm', ext: 'webm' });
+
+// --- 逐幀匯出 (WebCodecs) ---
+// 依偏好順序；codec 為 WebCodecs 編碼字串，muxCodec 為 muxer 的寫法
+// H.264 level 5.1 / 4.0 涵蓋 4K 與 1080p，baseline 3.1 給只支援小尺寸的裝置
+const EXPORT_FORMATS = [
+  {
+    type: 'video/mp4',
+    ext: 'mp4',
+    video: ['avc1.640033', 'avc1.640028', 'avc1.4d0028', 'avc1.42e01f'].map((codec) => ({ codec, muxCodec: 'avc' })),
+    audio: [{ codec: 'mp4a.40.2', muxCodec: 'aac' }, { codec: 'opus', muxCodec: 'opus' }],
+    createMuxer: (video, audio) => new Mp4Muxer({
+      target: new Mp4Target(),
+      video,
+      ...(audio && { audio }),
+      fastStart: 'in-memory',
+      firstTimestampBehavior: 'offset'
+    })
+  },
+  {
+    type: 'video/webm',
+    ext: 'webm',
+    video: [{ codec: 'vp09.00.40.08', muxCodec: 'V_VP9' }, { codec: 'vp8', muxCodec: 'V_VP8' }],
+    audio: [{ codec: 'opus', muxCodec: 'A_OPUS' }],
+    createMuxer: (video, audio) => new WebmMuxer({
+      target: new WebmTarget(),
+      video,
+      ...(audio && { audio }),
+      firstTimestampBehavior: 'offset'
+    })
+  }
+];
+
+export const canExportVideo = () => typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+const firstSupported = async (Encoder, candidates, config) => {
+  for (const candidate of candidates) {
+    const { supported } = await Encoder.isConfigSupported({ ...config, codec: candidate.codec }).catch(() => ({ supported: false }));
+    if (supported) return candidate;
+  }
+  return null;
+};
+
+// 第一個能編碼影像的容器；該容器沒有可用的音訊編碼時 audio 為 null (輸出無聲)
+const pickEncoding = async (videoConfig, audioConfig) => {
+  for (const format of EXPORT_FORMATS) {
+    const video = await firstSupported(VideoEncoder, format.video, videoConfig);
+    if (!video) continue;
+    const audio = audioConfig && typeof AudioEncoder !== 'undefined'
+      ? await firstSupported(AudioEncoder, format.audio, audioConfig)
+      : null;
+    return { format, video, audio };
+  }
+  return null;
+};
+
+/**
+ * 輸出影片每一幀對應的影片時間：[{ time: 秒, label }]
+ * 每幀前進 speed / fps 秒；經過定格時刻時先插入 freezeSec 秒的該時刻畫面 (label 為時刻代碼，其餘幀為 null)
+ */
+export const planExportFrames = ({ start, end, speed = 1, fps = EXPORT_FPS, freezeMoments = [], freezeSec = 1.5 }) => {
+  const pending = freezeMoments.filter((m) => m.time >= start && m.time <= end).sort((a, b) => a.time - b.time);
+  const holdFrames = Math.round(freezeSec * fps);
+  const step = speed / fps;
+  const count = Math.floor((end - start) / step + 1e-6);
+  const frames = [];
+  for (let i = 0; i <= count; i++) {
+    const time = start + i * step;
+    while (pending.length && pending[0].time <= time) {
+      const moment = pending.shift();
+      for (let k = 0; k < holdFrames; k++) frames.push({ time: moment.time, label: moment.label });
+    }
+    frames.push({ time, label: null });
+  }
+  return frames;
+};
+
+// 連續播放的幀合併成音訊片段 { at: 輸出時間, from: 影片時間, duration: 影片時間長度 } (秒)；定格期間沒有片段 (靜音)
+export const planAudioSegments = (frames, { speed = 1, fps = EXPORT_FPS } = {}) => {
+  const segments = [];
+  let current = null;
+  frames.forEach((frame, i) => {
+    if (frame.label) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { at: i / fps, from: frame.time, duration: 0 };
+      segments.push(current);
+    }
+    current.duration += speed / fps;
+  });
+  return segments;
+};
+
+// 原始音軌；沒有音軌或瀏覽器解不開時回傳 null
+const decodeSourceAudio = async (video) => {
+  try {
+    const data = await (await fetch(video.currentSrc)).arrayBuffer();
+    return await new OfflineAudioContext(1, 1, AUDIO_SAMPLE_RATE).decodeAudioData(data);
+  } catch {
+    return null;
+  }
+};
+
+// 依片段把原始音軌排到輸出時間軸上 (最多兩聲道)
+const renderAudio = (source, segments, { duration, speed, channels }) => {
+  const ctx = new OfflineAudioContext(channels, Math.max(1, Math.ceil(duration * AUDIO_SAMPLE_RATE)), AUDIO_SAMPLE_RATE);
+  segments.forEach(({ at, from, duration: length }) => {
+    const node = ctx.createBufferSource();
+    node.buffer = source;
+    node.playbackRate.value = speed;
+    node.connect(ctx.destination);
+    node.start(at, from, length);
+  });
+  return ctx.startRendering();
+};
+
+const encodeAudio = (encoder, buffer) => {
+  const { numberOfChannels, length, sampleRate } = buffer;
+  for (let offset = 0; offset < length; offset += AUDIO_CHUNK_FRAMES) {
+    const numberOfFrames = Math.min(AUDIO_CHUNK_FRAMES, length - offset);
+    const data = new Float32Array(numberOfFrames * numberOfChannels);
+    for (let c = 0; c < numberOfChannels; c++) {
+      data.set(buffer.getChannelData(c).subarray(offset, offset + numberOfFrames), c * numberOfFrames);
+    }
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames,
+      numberOfChannels,
+      timestamp: Math.round((offset / sampleRate) * 1e6),
+      data
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+};
+
+const waitForEncoder = (encoder) => new Promise((resolve) => {
+  if (encoder.encodeQueueSize <= MAX_ENCODE_QUEUE) resolve();
+  else setTimeout(() => waitForEncoder(encoder).then(resolve), 5);
+});
+
+/**
+ * 定格時刻：範圍內每次撐杖、以及最大後擺 (只在側面視角可判斷前後)
+ * 回傳 [{ time: 秒, label (代碼，顯示時翻成 moment.<label>) }]，依時間排序
+ */
+export const pickFreezeMoments = (timeline, events, { viewMode, start, end, polePlants, backSwing }) => {
+  const inRange = (t) => t >= start && t <= end;
+  const moments = [];
+  if (polePlants) {
+    events
+      .filter((e) => e.type === GAIT_EVENT.POLE_PLANT && inRange(e.timestamp / 1000))
+      .forEach((e) => moments.push({ time: e.timestamp / 1000, label: 'polePlant' }));
+  }
+  if (backSwing && !isFrontalView(viewMode)) {
+    const forwardSign = viewMode === 'side_left' ? -1 : 1;
+    let best = null;
+    for (const entry of timeline) {
+      const { landmarks: lm, metrics: m } = entry;
+      if (!lm || !m || m.usable === false || !inRange(entry.time)) continue;
+      [[11, 13, m.armAngleL], [12, 14, m.armAngleR]].forEach(([shoulder, elbow, angle]) => {
+        const behind = (lm[elbow].x - lm[shoulder].x) * forwardSign < 0;
+        if (behind && (!best || angle > best.angle)) best = { angle, time: entry.time };
+      });
+    }
+    if (best) moments.push({ time: best.time, label: 'maxBackSwing' });
+  }
+  return moments.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * draw(time, freezeLabel)：把 time 那幀 (影片已 seek 到該位置) 連同疊圖畫到 canvas；freezeLabel 只在定格時有值
+ * 回傳 { blob, ext, audio (是否含聲音) }
+ */
+export const exportAnnotatedVideo = async ({
+  video, canvas, start, end, speed = 1, freezeMoments = [], freezeSec = 1.5, draw, onProgress, signal
+}) => {
+  if (!canExportVideo()) throw codedError('videoExportUnsupported');
+  // H.264 / VP9 需要偶數尺寸，奇數時裁掉最後一行 / 列
+  const width = canvas.width & ~1;
+  const height = canvas.height & ~1;
+  const frames = planExportFrames({ start, end, speed, freezeMoments, freezeSec });
+  const duration = frames.length / EXPORT_FPS;
+
+  const sourceAudio = await decodeSourceAudio(video);
+  const channels = Math.min(sourceAudio?.numberOfChannels ?? 0, 2);
+  const videoConfig = { width, height, bitrate: VIDEO_BITRATE, framerate: EXPORT_FPS };
+  const audioConfig = sourceAudio && { sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: channels, bitrate: AUDIO_BITRATE };
+  const encoding = await pickEncoding(videoConfig, audioConfig);
+  if (!encoding) throw codedError('videoExportUnsupported');
+  if (signal?.aborted) throw abortError();
+
+  const { format } = encoding;
+  const muxer = format.createMuxer(
+    { codec: encoding.video.muxCodec, width, height },
+    encoding.audio && { codec: encoding.audio.muxCodec, numberOfChannels: channels, sampleRate: AUDIO_SAMPLE_RATE }
+  );
+  // 編碼器的錯誤經 callback 回報，記下後在迴圈中拋出
+  let encodeError = null;
+  const onError = (e) => { encodeError ??= e; };
+  const videoEncoder = new VideoEncoder({ output: (chunk, meta) => muxer.addVideoChunk(chunk, meta), error: onError });
+  const audioEncoder = encoding.audio
+    ? new AudioEncoder({ output: (chunk, meta) => muxer.addAudioChunk(chunk, meta), error: onError })
+    : null;
+
+  try {
+    videoEncoder.configure({ ...videoConfig, codec: encoding.video.codec });
+    // 音訊先整段排好編碼，muxer 會依時間與影像交錯寫入
+    if (audioEncoder) {
+      audioEncoder.configure({ ...audioConfig, codec: encoding.audio.codec });
+      encodeAudio(audioEncoder, await renderAudio(sourceAudio, planAudioSegments(frames, { speed }), { duration, speed, channels }));
+      await audioEncoder.flush();
+    }
+
+    let seekedTime = null;
+    for (let i = 0; i < frames.length; i++) {
+      if (signal?.aborted) throw abortError();
+      if (encodeError) throw encodeError;
+      const { time, label } = frames[i];
+      if (time !== seekedTime) {
+        await seekTo(video, time);
+        seekedTime = time;
+      }
+      draw(time, label);
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((i / EXPORT_FPS) * 1e6),
+        duration: Math.round(1e6 / EXPORT_FPS),
+        visibleRect: { x: 0, y: 0, width, height }
+      });
+      videoEncoder.encode(frame, { keyFrame: i % (KEYFRAME_SEC * EXPORT_FPS) === 0 });
+      frame.close();
+      await waitForEncoder(videoEncoder);
+      onProgress?.((i + 1) / frames.length);
+    }
+    await videoEncoder.flush();
+    if (encodeError) throw encodeError;
+    muxer.finalize();
+  } finally {
+    [videoEncoder, audioEncoder].forEach((encoder) => {
+      if (encoder && encoder.state !== 'closed') encoder.close();
+    });
+  }
+
+  return { blob: new Blob([muxer.target.buffer], { type: format.type }), ext: format.ext, audio: Boolean(audioEncoder) };
+};
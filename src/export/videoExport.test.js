@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planExportFrames, planAudioSegments } from './videoExport.js';
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('正常速度每幀前進 1/fps 秒，包含起訖兩端', () => {
+  const frames = planExportFrames({ start: 1, end: 2, fps: 10 });
+  assert.equal(frames.length, 11);
+  assert.ok(close(frames[0].time, 1));
+  assert.ok(close(frames[1].time, 1.1));
+  assert.ok(close(frames.at(-1).time, 2));
+  assert.ok(frames.every((f) => f.label === null));
+});
+
+test('慢動作時幀數依速度倍增', () => {
+  const frames = planExportFrames({ start: 0, end: 1, speed: 0.25, fps: 10 });
+  assert.equal(frames.length, 41);
+  assert.ok(close(frames[1].time, 0.025));
+});
+
+test('經過定格時刻時先插入 freezeSec 秒的該時刻畫面', () => {
+  const frames = planExportFrames({
+    start: 0,
+    end: 1,
+    fps: 10,
+    freezeSec: 0.5,
+    freezeMoments: [{ time: 0.55, label: 'polePlant' }, { time: 5, label: 'maxBackSwing' }]
+  });
+  assert.equal(frames.length, 11 + 5);
+  const held = frames.filter((f) => f.label);
+  assert.equal(held.length, 5);
+  assert.ok(held.every((f) => f.time === 0.55 && f.label === 'polePlant'));
+  // 定格插在 0.5 之後、0.6 之前
+  const first = frames.findIndex((f) => f.label);
+  assert.ok(close(frames[first - 1].time, 0.5));
+  assert.ok(close(frames[first + 5].time, 0.6));
+});
+
+test('音訊片段跳過定格，輸出時間與影片時間對應', () => {
+  const frames = planExportFrames({
+    start: 2, end: 3, fps: 10, speed: 0.5, freezeSec: 1, freezeMoments: [{ time: 2.5, label: 'polePlant' }]
+  });
+  const segments = planAudioSegments(frames, { speed: 0.5, fps: 10 });
+  assert.equal(segments.length, 2);
+  const [a, b] = segments;
+  assert.equal(a.at, 0);
+  assert.equal(a.from, 2);
+  // 2.0 ~ 2.45 共 10 幀，每幀 0.05 秒影片時間；到 2.5 那幀之前先定格
+  assert.ok(close(a.duration, 0.5));
+  // 後段在 10 幀播放 + 10 幀定格之後開始
+  assert.ok(close(b.at, 2));
+  assert.ok(close(b.from, 2.5));
+  assert.ok(close(a.duration + b.duration, 1.05));
+});
+
+test('沒有定格時只有一個音訊片段', () => {
+  const frames = planExportFrames({ start: 0, end: 2, fps: 30 });
+  const segments = planAudioSegments(frames, { fps: 30 });
+  assert.equal(segments.length, 1);
+  assert.ok(close(segments[0].duration, frames.length / 30));
+});
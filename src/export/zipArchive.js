@@ -0,0 +1,165 @@
+/**
+ * 最小的 ZIP 讀寫 (不另外引入套件)
+ * 寫入一律不壓縮 (stored)：影片本身已壓縮，JSON 也不大，省下壓縮時間。
+ * 讀取支援 stored 與 deflate (使用者用其他工具重新打包時常見)，後者需要 DecompressionStream。
+ * 不支援 ZIP64，單檔與整包需小於 4 GB。
+ */
+import { codedError } from '../i18n/index.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+// 旗標 bit 11：檔名為 UTF-8
+const FLAG_UTF8 = 0x0800;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const updateCrc = (crc, bytes) => {
+  let c = crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return c;
+};
+
+// Blob 分段讀取計算，不必把整部影片複製進記憶體
+const crc32 = async (data) => {
+  let crc = 0xffffffff;
+  if (data instanceof Blob) {
+    const reader = data.stream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      crc = updateCrc(crc, value);
+    }
+  } else {
+    crc = updateCrc(crc, data);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS 日期時間 (本地時間，2 秒精度)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * files：[{ name, data: Blob | string | Uint8Array }]，回傳 application/zip Blob
+ */
+export const createZip = async (files, modified = new Date()) => {
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const body = typeof data === 'string' ? encoder.encode(data) : data;
+    const size = body instanceof Blob ? body.size : body.length;
+    const nameBytes = encoder.encode(name);
+    const crc = await crc32(body);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, body);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, FLAG_UTF8, true);
+    entry.setUint16(10, METHOD_STORED, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + size;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+const invalidArchive = (message) => codedError('invalidArchive', message);
+
+// 結尾紀錄在最後 22 bytes + 最長 65535 bytes 的註解之內
+const findEndOfCentral = async (blob) => {
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL) {
+      return { count: tail.getUint16(i + 10, true), size: tail.getUint32(i + 12, true), offset: tail.getUint32(i + 16, true) };
+    }
+  }
+  throw invalidArchive('end of central directory not found');
+};
+
+/**
+ * 讀取 ZIP 目錄，回傳 { names, file(name) }；file 依需要才讀出內容 (Blob，找不到時為 null)
+ */
+export const readZip = async (blob) => {
+  const end = await findEndOfCentral(blob);
+  const dir = new DataView(await blob.slice(end.offset, end.offset + end.size).arrayBuffer());
+  const entries = new Map();
+  let p = 0;
+  for (let i = 0; i < end.count; i++) {
+    if (p + 46 > dir.byteLength || dir.getUint32(p, true) !== CENTRAL_HEADER) throw invalidArchive('corrupt central directory');
+    const nameLength = dir.getUint16(p + 28, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, p + 46, nameLength));
+    entries.set(name, {
+      method: dir.getUint16(p + 10, true),
+      compressedSize: dir.getUint32(p + 20, true),
+      localOffset: dir.getUint32(p + 42, true)
+    });
+    p += 46 + nameLength + dir.getUint16(p + 30, true) + dir.getUint16(p + 32, true);
+  }
+
+  const file = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    // 本地標頭的 extra 長度可能與中央目錄不同，要從本地標頭讀
+    const header = new DataView(await blob.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+    if (header.getUint32(0, true) !== LOCAL_HEADER) throw invalidArchive(`corrupt entry ${name}`);
+    const start = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = blob.slice(start, start + entry.compressedSize);
+    if (entry.method === METHOD_STORED) return data;
+    if (entry.method === METHOD_DEFLATE && typeof DecompressionStream !== 'undefined') {
+      return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+    throw invalidArchive(`unsupported compression method ${entry.method}`);
+  };
+
+  return { names: [...entries.keys()], file };
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from './zipArchive.js';
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+test('本地標頭：stored、UTF-8 檔名、CRC-32 與大小', async () => {
+  const zip = await createZip([{ name: '說明.txt', data: '123456789' }], new Date(2026, 4, 1, 8, 30, 10));
+  const view = new DataView((await bytesOf(zip)).buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint16(6, true), 0x0800);
+  assert.equal(view.getUint16(8, true), 0);
+  // CRC-32 標準檢查值
+  assert.equal(view.getUint32(14, true), 0xcbf43926);
+  assert.equal(view.getUint32(18, true), 9);
+  assert.equal(view.getUint32(22, true), 9);
+  // DOS 時間：08:30:10 (秒數除以 2)、2026-05-01
+  assert.equal(view.getUint16(10, true), (8 << 11) | (30 << 5) | 5);
+  assert.equal(view.getUint16(12, true), ((2026 - 1980) << 9) | (5 << 5) | 1);
+});
+
+test('寫入後讀回：字串、位元組與 Blob 內容一致', async () => {
+  const video = new Blob([new Uint8Array([0, 255, 7])]);
+  const zip = await createZip([
+    { name: 'session.json', data: '{"a":1}' },
+    { name: 'raw.bin', data: new Uint8Array([9, 8, 7]) },
+    { name: 'video.webm', data: video }
+  ]);
+  const archive = await readZip(zip);
+  assert.deepEqual(archive.names, ['session.json', 'raw.bin', 'video.webm']);
+  assert.equal(await (await archive.file('session.json')).text(), '{"a":1}');
+  assert.deepEqual(await bytesOf(await archive.file('raw.bin')), new Uint8Array([9, 8, 7]));
+  assert.deepEqual(await bytesOf(await archive.file('video.webm')), new Uint8Array([0, 255, 7]));
+  assert.equal(await archive.file('missing.txt'), null);
+});
+
+// 其他工具打包的 zip：deflate 壓縮、本地標頭帶 extra 欄位
+const deflatedZip = (name, text) => {
+  const nameBytes = new TextEncoder().encode(name);
+  const body = deflateRawSync(new TextEncoder().encode(text));
+  const extra = new Uint8Array(4);
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, body.length, true);
+  local.setUint32(22, text.length, true);
+  local.setUint16(26, nameBytes.length, true);
+  local.setUint16(28, extra.length, true);
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(20, body.length, true);
+  central.setUint32(24, text.length, true);
+  central.setUint16(28, nameBytes.length, true);
+  const centralOffset = 30 + nameBytes.length + extra.length + body.length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, centralOffset, true);
+  return new Blob([local.buffer, nameBytes, extra, body, central.buffer, nameBytes, end.buffer]);
+};
+
+test('讀取 deflate 壓縮且本地標頭有 extra 欄位的檔案', async () => {
+  const text = 'nordic walking '.repeat(50);
+  const archive = await readZip(deflatedZip('session.json', text));
+  assert.equal(await (await archive.file('session.json')).text(), text);
+});
+
+test('不是 zip 時拒絕', async () => {
+  await assert.rejects(readZip(new Blob(['not a zip file at all, just some text'])), { code: 'invalidArchive' });
+});
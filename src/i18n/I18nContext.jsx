@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LANG } from './index.js';
+
+// 由主畫面提供目前語言的 t()；未包在 Provider 內 (例如報告的靜態 render) 時用預設語言
+export const I18nContext = createContext(createTranslator(DEFAULT_LANG));
+
+export const useI18n = () => useContext(I18nContext);
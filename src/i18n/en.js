@@ -0,0 +1,450 @@
+// English
+export default {
+  // --- 共用 ---
+  'common.cancel': 'Cancel',
+  'common.confirm': 'Confirm',
+  'common.clear': 'Clear',
+  'list.separator': ', ',
+  'side.L': 'L',
+  'side.R': 'R',
+  'unit.seconds': 's',
+  'unit.steps': 'steps',
+  'unit.stepsPerMin': 'steps/min',
+  'unit.points': 'pts',
+  'unit.cm': 'cm',
+  'unit.deg': '°',
+  'unit.percent': '%',
+  'unit.hipWidthPercent': '% hip width',
+  'unit.degLeftRight': '° L/R',
+  'unit.degFlexExt': '° fwd/back',
+
+  // --- 視角 ---
+  'view.side_left': 'Left side',
+  'view.side_right': 'Right side',
+  'view.front': 'Front',
+  'view.back': 'Back',
+
+  // --- 手掌狀態 ---
+  'hand.open': 'Open',
+  'hand.fist': 'Fist',
+  'hand.unknown': 'Unknown',
+  'hand.left': 'Left hand',
+  'hand.right': 'Right hand',
+
+  // --- 步態事件與關鍵時刻 ---
+  'event.heelStrike': 'Heel strike',
+  'event.polePlant': 'Pole plant',
+  'moment.heelStrike': 'Heel strike',
+  'moment.polePlant': 'Pole plant',
+  'moment.maxArmSwing': 'Max arm swing',
+  'moment.maxBackSwing': 'Max back swing',
+  'moment.current': 'Current frame',
+
+  // --- 上方工具列 ---
+  'nav.multiAngle': 'Multi-angle',
+  'nav.multiAngleHint': 'Analyze side and front videos of the same walk side by side in sync and merge them into one report',
+  'nav.multiPerson': 'Group',
+  'nav.multiPersonHint': 'Multi-person mode: detect everyone in frame and tap the walker to analyze',
+  'nav.switchToFront': 'Switch to front camera',
+  'nav.switchToRear': 'Switch to rear camera',
+  'nav.frontCamera': 'Front camera',
+  'nav.rearCamera': 'Rear camera',
+  'nav.liveCamera': 'Live camera',
+  'nav.closeCamera': 'Close camera',
+  'nav.importVideo': 'Import video',
+  'nav.importBundle': 'Open shared session',
+  'nav.importBundleHint': 'Open a session bundle (.zip) from a student or coach and replay the analysis and comments directly',
+  'nav.language': 'Language',
+  'pose.ready': 'Model ready',
+  'pose.loading': 'Loading model…',
+  'pose.retry': 'Model failed to load · Retry',
+  'poseProvider.title': 'Pose model',
+  'poseProvider.legacy': 'Legacy Pose (single person)',
+  'poseProvider.tasks-lite': 'Tasks Lite (faster)',
+  'poseProvider.tasks-full': 'Tasks Full',
+  'poseProvider.tasks-heavy': 'Tasks Heavy (more accurate)',
+  'poseProvider.replay': 'Replay recording',
+  'poseProvider.loadReplay': 'Load recording',
+  'poseProvider.multiPersonFallback': 'Group mode uses {provider}',
+  'poseProvider.replayInfo': 'Recording: {name} · {provider} · {frames} frames',
+  'poseProvider.replayHint': 'play the same video that was recorded',
+  'poseProvider.startRecording': 'Record landmarks',
+  'poseProvider.stopRecording': 'Stop and download ({frames} frames)',
+  'poseProvider.recordHint': 'Saves the raw model output while playing or analyzing',
+  'empty.prompt': 'Import a video or open the live camera (top right) to start',
+  'empty.platforms': 'Works on iOS/Android/Windows/Mac',
+
+  // --- 播放與分析 ---
+  'analysis.progress': 'Analyzing frames… {percent}%',
+  'player.prevFrame': 'Previous frame (←)',
+  'player.nextFrame': 'Next frame (→)',
+  'player.speed': 'Playback speed',
+  'player.sampleRate': 'Sample rate',
+  'player.analyzeClip': 'Analyze clip',
+  'player.exportVideo': 'Export video',
+  'player.stopRecording': 'Stop recording',
+  'throughput.fps': '{value} fps',
+  'throughput.latency': '{value} ms latency',
+  'throughput.dropped': '{value}% dropped',
+  'throughput.hint': 'Live inference frame rate · mean send-to-result latency · frames skipped while the model was busy',
+
+  // --- 提示訊息與錯誤 ---
+  'alert.cameraFailed': 'Could not open the camera: {error}',
+  'alert.referenceTooShort': 'At least two complete gait cycles are needed to create a reference',
+  'alert.referenceLoadFailed': 'Could not load the reference file: {error}',
+  'alert.notStanding': 'The current frame is not a full upright stance (head and both feet visible, knees straight)',
+  'alert.poseFailed': 'The pose model failed to load. Please reload the model',
+  'alert.poseRuntimeFailed': 'Pose detection stopped: {error}. Please reload the model',
+  'alert.poseLoading': 'The pose model is still loading, please wait',
+  'alert.clipAnalysisFailed': 'Clip analysis failed: {error}',
+  'alert.videoExportFailed': 'Video export failed: {error}',
+  'alert.videoExportNoAudio': 'The exported video has no sound: the original has no audio track, or this browser cannot read it',
+  'alert.reportFailed': 'Could not create the report: {error}',
+  'alert.saveFailed': 'Save failed: {error}',
+  'alert.openSessionFailed': 'Could not open the session: {error}',
+  'alert.compareFailed': 'Could not load the sessions to compare: {error}',
+  'alert.recordingUnsupported': 'This browser cannot export video (on iOS, update to the latest version)',
+  'alert.recordingFailed': 'Recording failed',
+  'alert.replayLoadFailed': 'Could not load the recording: {error}',
+  'alert.bundleLoadFailed': 'Could not open the session bundle: {error}',
+  'alert.bundleExportFailed': 'Session bundle export failed: {error}',
+  'error.cameraUnsupported': 'This browser does not support camera access (HTTPS required)',
+  'error.seekFailed': 'Video seek failed',
+  'error.durationUnknown': 'Could not determine the video length',
+  'error.poseLoadFailed': 'Could not load pose.js',
+  'error.videoExportUnsupported': 'This browser does not support video export',
+  'error.invalidReference': 'Not a valid reference file',
+  'error.popupBlocked': 'The browser blocked the pop-up window',
+  'error.invalidRecording': 'Not a valid landmark recording',
+  'error.noRecording': 'No landmark recording loaded',
+  'error.invalidArchive': 'The file is not a valid zip archive',
+  'error.invalidBundle': 'Not a valid session bundle',
+  'error.audioUnsupported': 'This browser cannot decode the video audio track',
+  'error.noAudio': 'The video has no decodable audio track',
+
+  // --- 即時數據與統計 ---
+  'live.title': 'Live analysis',
+  'live.angles3d': '3D joint angles',
+  'live.angles2d': '2D image angles',
+  'live.offAxis': 'Camera off-axis {value}°',
+  'live.offAxisHint': 'Angle between the left-right body axis and the ideal camera direction; above 20° treat angles as approximate, above 40° reposition the camera',
+  'live.angles2dHint': 'The current model has no 3D output, so angles are measured in the image plane and are distorted when the camera is not square to the side',
+  'metric.arm': 'Arm angle',
+  'metric.torso': 'Torso',
+  'metric.step': 'Step length',
+  'metric.shoulderTilt': 'Shoulder tilt',
+  'metric.hipTilt': 'Pelvic tilt',
+  'metric.lateralLean': 'Lateral trunk lean',
+  'panel.armLR': 'Arm L / R',
+  'panel.steps': 'Steps',
+  'stat.score': 'Technique score',
+  'stat.usableFrames': 'Usable frames',
+  'stat.usableFramesSub': '{frames} / {total} frames · occluded or low-confidence frames are excluded',
+  'stat.steps': 'Total steps',
+  'stat.stepsSub': 'L {left} / R {right}',
+  'stat.cadence': 'Cadence',
+  'stat.strideTime': 'Stride time',
+  'stat.symmetry': 'Symmetry (SI)',
+  'stat.stepLengthSymmetry': 'Step length SI: {value}%',
+  'stat.coordination': 'Arm-leg coordination',
+  'stat.coordinationSub': '{plants} pole plants · mean offset {offset} ms',
+  'stat.avgStep': 'Average step length',
+  'stat.cycleAverage': 'Gait-cycle average',
+  'stat.torsoAvg': 'Torso angle (Avg)',
+  'stat.armFwdP95': 'Forward arm swing (P95)',
+  'stat.armBackP95': 'Back arm swing (P95)',
+  'stat.handRatioLegend': 'Fist (yellow) vs open (green)',
+  'stat.fistPercent': '{value}% fist',
+  'stat.stepWidthAvg': 'Step width (Avg)',
+  'stat.shoulderTiltAvg': 'Shoulder tilt (Avg)',
+  'stat.hipTiltAvg': 'Pelvic tilt (Avg)',
+  'stat.lateralLeanAvg': 'Lateral trunk lean (Avg)',
+  'stat.swayRange': 'Side-to-side sway',
+  'stat.poleWidth': 'Pole spacing / hip width',
+  'stat.kneeValgusP95': 'Knee valgus (P95)',
+  'stat.poleDetection': 'Pole detection rate',
+  'stat.plantCount': '{count} pole plants',
+  'stat.plantAngleAvg': 'Pole plant angle (Avg)',
+  'stat.tipOffsetAvg': 'Pole tip position (Avg)',
+  'stat.tipOffsetSub': 'Relative to the feet, forward is positive',
+  'stat.pushRatio': 'Active push-off',
+  'stat.dragSub': 'Dragged {value}%',
+  'stat.joints3d': '3D joint angles',
+  'stat.shoulderFlexP95': 'Shoulder flexion / extension (P95)',
+  'stat.elbowFlexAvg': 'Elbow flexion (Avg)',
+  'stat.hipExtP95': 'Hip extension (P95)',
+  'stat.kneeFlexP95': 'Knee flexion (P95)',
+  'stat.offAxisAvg': 'Average camera off-axis',
+
+  // --- 時間軸與步態週期 ---
+  'chart.hand': 'Hand (up = open, down = fist)',
+  'chart.torso': 'Torso lean',
+  'chart.arm': 'Arm angle (L/R)',
+  'chart.step': 'Step length',
+  'chart.tilt': 'Shoulder / pelvic tilt',
+  'chart.lean': 'Lateral trunk lean',
+  'chart.stepWidth': 'Step width',
+  'cycle.title': 'Gait cycle',
+  'cycle.variability': 'Variability',
+  'cycle.legend': 'X axis is 0–100% of the gait cycle (heel strike to next heel strike on the same side) · L {left} / R {right} cycles · band is ±1 SD',
+
+  // --- 技術評分 ---
+  'technique.title': 'Technique score',
+  'technique.adjust': 'Thresholds',
+  'technique.applyPreset': 'Apply {preset}',
+  'technique.min': 'Min',
+  'technique.max': 'Max',
+  'technique.tolerance': 'Tol.',
+  'technique.tips': 'Coaching tips',
+  'preset.beginner': 'beginner',
+  'preset.advanced': 'advanced',
+  'status.pass': 'Good',
+  'status.warn': 'Watch',
+  'status.fail': 'Needs work',
+  'status.na': 'Not enough data',
+  'criterion.forwardLean': 'Forward lean',
+  'criterion.armBack': 'Back arm swing',
+  'criterion.armFwd': 'Forward arm swing',
+  'criterion.handOpenBack': 'Open hand on back swing',
+  'criterion.handFistFront': 'Grip on forward swing',
+  'criterion.stepRatio': 'Step length / height',
+  'criterion.shoulderTilt': 'Level shoulders',
+  'criterion.trunkSway': 'Side-to-side sway',
+  'criterion.armCrossing': 'Arms crossing midline',
+  'criterion.poleWidth': 'Pole spacing / hip width',
+  'criterion.kneeValgus': 'Knee valgus',
+  'criterion.stepWidth': 'Step width',
+  'criterion.coordination': 'Opposite arm-leg coordination',
+  'tip.forwardLean.low': 'Lean slightly forward, with your weight over the balls of your feet',
+  'tip.forwardLean.high': 'Too much lean: lift your chest and lean from the ankles as one unit',
+  'tip.armBack.low': 'Swing your arm further back and push the pole past your hip',
+  'tip.armBack.high': 'Back swing is too big: relax your shoulders and do not shrug',
+  'tip.armFwd.low': 'Reach a little further forward, as if offering a handshake',
+  'tip.armFwd.high': 'Forward swing is too high: keep your hand between waist and chest height',
+  'tip.handOpenBack.low': 'Open your hand at the end of the back swing and let the strap push the pole',
+  'tip.handFistFront.low': 'Grip the handle lightly on the forward swing, ready to plant',
+  'tip.stepRatio.low': 'Take longer strides and push off with the back foot',
+  'tip.stepRatio.high': 'Strides are too long: land with your heel closer to under your body',
+  'tip.shoulderTilt.high': 'Keep your shoulders level; do not drop one side when planting',
+  'tip.trunkSway.high': 'Too much side-to-side sway: brace your core and look ahead',
+  'tip.armCrossing.high': 'Swing your arms along your sides, not across your body',
+  'tip.poleWidth.low': 'Poles are too close: keep them about shoulder width apart',
+  'tip.poleWidth.high': 'Poles are too wide: plant the tips beside your body',
+  'tip.kneeValgus.high': 'Knees are collapsing inward: keep each knee over the second toe on landing',
+  'tip.stepWidth.low': 'Your feet are on one line: keep them about a fist width apart',
+  'tip.stepWidth.high': 'Steps are too wide: walk along two parallel lines',
+  'tip.coordination.low': 'Plant the pole as the opposite heel lands: left hand with right foot, right hand with left foot',
+
+  // --- 距離校正 ---
+  'calibration.title': 'Distance calibration',
+  'calibration.none': 'Not calibrated (estimated from height)',
+  'calibration.standingRef': 'Standing (body height)',
+  'calibration.lengthRef': 'Reference length {length} cm',
+  'calibration.withPerspective': ' · with ground perspective',
+  'calibration.perspective': 'Ground perspective: ',
+  'calibration.perspectiveOn': 'calibrated',
+  'calibration.perspectiveOff': 'not calibrated (add another reference at a different distance)',
+  'calibration.uncalibratedHint': 'Not calibrated: distances are estimated from head-to-heel height in each frame and drift when bending or walking at an angle.',
+  'calibration.pickFirst': 'Tap one end of the reference object',
+  'calibration.pickSecond': 'Tap the other end of the reference object',
+  'calibration.enterLength': 'Enter the real length and confirm',
+  'calibration.markReference': 'Mark reference length',
+  'calibration.useStanding': 'Calibrate from current stance',
+
+  // --- 量測與標註 ---
+  'measure.title': 'Measure & annotate',
+  'measure.angle': 'Angle',
+  'measure.length': 'Length',
+  'measure.freehand': 'Freehand',
+  'measure.angle.hint': 'Tap three points; the second one is the vertex',
+  'measure.length.hint': 'Tap both ends of the segment',
+  'measure.freehand.hint': 'Press and drag to draw',
+  'measure.escHint': ' · Esc to cancel',
+
+  // --- 教練評語 ---
+  'comment.title': 'Coach comments',
+  'comment.author': 'Signed as (coach name)',
+  'comment.placeholder': 'Comment at {time}s',
+  'comment.add': 'Add',
+
+  // --- 多角度分析 ---
+  'multiAngle.title': 'Multi-angle analysis (side + front)',
+  'multiAngle.side': 'Side',
+  'multiAngle.front': 'Front / back',
+  'multiAngle.chooseVideo': 'Choose video',
+  'multiAngle.noVideo': 'No video selected',
+  'multiAngle.analyze': 'Analyze both videos',
+  'multiAngle.syncEvents': 'Align by gait events',
+  'multiAngle.syncAudio': 'Align by clap',
+  'multiAngle.offset': 'Offset',
+  'multiAngle.offsetHint': 'Time offset of the front video relative to the side video; positive means the front video started recording earlier',
+  'multiAngle.syncedByEvents': 'Aligned on {matches} heel strikes',
+  'multiAngle.syncFailedEvents': 'Heel strikes in the two videos do not line up; try the clap or adjust manually',
+  'multiAngle.syncedByAudio': 'Aligned by clap',
+  'multiAngle.syncFailedAudio': 'No clear clap found; adjust manually',
+  'multiAngle.syncFailedAudioError': 'Could not analyze the audio: {error}',
+  'multiAngle.combined': 'Combined metrics',
+  'multiAngle.printReport': 'Print combined report',
+
+  // --- 團體分析 ---
+  'group.title': 'Group analysis',
+  'group.subject': 'Analyzing: ',
+  'group.none': 'nobody selected',
+  'group.pickHint': ' · tap a person in the frame to switch',
+  'group.compute': 'Compute group stats',
+  'group.perPerson': 'Track everyone separately',
+  'group.person': 'Person',
+  'group.frames': 'Frames',
+  'group.steps': 'Steps',
+  'group.cadence': 'Cadence',
+  'group.score': 'Score',
+  'group.select': 'Select',
+
+  // --- 參考示範 ---
+  'reference.title': 'Reference walker',
+  'reference.defaultName': 'Demo',
+  'reference.cycles': '{count} cycles',
+  'reference.show': 'Show',
+  'reference.export': 'Export reference',
+  'reference.remove': 'Remove',
+  'reference.viewMismatch': 'The reference was recorded from a different view (side / front-back) and cannot be compared',
+  'reference.similarity': 'Similarity',
+  'reference.deviationNote': '{frames} frames · mean segment angle deviation',
+  'reference.waiting': 'Comparison starts after a complete gait cycle is detected',
+  'reference.intro': 'Use a coach demo gait cycle as a ghost skeleton and compare the walker phase by phase.',
+  'reference.create': 'Create from current analysis',
+  'reference.createHint': 'Create a reference from the current analysis (needs at least two complete gait cycles)',
+  'reference.load': 'Load reference file',
+  'segment.trunk': 'Trunk',
+  'segment.upperArmL': 'L upper arm',
+  'segment.forearmL': 'L forearm',
+  'segment.upperArmR': 'R upper arm',
+  'segment.forearmR': 'R forearm',
+  'segment.thighL': 'L thigh',
+  'segment.shankL': 'L shank',
+  'segment.thighR': 'R thigh',
+  'segment.shankR': 'R shank',
+
+  // --- 即時提示 ---
+  'cue.title': 'Live cues',
+  'cue.enabled': 'On',
+  'cue.speech': 'Voice',
+  'cue.vibration': 'Vibration',
+  'cue.interval': 'Every',
+  'cue.test': 'Test',
+  'cue.activeHint': 'Thresholds follow the technique score settings',
+  'cue.inactiveHint': 'Cues only play with the live camera in a side view',
+  'cue.last': 'Last cue: ',
+  'cue.armBack.low': 'Swing your arms further back',
+  'cue.armBack.high': 'Relax your shoulders, do not overswing',
+  'cue.forwardLean.low': 'Lean slightly forward',
+  'cue.forwardLean.high': 'Chest up, do not bend at the waist',
+  'cue.handOpenBack.low': 'Open your hand on the back swing',
+
+  // --- 匯出 ---
+  'export.title': 'Export',
+  'export.summaryCsv': 'Summary CSV',
+  'export.framesCsv': 'Frames CSV',
+  'export.report': 'Print report',
+  'export.bundle': 'Session bundle (video + analysis + comments)',
+  'export.preparing': 'Preparing…',
+  'csv.yes': 'Yes',
+  'csv.no': 'No',
+  'csv.date': 'Date',
+  'csv.walkerName': 'Walker',
+  'csv.view': 'View',
+  'csv.userHeight': 'Height (cm)',
+  'csv.column.time': 'Time (s)',
+  'csv.column.usable': 'Usable frame',
+  'csv.column.torsoAngle': 'Torso angle (°)',
+  'csv.column.forwardLean': 'Forward lean (°)',
+  'csv.column.armAngleL': 'Left arm angle (°)',
+  'csv.column.armAngleR': 'Right arm angle (°)',
+  'csv.column.stepLength': 'Step length (cm)',
+  'csv.column.handL': 'Left hand',
+  'csv.column.handR': 'Right hand',
+  'csv.column.comX': 'Centre of mass x',
+  'csv.column.cmPerPx': 'Scale (cm/px)',
+  'csv.column.shoulderTilt': 'Shoulder tilt (°)',
+  'csv.column.hipTilt': 'Pelvic tilt (°)',
+  'csv.column.lateralLean': 'Lateral trunk lean (°)',
+  'csv.column.lateralShift': 'Lateral shift',
+  'csv.column.armCrossL': 'Left arm crossing',
+  'csv.column.armCrossR': 'Right arm crossing',
+  'csv.column.poleWidthRatio': 'Pole width / hip width',
+  'csv.column.kneeValgusL': 'Left knee valgus (°)',
+  'csv.column.kneeValgusR': 'Right knee valgus (°)',
+  'csv.column.stepWidth': 'Step width (cm)',
+  'csv.column.poleAngleL': 'Left pole angle (°)',
+  'csv.column.poleAngleR': 'Right pole angle (°)',
+  'csv.column.poleTipOffsetL': 'Left pole tip position (cm)',
+  'csv.column.poleTipOffsetR': 'Right pole tip position (cm)',
+  'csv.column.shoulderFlexL': 'Left shoulder flexion (°)',
+  'csv.column.shoulderFlexR': 'Right shoulder flexion (°)',
+  'csv.column.elbowFlexL': 'Left elbow flexion (°)',
+  'csv.column.elbowFlexR': 'Right elbow flexion (°)',
+  'csv.column.hipFlexL': 'Left hip flexion (°)',
+  'csv.column.hipFlexR': 'Right hip flexion (°)',
+  'csv.column.kneeFlexL': 'Left knee flexion (°)',
+  'csv.column.kneeFlexR': 'Right knee flexion (°)',
+  'csv.column.offAxis': 'Camera off-axis (°)',
+  'csv.column.torsoAngle2d': 'Torso angle 2D (°)',
+  'csv.column.armAngleL2d': 'Left arm angle 2D (°)',
+  'csv.column.armAngleR2d': 'Right arm angle 2D (°)',
+  'csv.column.metric': 'Metric',
+  'csv.column.label': 'Name',
+  'csv.column.value': 'Value',
+  'csv.column.status': 'Status / note',
+  'videoExport.title': 'Export annotated video',
+  'videoExport.range': 'Range',
+  'videoExport.fromCurrent': 'From current position',
+  'videoExport.speed': 'Speed',
+  'videoExport.lengthHint': 'Output length: about {seconds}s plus freezes. Frames are rendered one by one, so the export keeps going in a background tab.',
+  'videoExport.normalSpeed': 'Normal',
+  'videoExport.freeze': 'Freeze on key moments',
+  'videoExport.everyPlant': 'Every pole plant',
+  'videoExport.sideOnly': '(side view only)',
+  'videoExport.freezeFor': 'Freeze for',
+  'videoExport.progress': 'Exporting… {percent}%',
+  'videoExport.start': 'Start export',
+
+  // --- 列印報告 ---
+  'report.title': 'Nordic Walking Analysis Report',
+  'report.view': 'View: ',
+  'report.height': 'Height: ',
+  'report.calibration': 'Calibration: ',
+  'report.syncOffset': 'Front video offset: ',
+  'report.stills': 'Key frames',
+  'report.summary': 'Summary',
+  'report.timeline': 'Timeline',
+  'report.cycles': 'Gait cycle (mean ± SD)',
+  'report.measurements': 'Manual measurements',
+  'report.symmetry': 'Symmetry (step time SI)',
+  'report.fistRatio': 'Fist ratio',
+  'report.torso': 'Torso angle (Avg / P95 / P5)',
+  'report.shoulderTilt': 'Shoulder tilt (Avg / P95)',
+  'report.hipTilt': 'Pelvic tilt (Avg / P95)',
+  'report.kneeValgus': 'Knee valgus (P95 L/R)',
+  'report.plantAngle': 'Pole plant angle (Avg L/R)',
+  'report.tipOffset': 'Pole tip position (relative to feet)',
+  'report.allGood': 'Everything looks good. Keep it up!',
+  'report.notes': 'Coach notes:',
+
+  // --- 歷史紀錄與比較 ---
+  'session.title': 'History',
+  'session.walkerName': 'Walker name',
+  'session.save': 'Save',
+  'session.saving': 'Saving…',
+  'session.empty': 'No sessions yet',
+  'session.unnamed': 'Unnamed',
+  'session.open': 'Open',
+  'session.delete': 'Delete',
+  'session.confirmDelete': 'Delete the session of {name} on {date}?',
+  'compare.title': 'Before / after',
+  'compare.before': 'Before',
+  'compare.after': 'After',
+  'compare.paneTitle': '{title}: {name} · {date}',
+  'compare.noVideo': 'This session has no video',
+  'compare.metric': 'Metric',
+  'compare.delta': 'Change'
+};
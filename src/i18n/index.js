@@ -0,0 +1,72 @@
+import zhTW from './zh-TW.js';
+import en from './en.js';
+
+/**
+ * 多語系
+ * 分析模組只輸出代碼 (手掌狀態、建議、提示…)，畫面與匯出時才經由 t() 轉成文字。
+ * 目錄為扁平的 key -> 字串，參數以 {name} 表示；缺字時退回繁體中文，再退回 key 本身。
+ */
+
+export const LANGUAGES = {
+  'zh-TW': { label: '繁體中文', locale: 'zh-TW', catalog: zhTW },
+  en: { label: 'English', locale: 'en-US', catalog: en }
+};
+
+export const DEFAULT_LANG = 'zh-TW';
+const LANG_STORAGE_KEY = 'nordicWalking.lang';
+
+// 第一次使用時依瀏覽器語言決定
+const detectLanguage = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  return preferred.toLowerCase().startsWith('zh') || !preferred ? DEFAULT_LANG : 'en';
+};
+
+export const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANG_STORAGE_KEY);
+    return LANGUAGES[saved] ? saved : detectLanguage();
+  } catch {
+    return DEFAULT_LANG;
+  }
+};
+
+export const saveLanguage = (lang) => {
+  localStorage.setItem(LANG_STORAGE_KEY, lang);
+};
+
+const interpolate = (text, params) => (params
+  ? text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match))
+  : text);
+
+// 需要顯示給使用者的錯誤帶 code，由 t.error() 翻成 error.<code>
+export const codedError = (code, message = code) => Object.assign(new Error(message), { code });
+
+export const translate = (lang, key, params) => {
+  const text = LANGUAGES[lang]?.catalog[key] ?? zhTW[key] ?? key;
+  return interpolate(text, params);
+};
+
+/**
+ * t(key, params)：翻譯
+ * t.lang / t.locale：目前語言與 Intl locale
+ * t.number(v, digits)：依語系格式化數字 (固定小數位，不加千分位)，非數值回傳 '--'
+ * t.date(value)：依語系格式化日期時間
+ * t.error(e)：錯誤訊息 (有 code 時翻譯，否則用原始 message)
+ */
+export const createTranslator = (lang) => {
+  const { locale } = LANGUAGES[lang] || LANGUAGES[DEFAULT_LANG];
+  const numberFormats = {};
+  const t = (key, params) => translate(lang, key, params);
+  t.lang = lang;
+  t.locale = locale;
+  t.number = (value, digits = 1) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '--';
+    numberFormats[digits] ??= new Intl.NumberFormat(locale, {
+      minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false
+    });
+    return numberFormats[digits].format(value);
+  };
+  t.date = (value) => new Date(value).toLocaleString(locale);
+  t.error = (e) => (e?.code ? t(`error.${e.code}`) : e?.message ?? String(e));
+  return t;
+};
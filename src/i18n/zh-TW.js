@@ -0,0 +1,450 @@
+// 繁體中文 (預設語言，也是其他語言缺字時的備援)
+export default {
+  // --- 共用 ---
+  'common.cancel': '取消',
+  'common.confirm': '確認',
+  'common.clear': '清除',
+  'list.separator': '、',
+  'side.L': '左',
+  'side.R': '右',
+  'unit.seconds': '秒',
+  'unit.steps': '步',
+  'unit.stepsPerMin': '步/分',
+  'unit.points': '分',
+  'unit.cm': 'cm',
+  'unit.deg': '°',
+  'unit.percent': '%',
+  'unit.hipWidthPercent': '% 髖寬',
+  'unit.degLeftRight': '° 左/右',
+  'unit.degFlexExt': '° 前/後',
+
+  // --- 視角 ---
+  'view.side_left': '左側',
+  'view.side_right': '右側',
+  'view.front': '正面',
+  'view.back': '背面',
+
+  // --- 手掌狀態 ---
+  'hand.open': '張開',
+  'hand.fist': '握拳',
+  'hand.unknown': '未知',
+  'hand.left': '左手',
+  'hand.right': '右手',
+
+  // --- 步態事件與關鍵時刻 ---
+  'event.heelStrike': '著地',
+  'event.polePlant': '撐杖',
+  'moment.heelStrike': '腳跟著地',
+  'moment.polePlant': '撐杖',
+  'moment.maxArmSwing': '最大擺臂',
+  'moment.maxBackSwing': '最大後擺',
+  'moment.current': '目前畫面',
+
+  // --- 上方工具列 ---
+  'nav.multiAngle': '多角度',
+  'nav.multiAngleHint': '同一次行走的側面與正面影片並排同步分析，合併成一份報告',
+  'nav.multiPerson': '多人',
+  'nav.multiPersonHint': '多人模式：偵測畫面中所有人，點選要分析的人',
+  'nav.switchToFront': '切換至前鏡頭',
+  'nav.switchToRear': '切換至後鏡頭',
+  'nav.frontCamera': '前鏡頭',
+  'nav.rearCamera': '後鏡頭',
+  'nav.liveCamera': '即時鏡頭',
+  'nav.closeCamera': '關閉鏡頭',
+  'nav.importVideo': '匯入影片',
+  'nav.importBundle': '開啟分享檔',
+  'nav.importBundleHint': '開啟學員或教練傳來的分享檔 (.zip)，直接回放分析結果與評語',
+  'nav.language': '介面語言',
+  'pose.ready': '模型就緒',
+  'pose.loading': '模型載入中…',
+  'pose.retry': '模型載入失敗・重試',
+  'poseProvider.title': '姿勢模型',
+  'poseProvider.legacy': '舊版 Pose (單人)',
+  'poseProvider.tasks-lite': 'Tasks Lite (較快)',
+  'poseProvider.tasks-full': 'Tasks Full',
+  'poseProvider.tasks-heavy': 'Tasks Heavy (較準)',
+  'poseProvider.replay': '回放錄製檔',
+  'poseProvider.loadReplay': '載入錄製檔',
+  'poseProvider.multiPersonFallback': '多人模式改用 {provider}',
+  'poseProvider.replayInfo': '錄製檔：{name}・{provider}・{frames} 幀',
+  'poseProvider.replayHint': '請播放錄製時的同一段影片',
+  'poseProvider.startRecording': '錄製關鍵點',
+  'poseProvider.stopRecording': '停止並下載 ({frames} 幀)',
+  'poseProvider.recordHint': '播放或整段分析時錄下模型輸出',
+  'empty.prompt': '請點擊右上角匯入影片或開啟即時鏡頭',
+  'empty.platforms': '支援 iOS/Android/Windows/Mac',
+
+  // --- 播放與分析 ---
+  'analysis.progress': '逐幀分析中… {percent}%',
+  'player.prevFrame': '上一幀 (←)',
+  'player.nextFrame': '下一幀 (→)',
+  'player.speed': '播放速度',
+  'player.sampleRate': '取樣率',
+  'player.analyzeClip': '分析整段',
+  'player.exportVideo': '匯出影片',
+  'player.stopRecording': '停止錄製',
+  'throughput.fps': '{value} fps',
+  'throughput.latency': '延遲 {value} ms',
+  'throughput.dropped': '丟棄 {value}%',
+  'throughput.hint': '即時推論的實際幀率・送出到取得結果的平均延遲・因推論忙碌而略過的幀',
+
+  // --- 提示訊息與錯誤 ---
+  'alert.cameraFailed': '無法開啟鏡頭：{error}',
+  'alert.referenceTooShort': '至少需要兩個完整的步態週期才能建立示範',
+  'alert.referenceLoadFailed': '無法載入示範檔：{error}',
+  'alert.notStanding': '目前畫面不是完整的直立站姿 (需看得到頭與雙腳、膝蓋打直)',
+  'alert.poseFailed': '姿勢模型載入失敗，請重新載入模型',
+  'alert.poseRuntimeFailed': '姿勢偵測中斷：{error}，請重新載入模型',
+  'alert.poseLoading': '姿勢模型載入中，請稍候',
+  'alert.clipAnalysisFailed': '整段分析失敗：{error}',
+  'alert.videoExportFailed': '影片匯出失敗：{error}',
+  'alert.videoExportNoAudio': '匯出的影片沒有聲音：原始影片沒有音軌，或此瀏覽器無法讀取其音訊',
+  'alert.reportFailed': '報告產生失敗：{error}',
+  'alert.saveFailed': '儲存失敗：{error}',
+  'alert.openSessionFailed': '無法開啟紀錄：{error}',
+  'alert.compareFailed': '無法載入比較紀錄：{error}',
+  'alert.recordingUnsupported': '此瀏覽器不支援影片匯出 (iOS 請更新至最新版)',
+  'alert.recordingFailed': '錄製失敗',
+  'alert.replayLoadFailed': '無法載入錄製檔：{error}',
+  'alert.bundleLoadFailed': '無法開啟分享檔：{error}',
+  'alert.bundleExportFailed': '分享檔匯出失敗：{error}',
+  'error.cameraUnsupported': '此瀏覽器不支援鏡頭存取 (需 HTTPS)',
+  'error.seekFailed': '影片 seek 失敗',
+  'error.durationUnknown': '無法取得影片長度',
+  'error.poseLoadFailed': '無法載入 pose.js',
+  'error.videoExportUnsupported': '此瀏覽器不支援影片匯出',
+  'error.invalidReference': '不是有效的參考示範檔',
+  'error.popupBlocked': '瀏覽器阻擋了彈出視窗',
+  'error.invalidRecording': '不是有效的關鍵點錄製檔',
+  'error.noRecording': '尚未載入關鍵點錄製檔',
+  'error.invalidArchive': '檔案不是有效的 zip 壓縮檔',
+  'error.invalidBundle': '不是有效的分析分享檔',
+  'error.audioUnsupported': '此瀏覽器無法解析影片音軌',
+  'error.noAudio': '影片沒有可解析的音軌',
+
+  // --- 即時數據與統計 ---
+  'live.title': '即時分析',
+  'live.angles3d': '3D 關節角度',
+  'live.angles2d': '2D 影像角度',
+  'live.offAxis': '拍攝偏斜 {value}°',
+  'live.offAxisHint': '身體左右軸與理想拍攝方向的夾角；超過 20° 時角度僅供參考，超過 40° 建議調整鏡頭位置',
+  'live.angles2dHint': '目前的模型沒有輸出 3D 座標，角度以影像平面量測，鏡頭沒有正對側面時會失真',
+  'metric.arm': '手臂角度',
+  'metric.torso': '軀幹',
+  'metric.step': '步幅',
+  'metric.shoulderTilt': '肩傾斜',
+  'metric.hipTilt': '骨盆傾斜',
+  'metric.lateralLean': '軀幹側傾',
+  'panel.armLR': '手臂 左 / 右',
+  'panel.steps': '步數',
+  'stat.score': '技術評分',
+  'stat.usableFrames': '有效幀',
+  'stat.usableFramesSub': '{frames} / {total} 幀・遮擋或信心度低的幀不列入統計',
+  'stat.steps': '總步數',
+  'stat.stepsSub': '左 {left} / 右 {right}',
+  'stat.cadence': '步頻',
+  'stat.strideTime': '跨步時間',
+  'stat.symmetry': '左右對稱 (SI)',
+  'stat.stepLengthSymmetry': '步幅 SI: {value}%',
+  'stat.coordination': '手腳協調',
+  'stat.coordinationSub': '撐杖 {plants} 次・平均差 {offset} ms',
+  'stat.avgStep': '平均步幅',
+  'stat.cycleAverage': '步態週期平均',
+  'stat.torsoAvg': '軀幹角度 (Avg)',
+  'stat.armFwdP95': '前擺臂 (P95)',
+  'stat.armBackP95': '後擺臂 (P95)',
+  'stat.handRatioLegend': '握拳(黃) vs 張開(綠)',
+  'stat.fistPercent': '{value}% 握拳',
+  'stat.stepWidthAvg': '步寬 (Avg)',
+  'stat.shoulderTiltAvg': '肩傾斜 (Avg)',
+  'stat.hipTiltAvg': '骨盆傾斜 (Avg)',
+  'stat.lateralLeanAvg': '軀幹側傾 (Avg)',
+  'stat.swayRange': '左右擺動幅度',
+  'stat.poleWidth': '杖距 / 髖寬',
+  'stat.kneeValgusP95': '膝外翻 (P95)',
+  'stat.poleDetection': '健走杖偵測率',
+  'stat.plantCount': '撐杖 {count} 次',
+  'stat.plantAngleAvg': '撐杖對地角 (Avg)',
+  'stat.tipOffsetAvg': '杖尖位置 (Avg)',
+  'stat.tipOffsetSub': '相對雙腳，前方為正',
+  'stat.pushRatio': '主動推撐',
+  'stat.dragSub': '拖杖 {value}%',
+  'stat.joints3d': '3D 關節角度',
+  'stat.shoulderFlexP95': '肩屈曲 / 伸展 (P95)',
+  'stat.elbowFlexAvg': '肘彎曲 (Avg)',
+  'stat.hipExtP95': '髖伸展 (P95)',
+  'stat.kneeFlexP95': '膝彎曲 (P95)',
+  'stat.offAxisAvg': '平均拍攝偏斜',
+
+  // --- 時間軸與步態週期 ---
+  'chart.hand': '手掌 (上=張開 下=握拳)',
+  'chart.torso': '軀幹傾斜',
+  'chart.arm': '手臂角度 (左/右)',
+  'chart.step': '步幅',
+  'chart.tilt': '肩 / 骨盆傾斜',
+  'chart.lean': '軀幹側傾',
+  'chart.stepWidth': '步寬',
+  'cycle.title': '步態週期',
+  'cycle.variability': '變異',
+  'cycle.legend': '橫軸為步態週期 0–100% (同側腳跟著地到下一次著地)・左 {left} / 右 {right} 個週期・色帶為 ±1 標準差',
+
+  // --- 技術評分 ---
+  'technique.title': '技術評分',
+  'technique.adjust': '調整門檻',
+  'technique.applyPreset': '套用{preset}',
+  'technique.min': '最小',
+  'technique.max': '最大',
+  'technique.tolerance': '容許',
+  'technique.tips': '教練建議',
+  'preset.beginner': '初學',
+  'preset.advanced': '進階',
+  'status.pass': '良好',
+  'status.warn': '注意',
+  'status.fail': '需改善',
+  'status.na': '資料不足',
+  'criterion.forwardLean': '身體前傾',
+  'criterion.armBack': '手臂後擺',
+  'criterion.armFwd': '手臂前擺',
+  'criterion.handOpenBack': '後擺張開手掌',
+  'criterion.handFistFront': '前擺握杖',
+  'criterion.stepRatio': '步幅/身高',
+  'criterion.shoulderTilt': '肩膀水平',
+  'criterion.trunkSway': '左右擺動',
+  'criterion.armCrossing': '手臂越過中線',
+  'criterion.poleWidth': '杖距/髖寬',
+  'criterion.kneeValgus': '膝外翻',
+  'criterion.stepWidth': '步寬',
+  'criterion.coordination': '對側手腳協調',
+  'tip.forwardLean.low': '身體稍微前傾，重心放在前腳掌上方',
+  'tip.forwardLean.high': '前傾過多，挺胸、從腳踝整體前傾即可',
+  'tip.armBack.low': '手臂向後擺更多，推杖到髖部後方',
+  'tip.armBack.high': '後擺過度，肩膀放鬆、不要聳肩',
+  'tip.armFwd.low': '前擺時手臂再伸出去一點，像要握手',
+  'tip.armFwd.high': '前擺過高，手約在腰到胸口的高度即可',
+  'tip.handOpenBack.low': '手臂擺到後方時張開手掌，讓杖靠腕帶推送',
+  'tip.handFistFront.low': '手臂前擺時輕輕握住握把，準備撐杖',
+  'tip.stepRatio.low': '步伐再跨大一點，用後腳推蹬',
+  'tip.stepRatio.high': '步伐過大，腳跟著地點靠近身體下方',
+  'tip.shoulderTilt.high': '肩膀保持水平，撐杖時不要單邊下沉',
+  'tip.trunkSway.high': '身體左右晃動過大，收緊核心、視線看前方',
+  'tip.armCrossing.high': '手臂沿身體兩側前後擺，不要往身體中間擺',
+  'tip.poleWidth.low': '杖距太窄，兩支杖約與肩同寬',
+  'tip.poleWidth.high': '杖距太寬，杖尖落在身體兩側即可',
+  'tip.kneeValgus.high': '膝蓋往內夾，著地時膝蓋對準第二腳趾',
+  'tip.stepWidth.low': '兩腳走在同一條線上，稍微分開約一個拳頭寬',
+  'tip.stepWidth.high': '步寬過大，兩腳沿兩條平行線前進',
+  'tip.coordination.low': '撐杖與對側腳跟同時著地：左手配右腳、右手配左腳',
+
+  // --- 距離校正 ---
+  'calibration.title': '距離校正',
+  'calibration.none': '未校正 (身高估計)',
+  'calibration.standingRef': '站姿（身高）',
+  'calibration.lengthRef': '參考長度 {length} cm',
+  'calibration.withPerspective': '・含地面透視',
+  'calibration.perspective': '地面透視：',
+  'calibration.perspectiveOn': '已校正',
+  'calibration.perspectiveOff': '未校正 (請在不同遠近再加一個參考)',
+  'calibration.uncalibratedHint': '未校正：以每幀頭到腳跟高度估計，彎腰或斜走時距離會失準。',
+  'calibration.pickFirst': '請在畫面上點選參考物的一端',
+  'calibration.pickSecond': '請在畫面上點選參考物的另一端',
+  'calibration.enterLength': '輸入實際長度後確認',
+  'calibration.markReference': '標記參考長度',
+  'calibration.useStanding': '以目前站姿校正',
+
+  // --- 量測與標註 ---
+  'measure.title': '量測與標註',
+  'measure.angle': '角度',
+  'measure.length': '長度',
+  'measure.freehand': '手繪',
+  'measure.angle.hint': '依序點三點，第二點為頂點',
+  'measure.length.hint': '點選線段兩端',
+  'measure.freehand.hint': '按住拖曳畫線',
+  'measure.escHint': '・Esc 取消',
+
+  // --- 教練評語 ---
+  'comment.title': '教練評語',
+  'comment.author': '評語署名 (教練姓名)',
+  'comment.placeholder': '在 {time}s 加上評語',
+  'comment.add': '新增',
+
+  // --- 多角度分析 ---
+  'multiAngle.title': '多角度分析 (側面 + 正面)',
+  'multiAngle.side': '側面',
+  'multiAngle.front': '正面 / 背面',
+  'multiAngle.chooseVideo': '選擇影片',
+  'multiAngle.noVideo': '尚未選擇影片',
+  'multiAngle.analyze': '分析兩支影片',
+  'multiAngle.syncEvents': '依步態事件對齊',
+  'multiAngle.syncAudio': '依拍手聲對齊',
+  'multiAngle.offset': '時間差',
+  'multiAngle.offsetHint': '正面影片相對側面影片的時間差；正值代表正面影片較早開始錄',
+  'multiAngle.syncedByEvents': '已依 {matches} 次腳跟著地對齊',
+  'multiAngle.syncFailedEvents': '兩支影片的腳跟著地對不上，請改用拍手聲或手動調整',
+  'multiAngle.syncedByAudio': '已依拍手聲對齊',
+  'multiAngle.syncFailedAudio': '找不到明顯的拍手聲，請手動調整',
+  'multiAngle.syncFailedAudioError': '無法分析音軌：{error}',
+  'multiAngle.combined': '合併指標',
+  'multiAngle.printReport': '列印合併報告',
+
+  // --- 團體分析 ---
+  'group.title': '團體分析',
+  'group.subject': '分析對象：',
+  'group.none': '尚未選定',
+  'group.pickHint': '・點選畫面中的人切換',
+  'group.compute': '計算全組統計',
+  'group.perPerson': '分別統計每個人',
+  'group.person': '人',
+  'group.frames': '幀數',
+  'group.steps': '步數',
+  'group.cadence': '步頻',
+  'group.score': '評分',
+  'group.select': '選取',
+
+  // --- 參考示範 ---
+  'reference.title': '參考示範',
+  'reference.defaultName': '示範',
+  'reference.cycles': '{count} 個週期',
+  'reference.show': '顯示',
+  'reference.export': '匯出示範檔',
+  'reference.remove': '移除',
+  'reference.viewMismatch': '示範與目前視角不同 (側面 / 正背面)，無法比對',
+  'reference.similarity': '相似度',
+  'reference.deviationNote': '{frames} 幀・節段角度平均偏差',
+  'reference.waiting': '偵測到完整步態週期後開始比對',
+  'reference.intro': '以教練示範的步態週期作為 ghost 骨架，與學員逐相位比對。',
+  'reference.create': '以目前分析建立',
+  'reference.createHint': '以目前的分析結果 (需至少兩個完整步態週期) 建立示範',
+  'reference.load': '載入示範檔',
+  'segment.trunk': '軀幹',
+  'segment.upperArmL': '左上臂',
+  'segment.forearmL': '左前臂',
+  'segment.upperArmR': '右上臂',
+  'segment.forearmR': '右前臂',
+  'segment.thighL': '左大腿',
+  'segment.shankL': '左小腿',
+  'segment.thighR': '右大腿',
+  'segment.shankR': '右小腿',
+
+  // --- 即時提示 ---
+  'cue.title': '即時提示',
+  'cue.enabled': '啟用',
+  'cue.speech': '語音',
+  'cue.vibration': '震動',
+  'cue.interval': '間隔',
+  'cue.test': '試聽',
+  'cue.activeHint': '門檻沿用技術評分設定',
+  'cue.inactiveHint': '僅在即時鏡頭、側面視角時提示',
+  'cue.last': '最近提示：',
+  'cue.armBack.low': '手臂向後擺更多',
+  'cue.armBack.high': '肩膀放鬆，不要擺過頭',
+  'cue.forwardLean.low': '身體稍微前傾',
+  'cue.forwardLean.high': '挺胸，不要彎腰',
+  'cue.handOpenBack.low': '後擺時張開手掌',
+
+  // --- 匯出 ---
+  'export.title': '匯出結果',
+  'export.summaryCsv': 'CSV 摘要',
+  'export.framesCsv': 'CSV 逐幀',
+  'export.report': '列印報告',
+  'export.bundle': '分享檔 (影片 + 分析 + 評語)',
+  'export.preparing': '準備中…',
+  'csv.yes': '是',
+  'csv.no': '否',
+  'csv.date': '日期',
+  'csv.walkerName': '學員',
+  'csv.view': '視角',
+  'csv.userHeight': '身高 (cm)',
+  'csv.column.time': '時間 (秒)',
+  'csv.column.usable': '有效幀',
+  'csv.column.torsoAngle': '軀幹角度 (°)',
+  'csv.column.forwardLean': '前傾角 (°)',
+  'csv.column.armAngleL': '左臂角度 (°)',
+  'csv.column.armAngleR': '右臂角度 (°)',
+  'csv.column.stepLength': '步幅 (cm)',
+  'csv.column.handL': '左手',
+  'csv.column.handR': '右手',
+  'csv.column.comX': '質心 x',
+  'csv.column.cmPerPx': '比例尺 (cm/px)',
+  'csv.column.shoulderTilt': '肩傾斜 (°)',
+  'csv.column.hipTilt': '骨盆傾斜 (°)',
+  'csv.column.lateralLean': '軀幹側傾 (°)',
+  'csv.column.lateralShift': '左右位移',
+  'csv.column.armCrossL': '左臂越過中線',
+  'csv.column.armCrossR': '右臂越過中線',
+  'csv.column.poleWidthRatio': '杖距 / 髖寬',
+  'csv.column.kneeValgusL': '左膝外翻 (°)',
+  'csv.column.kneeValgusR': '右膝外翻 (°)',
+  'csv.column.stepWidth': '步寬 (cm)',
+  'csv.column.poleAngleL': '左杖對地角 (°)',
+  'csv.column.poleAngleR': '右杖對地角 (°)',
+  'csv.column.poleTipOffsetL': '左杖尖位置 (cm)',
+  'csv.column.poleTipOffsetR': '右杖尖位置 (cm)',
+  'csv.column.shoulderFlexL': '左肩屈曲 (°)',
+  'csv.column.shoulderFlexR': '右肩屈曲 (°)',
+  'csv.column.elbowFlexL': '左肘彎曲 (°)',
+  'csv.column.elbowFlexR': '右肘彎曲 (°)',
+  'csv.column.hipFlexL': '左髖屈曲 (°)',
+  'csv.column.hipFlexR': '右髖屈曲 (°)',
+  'csv.column.kneeFlexL': '左膝彎曲 (°)',
+  'csv.column.kneeFlexR': '右膝彎曲 (°)',
+  'csv.column.offAxis': '拍攝偏斜 (°)',
+  'csv.column.torsoAngle2d': '軀幹角度 2D (°)',
+  'csv.column.armAngleL2d': '左臂角度 2D (°)',
+  'csv.column.armAngleR2d': '右臂角度 2D (°)',
+  'csv.column.metric': '項目代碼',
+  'csv.column.label': '名稱',
+  'csv.column.value': '數值',
+  'csv.column.status': '狀態 / 備註',
+  'videoExport.title': '匯出疊圖影片',
+  'videoExport.range': '範圍',
+  'videoExport.fromCurrent': '從目前位置',
+  'videoExport.speed': '速度',
+  'videoExport.lengthHint': '輸出長度約 {seconds} 秒 (另加定格時間)；逐幀算圖，分頁切到背景也會繼續。',
+  'videoExport.normalSpeed': '原速',
+  'videoExport.freeze': '關鍵時刻定格',
+  'videoExport.everyPlant': '每次撐杖',
+  'videoExport.sideOnly': '(僅側面視角)',
+  'videoExport.freezeFor': '每次定格',
+  'videoExport.progress': '輸出中… {percent}%',
+  'videoExport.start': '開始匯出',
+
+  // --- 列印報告 ---
+  'report.title': '北歐式健走分析報告',
+  'report.view': '視角：',
+  'report.height': '身高：',
+  'report.calibration': '距離校正：',
+  'report.syncOffset': '正面影片時間差：',
+  'report.stills': '關鍵畫面',
+  'report.summary': '統計總覽',
+  'report.timeline': '時間軸',
+  'report.cycles': '步態週期 (平均 ± 標準差)',
+  'report.measurements': '手動量測',
+  'report.symmetry': '左右對稱 (步時 SI)',
+  'report.fistRatio': '握拳比例',
+  'report.torso': '軀幹角度 (Avg / P95 / P5)',
+  'report.shoulderTilt': '肩傾斜 (Avg / P95)',
+  'report.hipTilt': '骨盆傾斜 (Avg / P95)',
+  'report.kneeValgus': '膝外翻 (P95 左/右)',
+  'report.plantAngle': '撐杖對地角 (Avg 左/右)',
+  'report.tipOffset': '杖尖位置 (相對雙腳)',
+  'report.allGood': '各項表現良好，請繼續保持。',
+  'report.notes': '教練備註：',
+
+  // --- 歷史紀錄與比較 ---
+  'session.title': '歷史紀錄',
+  'session.walkerName': '學員姓名',
+  'session.save': '儲存',
+  'session.saving': '儲存中…',
+  'session.empty': '尚無紀錄',
+  'session.unnamed': '未命名',
+  'session.open': '開啟',
+  'session.delete': '刪除',
+  'session.confirmDelete': '刪除 {name} {date} 的紀錄？',
+  'compare.title': '前後比較',
+  'compare.before': '之前',
+  'compare.after': '之後',
+  'compare.paneTitle': '{title}：{name}・{date}',
+  'compare.noVideo': '此紀錄沒有影片',
+  'compare.metric': '指標',
+  'compare.delta': '差異'
+};
@@ -0,0 +1,53 @@
+/**
+ * 以音軌中的拍手聲對齊兩支影片
+ * 拍攝前在兩支手機都錄得到的地方拍一下手，找出開頭 SEARCH_SEC 內最響的短音，兩邊時間差即 offset。
+ */
+import { codedError } from '../i18n/index.js';
+
+const SEARCH_SEC = 15;
+const WINDOW_SEC = 0.01;
+// 峰值需明顯高於背景 (中位數) 才算拍手聲，否則視為沒找到
+const MIN_PEAK_RATIO = 6;
+// 解碼用的取樣率：只需要找峰值，低取樣率可省下大量記憶體
+const DECODE_RATE = 8000;
+
+const decodeAudio = async (blob) => {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Offline) throw codedError('audioUnsupported', 'OfflineAudioContext not available');
+  // decodeAudioData 會依 context 取樣率重取樣；長度參數只是建構需要
+  const ctx = new Offline(1, DECODE_RATE, DECODE_RATE);
+  try {
+    return await ctx.decodeAudioData(await blob.arrayBuffer());
+  } catch {
+    throw codedError('noAudio', 'no decodable audio track');
+  }
+};
+
+// 回傳拍手聲的時間 (秒)；找不到明顯峰值時為 null
+export const findAudioSpike = async (blob) => {
+  const buffer = await decodeAudio(blob);
+  const data = buffer.getChannelData(0);
+  const size = Math.max(1, Math.round(buffer.sampleRate * WINDOW_SEC));
+  const count = Math.min(Math.floor(data.length / size), Math.round(SEARCH_SEC / WINDOW_SEC));
+  if (count < 2) return null;
+
+  const energy = new Float32Array(count);
+  for (let w = 0; w < count; w++) {
+    let sum = 0;
+    for (let i = w * size; i < (w + 1) * size; i++) sum += data[i] * data[i];
+    energy[w] = sum / size;
+  }
+  let peak = 0;
+  for (let w = 1; w < count; w++) if (energy[w] > energy[peak]) peak = w;
+  const median = Float32Array.from(energy).sort()[Math.floor(count / 2)];
+  if (energy[peak] < median * MIN_PEAK_RATIO || energy[peak] === 0) return null;
+  return peak * WINDOW_SEC;
+};
+
+// offset = 正面拍手時間 - 側面拍手時間 (與 analysis/multiAngle.js 同定義)
+// 依序解碼：整個影片檔要先讀進記憶體，兩支同時讀太吃記憶體
+export const alignByAudio = async (sideVideo, frontVideo) => {
+  const a = await findAudioSpike(sideVideo);
+  const b = a === null ? null : await findAudioSpike(frontVideo);
+  return a === null || b === null ? null : b - a;
+};
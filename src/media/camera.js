@@ -0,0 +1,27 @@
+import { codedError } from '../i18n/index.js';
+
+// --- 即時鏡頭 ---
+
+export const FACING = {
+  FRONT: 'user',
+  REAR: 'environment'
+};
+
+// 開啟鏡頭；facingMode 用 ideal，筆電只有一顆鏡頭時仍可開啟
+export const openCamera = async (facingMode = FACING.REAR) => {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw codedError('cameraUnsupported');
+  }
+  return navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      facingMode: { ideal: facingMode },
+      width: { ideal: 1280 },
+      height: { ideal: 720 }
+    }
+  });
+};
+
+export const stopStream = (stream) => {
+  stream?.getTracks().forEach((track) => track.stop());
+};
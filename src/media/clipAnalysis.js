@@ -0,0 +1,136 @@
+/**
+ * 整段影片逐幀分析
+ * 依取樣率逐一 seek 影片並執行 pose，結果與播放速度、裝置快慢無關。
+ * 產生以影片時間為鍵的 timeline，之後播放只需回放，不必再跑模型。
+ *
+ * timeline entry：{ time: 秒, landmarks, worldLandmarks, metrics, people? }
+ *   多人模式 (傳入 tracker) 時 people 存下每個人的關鍵點，landmarks 為分析對象 personId 的關鍵點，
+ *   之後改選其他人只需 selectTimelinePerson + recomputeTimeline。
+ */
+import { createFrameSampler } from '../render/frameSampler.js';
+import { largestPerson } from '../analysis/personTracker.js';
+import { codedError } from '../i18n/index.js';
+
+export const SAMPLE_RATES = [30, 15, 10];
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+export const seekTo = (video, time) => new Promise((resolve, reject) => {
+  const onSeeked = () => { cleanup(); resolve(); };
+  const onError = () => { cleanup(); reject(codedError('seekFailed')); };
+  const cleanup = () => {
+    video.removeEventListener('seeked', onSeeked);
+    video.removeEventListener('error', onError);
+  };
+  video.addEventListener('seeked', onSeeked);
+  video.addEventListener('error', onError);
+  video.currentTime = time;
+});
+
+// MediaRecorder 錄的 webm 沒寫長度，duration 會是 Infinity (或尚未載入時 NaN)；
+// 跳到極遠的時間讓瀏覽器掃完整個檔案後，duration 才是實際長度
+const FAR_SEEK_TIME = 1e101;
+
+export const resolveDuration = async (video) => {
+  if (Number.isFinite(video.duration) && video.duration > 0) return video.duration;
+  await seekTo(video, FAR_SEEK_TIME);
+  const { duration } = video;
+  await seekTo(video, 0);
+  if (!Number.isFinite(duration) || duration <= 0) throw codedError('durationUnknown', `unusable video duration: ${duration}`);
+  return duration;
+};
+
+const copyLandmarks = (list) => list ? list.map((p) => ({ ...p })) : null;
+
+// personId 為 null 時，鎖定第一個偵測到的人中最大者；回傳值帶回實際分析的 personId
+export const analyzeClip = async ({ video, pose, analyzer, tracker = null, personId = null, sampleRate = 30, onProgress, onFrame, signal }) => {
+  const { videoWidth: width, videoHeight: height } = video;
+  const duration = await resolveDuration(video);
+  const total = Math.max(1, Math.floor(duration * sampleRate));
+  const timeline = [];
+  const sampleFrame = createFrameSampler();
+
+  analyzer.reset();
+  pose.reset();
+  tracker?.reset();
+  let target = personId;
+
+  for (let i = 0; i < total; i++) {
+    if (signal?.aborted) throw abortError();
+    const time = i / sampleRate;
+    await seekTo(video, time);
+    const results = await pose.detect(video);
+
+    const entry = {
+      time,
+      landmarks: copyLandmarks(results.poseLandmarks),
+      worldLandmarks: copyLandmarks(results.poseWorldLandmarks),
+      metrics: null
+    };
+    if (tracker && results.poses) {
+      entry.people = tracker.update(results.poses, time * 1000);
+      if (target === null && entry.people.length) target = largestPerson(entry.people).id;
+      const person = entry.people.find((p) => p.id === target);
+      entry.landmarks = person ? person.landmarks : null;
+      entry.worldLandmarks = person ? person.worldLandmarks : null;
+    }
+    if (entry.landmarks) {
+      entry.metrics = analyzer.processFrame({
+        timestamp: time * 1000, landmarks: entry.landmarks, worldLandmarks: entry.worldLandmarks, width, height,
+        // worker 推論時已一併取樣
+        pixels: results.pixels ?? sampleFrame(video, width, height)
+      });
+    }
+    timeline.push(entry);
+
+    onFrame?.(entry);
+    onProgress?.((i + 1) / total);
+  }
+
+  return { timeline, summary: analyzer.getSummary(), events: analyzer.getEvents(), personId: target };
+};
+
+// 改選分析對象：landmarks 換成該人的；健走杖偵測需要影像，原本的結果屬於前一個人，一併清除
+export const selectTimelinePerson = (timeline, personId) => timeline.map((entry) => {
+  if (!entry.people) return entry;
+  const person = entry.people.find((p) => p.id === personId);
+  return {
+    ...entry,
+    landmarks: person ? person.landmarks : null,
+    worldLandmarks: person ? person.worldLandmarks : null,
+    metrics: null
+  };
+});
+
+// 以已存的關鍵點重算指標 (例如改了 viewMode / 身高)，不需重跑模型
+export const recomputeTimeline = (timeline, analyzer, { width, height }) => {
+  analyzer.reset();
+  const next = timeline.map((entry) => ({
+    ...entry,
+    metrics: entry.landmarks
+      ? analyzer.processFrame({
+          timestamp: entry.time * 1000, landmarks: entry.landmarks, worldLandmarks: entry.worldLandmarks ?? null, width, height,
+          poles: stripPoleMetrics(entry.metrics?.poles)
+        })
+      : null
+  }));
+  return { timeline: next, summary: analyzer.getSummary(), events: analyzer.getEvents() };
+};
+
+// 只保留偵測結果，指標 (tipOffset 等) 會依新參數重算
+const stripPoleMetrics = (poles) => {
+  if (!poles) return null;
+  const strip = (p) => p && { grip: p.grip, tip: p.tip, verticalAngle: p.verticalAngle, groundAngle: p.groundAngle, confidence: p.confidence };
+  return { L: strip(poles.L), R: strip(poles.R) };
+};
+
+// 找出時間 <= time 的最後一筆 (二分搜尋)
+export const findTimelineIndex = (timeline, time) => {
+  let lo = 0, hi = timeline.length - 1, ans = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].time <= time + 1e-6) { ans = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return ans;
+};
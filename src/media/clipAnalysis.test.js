@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDuration } from './clipAnalysis.js';
+
+// 最小的 <video> 替身：duration 在 seek 到片尾後才變成實際長度 (模擬 MediaRecorder 的 webm)
+const fakeVideo = ({ duration, actual = duration }) => {
+  const video = new EventTarget();
+  let time = 0;
+  video.duration = duration;
+  Object.defineProperty(video, 'currentTime', {
+    get: () => time,
+    set: (value) => {
+      time = Math.min(value, Number.isFinite(actual) ? actual : value);
+      if (value >= actual) video.duration = actual;
+      setTimeout(() => video.dispatchEvent(new Event('seeked')), 0);
+    }
+  });
+  return video;
+};
+
+test('duration 正常時直接回傳', async () => {
+  const video = fakeVideo({ duration: 12.5 });
+  assert.equal(await resolveDuration(video), 12.5);
+  assert.equal(video.currentTime, 0);
+});
+
+test('duration 為 Infinity 時 seek 到片尾取得實際長度並回到開頭', async () => {
+  const video = fakeVideo({ duration: Infinity, actual: 8 });
+  assert.equal(await resolveDuration(video), 8);
+  assert.equal(video.currentTime, 0);
+});
+
+test('仍無法取得有限長度時拒絕', async () => {
+  for (const duration of [NaN, Infinity]) {
+    await assert.rejects(resolveDuration(fakeVideo({ duration, actual: duration })), { code: 'durationUnknown' });
+  }
+});
@@ -0,0 +1,40 @@
+// --- 即時提示輸出 (Web Speech API / Vibration API) ---
+
+export const canSpeak = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// iOS 與桌機瀏覽器沒有 navigator.vibrate
+export const canVibrate = () => typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+
+// 優先用完全符合 locale 的語音 (zh-TW、en-US)，其次同語言；都沒有時交給瀏覽器依 lang 決定
+const pickVoice = (locale) => {
+  const voices = window.speechSynthesis.getVoices();
+  const language = locale.split('-')[0];
+  return voices.find((v) => v.lang === locale) || voices.find((v) => v.lang.startsWith(language)) || null;
+};
+
+export const speak = (text, locale) => {
+  if (!canSpeak()) return;
+  // 新提示取代還沒唸完的舊提示，避免排隊越積越多
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = locale;
+  utterance.rate = 1.1;
+  const voice = pickVoice(locale);
+  if (voice) utterance.voice = voice;
+  window.speechSynthesis.speak(utterance);
+};
+
+// iOS Safari 需在使用者操作中先唸過一次，之後由分析迴圈觸發的朗讀才會出聲
+export const unlockSpeech = () => {
+  if (canSpeak()) window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+};
+
+export const vibrate = (pattern) => {
+  if (canVibrate()) navigator.vibrate(pattern);
+};
+
+// text：已依目前語言翻譯好的提示
+export const deliverCue = ({ text, vibration: pattern }, { speech, vibration, locale }) => {
+  if (speech) speak(text, locale);
+  if (vibration) vibrate(pattern);
+};
@@ -0,0 +1,120 @@
+/**
+ * 關鍵點錄製與回放
+ * 把 pose 模型每一幀的原始輸出 (所有人的 landmarks / worldLandmarks) 依影片時間存成 JSON，
+ * 之後以回放模型餵回分析流程，不必重跑推論即可重現問題回報，或在同一段影片上比較不同模型。
+ *
+ * recording：{ type, version, provider, createdAt, source: { name, width, height }, frames: [{ time (秒), poses }] }
+ */
+
+import { codedError } from '../i18n/index.js';
+import { posesToResults } from './poseLandmarkerRuntime.js';
+
+export const RECORDING_TYPE = 'nordic-walking-landmarks';
+export const RECORDING_VERSION = 1;
+
+// 回放時與錄製幀的時間差超過此值 (秒) 視為該時間沒有資料
+const MAX_REPLAY_GAP = 0.1;
+// 關鍵點取小數 5 位，檔案小一半以上，精度仍遠高於模型本身
+const round = (v) => (typeof v === 'number' ? Math.round(v * 1e5) / 1e5 : v);
+const copyLandmarks = (list) => list
+  ? list.map((p) => ({ x: round(p.x), y: round(p.y), z: round(p.z), visibility: round(p.visibility ?? 1) }))
+  : null;
+
+// 舊版 Pose 只有單人的 poseLandmarks，統一轉成 poses 陣列
+const resultPoses = (results) => {
+  if (results.poses) return results.poses;
+  return results.poseLandmarks
+    ? [{ landmarks: results.poseLandmarks, worldLandmarks: results.poseWorldLandmarks ?? null }]
+    : [];
+};
+
+// 影片 / 鏡頭都以 currentTime 為時間軸；其他影像來源退回系統時間
+export const frameTime = (image) =>
+  (typeof image?.currentTime === 'number' ? image.currentTime : performance.now() / 1000);
+
+export const createLandmarkRecorder = () => {
+  let recording = null;
+
+  // source：{ name, width, height }
+  const start = ({ provider, source }) => {
+    recording = {
+      type: RECORDING_TYPE,
+      version: RECORDING_VERSION,
+      provider,
+      createdAt: new Date().toISOString(),
+      source,
+      frames: []
+    };
+  };
+
+  const add = (time, results) => {
+    if (!recording) return;
+    recording.frames.push({
+      time: round(time),
+      poses: resultPoses(results).map((p) => ({
+        landmarks: copyLandmarks(p.landmarks),
+        worldLandmarks: copyLandmarks(p.worldLandmarks)
+      }))
+    });
+  };
+
+  // 播放時可能倒帶、整段分析又會重新走一次，依時間排序並只留同一時間的最後一筆
+  const stop = () => {
+    const done = recording;
+    recording = null;
+    if (!done) return null;
+    const byTime = new Map(done.frames.map((f) => [f.time, f]));
+    return { ...done, frames: [...byTime.values()].sort((a, b) => a.time - b.time) };
+  };
+
+  return {
+    start,
+    add,
+    stop,
+    isRecording: () => recording !== null,
+    frameCount: () => recording?.frames.length ?? 0
+  };
+};
+
+export const parseRecording = (json) => {
+  let recording;
+  try {
+    recording = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch {
+    recording = null;
+  }
+  if (recording?.type !== RECORDING_TYPE || recording.version !== RECORDING_VERSION
+    || !Array.isArray(recording.frames) || recording.frames.some((f) => typeof f.time !== 'number' || !Array.isArray(f.poses))) {
+    throw codedError('invalidRecording', 'invalid landmark recording');
+  }
+  return recording;
+};
+
+// 找出最接近 time 的錄製幀 (frames 已依時間排序)
+const nearestFrame = (frames, time) => {
+  let lo = 0, hi = frames.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  const candidates = [frames[lo - 1], frames[lo]].filter(Boolean);
+  const best = candidates.reduce((a, b) => (Math.abs(b.time - time) < Math.abs(a.time - time) ? b : a), candidates[0]);
+  return best && Math.abs(best.time - time) <= MAX_REPLAY_GAP ? best : null;
+};
+
+/**
+ * 回放模型：依影像目前的時間取出錄製的關鍵點，介面與 createPose 相同
+ * 因此只對錄製時的同一段影片有意義；即時鏡頭的時間軸每次都不同
+ */
+export const createReplayPose = async ({ onResults, recording }) => {
+  const run = (image) => posesToResults(image, nearestFrame(recording.frames, frameTime(image))?.poses ?? []);
+
+  return {
+    send: async ({ image }) => onResults(run(image)),
+    detect: async (image) => run(image),
+    setOptions: () => {},
+    reset: () => {},
+    close: () => {}
+  };
+};
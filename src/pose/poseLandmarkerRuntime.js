@@ -0,0 +1,77 @@
+/**
+ * MediaPipe Tasks PoseLandmarker 執行環境 (可多人)
+ * 舊版 Pose solution 一次只追蹤一個人，團體課時骨架會在不同人之間跳動；
+ * PoseLandmarker 可同時偵測 numPoses 個人。
+ * wasm 由 vite.config.js 複製到 mediapipe/tasks/；模型 .task 不在 npm 套件中，從 Google 模型庫下載。
+ * 模型網址固定版本 (不用 latest)，內容不會變，service worker 第一次下載後快取，之後可離線使用。
+ * 模型有 lite / full / heavy 三種，越大越準但越慢。
+ *
+ * 對外介面與 poseRuntime.createPose 相同 (send / detect / setOptions / reset / close)，
+ * results 額外帶 poses：[{ landmarks, worldLandmarks }]；poseLandmarks 為第一個人，讓單人流程照常運作。
+ */
+
+export const TASKS_ASSET_BASE = `${import.meta.env.BASE_URL}mediapipe/tasks/`;
+export const LANDMARKER_MODELS = ['lite', 'full', 'heavy'];
+// 換版時只改這裡；service worker 依網址開頭 (MODEL_ORIGIN_PREFIX) 快取
+const LANDMARKER_MODEL_VERSION = 1;
+export const landmarkerModelUrl = (model) =>
+  `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${model}/float16/${LANDMARKER_MODEL_VERSION}/pose_landmarker_${model}.task`;
+
+export const DEFAULT_LANDMARKER_OPTIONS = {
+  numPoses: 4,
+  minPoseDetectionConfidence: 0.5,
+  minPosePresenceConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+const copyLandmarks = (list) => list.map((p) => ({ x: p.x, y: p.y, z: p.z, visibility: p.visibility ?? 1 }));
+
+// 與舊版 Pose 相容的結果格式：poseLandmarks 為第一個人
+export const posesToResults = (image, poses) => ({
+  image,
+  poses,
+  poseLandmarks: poses[0]?.landmarks ?? null,
+  poseWorldLandmarks: poses[0]?.worldLandmarks ?? null
+});
+
+// vision 為 @mediapipe/tasks-vision 模組；主執行緒延遲載入，worker 則直接打包進去
+// worker 中沒有 DOM canvas，GPU 運算需另給 OffscreenCanvas
+export const openLandmarker = async (vision, { wasmBase = TASKS_ASSET_BASE, model = 'full', options = {}, canvas } = {}) => {
+  const fileset = await vision.FilesetResolver.forVisionTasks(wasmBase.replace(/\/$/, ''));
+  return vision.PoseLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath: landmarkerModelUrl(model), delegate: 'GPU' },
+    runningMode: 'VIDEO',
+    ...(canvas && { canvas }),
+    ...DEFAULT_LANDMARKER_OPTIONS,
+    ...options
+  });
+};
+
+// 回傳 (image) => poses
+export const createLandmarkerDetector = (landmarker) => {
+  // VIDEO 模式要求時間戳嚴格遞增；逐幀分析會 seek 回頭，因此自行維護
+  let lastTimestamp = 0;
+  return (image) => {
+    lastTimestamp = Math.max(lastTimestamp + 1, performance.now());
+    const result = landmarker.detectForVideo(image, lastTimestamp);
+    return result.landmarks.map((landmarks, i) => ({
+      landmarks: copyLandmarks(landmarks),
+      worldLandmarks: result.worldLandmarks?.[i] ? copyLandmarks(result.worldLandmarks[i]) : null
+    }));
+  };
+};
+
+export const createPoseLandmarker = async ({ onResults, model = 'full', options = {} }) => {
+  const landmarker = await openLandmarker(await import('@mediapipe/tasks-vision'), { model, options });
+  const detect = createLandmarkerDetector(landmarker);
+  const run = (image) => posesToResults(image, detect(image));
+
+  return {
+    send: async ({ image }) => onResults(run(image)),
+    detect: async (image) => run(image),
+    setOptions: (next) => landmarker.setOptions(next),
+    // Tasks 沒有 reset；時間戳也不能歸零，換影片時沿用即可
+    reset: () => {},
+    close: () => landmarker.close()
+  };
+};
@@ -0,0 +1,95 @@
+/**
+ * Pose 模型切換
+ * 分析流程只依賴共同介面 (send / detect / setOptions / reset / close)，實際來源可以是：
+ *   legacy        舊版 Pose solution (單人)
+ *   tasks-*       Tasks PoseLandmarker lite / full / heavy (可多人)；瀏覽器支援時在 worker 中推論
+ *   replay        回放先前錄製的關鍵點 JSON，不跑推論
+ * 傳入 recorder 時，不論來源都會把每幀結果依影片時間錄下 (見 landmarkRecording.js)；
+ * 傳入 throughput 時記錄實際推論 fps 與延遲 (見 throughputMeter.js)。
+ * 經 onResults 送回的結果帶 receivedAt (performance.now()，ms)：即時鏡頭沒有影片時間，以到達時間為時間戳。
+ *
+ * worker 負責推論與繪圖：影格留在 worker，主執行緒分析 (gaitEngine 等) 後把疊圖圖層送回去，
+ * worker 在 OffscreenCanvas 上畫好整幀，主執行緒只貼上一張 ImageBitmap (見 workerPose.js)。
+ * 分析仍在主執行緒，因為每幀結果要進 React state；畫面最後仍貼在同一個 <canvas> 上，
+ * 截圖、縮圖與錄影都照常從它讀取。legacy 無法在 worker 中執行
+ * (Pose solution 依賴 DOM 載入 script)，send 會在主執行緒等待推論完成。
+ * 預設仍是 legacy：它的模型隨 app 打包並預先快取，新安裝時即可離線使用；
+ * Tasks 模型 .task 第一次使用時才從網路下載 (見 poseLandmarkerRuntime.js)。
+ */
+
+import { createPose } from './poseRuntime.js';
+import { createPoseLandmarker, DEFAULT_LANDMARKER_OPTIONS } from './poseLandmarkerRuntime.js';
+import { createReplayPose, frameTime } from './landmarkRecording.js';
+import { createWorkerPose, canUsePoseWorker } from './workerPose.js';
+import { codedError } from '../i18n/index.js';
+
+// 顯示名稱為 poseProvider.<id>
+export const POSE_PROVIDERS = [
+  { id: 'legacy', multiPerson: false },
+  { id: 'tasks-lite', model: 'lite', multiPerson: true },
+  { id: 'tasks-full', model: 'full', multiPerson: true },
+  { id: 'tasks-heavy', model: 'heavy', multiPerson: true },
+  { id: 'replay', multiPerson: true }
+];
+
+export const DEFAULT_POSE_PROVIDER = 'legacy';
+// 多人模式選了只能追蹤一人的模型時改用此模型 (需連線下載一次模型)
+const MULTI_PERSON_FALLBACK = 'tasks-full';
+
+export const findPoseProvider = (id) => POSE_PROVIDERS.find((p) => p.id === id) ?? null;
+
+export const resolvePoseProvider = (id, multiPerson) => {
+  const provider = findPoseProvider(id) ?? findPoseProvider(DEFAULT_POSE_PROVIDER);
+  return multiPerson && !provider.multiPerson ? MULTI_PERSON_FALLBACK : provider.id;
+};
+
+const createBackend = (provider, { onResults, multiPerson, recording, throughput }) => {
+  if (provider.id === 'replay') {
+    if (!recording) return Promise.reject(codedError('noRecording', 'replay needs a landmark recording'));
+    return createReplayPose({ onResults, recording });
+  }
+  if (provider.model) {
+    const numPoses = multiPerson ? DEFAULT_LANDMARKER_OPTIONS.numPoses : 1;
+    const args = { onResults, model: provider.model, options: { numPoses } };
+    if (!canUsePoseWorker()) return createPoseLandmarker(args);
+    // 部分瀏覽器無法在 worker 中建立 WebGL，退回主執行緒
+    return createWorkerPose({ ...args, throughput }).catch((e) => {
+      console.warn('pose worker unavailable, falling back to main thread', e);
+      return createPoseLandmarker(args);
+    });
+  }
+  return createPose({ onResults });
+};
+
+// id 先經 resolvePoseProvider 處理；recording 為 replay 的資料來源
+export const createPoseProvider = async (id, { onResults, multiPerson = false, recording = null, recorder = null, throughput = null }) => {
+  // send 的結果經 onResults 送回，先記下送出時的影片時間 (worker 的結果自帶 frameTime)
+  let sentTime = 0;
+  const pose = await createBackend(findPoseProvider(id), {
+    multiPerson,
+    recording,
+    throughput,
+    onResults: (results) => {
+      recorder?.add(results.frameTime ?? sentTime, results);
+      onResults({ ...results, receivedAt: performance.now() });
+    }
+  });
+
+  return {
+    ...pose,
+    id,
+    send: async (input) => {
+      sentTime = frameTime(input.image);
+      // worker 自行統計 (送出即返回，另有丟棄的幀)；其他來源 send 完成時結果已處理完
+      if (pose.decoupled) return pose.send(input);
+      const started = performance.now();
+      await pose.send(input);
+      throughput?.frame(performance.now() - started);
+    },
+    detect: async (image) => {
+      const results = await pose.detect(image);
+      recorder?.add(frameTime(image), results);
+      return results;
+    }
+  };
+};
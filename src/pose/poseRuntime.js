@@ -0,0 +1,70 @@
+/**
+ * MediaPipe Pose 執行環境
+ * pose.js 與 wasm / 模型檔由 vite.config.js 的 mediapipe-assets 外掛複製到 mediapipe/pose/，
+ * 從 app 自身載入 (離線時由 service worker 提供)，不再連線 CDN。
+ */
+
+import { codedError } from '../i18n/index.js';
+
+export const POSE_ASSET_BASE = `${import.meta.env.BASE_URL}mediapipe/pose/`;
+
+export const POSE_STATUS = {
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error'
+};
+
+export const DEFAULT_POSE_OPTIONS = {
+  modelComplexity: 1,
+  smoothLandmarks: true,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+let scriptPromise = null;
+
+// pose.js 是 closure 編譯的 UMD，只能以 <script> 載入後從 window.Pose 取得
+const loadPoseScript = () => {
+  if (window.Pose) return Promise.resolve(window.Pose);
+  if (scriptPromise) return scriptPromise;
+
+  scriptPromise = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = `${POSE_ASSET_BASE}pose.js`;
+    script.async = true;
+    script.onload = () => window.Pose ? resolve(window.Pose) : reject(codedError('poseLoadFailed', 'Pose missing after loading pose.js'));
+    script.onerror = () => reject(codedError('poseLoadFailed', 'failed to load pose.js'));
+    document.body.appendChild(script);
+  }).catch((e) => {
+    scriptPromise = null; // 允許重試
+    throw e;
+  });
+  return scriptPromise;
+};
+
+// 建立並初始化 Pose：initialize() 會預先下載 wasm 與模型，完成後才算可用
+// 回傳的物件：
+//   send(input)   結果照常送往 onResults (即時播放 / 鏡頭)
+//   detect(image) 直接取回該幀結果，不觸發 onResults (整段逐幀分析)
+export const createPose = async ({ onResults, options = {} }) => {
+  const Pose = await loadPoseScript();
+  const pose = new Pose({
+    locateFile: (file) => `${POSE_ASSET_BASE}${file}`,
+  });
+  pose.setOptions({ ...DEFAULT_POSE_OPTIONS, ...options });
+
+  let capture = null;
+  pose.onResults((results) => (capture ? capture(results) : onResults(results)));
+  await pose.initialize();
+
+  return {
+    send: (input) => pose.send(input),
+    detect: (image) => new Promise((resolve, reject) => {
+      capture = resolve;
+      pose.send({ image }).catch(reject).finally(() => { capture = null; });
+    }),
+    setOptions: (next) => pose.setOptions(next),
+    reset: () => pose.reset(),
+    close: () => pose.close()
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * Pose 推論 worker
+ * 在背景執行緒跑 Tasks PoseLandmarker 並畫出每一幀，主執行緒只負責擷取影格與分析。
+ * 影格以 ImageBitmap / VideoFrame 轉移 (不複製)，推論後連同縮小取樣的像素 (健走杖偵測用) 一起轉移回去；
+ * 即時播放時影格 (keep) 留在 worker，等主執行緒分析完送來疊圖圖層，在 OffscreenCanvas 上畫好整幀再轉移回去。
+ * worker 中沒有 DOM，GPU 運算、像素取樣與繪圖都使用 OffscreenCanvas。
+ *
+ * 訊息：
+ *   → init { wasmBase, model, options }   ← ready | error { message }
+ *   → detect { id, frame, keep }          ← result { id, poses, pixels, frame (keep 時不帶), inferenceMs }
+ *   → render { id, frameId, layers }      ← rendered { id, bitmap | error }
+ *   → release { frameId }
+ *   → setOptions { options }
+ */
+
+import * as vision from '@mediapipe/tasks-vision';
+import { openLandmarker, createLandmarkerDetector } from './poseLandmarkerRuntime.js';
+import { createFrameSampler } from '../render/frameSampler.js';
+import { paintFrame } from '../render/overlayLayers.js';
+
+let landmarker = null;
+let detect = null;
+const sampleFrame = createFrameSampler();
+// keep 的影格，等 render / release
+const frames = new Map();
+let paintCtx = null;
+
+// VideoFrame 用 displayWidth，ImageBitmap 用 width
+const frameSize = (frame) => [frame.displayWidth ?? frame.width, frame.displayHeight ?? frame.height];
+
+const init = async ({ wasmBase, model, options }) => {
+  try {
+    landmarker = await openLandmarker(vision, { wasmBase, model, options, canvas: new OffscreenCanvas(1, 1) });
+    detect = createLandmarkerDetector(landmarker);
+    self.postMessage({ type: 'ready' });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: String(e?.message ?? e) });
+  }
+};
+
+const runDetect = ({ id, frame, keep }) => {
+  const started = performance.now();
+  let poses = [];
+  let pixels = null;
+  try {
+    poses = detect(frame);
+    const [width, height] = frameSize(frame);
+    // ImageData 只能複製；拆成一般物件才能轉移底層 buffer
+    const image = sampleFrame(frame, width, height);
+    pixels = image && { width: image.width, height: image.height, data: image.data };
+  } catch (e) {
+    // 單幀失敗不中斷：回傳空結果，主執行緒才會送下一幀
+    console.error(e);
+  }
+  const inferenceMs = performance.now() - started;
+  const transfer = pixels ? [pixels.data.buffer] : [];
+  if (keep) {
+    frames.set(id, frame);
+    self.postMessage({ type: 'result', id, poses, pixels, inferenceMs }, transfer);
+  } else {
+    self.postMessage({ type: 'result', id, poses, pixels, frame, inferenceMs }, [frame, ...transfer]);
+  }
+};
+
+const releaseFrame = (frameId) => {
+  frames.get(frameId)?.close();
+  frames.delete(frameId);
+};
+
+// 整幀畫在同一張 OffscreenCanvas 上，transferToImageBitmap 後畫布清空，下一幀重畫
+const runRender = ({ id, frameId, layers }) => {
+  try {
+    const frame = frames.get(frameId);
+    if (!frame) throw new Error(`unknown frame ${frameId}`);
+    const [width, height] = frameSize(frame);
+    if (!paintCtx) paintCtx = new OffscreenCanvas(width, height).getContext('2d');
+    if (paintCtx.canvas.width !== width || paintCtx.canvas.height !== height) {
+      paintCtx.canvas.width = width;
+      paintCtx.canvas.height = height;
+    }
+    paintFrame(paintCtx, frame, layers);
+    const bitmap = paintCtx.canvas.transferToImageBitmap();
+    self.postMessage({ type: 'rendered', id, bitmap }, [bitmap]);
+  } catch (e) {
+    console.error(e);
+    self.postMessage({ type: 'rendered', id, error: String(e?.message ?? e) });
+  } finally {
+    releaseFrame(frameId);
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') init(data);
+  else if (data.type === 'detect') runDetect(data);
+  else if (data.type === 'render') runRender(data);
+  else if (data.type === 'release') releaseFrame(data.frameId);
+  else if (data.type === 'setOptions') landmarker?.setOptions(data.options);
+};
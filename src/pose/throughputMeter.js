@@ -0,0 +1,47 @@
+/**
+ * 推論吞吐量
+ * 統計最近 WINDOW_MS 內完成的幀 (實際 fps、送出到取得結果的平均延遲) 與因忙碌而丟棄的幀。
+ * snapshot()：{ fps, latency (ms), dropRatio (0–1) }，沒有資料時為 null
+ */
+
+const WINDOW_MS = 2000;
+
+export const createThroughputMeter = () => {
+  let frames = [];
+  let drops = [];
+
+  const prune = (now) => {
+    frames = frames.filter((f) => f.at > now - WINDOW_MS);
+    drops = drops.filter((at) => at > now - WINDOW_MS);
+  };
+
+  const frame = (latency) => {
+    const now = performance.now();
+    frames.push({ at: now, latency });
+    prune(now);
+  };
+
+  const drop = () => {
+    const now = performance.now();
+    drops.push(now);
+    prune(now);
+  };
+
+  const snapshot = () => {
+    prune(performance.now());
+    if (frames.length < 2) return { fps: null, latency: null, dropRatio: null };
+    const span = frames[frames.length - 1].at - frames[0].at;
+    return {
+      fps: span > 0 ? ((frames.length - 1) * 1000) / span : null,
+      latency: frames.reduce((sum, f) => sum + f.latency, 0) / frames.length,
+      dropRatio: drops.length / (drops.length + frames.length)
+    };
+  };
+
+  const reset = () => {
+    frames = [];
+    drops = [];
+  };
+
+  return { frame, drop, snapshot, reset };
+};
@@ -0,0 +1,140 @@
+/**
+ * 在 worker 中執行的 Tasks PoseLandmarker (見 poseWorker.js)，介面與 createPoseLandmarker 相同
+ *   send   不等待推論完成，結果之後經 onResults 送回；上一幀還在推論時新的影格直接丟棄，
+ *          不會排隊越積越多 (丟棄數記入 throughput)
+ *   detect 整段逐幀分析用，逐幀等待結果
+ *   reset  換影片 / 鏡頭時呼叫；之前送出、尚未返回的結果到達時直接丟棄
+ * results 額外帶 frameTime (送出時的影片時間，秒) 與 worker 取樣好的 pixels。
+ *
+ * send 的影格留在 worker，results 沒有 image，改帶 render(layers)：worker 在 OffscreenCanvas 上畫底圖與疊圖
+ * (圖層見 render/overlayLayers.js)，回傳整幀的 ImageBitmap，主執行緒只需貼上。
+ * render 須在 onResults 中同步呼叫；沒呼叫時影格在 onResults 返回後釋放。
+ */
+
+import { TASKS_ASSET_BASE, posesToResults } from './poseLandmarkerRuntime.js';
+import { frameTime } from './landmarkRecording.js';
+import { codedError } from '../i18n/index.js';
+
+// worker 中的 GPU 運算與像素取樣都需要 OffscreenCanvas
+export const canUsePoseWorker = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+
+// VideoFrame 直接引用解碼後的影格，比 createImageBitmap 少一次複製；兩者都可轉移給 worker
+const captureFrame = (image) => {
+  if (typeof VideoFrame !== 'undefined' && image instanceof HTMLVideoElement) {
+    return Promise.resolve(new VideoFrame(image));
+  }
+  return createImageBitmap(image);
+};
+
+export const createWorkerPose = ({ onResults, model = 'full', options = {}, throughput = null }) => new Promise((resolve, reject) => {
+  // 不指定 type: 'module'：tasks-vision 在 worker 中以 importScripts 載入 wasm，只能用 classic worker
+  const worker = new Worker(new URL('./poseWorker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 0;
+  let busy = false;
+  let lastTime = null;
+  let generation = 0;
+
+  // keep：影格留在 worker，之後以同一個 id 交給 render 或 release
+  const request = async (image, keep = false) => {
+    const time = frameTime(image);
+    const frame = await captureFrame(image);
+    const id = nextId++;
+    const data = await new Promise((done, fail) => {
+      pending.set(id, { done, fail });
+      worker.postMessage({ type: 'detect', id, frame, keep }, [frame]);
+    });
+    return { id, results: { ...posesToResults(data.frame ?? null, data.poses), pixels: data.pixels, frameTime: time } };
+  };
+
+  const render = (frameId, layers) => new Promise((done, fail) => {
+    const id = nextId++;
+    pending.set(id, { done: (data) => done(data.bitmap), fail });
+    worker.postMessage({ type: 'render', id, frameId, layers });
+  });
+
+  const send = async ({ image }) => {
+    // 播放迴圈比影片幀率快時會重複送同一幀，不算丟棄
+    const time = frameTime(image);
+    if (time === lastTime) return;
+    lastTime = time;
+    if (busy) {
+      throughput?.drop();
+      return;
+    }
+    busy = true;
+    const started = performance.now();
+    const sentGeneration = generation;
+    request(image, true)
+      .then(({ id, results }) => {
+        throughput?.frame(performance.now() - started);
+        let rendered = false;
+        try {
+          if (sentGeneration === generation) {
+            onResults({
+              ...results,
+              render: (layers) => {
+                rendered = true;
+                return render(id, layers);
+              }
+            });
+          }
+        } finally {
+          if (!rendered) worker.postMessage({ type: 'release', frameId: id });
+        }
+      })
+      .catch((e) => console.error(e))
+      .finally(() => { busy = false; });
+  };
+
+  const detect = async (image) => {
+    const { results } = await request(image);
+    results.image.close();
+    return { ...results, image };
+  };
+
+  const failPending = (error) => {
+    pending.forEach(({ fail }) => fail(error));
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'result' || data.type === 'rendered') {
+      const entry = pending.get(data.id);
+      pending.delete(data.id);
+      if (!entry) (data.frame ?? data.bitmap)?.close();
+      else if (data.error) entry.fail(new Error(data.error));
+      else entry.done(data);
+    } else if (data.type === 'ready') {
+      resolve({
+        send,
+        detect,
+        decoupled: true,
+        setOptions: (next) => worker.postMessage({ type: 'setOptions', options: next }),
+        // 時間戳由 worker 維護，換影片時沿用即可
+        reset: () => {
+          lastTime = null;
+          generation++;
+        },
+        close: () => {
+          failPending(new DOMException('Aborted', 'AbortError'));
+          worker.terminate();
+        }
+      });
+    } else if (data.type === 'error') {
+      worker.terminate();
+      reject(codedError('poseLoadFailed', data.message));
+    }
+  };
+
+  worker.onerror = (e) => {
+    console.error(e);
+    failPending(codedError('poseLoadFailed', e.message));
+    worker.terminate();
+    reject(codedError('poseLoadFailed', e.message));
+  };
+
+  // 主執行緒才知道 app 的網址；worker 的相對路徑會以 worker 檔案位置為基準
+  worker.postMessage({ type: 'init', wasmBase: new URL(TASKS_ASSET_BASE, document.baseURI).href, model, options });
+});
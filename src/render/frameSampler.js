@@ -0,0 +1,24 @@
+// --- 影格取樣 ---
+// 將影片 / 影像縮小後讀出 ImageData，供健走杖偵測等像素分析使用。
+
+export const createFrameSampler = (maxWidth = 320) => {
+  let canvas = null;
+  let ctx = null;
+
+  return (source, srcWidth, srcHeight) => {
+    if (!srcWidth || !srcHeight) return null;
+    const scale = Math.min(1, maxWidth / srcWidth);
+    const w = Math.round(srcWidth * scale);
+    const h = Math.round(srcHeight * scale);
+    if (!canvas) {
+      canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(w, h) : document.createElement('canvas');
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.drawImage(source, 0, 0, w, h);
+    return ctx.getImageData(0, 0, w, h);
+  };
+};
@@ -0,0 +1,56 @@
+import { MEASURE_TOOL, formatMeasurement } from '../analysis/measurements.js';
+
+// --- 手動量測疊圖 ---
+// 已完成的量測與正在畫的草稿 (draft：{ tool, points }) 共用同一套畫法。
+
+const MEASURE_COLOR = '#38BDF8';
+const DRAFT_COLOR = '#FACC15';
+
+const label = (ctx, text, x, y, scale) => {
+  ctx.font = `bold ${16 * scale}px sans-serif`;
+  const w = ctx.measureText(text).width + 10 * scale;
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.8)';
+  ctx.fillRect(x + 8 * scale, y - 12 * scale, w, 24 * scale);
+  ctx.fillStyle = '#FFF';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x + 13 * scale, y);
+};
+
+const drawOne = (ctx, m, color, width, height) => {
+  const scale = height / 720;
+  const pts = m.points.map((p) => ({ x: p.x * width, y: p.y * height }));
+  if (!pts.length) return;
+
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3 * scale;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  pts.slice(1).forEach((p) => ctx.lineTo(p.x, p.y));
+  ctx.stroke();
+
+  if (m.tool === MEASURE_TOOL.FREEHAND) return;
+  pts.forEach((p) => {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 5 * scale, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  const text = formatMeasurement(m);
+  if (!text) return;
+  // 角度標在頂點旁，長度標在中點旁
+  const anchor = m.tool === MEASURE_TOOL.ANGLE
+    ? pts[1]
+    : { x: (pts[0].x + pts[1].x) / 2, y: (pts[0].y + pts[1].y) / 2 };
+  label(ctx, text, anchor.x, anchor.y, scale);
+};
+
+export const drawMeasurements = (ctx, { measurements = [], draft = null, width, height }) => {
+  ctx.save();
+  measurements.forEach((m) => drawOne(ctx, m, MEASURE_COLOR, width, height));
+  if (draft?.points.length) drawOne(ctx, { ...draft, value: null }, DRAFT_COLOR, width, height);
+  ctx.restore();
+};
@@ -0,0 +1,88 @@
+import { THEME } from '../theme.js';
+import { HAND_STATE } from '../analysis/gaitEngine.js';
+
+// --- 匯出影片用的數據面板 ---
+// 直接畫在 canvas 上 (燒進影片)，字級依影像高度縮放，720p 為基準。
+
+const handColor = (state) => state === HAND_STATE.OPEN ? THEME.colors.open : (state === HAND_STATE.FIST ? THEME.colors.fist : '#888');
+
+/**
+ * t：目前語言的翻譯函式；metrics：該幀指標 (gaitEngine.processFrame 的結果)
+ * steps：到目前為止的步數；tips：技術建議代碼 (最多顯示兩則)
+ */
+export const drawMetricsPanel = (ctx, { t, metrics, steps, tips = [], frontal = false, width, height }) => {
+  const s = height / 720;
+  const pad = 12 * s;
+  const lineH = 28 * s;
+
+  const rows = frontal
+    ? [
+        [t('metric.shoulderTilt'), `${t.number(metrics?.frontal?.shoulderTilt, 1)}°`],
+        [t('metric.hipTilt'), `${t.number(metrics?.frontal?.hipTilt, 1)}°`],
+        [t('metric.lateralLean'), `${t.number(metrics?.frontal?.lateralLean, 1)}°`]
+      ]
+    : [
+        [t('metric.torso'), `${t.number(metrics?.torsoAngle, 1)}°`],
+        [t('panel.armLR'), `${t.number(metrics?.armAngleL, 0)}° / ${t.number(metrics?.armAngleR, 0)}°`]
+      ];
+  rows.push([t('panel.steps'), `${steps}`]);
+
+  const panelW = 260 * s;
+  const panelH = pad * 2 + lineH * (rows.length + 1);
+  ctx.save();
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+  ctx.fillRect(pad, pad, panelW, panelH);
+  ctx.font = `${18 * s}px sans-serif`;
+  ctx.textBaseline = 'middle';
+
+  rows.forEach(([label, value], i) => {
+    const y = pad * 2 + lineH * (i + 0.5);
+    ctx.fillStyle = '#94A3B8';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, pad * 2, y);
+    ctx.fillStyle = THEME.colors.text;
+    ctx.textAlign = 'right';
+    ctx.fillText(value, pad + panelW - pad, y);
+  });
+
+  // 手掌狀態：左右各一個色塊 + 文字
+  const handY = pad * 2 + lineH * (rows.length + 0.5);
+  [[t('hand.left'), metrics?.handL], [t('hand.right'), metrics?.handR]].forEach(([label, state], i) => {
+    const x = pad * 2 + i * (panelW / 2);
+    ctx.fillStyle = handColor(state);
+    ctx.beginPath();
+    ctx.arc(x + 6 * s, handY, 6 * s, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = THEME.colors.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`${label} ${t(`hand.${state ?? HAND_STATE.UNKNOWN}`)}`, x + 18 * s, handY);
+  });
+
+  // 技術建議：畫面底部橫條
+  const shown = tips.slice(0, 2);
+  if (shown.length) {
+    const barH = pad * 2 + lineH * shown.length;
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+    ctx.fillRect(0, height - barH, width, barH);
+    ctx.fillStyle = THEME.colors.spine;
+    ctx.textAlign = 'left';
+    shown.forEach((tip, i) => ctx.fillText(`• ${t(`tip.${tip}`)}`, pad * 2, height - barH + pad + lineH * (i + 0.5)));
+  }
+  ctx.restore();
+};
+
+// 定格畫面上方的標籤 (例如「撐杖」，已翻譯)
+export const drawFreezeBanner = (ctx, { label, width, height }) => {
+  const s = height / 720;
+  ctx.save();
+  ctx.font = `bold ${26 * s}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const text = `❚❚ ${label}`;
+  const w = ctx.measureText(text).width + 40 * s;
+  ctx.fillStyle = 'rgba(255, 149, 0, 0.9)';
+  ctx.fillRect((width - w) / 2, 16 * s, w, 44 * s);
+  ctx.fillStyle = '#000';
+  ctx.fillText(text, width / 2, 38 * s);
+  ctx.restore();
+};
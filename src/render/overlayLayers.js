@@ -0,0 +1,26 @@
+import { drawPoseOverlay, drawCalibrationMarks, drawPeopleMarkers, drawGhostPose } from './poseOverlay.js';
+import { drawMeasurements } from './measurementOverlay.js';
+
+// --- 一幀的疊圖 ---
+// 圖層只含純資料，可以 postMessage 給 pose worker，在 worker 的 OffscreenCanvas 上畫 (見 poseWorker.js)；
+// 主執行緒回放與 worker 即時繪圖共用這一份，兩邊畫出來一致。
+//   people / selectedId    多人模式各人的標記
+//   ghost                  參考示範骨架 (畫在學員骨架之前)
+//   pose                   { landmarks, metrics }：選定者的完整骨架疊圖
+//   calibration            距離校正點選的端點
+//   measurements / draft   手動量測與正在畫的草稿
+export const drawOverlayLayers = (ctx, { people, selectedId = null, ghost, pose, calibration, measurements, draft } = {}) => {
+  const { width, height } = ctx.canvas;
+  if (people) drawPeopleMarkers(ctx, { people, selectedId, width, height });
+  if (ghost) drawGhostPose(ctx, { landmarks: ghost, width, height });
+  if (pose) drawPoseOverlay(ctx, { ...pose, width, height });
+  if (calibration) drawCalibrationMarks(ctx, { points: calibration, width, height });
+  drawMeasurements(ctx, { measurements, draft, width, height });
+};
+
+// 底圖 + 疊圖
+export const paintFrame = (ctx, image, layers) => {
+  const { width, height } = ctx.canvas;
+  ctx.drawImage(image, 0, 0, width, height);
+  drawOverlayLayers(ctx, layers);
+};
@@ -0,0 +1,173 @@
+import { THEME } from '../theme.js';
+import { HAND_STATE } from '../analysis/gaitEngine.js';
+
+// --- 骨架疊圖 ---
+// 只負責在已繪好底圖的 ctx 上畫骨架與輔助線；即時分析與回放共用。
+export const drawPoseOverlay = (ctx, { landmarks: lm, metrics, width, height }) => {
+  const drawLine = (i1, i2, color, w=3) => {
+    if(lm[i1]?.visibility > 0.5 && lm[i2]?.visibility > 0.5) {
+      ctx.beginPath();
+      ctx.moveTo(lm[i1].x * width, lm[i1].y * height);
+      ctx.lineTo(lm[i2].x * width, lm[i2].y * height);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = w;
+      ctx.stroke();
+    }
+  };
+
+  // 繪製手掌狀態指示 (實心圓)
+  const drawHandIndicator = (idx, state) => {
+     if(lm[idx] && lm[idx].visibility > 0.5) {
+        ctx.beginPath();
+        ctx.arc(lm[idx].x * width, lm[idx].y * height, 8, 0, 2 * Math.PI);
+        // 綠色表示張開，黃色表示握拳，灰色未知
+        ctx.fillStyle = state === HAND_STATE.OPEN ? THEME.colors.open : (state === HAND_STATE.FIST ? THEME.colors.fist : '#888');
+        ctx.fill();
+        ctx.strokeStyle = '#FFF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+     }
+  };
+
+  // 健走杖：握點 -> 杖尖，信心度低時以虛線表示
+  const drawPole = (pole, color) => {
+    if (!pole) return;
+    ctx.beginPath();
+    ctx.moveTo(pole.grip.x * width, pole.grip.y * height);
+    ctx.lineTo(pole.tip.x * width, pole.tip.y * height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.setLineDash(pole.confidence < 0.5 ? [8, 6] : []);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(pole.tip.x * width, pole.tip.y * height, 6, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+  };
+
+  // 骨架繪製
+  const leftColor = THEME.colors.left;
+  const rightColor = THEME.colors.right;
+
+  // 健走杖 (先畫，骨架蓋在上面)
+  drawPole(metrics.poles?.L, leftColor);
+  drawPole(metrics.poles?.R, rightColor);
+
+  // 左側
+  [11,13,23,25,27].forEach(i => drawLine(i, i+2, leftColor));
+  drawLine(27, 31, leftColor);
+  // 左手掌視覺化
+  drawLine(15, 19, leftColor, 2); // Wrist to Index
+  drawHandIndicator(19, metrics.handL); // 在食指根部畫指示燈
+
+  // 右側
+  [12,14,24,26,28].forEach(i => drawLine(i, i+2, rightColor));
+  drawLine(28, 32, rightColor);
+  // 右手掌視覺化
+  drawLine(16, 20, rightColor, 2);
+  drawHandIndicator(20, metrics.handR);
+
+  // 軀幹中軸
+  const { midShoulder: midSh, midHip, com } = metrics.points;
+  ctx.beginPath();
+  ctx.moveTo(midSh.x * width, midSh.y * height);
+  ctx.lineTo(midHip.x * width, midHip.y * height);
+  ctx.strokeStyle = THEME.colors.spine;
+  ctx.lineWidth = 4;
+  ctx.stroke();
+
+  // 質心
+  ctx.beginPath();
+  ctx.arc(com.x * width, com.y * height, 10, 0, 2 * Math.PI);
+  ctx.fillStyle = THEME.colors.ref;
+  ctx.fill();
+
+  // 地面線 & 垂直線
+  const groundY = Math.max(lm[27].y, lm[28].y, lm[31].y, lm[32].y) * height;
+  ctx.beginPath();
+  ctx.moveTo(0, groundY); ctx.lineTo(width, groundY);
+  ctx.moveTo(com.x * width, 0); ctx.lineTo(com.x * width, height);
+  ctx.strokeStyle = THEME.colors.ref;
+  ctx.setLineDash([5,5]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+};
+
+// --- 距離校正標記 ---
+// 點選參考物兩端時的端點與連線 (正規化座標)
+export const drawCalibrationMarks = (ctx, { points, width, height }) => {
+  ctx.strokeStyle = THEME.colors.ref;
+  ctx.fillStyle = THEME.colors.ref;
+  ctx.lineWidth = 2;
+  if (points.length === 2) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x * width, points[0].y * height);
+    ctx.lineTo(points[1].x * width, points[1].y * height);
+    ctx.stroke();
+  }
+  points.forEach((p) => {
+    const x = p.x * width;
+    const y = p.y * height;
+    ctx.beginPath();
+    ctx.moveTo(x - 10, y); ctx.lineTo(x + 10, y);
+    ctx.moveTo(x, y - 10); ctx.lineTo(x, y + 10);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+};
+
+// --- 多人模式 ---
+// 未選取的人畫淡灰色骨架，每個人頭頂標示 id；選取中的人另有完整疊圖
+const PERSON_LINKS = [[11, 12], [11, 13], [13, 15], [12, 14], [14, 16], [11, 23], [12, 24], [23, 24], [23, 25], [25, 27], [24, 26], [26, 28]];
+
+export const drawPeopleMarkers = (ctx, { people, selectedId, width, height }) => {
+  ctx.save();
+  ctx.font = `bold ${Math.max(14, height / 40)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  for (const person of people) {
+    const lm = person.landmarks;
+    const selected = person.id === selectedId;
+    if (!selected) {
+      ctx.strokeStyle = 'rgba(203, 213, 225, 0.6)';
+      ctx.lineWidth = 2;
+      PERSON_LINKS.forEach(([a, b]) => {
+        if (lm[a]?.visibility > 0.5 && lm[b]?.visibility > 0.5) {
+          ctx.beginPath();
+          ctx.moveTo(lm[a].x * width, lm[a].y * height);
+          ctx.lineTo(lm[b].x * width, lm[b].y * height);
+          ctx.stroke();
+        }
+      });
+    }
+    const x = ((person.box.x0 + person.box.x1) / 2) * width;
+    const y = person.box.y0 * height - 6;
+    ctx.fillStyle = selected ? THEME.colors.spine : 'rgba(203, 213, 225, 0.9)';
+    ctx.fillText(`#${person.id}`, x, y);
+  }
+  ctx.restore();
+};
+
+// --- 參考示範 (ghost) ---
+// 半透明白色骨架，畫在學員骨架之前，讓學員的彩色骨架疊在上面
+const GHOST_LINKS = [...PERSON_LINKS, [27, 31], [28, 32]];
+
+export const drawGhostPose = (ctx, { landmarks: lm, width, height }) => {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'round';
+  GHOST_LINKS.forEach(([a, b]) => {
+    ctx.beginPath();
+    ctx.moveTo(lm[a].x * width, lm[a].y * height);
+    ctx.lineTo(lm[b].x * width, lm[b].y * height);
+    ctx.stroke();
+  });
+  ctx.beginPath();
+  ctx.arc(lm[0].x * width, lm[0].y * height, 10, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.restore();
+};
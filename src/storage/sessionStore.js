@@ -0,0 +1,110 @@
+/**
+ * 分析紀錄本機儲存 (IndexedDB)
+ * - sessions：列表需要的輕量資料 (學員、日期、視角、身高、統計、縮圖)
+ * - sessionData：逐幀 timeline、步態事件、手動量測、教練評語與原始影片 Blob，開啟單筆紀錄時才讀取
+ */
+import { normalizeHandState } from '../analysis/gaitEngine.js';
+
+const DB_NAME = 'nordic-walking';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const SESSION_DATA = 'sessionData';
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SESSIONS)) {
+        const store = db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        store.createIndex('date', 'date');
+        store.createIndex('walkerName', 'walkerName');
+      }
+      if (!db.objectStoreNames.contains(SESSION_DATA)) {
+        db.createObjectStore(SESSION_DATA, { keyPath: 'id' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+};
+
+const requestToPromise = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * 儲存一筆紀錄，回傳 id
+ * session: { walkerName, date, viewMode, userHeight, calibration, personId, summary, technique, thumbnail,
+ *            timeline, events, measurements, comments, video (Blob | null) }
+ */
+export const saveSession = async ({ timeline, events, measurements, comments, video, ...meta }) => {
+  const db = await openDB();
+  const id = meta.id || newId();
+  const tx = db.transaction([SESSIONS, SESSION_DATA], 'readwrite');
+  tx.objectStore(SESSIONS).put({ ...meta, id, hasVideo: !!video, frameCount: timeline?.length || 0 });
+  tx.objectStore(SESSION_DATA).put({
+    id,
+    timeline: timeline || [],
+    events: events || [],
+    measurements: measurements || [],
+    comments: comments || [],
+    video: video || null
+  });
+  await transactionDone(tx);
+  return id;
+};
+
+// 依日期新到舊
+export const listSessions = async () => {
+  const db = await openDB();
+  const list = await requestToPromise(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return list.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+// 舊紀錄的手掌狀態是中文字串，轉成目前的代碼
+const migrateTimeline = (timeline = []) => timeline.map((entry) => (entry.metrics ? {
+  ...entry,
+  metrics: { ...entry.metrics, handL: normalizeHandState(entry.metrics.handL), handR: normalizeHandState(entry.metrics.handR) }
+} : entry));
+
+export const getSession = async (id) => {
+  const db = await openDB();
+  const tx = db.transaction([SESSIONS, SESSION_DATA]);
+  const [meta, data] = await Promise.all([
+    requestToPromise(tx.objectStore(SESSIONS).get(id)),
+    requestToPromise(tx.objectStore(SESSION_DATA).get(id))
+  ]);
+  return meta ? { ...meta, ...data, timeline: migrateTimeline(data?.timeline) } : null;
+};
+
+export const deleteSession = async (id) => {
+  const db = await openDB();
+  const tx = db.transaction([SESSIONS, SESSION_DATA], 'readwrite');
+  tx.objectStore(SESSIONS).delete(id);
+  tx.objectStore(SESSION_DATA).delete(id);
+  await transactionDone(tx);
+};
+
+// 產生列表用的小縮圖
+export const makeThumbnail = (canvas, width = 160) => {
+  if (!canvas?.width) return null;
+  const thumb = document.createElement('canvas');
+  thumb.width = width;
+  thumb.height = Math.round((canvas.height / canvas.width) * width);
+  thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL('image/jpeg', 0.7);
+};
@@ -0,0 +1,18 @@
+// --- 樣式定義 ---
+export const THEME = {
+  bg: 'bg-slate-950',
+  panel: 'bg-slate-900',
+  text: 'text-slate-100',
+  textMuted: 'text-slate-400',
+  accent: 'text-blue-400',
+  border: 'border-slate-800',
+  colors: {
+    left: '#FF3B30',   // 左側紅
+    right: '#34C759',  // 右側綠
+    spine: '#FFD60A',  // 中軸黃
+    ref: '#FF9500',    // 參考線橘
+    text: '#FFFFFF',
+    fist: '#FFCC00',   // 握拳 (黃)
+    open: '#00FF00'    // 張開 (亮綠)
+  }
+};
@@ -1,8 +1,85 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+
+// MediaPipe 的 wasm / 模型檔無法被 Rollup 打包，改為原樣複製到 mediapipe/ 底下，
+// 由 app 自己提供，不再依賴 jsDelivr。
+//   pose：舊版 Pose solution (單人，預設)；除 heavy 外預先快取，新安裝即可離線使用
+//   tasks：Tasks PoseLandmarker 的 wasm (多人)；模型 .task 不在 npm 套件中，執行期下載並由 service worker 快取
+const MEDIAPIPE_ASSETS = [
+  {
+    dir: path.resolve('node_modules/@mediapipe/pose'),
+    out: 'mediapipe/pose',
+    skip: ['README.md', 'package.json', 'index.d.ts'],
+  },
+  {
+    dir: path.resolve('node_modules/@mediapipe/tasks-vision/wasm'),
+    out: 'mediapipe/tasks',
+    skip: [],
+  },
+]
+// heavy 模型 27MB、Tasks wasm 每個約 10MB，不預先快取；實際用到時由 service worker 執行期快取
+const PRECACHE_SKIP = ['pose_landmark_heavy.tflite', 'mediapipe/tasks/']
+// public/sw.js 快取名稱中的占位字串，build 後換成產物內容的 hash
+const SW_BUILD_PLACEHOLDER = '__BUILD_HASH__'
+
+const mediapipeFiles = ({ dir, skip }) =>
+  fs.readdirSync(dir).filter((f) => !skip.includes(f))
+
+const mediapipeAssets = () => {
+  let buildHash = null
+
+  return {
+    name: 'mediapipe-assets',
+    configureServer(server) {
+      for (const { dir, out } of MEDIAPIPE_ASSETS) {
+        server.middlewares.use(`/${out}/`, (req, res, next) => {
+          const file = path.join(dir, path.basename(req.url.split('?')[0]))
+          if (!fs.existsSync(file)) return next()
+          if (file.endsWith('.wasm')) res.setHeader('Content-Type', 'application/wasm')
+          fs.createReadStream(file).pipe(res)
+        })
+      }
+    },
+    generateBundle(_, bundle) {
+      for (const asset of MEDIAPIPE_ASSETS) {
+        for (const file of mediapipeFiles(asset)) {
+          this.emitFile({
+            type: 'asset',
+            fileName: `${asset.out}/${file}`,
+            source: fs.readFileSync(path.join(asset.dir, file)),
+          })
+        }
+      }
+      // service worker (public/sw.js) 安裝時依此清單預先快取
+      const precache = ['./', ...Object.keys(bundle)]
+        .filter((f) => !PRECACHE_SKIP.some((skip) => f.endsWith(skip) || f.startsWith(skip)))
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(precache),
+      })
+      // 所有產物 (含 MediaPipe 檔案) 的內容 hash；任何一個檔案變了快取名稱就跟著變
+      const hash = crypto.createHash('sha256')
+      for (const name of Object.keys(bundle).sort()) {
+        const item = bundle[name]
+        hash.update(name).update(item.type === 'chunk' ? item.code : item.source)
+      }
+      buildHash = hash.digest('hex').slice(0, 12)
+    },
+    // public/ 的檔案原樣複製，寫出後才換掉 sw.js 中的占位字串
+    writeBundle({ dir }) {
+      const file = path.join(dir, 'sw.js')
+      if (!buildHash || !fs.existsSync(file)) return
+      fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(SW_BUILD_PLACEHOLDER, buildHash))
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeAssets()],
   base: './',
 })